@@ -0,0 +1,201 @@
+// Flow Diagram webview: draws the layout sent by the extension as SVG, with pan and
+// zoom, and asks the extension to reveal an action when its node is clicked.
+(function () {
+    const oVsCode = acquireVsCodeApi();
+    const sSvgNamespace = "http://www.w3.org/2000/svg";
+    const oSvg = document.getElementById("diagram");
+    const oCanvas = document.getElementById("canvas");
+    const oTitle = document.getElementById("title");
+    const iMaxNameLength = 26;
+    let oView = oVsCode.getState() || { nScale: 1, nX: 0, nY: 0 };
+    let oViewport = null;
+    let oDrag = null;
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} sTag
+     * @param {Object} oAttributes
+     * @returns {SVGElement}
+     */
+    function createElement(sTag, oAttributes) {
+        const oElement = document.createElementNS(sSvgNamespace, sTag);
+        Object.keys(oAttributes).forEach(function (sKey) {
+            oElement.setAttribute(sKey, String(oAttributes[sKey]));
+        });
+        return oElement;
+    }
+
+    /**
+     * Create an SVG text element
+     * @param {string} sText
+     * @param {number} nX
+     * @param {number} nY
+     * @param {string} sClass
+     * @returns {SVGElement}
+     */
+    function createText(sText, nX, nY, sClass) {
+        const oText = createElement("text", { x: nX, y: nY, "class": sClass });
+        oText.textContent = sText;
+        return oText;
+    }
+
+    /**
+     * Shorten a name to fit a node
+     * @param {string} sName
+     * @returns {string}
+     */
+    function truncate(sName) {
+        return sName.length > iMaxNameLength ? sName.substring(0, iMaxNameLength - 1) + "…" : sName;
+    }
+
+    /**
+     * Apply the current pan and zoom, and remember it across reloads
+     */
+    function applyView() {
+        if (oViewport) {
+            oViewport.setAttribute("transform", "translate(" + oView.nX + "," + oView.nY + ") scale(" + oView.nScale + ")");
+        }
+        document.getElementById("zoomReset").textContent = Math.round(oView.nScale * 100) + "%";
+        oVsCode.setState(oView);
+    }
+
+    /**
+     * Zoom around a point of the canvas
+     * @param {number} nFactor
+     * @param {number} nX
+     * @param {number} nY
+     */
+    function zoom(nFactor, nX, nY) {
+        const nScale = Math.min(4, Math.max(0.2, oView.nScale * nFactor));
+        oView.nX = nX - (nX - oView.nX) * (nScale / oView.nScale);
+        oView.nY = nY - (nY - oView.nY) * (nScale / oView.nScale);
+        oView.nScale = nScale;
+        applyView();
+    }
+
+    /**
+     * Draw a box: trigger, action, container (with header) or branch
+     * @param {Object} oBox
+     * @returns {SVGElement}
+     */
+    function drawBox(oBox) {
+        const oGroup = createElement("g", { "class": "box " + oBox.sKind });
+        const oTooltip = createElement("title", {});
+        oTooltip.textContent = oBox.sName + (oBox.sType ? " (" + oBox.sType + ")" : "");
+        oGroup.appendChild(oTooltip);
+
+        if (oBox.sKind === "branch") {
+            oGroup.appendChild(createElement("rect", { x: oBox.iX, y: oBox.iY, width: oBox.iWidth, height: oBox.iHeight, rx: 6 }));
+            oGroup.appendChild(createText(truncate(oBox.sName), oBox.iX + 10, oBox.iY + 17, "label"));
+            return oGroup;
+        }
+
+        oGroup.appendChild(createElement("rect", { x: oBox.iX, y: oBox.iY, width: oBox.iWidth, height: oBox.iHeight, rx: 6 }));
+        if (oBox.sKind === "container") {
+            oGroup.appendChild(createElement("rect", { x: oBox.iX, y: oBox.iY, width: oBox.iWidth, height: 40, rx: 6, "class": "header" }));
+        }
+        oGroup.appendChild(createText(truncate(oBox.sName), oBox.iX + 10, oBox.iY + 19, "name"));
+        oGroup.appendChild(createText(oBox.sType, oBox.iX + 10, oBox.iY + 35, "type"));
+
+        // Only the node itself (or a container's header) reveals the action
+        const oTarget = oBox.sKind === "container" ? oGroup.childNodes[2] : oGroup;
+        oTarget.classList.add("clickable");
+        oTarget.addEventListener("click", function (oEvent) {
+            oEvent.stopPropagation();
+            oVsCode.postMessage({ sCommand: "reveal", iSelectionStart: oBox.iSelectionStart, iSelectionEnd: oBox.iSelectionEnd });
+        });
+        return oGroup;
+    }
+
+    /**
+     * Draw a runAfter edge as a curve with an arrow, labelled with non-success statuses
+     * @param {Object} oEdge
+     * @returns {SVGElement}
+     */
+    function drawEdge(oEdge) {
+        const oGroup = createElement("g", { "class": "edge " + oEdge.sStatus });
+        const nMidY = (oEdge.iY1 + oEdge.iY2) / 2;
+        oGroup.appendChild(createElement("path", {
+            d: "M " + oEdge.iX1 + " " + oEdge.iY1
+                + " C " + oEdge.iX1 + " " + nMidY + ", " + oEdge.iX2 + " " + nMidY + ", " + oEdge.iX2 + " " + (oEdge.iY2 - 2),
+            "marker-end": "url(#arrow-" + oEdge.sStatus + ")"
+        }));
+        if (oEdge.sLabel) {
+            oGroup.appendChild(createText(oEdge.sLabel, (oEdge.iX1 + oEdge.iX2) / 2 + 4, nMidY, "edgeLabel"));
+        }
+        return oGroup;
+    }
+
+    /**
+     * Redraw the whole diagram
+     * @param {Object} oLayout - from layoutFlowGraph
+     */
+    function render(oLayout) {
+        while (oSvg.firstChild) {
+            oSvg.removeChild(oSvg.firstChild);
+        }
+        const oDefs = createElement("defs", {});
+        ["succeeded", "failed", "skipped", "timedout", "mixed"].forEach(function (sStatus) {
+            const oMarker = createElement("marker", {
+                id: "arrow-" + sStatus, viewBox: "0 0 10 10", refX: 9, refY: 5,
+                markerWidth: 7, markerHeight: 7, orient: "auto-start-reverse", "class": "arrow " + sStatus
+            });
+            oMarker.appendChild(createElement("path", { d: "M 0 0 L 10 5 L 0 10 z" }));
+            oDefs.appendChild(oMarker);
+        });
+        oSvg.appendChild(oDefs);
+
+        oViewport = createElement("g", {});
+        oLayout.aBoxes.forEach(function (oBox) {
+            oViewport.appendChild(drawBox(oBox));
+        });
+        oLayout.aEdges.forEach(function (oEdge) {
+            oViewport.appendChild(drawEdge(oEdge));
+        });
+        oSvg.appendChild(oViewport);
+        applyView();
+    }
+
+    window.addEventListener("message", function (oEvent) {
+        const oMessage = oEvent.data;
+        if (oMessage.sCommand === "render") {
+            oTitle.textContent = oMessage.sTitle;
+            render(oMessage.oLayout);
+        }
+    });
+
+    oCanvas.addEventListener("wheel", function (oEvent) {
+        oEvent.preventDefault();
+        const oBounds = oCanvas.getBoundingClientRect();
+        zoom(oEvent.deltaY < 0 ? 1.1 : 1 / 1.1, oEvent.clientX - oBounds.left, oEvent.clientY - oBounds.top);
+    }, { passive: false });
+
+    oCanvas.addEventListener("mousedown", function (oEvent) {
+        oDrag = { nX: oEvent.clientX - oView.nX, nY: oEvent.clientY - oView.nY };
+        oCanvas.classList.add("panning");
+    });
+    window.addEventListener("mousemove", function (oEvent) {
+        if (oDrag) {
+            oView.nX = oEvent.clientX - oDrag.nX;
+            oView.nY = oEvent.clientY - oDrag.nY;
+            applyView();
+        }
+    });
+    window.addEventListener("mouseup", function () {
+        oDrag = null;
+        oCanvas.classList.remove("panning");
+    });
+
+    document.getElementById("zoomIn").addEventListener("click", function () {
+        zoom(1.2, 0, 0);
+    });
+    document.getElementById("zoomOut").addEventListener("click", function () {
+        zoom(1 / 1.2, 0, 0);
+    });
+    document.getElementById("zoomReset").addEventListener("click", function () {
+        oView = { nScale: 1, nX: 0, nY: 0 };
+        applyView();
+    });
+
+    oVsCode.postMessage({ sCommand: "ready" });
+}());
@@ -0,0 +1,95 @@
+const vscode = require("vscode");
+const { buildFunctionMap } = require("./expressionValidator");
+const { parseFlowDefinition } = require("./flowDefinition");
+const { collectDocumentExpressions } = require("./expressionParser");
+const { getQuickFixes, getActionFixes, getConversionFixes } = require("./quickFixes");
+const { findExtractTarget, findOccurrences, checkExtractPlacement } = require("./flowExtract");
+
+/**
+ * Turn a fix from quickFixes into a CodeAction whose edits apply as one undo step
+ * @param {vscode.TextDocument} oDocument
+ * @param {Object} oFix - { sTitle, aEdits, bPreferred }
+ * @param {vscode.CodeActionKind} oKind
+ * @param {vscode.Diagnostic} [oDiagnostic] - the diagnostic the fix resolves
+ * @returns {vscode.CodeAction}
+ */
+function toCodeAction(oDocument, oFix, oKind, oDiagnostic) {
+    const oAction = new vscode.CodeAction(oFix.sTitle, oKind);
+    const oEdit = new vscode.WorkspaceEdit();
+    oFix.aEdits.forEach(function (oTextEdit) {
+        oEdit.replace(oDocument.uri, new vscode.Range(oDocument.positionAt(oTextEdit.iStart), oDocument.positionAt(oTextEdit.iEnd)), oTextEdit.sNewText);
+    });
+    oAction.edit = oEdit;
+    oAction.isPreferred = oFix.bPreferred;
+    if (oDiagnostic) {
+        oAction.diagnostics = [oDiagnostic];
+    }
+    return oAction;
+}
+
+/**
+ * Build a CodeActionProvider with quick fixes for the extension's diagnostics (missing
+ * null-safe '?', deprecated functions, uninitialized variables, misspelled action names,
+ * HTTP actions without secure inputs / outputs), Turn on Secure Inputs and Outputs
+ * on any action's key, Extract to Compose Action on expressions inside actions and
+ * concat() / string interpolation conversions on any expression value.
+ * @param {Array<Object>} aFunctions - parsed function definitions
+ * @returns {vscode.CodeActionProvider}
+ */
+function createCodeActionProvider(aFunctions) {
+    const oFuncMap = buildFunctionMap(aFunctions);
+    return {
+        provideCodeActions: function (oDocument, oRange, oCodeActionContext) {
+            const sText = oDocument.getText();
+            const bJson = oDocument.languageId === "json" || oDocument.languageId === "jsonc";
+            const oFlow = bJson ? parseFlowDefinition(sText, oDocument.languageId) : null;
+            const aActions = [];
+            const aTitles = [];
+            oCodeActionContext.diagnostics.forEach(function (oDiagnostic) {
+                if (oDiagnostic.source !== "Power Automate") {
+                    return;
+                }
+                const oIssue = {
+                    iStart: oDocument.offsetAt(oDiagnostic.range.start),
+                    iEnd: oDocument.offsetAt(oDiagnostic.range.end),
+                    sCode: oDiagnostic.code
+                };
+                getQuickFixes(sText, oFlow, oIssue, oFuncMap).forEach(function (oFix) {
+                    aTitles.push(oFix.sTitle);
+                    aActions.push(toCodeAction(oDocument, oFix, vscode.CodeActionKind.QuickFix, oDiagnostic));
+                });
+            });
+            const iStart = oDocument.offsetAt(oRange.start);
+            const iEnd = oDocument.offsetAt(oRange.end);
+            const aExpressions = collectDocumentExpressions(sText, oDocument.languageId);
+            getConversionFixes(aExpressions, iStart, bJson).forEach(function (oFix) {
+                aActions.push(toCodeAction(oDocument, oFix, vscode.CodeActionKind.RefactorRewrite));
+            });
+            if (!oFlow) {
+                return aActions;
+            }
+            getActionFixes(sText, oFlow, iStart).forEach(function (oFix) {
+                if (aTitles.indexOf(oFix.sTitle) === -1) {
+                    aActions.push(toCodeAction(oDocument, oFix, vscode.CodeActionKind.RefactorRewrite));
+                }
+            });
+            const oTarget = findExtractTarget(aExpressions, iStart, iEnd);
+            const iCount = oTarget ? findOccurrences(oFlow, aExpressions, oTarget).length : 0;
+            if (iCount > 0) {
+                const sTitle = "Extract to Compose action (" + iCount + " occurrence" + (iCount === 1 ? "" : "s") + ")";
+                const oExtract = new vscode.CodeAction(sTitle, vscode.CodeActionKind.RefactorExtract);
+                oExtract.command = { command: "powerAutomateUtility.extractToCompose", title: sTitle, arguments: [iStart, iEnd] };
+                const sProblem = checkExtractPlacement(oFlow, aExpressions, oTarget);
+                if (sProblem) {
+                    oExtract.disabled = { reason: sProblem };
+                }
+                aActions.push(oExtract);
+            }
+            return aActions;
+        }
+    };
+}
+
+module.exports = {
+    createCodeActionProvider: createCodeActionProvider
+};
@@ -1,4 +1,5 @@
 const vscode = require("vscode");
+const { getOpenContext } = require("./expressionParser");
 
 /**
  * Build a CompletionItemProvider for Logic App expression functions.
@@ -199,28 +200,19 @@ function isNestedExpression(sTextBefore) {
         sCheck = sCheck.substring(0, sCheck.length - 1);
     }
 
-    let iAtIndex = sCheck.indexOf("@");
+    const iAtIndex = sCheck.indexOf("@");
     if (iAtIndex === -1) {
         return false;
     }
 
-    // Walk from the first @ and track open parens / @{} braces
-    let iParenDepth = 0;
-    let iAtBraceDepth = 0;
-    for (let i = iAtIndex; i < sCheck.length; i++) {
-        if (sCheck[i] === "@" && i + 1 < sCheck.length && sCheck[i + 1] === "{") {
-            iAtBraceDepth++;
-            i++; // skip the {
-        } else if (sCheck[i] === "}" && iAtBraceDepth > 0) {
-            iAtBraceDepth--;
-        } else if (sCheck[i] === "(") {
-            iParenDepth++;
-        } else if (sCheck[i] === ")") {
-            iParenDepth--;
+    // Any call, parenthesis or @{} interpolation left open after the first @
+    const aFrames = getOpenContext(sCheck.substring(iAtIndex)).aFrames;
+    for (let i = 0; i < aFrames.length; i++) {
+        if (aFrames[i].sKind !== "index") {
+            return true;
         }
     }
-
-    return iParenDepth > 0 || iAtBraceDepth > 0;
+    return false;
 }
 
 /**
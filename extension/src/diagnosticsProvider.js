@@ -0,0 +1,340 @@
+let vscode;
+try {
+    vscode = require("vscode");
+} catch (e) {
+    // Running in test/node environment where 'vscode' is not available
+    vscode = null;
+}
+const { collectDocumentExpressions, toDocumentOffset } = require("./expressionParser");
+const { buildFunctionMap, checkFunctionCalls } = require("./expressionValidator");
+const { inferTypes } = require("./expressionTypes");
+const { parseFlowDefinition, collectVariables } = require("./flowDefinition");
+const { getVariableTypeMap, checkVariables, checkPropertyAccess, checkActionReferences, checkRunAfter } = require("./flowValidator");
+const { checkFlowStructure } = require("./flowStructure");
+const { runLintRules } = require("./flowLint");
+
+const aSupportedLanguages = ["json", "jsonc", "plaintext", "paexpr"];
+const iDebounceMs = 300;
+
+/**
+ * Choose which of a document's expressions are checked. JSON values are only checked in
+ * flows (or *.clientdata.json files that do not parse as one yet), so package.json and
+ * tsconfig values such as "@babel/core" are left alone. Plaintext blocks must look like
+ * an expression: start with @name( or contain an @{...} interpolation.
+ * @param {Array<Object>} aExpressions - from collectDocumentExpressions
+ * @param {string} sLanguageId
+ * @param {Object|null} oFlow - from parseFlowDefinition
+ * @param {string} sFileName
+ * @returns {Array<Object>}
+ */
+function selectCheckedExpressions(aExpressions, sLanguageId, oFlow, sFileName) {
+    if (sLanguageId === "json" || sLanguageId === "jsonc") {
+        const bClientData = new RegExp("\\.clientdata\\.json$", "i").test(sFileName || "");
+        return oFlow || bClientData ? aExpressions : [];
+    }
+    if (sLanguageId !== "plaintext") {
+        return aExpressions;
+    }
+    const oExpressionStart = new RegExp("^@[A-Za-z_][A-Za-z0-9_]*\\s*\\(", "");
+    return aExpressions.filter(function (oEntry) {
+        return oExpressionStart.test(oEntry.sValue) || oEntry.sValue.indexOf("@{") !== -1;
+    });
+}
+
+/**
+ * Parse a document once so every diagnostic pass can share the result.
+ * oFlow is the workflow definition model (null for plaintext or non-flow JSON)
+ * and oVariableTypes the declared variable types used by type checking.
+ * @param {vscode.TextDocument} oDocument
+ * @returns {Object} analysis { sText, sLanguageId, aExpressions, oFlow, oVariableTypes }
+ */
+function analyzeDocument(oDocument) {
+    const sText = oDocument.getText();
+    const bJson = oDocument.languageId === "json" || oDocument.languageId === "jsonc";
+    const oFlow = bJson ? parseFlowDefinition(sText, oDocument.languageId) : null;
+    const aExpressions = collectDocumentExpressions(sText, oDocument.languageId);
+    return {
+        sText: sText,
+        sLanguageId: oDocument.languageId,
+        aExpressions: selectCheckedExpressions(aExpressions, oDocument.languageId, oFlow, oDocument.fileName),
+        oFlow: oFlow,
+        oVariableTypes: oFlow ? getVariableTypeMap(collectVariables(oFlow)) : null
+    };
+}
+
+/**
+ * Convert issues reported against an entry's value into document offsets
+ * @param {Object} oEntry - entry from collectDocumentExpressions
+ * @param {Array<Object>} aValueIssues - issues with offsets into the entry's value
+ * @param {Array<Object>} aIssues - receives the converted issues
+ */
+function mapEntryIssues(oEntry, aValueIssues, aIssues) {
+    for (let i = 0; i < aValueIssues.length; i++) {
+        const oIssue = aValueIssues[i];
+        aIssues.push({
+            iStart: toDocumentOffset(oEntry, oIssue.iStart),
+            iEnd: toDocumentOffset(oEntry, oIssue.iEnd),
+            sMessage: oIssue.sMessage,
+            sSeverity: oIssue.sSeverity,
+            sCode: oIssue.sCode,
+            bDeprecated: oIssue.bDeprecated
+        });
+    }
+}
+
+/**
+ * Diagnostic pass: syntax errors found by the expression parser.
+ * Passes return issues as { iStart, iEnd, sMessage, sSeverity, sCode } using document offsets.
+ * @param {Object} oAnalysis
+ * @returns {Array<Object>}
+ */
+function collectSyntaxIssues(oAnalysis) {
+    const aIssues = [];
+    for (let i = 0; i < oAnalysis.aExpressions.length; i++) {
+        const oEntry = oAnalysis.aExpressions[i];
+        mapEntryIssues(oEntry, oEntry.aErrors, aIssues);
+    }
+    return aIssues;
+}
+
+/**
+ * Diagnostic pass: unknown or deprecated functions and wrong argument counts
+ * @param {Object} oAnalysis
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @returns {Array<Object>}
+ */
+function collectFunctionCallIssues(oAnalysis, oFuncMap) {
+    const aIssues = [];
+    for (let i = 0; i < oAnalysis.aExpressions.length; i++) {
+        const oEntry = oAnalysis.aExpressions[i];
+        for (let s = 0; s < oEntry.aSegments.length; s++) {
+            const oSegment = oEntry.aSegments[s];
+            if (oSegment.sKind === "expression" && oSegment.oAst) {
+                mapEntryIssues(oEntry, checkFunctionCalls(oSegment.oAst, oFuncMap), aIssues);
+            }
+        }
+    }
+    return aIssues;
+}
+
+/**
+ * Diagnostic pass: arguments whose inferred type cannot match the documented parameter type
+ * @param {Object} oAnalysis
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @returns {Array<Object>}
+ */
+function collectTypeIssues(oAnalysis, oFuncMap) {
+    const aIssues = [];
+    for (let i = 0; i < oAnalysis.aExpressions.length; i++) {
+        const oEntry = oAnalysis.aExpressions[i];
+        for (let s = 0; s < oEntry.aSegments.length; s++) {
+            const oSegment = oEntry.aSegments[s];
+            if (oSegment.sKind === "expression" && oSegment.oAst) {
+                mapEntryIssues(oEntry, inferTypes(oSegment.oAst, oFuncMap, oAnalysis.oVariableTypes).aIssues, aIssues);
+            }
+        }
+    }
+    return aIssues;
+}
+
+/**
+ * Diagnostic pass: variables that are never initialized and variable type mismatches
+ * @param {Object} oAnalysis
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @returns {Array<Object>}
+ */
+function collectVariableIssues(oAnalysis, oFuncMap) {
+    if (!oAnalysis.oFlow) {
+        return [];
+    }
+    return checkVariables(oAnalysis.oFlow, oAnalysis.aExpressions, oFuncMap);
+}
+
+/**
+ * Diagnostic pass: property names missing from the trigger or Parse JSON schema
+ * @param {Object} oAnalysis
+ * @returns {Array<Object>}
+ */
+function collectPropertyIssues(oAnalysis) {
+    if (!oAnalysis.oFlow) {
+        return [];
+    }
+    return checkPropertyAccess(oAnalysis.oFlow, oAnalysis.aExpressions);
+}
+
+/**
+ * Diagnostic pass: body('X'), outputs('X') and similar references to actions that do not exist
+ * @param {Object} oAnalysis
+ * @returns {Array<Object>}
+ */
+function collectActionReferenceIssues(oAnalysis) {
+    if (!oAnalysis.oFlow) {
+        return [];
+    }
+    return checkActionReferences(oAnalysis.oFlow, oAnalysis.aExpressions);
+}
+
+/**
+ * Diagnostic pass: runAfter entries with missing or out-of-scope targets, bad statuses,
+ * cycles and actions that can never run
+ * @param {Object} oAnalysis
+ * @returns {Array<Object>}
+ */
+function collectRunAfterIssues(oAnalysis) {
+    if (!oAnalysis.oFlow) {
+        return [];
+    }
+    return checkRunAfter(oAnalysis.oFlow);
+}
+
+/**
+ * Diagnostic pass: clientdata wrapper, workflow definition and per-action-type structure
+ * @param {Object} oAnalysis
+ * @returns {Array<Object>}
+ */
+function collectStructureIssues(oAnalysis) {
+    if (!oAnalysis.oFlow) {
+        return [];
+    }
+    return checkFlowStructure(oAnalysis.oFlow);
+}
+
+/**
+ * Diagnostic pass: lint rules, with severities and the Delay threshold from settings
+ * @param {Object} oAnalysis
+ * @returns {Array<Object>}
+ */
+function collectLintIssues(oAnalysis) {
+    if (!oAnalysis.oFlow) {
+        return [];
+    }
+    const oConfig = vscode.workspace.getConfiguration("powerAutomateUtility");
+    return runLintRules(oAnalysis.oFlow, oAnalysis.sText, {
+        oSeverities: oConfig.get("lint.rules") || {},
+        aExpressions: oAnalysis.aExpressions,
+        iDelayThresholdMinutes: oConfig.get("lint.delayThresholdMinutes")
+    });
+}
+
+/**
+ * Convert an issue from a diagnostic pass into a vscode.Diagnostic
+ * @param {vscode.TextDocument} oDocument
+ * @param {Object} oIssue
+ * @returns {vscode.Diagnostic}
+ */
+function toDiagnostic(oDocument, oIssue) {
+    const oSeverities = {
+        error: vscode.DiagnosticSeverity.Error,
+        warning: vscode.DiagnosticSeverity.Warning,
+        information: vscode.DiagnosticSeverity.Information,
+        hint: vscode.DiagnosticSeverity.Hint
+    };
+    const oRange = new vscode.Range(
+        oDocument.positionAt(oIssue.iStart),
+        oDocument.positionAt(Math.max(oIssue.iEnd, oIssue.iStart))
+    );
+    const oDiagnostic = new vscode.Diagnostic(oRange, oIssue.sMessage, oSeverities[oIssue.sSeverity] || vscode.DiagnosticSeverity.Error);
+    oDiagnostic.source = "Power Automate";
+    oDiagnostic.code = oIssue.sCode;
+    if (oIssue.bDeprecated) {
+        oDiagnostic.tags = [vscode.DiagnosticTag.Deprecated];
+    }
+    return oDiagnostic;
+}
+
+/**
+ * Register a DiagnosticCollection that re-checks expressions as documents are opened and edited.
+ * @param {Array<Object>} aFunctions - parsed function definitions
+ * @returns {Array<vscode.Disposable>}
+ */
+function registerDiagnostics(aFunctions) {
+    const oCollection = vscode.languages.createDiagnosticCollection("powerAutomateUtility");
+    const oFuncMap = buildFunctionMap(aFunctions);
+    const aPasses = [
+        collectSyntaxIssues,
+        function (oAnalysis) {
+            return collectFunctionCallIssues(oAnalysis, oFuncMap);
+        },
+        function (oAnalysis) {
+            return collectTypeIssues(oAnalysis, oFuncMap);
+        },
+        function (oAnalysis) {
+            return collectVariableIssues(oAnalysis, oFuncMap);
+        },
+        collectPropertyIssues,
+        collectActionReferenceIssues,
+        collectRunAfterIssues,
+        collectStructureIssues,
+        collectLintIssues
+    ];
+    const oPendingTimers = {};
+
+    function isSupported(oDocument) {
+        const bSupportedScheme = oDocument.uri.scheme === "file" || oDocument.uri.scheme === "untitled";
+        return bSupportedScheme && aSupportedLanguages.indexOf(oDocument.languageId) !== -1;
+    }
+
+    function refresh(oDocument) {
+        if (!isSupported(oDocument)) {
+            return;
+        }
+        const oAnalysis = analyzeDocument(oDocument);
+        const aDiagnostics = [];
+        for (let p = 0; p < aPasses.length; p++) {
+            const aIssues = aPasses[p](oAnalysis);
+            for (let i = 0; i < aIssues.length; i++) {
+                aDiagnostics.push(toDiagnostic(oDocument, aIssues[i]));
+            }
+        }
+        oCollection.set(oDocument.uri, aDiagnostics);
+    }
+
+    function scheduleRefresh(oDocument) {
+        const sKey = oDocument.uri.toString();
+        clearTimeout(oPendingTimers[sKey]);
+        oPendingTimers[sKey] = setTimeout(function () {
+            delete oPendingTimers[sKey];
+            refresh(oDocument);
+        }, iDebounceMs);
+    }
+
+    const aDisposables = [oCollection];
+
+    aDisposables.push(vscode.workspace.onDidOpenTextDocument(refresh));
+    aDisposables.push(vscode.workspace.onDidChangeTextDocument(function (oEvent) {
+        scheduleRefresh(oEvent.document);
+    }));
+    aDisposables.push(vscode.workspace.onDidCloseTextDocument(function (oDocument) {
+        const sKey = oDocument.uri.toString();
+        clearTimeout(oPendingTimers[sKey]);
+        delete oPendingTimers[sKey];
+        oCollection.delete(oDocument.uri);
+    }));
+    aDisposables.push(vscode.workspace.onDidChangeConfiguration(function (oEvent) {
+        if (oEvent.affectsConfiguration("powerAutomateUtility.lint")) {
+            vscode.workspace.textDocuments.forEach(refresh);
+        }
+    }));
+    aDisposables.push({
+        dispose: function () {
+            const aKeys = Object.keys(oPendingTimers);
+            for (let i = 0; i < aKeys.length; i++) {
+                clearTimeout(oPendingTimers[aKeys[i]]);
+            }
+        }
+    });
+
+    for (let i = 0; i < vscode.workspace.textDocuments.length; i++) {
+        refresh(vscode.workspace.textDocuments[i]);
+    }
+
+    return aDisposables;
+}
+
+module.exports = {
+    registerDiagnostics: registerDiagnostics,
+    // exported for unit testing
+    analyzeDocument: analyzeDocument,
+    collectSyntaxIssues: collectSyntaxIssues,
+    collectFunctionCallIssues: collectFunctionCallIssues
+};
@@ -0,0 +1,423 @@
+let vscode;
+try {
+    vscode = require("vscode");
+} catch (e) {
+    // Running in test/node environment where 'vscode' is not available
+    vscode = null;
+}
+const path = require("path");
+const fs = require("fs");
+const { collectDocumentExpressions, findExpressionAtOffset } = require("./expressionParser");
+const { evaluateExpression, evaluateStringValue } = require("./expressionEvaluator");
+const { prettyPrintValue, prettyPrintExpression, minifyValue, minifyExpression } = require("./expressionFormatter");
+const { parseFlowDefinition, toReferenceName } = require("./flowDefinition");
+const { validateActionName } = require("./flowReferences");
+const { findExtractTarget, suggestComposeName, checkExtractPlacement, buildExtractEdits } = require("./flowExtract");
+
+const sChooseContextLabel = "Choose a JSON context file...";
+const sNoContextLabel = "Evaluate without a context";
+
+/**
+ * Work out which expression a command applies to, from the selection or from the
+ * expression value under the cursor. A selected JSON string (or part of one) is unescaped first;
+ * text starting with @ is treated as a workflow string value and anything else as a
+ * bare expression. iStart/iEnd is the document range the source came from and bQuoted
+ * is set when that range includes the JSON quotes.
+ * @param {string} sText - full document text
+ * @param {string} sLanguageId
+ * @param {number} iStart - selection start offset
+ * @param {number} iEnd - selection end offset (equal to iStart when nothing is selected)
+ * @returns {{ sSource: string, bStringValue: boolean, iStart: number, iEnd: number, bQuoted: boolean }|null}
+ */
+function findEvaluationTarget(sText, sLanguageId, iStart, iEnd) {
+    if (iEnd > iStart) {
+        const sRaw = sText.substring(iStart, iEnd);
+        let sSelected = sRaw.trim();
+        const iTrimmedStart = iStart + sRaw.indexOf(sSelected);
+        let bQuoted = false;
+        if (sSelected.length > 1 && sSelected[0] === "\"" && sSelected[sSelected.length - 1] === "\"") {
+            try {
+                sSelected = JSON.parse(sSelected);
+                bQuoted = true;
+            } catch (oError) {
+                // Not a complete JSON string - evaluate the text as written
+            }
+        } else if (sLanguageId === "json" || sLanguageId === "jsonc") {
+            try {
+                // Part of a JSON string - undo escapes such as \n and \"
+                sSelected = JSON.parse("\"" + sSelected + "\"");
+            } catch (oError) {
+                // Not inside a string - evaluate the text as written
+            }
+        }
+        return {
+            sSource: sSelected,
+            bStringValue: sSelected[0] === "@",
+            iStart: iTrimmedStart,
+            iEnd: iTrimmedStart + sRaw.trim().length,
+            bQuoted: bQuoted
+        };
+    }
+
+    const oMatch = findExpressionAtOffset(collectDocumentExpressions(sText, sLanguageId), iStart);
+    if (!oMatch) {
+        return null;
+    }
+    return {
+        sSource: oMatch.oEntry.sValue,
+        bStringValue: true,
+        iStart: oMatch.oEntry.iStart,
+        iEnd: oMatch.oEntry.iEnd,
+        bQuoted: sLanguageId === "json" || sLanguageId === "jsonc"
+    };
+}
+
+/**
+ * Pretty-print a target from findEvaluationTarget
+ * @param {Object} oTarget
+ * @param {Object} [oOptions] - { sIndent, iMaxWidth }
+ * @returns {string}
+ */
+function formatTarget(oTarget, oOptions) {
+    if (oTarget.bStringValue) {
+        return prettyPrintValue(oTarget.sSource, oOptions);
+    }
+    return prettyPrintExpression(oTarget.sSource, oOptions);
+}
+
+/**
+ * Minify a target from findEvaluationTarget into text that can replace its range.
+ * Inside a JSON string (bJsonDocument without bQuoted) the escaped content is returned;
+ * otherwise the result is a complete JSON string value, with @ added to bare expressions.
+ * @param {Object} oTarget
+ * @param {boolean} bJsonDocument
+ * @returns {string}
+ */
+function minifyTarget(oTarget, bJsonDocument) {
+    let sMinified = oTarget.bStringValue ? minifyValue(oTarget.sSource) : minifyExpression(oTarget.sSource);
+    if (bJsonDocument && !oTarget.bQuoted) {
+        const sJson = JSON.stringify(sMinified);
+        return sJson.substring(1, sJson.length - 1);
+    }
+    if (!oTarget.bStringValue) {
+        sMinified = "@" + sMinified;
+    }
+    return JSON.stringify(sMinified);
+}
+
+/**
+ * Evaluate a target from findEvaluationTarget
+ * @param {Object} oTarget
+ * @param {Object} oEvaluationContext - values for triggerBody(), outputs(), variables() etc.
+ * @returns {{ vValue: *, sType: string }}
+ */
+function evaluateTarget(oTarget, oEvaluationContext) {
+    if (oTarget.bStringValue) {
+        return evaluateStringValue(oTarget.sSource, oEvaluationContext);
+    }
+    return evaluateExpression(oTarget.sSource, oEvaluationContext);
+}
+
+/**
+ * Read and parse a JSON evaluation context file
+ * @param {string} sFilePath
+ * @returns {Object}
+ */
+function readContextFile(sFilePath) {
+    const oValue = JSON.parse(fs.readFileSync(sFilePath, "utf8"));
+    if (!oValue || typeof oValue !== "object" || Array.isArray(oValue)) {
+        throw new Error("The context file must contain a JSON object");
+    }
+    return oValue;
+}
+
+/**
+ * Resolve the evaluationContextPath setting: relative paths are taken from the workspace
+ * folder of the active editor, or the first workspace folder
+ * @param {string} sConfigPath
+ * @returns {string}
+ */
+function resolveContextPath(sConfigPath) {
+    if (path.isAbsolute(sConfigPath)) {
+        return sConfigPath;
+    }
+    const oEditor = vscode.window.activeTextEditor;
+    const oFolder = oEditor ? vscode.workspace.getWorkspaceFolder(oEditor.document.uri) : undefined;
+    const aWorkspaceFolders = vscode.workspace.workspaceFolders;
+    if (oFolder) {
+        return path.join(oFolder.uri.fsPath, sConfigPath);
+    }
+    if (aWorkspaceFolders && aWorkspaceFolders.length > 0) {
+        return path.join(aWorkspaceFolders[0].uri.fsPath, sConfigPath);
+    }
+    return sConfigPath;
+}
+
+/**
+ * Ask which evaluation context to use. The powerAutomateUtility.evaluationContextPath
+ * setting wins; otherwise the last chosen file is offered along with a file picker.
+ * @param {vscode.ExtensionContext} oContext
+ * @returns {Promise<Object|undefined>} the context object, or undefined when cancelled
+ */
+function promptForEvaluationContext(oContext) {
+    const sConfigPath = vscode.workspace.getConfiguration("powerAutomateUtility").get("evaluationContextPath");
+    if (sConfigPath) {
+        return Promise.resolve().then(function () {
+            return readContextFile(resolveContextPath(sConfigPath));
+        });
+    }
+
+    const aItems = [];
+    const sLastPath = oContext.workspaceState.get("sEvaluationContextPath", "");
+    if (sLastPath && fs.existsSync(sLastPath)) {
+        aItems.push({ label: "Use " + path.basename(sLastPath), description: sLastPath, sPath: sLastPath });
+    }
+    aItems.push({ label: sChooseContextLabel });
+    aItems.push({ label: sNoContextLabel });
+
+    return vscode.window.showQuickPick(aItems, {
+        placeHolder: "Values for triggerBody(), outputs(), variables(), items() and parameters()"
+    }).then(function (oSelected) {
+        if (!oSelected) {
+            return undefined;
+        }
+        if (oSelected.sPath) {
+            return readContextFile(oSelected.sPath);
+        }
+        if (oSelected.label === sNoContextLabel) {
+            return {};
+        }
+        return vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: "Use as Context",
+            filters: { "JSON": ["json"] }
+        }).then(function (aUris) {
+            if (!aUris || aUris.length === 0) {
+                return undefined;
+            }
+            const sPath = aUris[0].fsPath;
+            const oValue = readContextFile(sPath);
+            oContext.workspaceState.update("sEvaluationContextPath", sPath);
+            return oValue;
+        });
+    });
+}
+
+/**
+ * Find the target for a command in the active editor, warning when there is none
+ * @param {string} sAction - verb for the warning message, e.g. "format"
+ * @returns {{ oEditor: vscode.TextEditor, oTarget: Object }|null}
+ */
+function getEditorTarget(sAction) {
+    const oEditor = vscode.window.activeTextEditor;
+    if (!oEditor) {
+        vscode.window.showWarningMessage("Open a file with an expression to " + sAction + ".");
+        return null;
+    }
+
+    const oDocument = oEditor.document;
+    const oTarget = findEvaluationTarget(
+        oDocument.getText(),
+        oDocument.languageId,
+        oDocument.offsetAt(oEditor.selection.start),
+        oDocument.offsetAt(oEditor.selection.end)
+    );
+    if (!oTarget || !oTarget.sSource) {
+        vscode.window.showWarningMessage("Select an expression or place the cursor inside one to " + sAction + " it.");
+        return null;
+    }
+    return { oEditor: oEditor, oTarget: oTarget };
+}
+
+/**
+ * Replace a target's range in the editor
+ * @param {vscode.TextEditor} oEditor
+ * @param {Object} oTarget
+ * @param {string} sNewText
+ * @returns {Thenable<boolean>}
+ */
+function replaceTarget(oEditor, oTarget, sNewText) {
+    const oDocument = oEditor.document;
+    const oRange = new vscode.Range(oDocument.positionAt(oTarget.iStart), oDocument.positionAt(oTarget.iEnd));
+    return oEditor.edit(function (oEditBuilder) {
+        oEditBuilder.replace(oRange, sNewText);
+    });
+}
+
+/**
+ * Extract the expression at a range of the active editor into a Compose action,
+ * asking for the action's name
+ * @param {number} [iStart] - range start offset (defaults to the selection)
+ * @param {number} [iEnd] - range end offset
+ */
+function extractToCompose(iStart, iEnd) {
+    const oEditor = vscode.window.activeTextEditor;
+    const oDocument = oEditor ? oEditor.document : null;
+    const sText = oDocument ? oDocument.getText() : "";
+    const oFlow = oDocument ? parseFlowDefinition(sText, oDocument.languageId) : null;
+    if (!oFlow) {
+        vscode.window.showWarningMessage("Open a flow definition (.json) to extract an expression.");
+        return;
+    }
+    const iFrom = typeof iStart === "number" ? iStart : oDocument.offsetAt(oEditor.selection.start);
+    const iTo = typeof iEnd === "number" ? iEnd : oDocument.offsetAt(oEditor.selection.end);
+    const aExpressions = collectDocumentExpressions(sText, oDocument.languageId);
+    const oTarget = findExtractTarget(aExpressions, iFrom, iTo);
+    if (!oTarget) {
+        vscode.window.showWarningMessage("Select a function call or property access inside an action's expression to extract it.");
+        return;
+    }
+    const sProblem = checkExtractPlacement(oFlow, aExpressions, oTarget);
+    if (sProblem) {
+        vscode.window.showWarningMessage(sProblem + ".");
+        return;
+    }
+    const iVersion = oDocument.version;
+
+    vscode.window.showInputBox({
+        prompt: "Name of the new Compose action",
+        value: suggestComposeName(oFlow, oTarget),
+        validateInput: function (sValue) {
+            return validateActionName(oFlow, null, sValue);
+        }
+    }).then(function (sName) {
+        if (!sName) {
+            return;
+        }
+        if (oDocument.version !== iVersion) {
+            vscode.window.showWarningMessage("The document changed while naming the action; run Extract to Compose Action again.");
+            return;
+        }
+        const oResult = buildExtractEdits(sText, oFlow, aExpressions, oTarget, toReferenceName(sName.trim()));
+        if (!oResult) {
+            vscode.window.showWarningMessage("Only expressions inside actions can be extracted into a Compose action.");
+            return;
+        }
+        const oEdit = new vscode.WorkspaceEdit();
+        oResult.aEdits.forEach(function (oTextEdit) {
+            oEdit.replace(oDocument.uri, new vscode.Range(oDocument.positionAt(oTextEdit.iStart), oDocument.positionAt(oTextEdit.iEnd)), oTextEdit.sNewText);
+        });
+        vscode.workspace.applyEdit(oEdit).then(function (bApplied) {
+            if (bApplied) {
+                vscode.window.showInformationMessage("Replaced " + oResult.iOccurrences + " occurrence" + (oResult.iOccurrences === 1 ? "" : "s") + " with outputs('" + toReferenceName(sName.trim()) + "').");
+            }
+        });
+    });
+}
+
+/**
+ * Register the expression commands (Evaluate, Format and Minify Expression, Extract to Compose Action).
+ * @param {vscode.ExtensionContext} oContext
+ * @returns {Array<vscode.Disposable>}
+ */
+function registerExpressionCommands(oContext) {
+    const aDisposables = [];
+    const oOutput = vscode.window.createOutputChannel("Power Automate Expressions");
+    aDisposables.push(oOutput);
+
+    // ----------------------------------------------------------------
+    // Command: Evaluate Expression
+    // ----------------------------------------------------------------
+    const oEvaluateCmd = vscode.commands.registerCommand("powerAutomateUtility.evaluateExpression", function () {
+        const oFound = getEditorTarget("evaluate");
+        if (!oFound) {
+            return;
+        }
+        const oTarget = oFound.oTarget;
+
+        promptForEvaluationContext(oContext).then(function (oEvaluationContext) {
+            if (!oEvaluationContext) {
+                return;
+            }
+
+            oOutput.appendLine("> " + oTarget.sSource);
+            try {
+                const oResult = evaluateTarget(oTarget, oEvaluationContext);
+                const sJson = JSON.stringify(oResult.vValue, null, 2);
+                oOutput.appendLine(oResult.sType + ": " + (sJson === undefined ? "null" : sJson));
+                oOutput.appendLine("");
+                oOutput.show(true);
+                const sPreview = sJson && sJson.length > 120 ? sJson.substring(0, 117) + "..." : sJson;
+                vscode.window.showInformationMessage("Result (" + oResult.sType + "): " + sPreview);
+            } catch (oError) {
+                oOutput.appendLine("Error: " + oError.message);
+                oOutput.appendLine("");
+                oOutput.show(true);
+                vscode.window.showErrorMessage("Could not evaluate expression: " + oError.message);
+            }
+        }, function (oError) {
+            vscode.window.showErrorMessage("Could not read the evaluation context: " + oError.message);
+        });
+    });
+    aDisposables.push(oEvaluateCmd);
+
+    // ----------------------------------------------------------------
+    // Command: Format Expression
+    // ----------------------------------------------------------------
+    const oFormatCmd = vscode.commands.registerCommand("powerAutomateUtility.formatExpression", function () {
+        const oFound = getEditorTarget("format");
+        if (!oFound) {
+            return;
+        }
+
+        const oEditor = oFound.oEditor;
+        const oOptions = oEditor.options;
+        const sIndent = oOptions.insertSpaces === false ? "\t" : " ".repeat(Number(oOptions.tabSize) || 4);
+        let sPretty;
+        try {
+            sPretty = formatTarget(oFound.oTarget, { sIndent: sIndent });
+        } catch (oError) {
+            vscode.window.showErrorMessage(oError.message);
+            return;
+        }
+
+        const sLanguageId = oEditor.document.languageId;
+        if (sLanguageId === "json" || sLanguageId === "jsonc") {
+            // JSON strings cannot hold raw line breaks - edit the formatted copy as a paexpr document
+            vscode.workspace.openTextDocument({ content: sPretty, language: "paexpr" }).then(function (oDocument) {
+                return vscode.window.showTextDocument(oDocument, vscode.ViewColumn.Beside);
+            });
+            return;
+        }
+        replaceTarget(oEditor, oFound.oTarget, sPretty);
+    });
+    aDisposables.push(oFormatCmd);
+
+    // ----------------------------------------------------------------
+    // Command: Minify Expression
+    // ----------------------------------------------------------------
+    const oMinifyCmd = vscode.commands.registerCommand("powerAutomateUtility.minifyExpression", function () {
+        const oFound = getEditorTarget("minify");
+        if (!oFound) {
+            return;
+        }
+
+        const sLanguageId = oFound.oEditor.document.languageId;
+        let sMinified;
+        try {
+            sMinified = minifyTarget(oFound.oTarget, sLanguageId === "json" || sLanguageId === "jsonc");
+        } catch (oError) {
+            vscode.window.showErrorMessage(oError.message);
+            return;
+        }
+        replaceTarget(oFound.oEditor, oFound.oTarget, sMinified);
+    });
+    aDisposables.push(oMinifyCmd);
+
+    // ----------------------------------------------------------------
+    // Command: Extract to Compose Action
+    // ----------------------------------------------------------------
+    const oExtractCmd = vscode.commands.registerCommand("powerAutomateUtility.extractToCompose", extractToCompose);
+    aDisposables.push(oExtractCmd);
+
+    return aDisposables;
+}
+
+module.exports = {
+    registerExpressionCommands: registerExpressionCommands,
+    // exported for unit testing
+    findEvaluationTarget: findEvaluationTarget,
+    evaluateTarget: evaluateTarget,
+    formatTarget: formatTarget,
+    minifyTarget: minifyTarget
+};
@@ -0,0 +1,609 @@
+/**
+ * Timestamp helpers for the offline expression evaluator: parsing, .NET style
+ * date/time format strings, unit arithmetic and Windows time zone conversion.
+ * Timestamps are { iMs, iSubTicks, bUtc } where iMs is the wall-clock time as
+ * milliseconds since the epoch, iSubTicks the remaining 100ns ticks (0-9999)
+ * and bUtc whether the timestamp carries a UTC designator.
+ */
+
+const iTicksPerMs = 10000;
+const iMsPerDay = 86400000;
+// DateTime.Ticks of 1970-01-01T00:00:00Z
+const biEpochTicks = BigInt("621355968000000000");
+
+const oStandardFormats = {
+    d: "M/d/yyyy",
+    D: "dddd, MMMM d, yyyy",
+    f: "dddd, MMMM d, yyyy h:mm tt",
+    F: "dddd, MMMM d, yyyy h:mm:ss tt",
+    g: "M/d/yyyy h:mm tt",
+    G: "M/d/yyyy h:mm:ss tt",
+    m: "MMMM d",
+    M: "MMMM d",
+    o: "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK",
+    O: "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK",
+    r: "ddd, dd MMM yyyy HH':'mm':'ss 'GMT'",
+    R: "ddd, dd MMM yyyy HH':'mm':'ss 'GMT'",
+    s: "yyyy'-'MM'-'dd'T'HH':'mm':'ss",
+    t: "h:mm tt",
+    T: "h:mm:ss tt",
+    u: "yyyy'-'MM'-'dd HH':'mm':'ss'Z'",
+    U: "dddd, MMMM d, yyyy h:mm:ss tt",
+    y: "MMMM yyyy",
+    Y: "MMMM yyyy"
+};
+
+// Windows time zone names (as used by convertTimeZone) mapped to IANA names
+const oWindowsTimeZones = {
+    "utc": "UTC",
+    "coordinated universal time": "UTC",
+    "gmt standard time": "Europe/London",
+    "greenwich standard time": "Atlantic/Reykjavik",
+    "w europe standard time": "Europe/Berlin",
+    "central europe standard time": "Europe/Budapest",
+    "central european standard time": "Europe/Warsaw",
+    "romance standard time": "Europe/Paris",
+    "e europe standard time": "Europe/Chisinau",
+    "fle standard time": "Europe/Kiev",
+    "gtb standard time": "Europe/Bucharest",
+    "russian standard time": "Europe/Moscow",
+    "turkey standard time": "Europe/Istanbul",
+    "israel standard time": "Asia/Jerusalem",
+    "egypt standard time": "Africa/Cairo",
+    "south africa standard time": "Africa/Johannesburg",
+    "w central africa standard time": "Africa/Lagos",
+    "e africa standard time": "Africa/Nairobi",
+    "morocco standard time": "Africa/Casablanca",
+    "arab standard time": "Asia/Riyadh",
+    "arabian standard time": "Asia/Dubai",
+    "pakistan standard time": "Asia/Karachi",
+    "india standard time": "Asia/Kolkata",
+    "nepal standard time": "Asia/Kathmandu",
+    "bangladesh standard time": "Asia/Dhaka",
+    "se asia standard time": "Asia/Bangkok",
+    "china standard time": "Asia/Shanghai",
+    "singapore standard time": "Asia/Singapore",
+    "taipei standard time": "Asia/Taipei",
+    "tokyo standard time": "Asia/Tokyo",
+    "korea standard time": "Asia/Seoul",
+    "w australia standard time": "Australia/Perth",
+    "cen australia standard time": "Australia/Adelaide",
+    "e australia standard time": "Australia/Brisbane",
+    "aus eastern standard time": "Australia/Sydney",
+    "new zealand standard time": "Pacific/Auckland",
+    "hawaiian standard time": "Pacific/Honolulu",
+    "alaskan standard time": "America/Anchorage",
+    "pacific standard time": "America/Los_Angeles",
+    "us mountain standard time": "America/Phoenix",
+    "mountain standard time": "America/Denver",
+    "central standard time": "America/Chicago",
+    "central standard time mexico": "America/Mexico_City",
+    "central america standard time": "America/Guatemala",
+    "canada central standard time": "America/Regina",
+    "eastern standard time": "America/New_York",
+    "sa pacific standard time": "America/Bogota",
+    "atlantic standard time": "America/Halifax",
+    "newfoundland standard time": "America/St_Johns",
+    "e south america standard time": "America/Sao_Paulo",
+    "argentina standard time": "America/Buenos_Aires",
+    "pacific sa standard time": "America/Santiago"
+};
+
+/**
+ * Left-pad a number with zeros
+ * @param {number} iValue
+ * @param {number} iWidth
+ * @returns {string}
+ */
+function pad(iValue, iWidth) {
+    let sText = String(Math.abs(iValue));
+    while (sText.length < iWidth) {
+        sText = "0" + sText;
+    }
+    return (iValue < 0 ? "-" : "") + sText;
+}
+
+/**
+ * Date.UTC that keeps years 0-99 as written (Date.UTC reads them as 1900-1999)
+ * @param {number} iYear
+ * @param {number} iMonth - zero-based
+ * @param {number} iDay
+ * @param {number} [iHour]
+ * @param {number} [iMinute]
+ * @param {number} [iSecond]
+ * @param {number} [iMs]
+ * @returns {number}
+ */
+function toUtcMs(iYear, iMonth, iDay, iHour, iMinute, iSecond, iMs) {
+    const oDate = new Date(Date.UTC(2000, 0, 1, iHour || 0, iMinute || 0, iSecond || 0, iMs || 0));
+    oDate.setUTCFullYear(iYear, iMonth, iDay);
+    return oDate.getTime();
+}
+
+/**
+ * Parse a timestamp string. ISO 8601 values are read exactly (including seven
+ * fractional digits); anything else falls back to Date.parse. Offsets are
+ * converted to UTC, values without a zone keep an unspecified kind.
+ * @param {string} sText
+ * @returns {Object} timestamp { iMs, iSubTicks, bUtc }
+ */
+function parseTimestamp(sText) {
+    if (typeof sText !== "string") {
+        throw new Error("Expected a timestamp string but got " + JSON.stringify(sText));
+    }
+    const sTrimmed = sText.trim();
+    const oIsoRegex = new RegExp("^(\\d{4})-(\\d{2})-(\\d{2})(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d{1,7})\\d*)?)?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?$", "i");
+    const aMatch = oIsoRegex.exec(sTrimmed);
+
+    if (aMatch) {
+        const sFraction = ((aMatch[7] || "") + "0000000").substring(0, 7);
+        let iMs = toUtcMs(
+            parseInt(aMatch[1], 10), parseInt(aMatch[2], 10) - 1, parseInt(aMatch[3], 10),
+            parseInt(aMatch[4] || "0", 10), parseInt(aMatch[5] || "0", 10), parseInt(aMatch[6] || "0", 10),
+            parseInt(sFraction.substring(0, 3), 10)
+        );
+        const sZone = aMatch[8];
+        if (sZone && sZone.toUpperCase() !== "Z") {
+            const sDigits = sZone.replace(":", "");
+            const iOffsetMinutes = parseInt(sDigits.substring(1, 3), 10) * 60 + parseInt(sDigits.substring(3, 5), 10);
+            iMs = iMs - (sDigits[0] === "-" ? -1 : 1) * iOffsetMinutes * 60000;
+        }
+        return { iMs: iMs, iSubTicks: parseInt(sFraction.substring(3), 10), bUtc: !!sZone };
+    }
+
+    // Dates such as "3/15/2018 1:27 PM" have no zone and are read as wall-clock time
+    let iMs = Date.parse(sTrimmed + " UTC");
+    let bUtc = false;
+    if (isNaN(iMs)) {
+        iMs = Date.parse(sTrimmed);
+        bUtc = true;
+    }
+    if (isNaN(iMs)) {
+        throw new Error("'" + sText + "' is not a valid timestamp");
+    }
+    return { iMs: iMs, iSubTicks: 0, bUtc: bUtc };
+}
+
+/**
+ * Split a custom date/time format string into fields and literal text
+ * @param {string} sFormat
+ * @returns {Array<Object>} tokens { sKind: "field", sChar, iCount } or { sKind: "literal", sText }
+ */
+function tokenizeDateFormat(sFormat) {
+    const aTokens = [];
+    const sFieldChars = "dfFghHKmMstyz";
+    let i = 0;
+
+    function pushLiteral(sText) {
+        const oLast = aTokens[aTokens.length - 1];
+        if (oLast && oLast.sKind === "literal") {
+            oLast.sText = oLast.sText + sText;
+        } else {
+            aTokens.push({ sKind: "literal", sText: sText });
+        }
+    }
+
+    while (i < sFormat.length) {
+        const sChar = sFormat[i];
+        if (sChar === "'" || sChar === "\"") {
+            const iClose = sFormat.indexOf(sChar, i + 1);
+            const iEnd = iClose === -1 ? sFormat.length : iClose;
+            pushLiteral(sFormat.substring(i + 1, iEnd));
+            i = iEnd + 1;
+        } else if (sChar === "\\" && i + 1 < sFormat.length) {
+            pushLiteral(sFormat[i + 1]);
+            i += 2;
+        } else if (sChar === "%") {
+            // "%d" is a single custom specifier rather than the standard "d" format
+            i++;
+        } else if (sFieldChars.indexOf(sChar) !== -1) {
+            let iCount = 1;
+            while (sFormat[i + iCount] === sChar) {
+                iCount++;
+            }
+            aTokens.push({ sKind: "field", sChar: sChar, iCount: iCount });
+            i += iCount;
+        } else {
+            pushLiteral(sChar);
+            i++;
+        }
+    }
+
+    return aTokens;
+}
+
+/**
+ * Expand a single-character standard format ("o", "D", ...) into a custom pattern
+ * @param {string} sFormat
+ * @returns {string}
+ */
+function expandStandardFormat(sFormat) {
+    if (sFormat.length !== 1) {
+        return sFormat;
+    }
+    if (!oStandardFormats[sFormat]) {
+        throw new Error("The provided format '" + sFormat + "' isn't valid");
+    }
+    return oStandardFormats[sFormat];
+}
+
+/**
+ * Get a localised month or day name
+ * @param {Date} oDate
+ * @param {string} sLocale
+ * @param {Object} oOptions - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function getDateName(oDate, sLocale, oOptions) {
+    oOptions.timeZone = "UTC";
+    try {
+        return new Intl.DateTimeFormat(sLocale || "en-US", oOptions).format(oDate);
+    } catch (oError) {
+        throw new Error("The provided locale '" + sLocale + "' isn't valid");
+    }
+}
+
+/**
+ * Format a timestamp with a standard or custom .NET date/time format string
+ * @param {Object} oTimestamp - from parseTimestamp
+ * @param {string} [sFormat] - defaults to "o"
+ * @param {string} [sLocale] - used for month and day names
+ * @returns {string}
+ */
+function formatTimestamp(oTimestamp, sFormat, sLocale) {
+    const aTokens = tokenizeDateFormat(expandStandardFormat(sFormat || "o"));
+    const oDate = new Date(oTimestamp.iMs);
+    const sFraction = pad(oDate.getUTCMilliseconds(), 3) + pad(oTimestamp.iSubTicks, 4);
+    const iHour = oDate.getUTCHours();
+    let sResult = "";
+
+    for (let i = 0; i < aTokens.length; i++) {
+        const oToken = aTokens[i];
+        if (oToken.sKind === "literal") {
+            sResult = sResult + oToken.sText;
+            continue;
+        }
+
+        const iCount = oToken.iCount;
+        switch (oToken.sChar) {
+            case "d":
+                if (iCount <= 2) {
+                    sResult = sResult + pad(oDate.getUTCDate(), iCount);
+                } else {
+                    sResult = sResult + getDateName(oDate, sLocale, { weekday: iCount === 3 ? "short" : "long" });
+                }
+                break;
+            case "f":
+                sResult = sResult + sFraction.substring(0, Math.min(iCount, 7));
+                break;
+            case "F": {
+                const sTrimmed = sFraction.substring(0, Math.min(iCount, 7)).replace(new RegExp("0+$", ""), "");
+                if (sTrimmed === "" && sResult[sResult.length - 1] === ".") {
+                    sResult = sResult.substring(0, sResult.length - 1);
+                }
+                sResult = sResult + sTrimmed;
+                break;
+            }
+            case "g":
+                sResult = sResult + "A.D.";
+                break;
+            case "h":
+                sResult = sResult + pad(iHour % 12 === 0 ? 12 : iHour % 12, Math.min(iCount, 2));
+                break;
+            case "H":
+                sResult = sResult + pad(iHour, Math.min(iCount, 2));
+                break;
+            case "K":
+                sResult = sResult + (oTimestamp.bUtc ? "Z" : "");
+                break;
+            case "m":
+                sResult = sResult + pad(oDate.getUTCMinutes(), Math.min(iCount, 2));
+                break;
+            case "M":
+                if (iCount <= 2) {
+                    sResult = sResult + pad(oDate.getUTCMonth() + 1, iCount);
+                } else {
+                    sResult = sResult + getDateName(oDate, sLocale, { month: iCount === 3 ? "short" : "long" });
+                }
+                break;
+            case "s":
+                sResult = sResult + pad(oDate.getUTCSeconds(), Math.min(iCount, 2));
+                break;
+            case "t":
+                sResult = sResult + (iHour < 12 ? "AM" : "PM").substring(0, iCount === 1 ? 1 : 2);
+                break;
+            case "y": {
+                const iYear = oDate.getUTCFullYear();
+                sResult = sResult + (iCount <= 2 ? pad(iYear % 100, iCount) : pad(iYear, iCount));
+                break;
+            }
+            case "z":
+                // Timestamps are evaluated in UTC so the offset is always zero
+                sResult = sResult + (iCount === 1 ? "+0" : iCount === 2 ? "+00" : "+00:00");
+                break;
+        }
+    }
+
+    return sResult;
+}
+
+/**
+ * Parse a timestamp using a custom .NET format string, e.g. "dd/MM/yyyy HH:mm"
+ * @param {string} sText
+ * @param {string} sFormat
+ * @param {string} [sLocale] - used to match month names
+ * @returns {Object} timestamp
+ */
+function parseTimestampWithFormat(sText, sFormat, sLocale) {
+    const aTokens = tokenizeDateFormat(expandStandardFormat(sFormat));
+    const aFields = [];
+    let sPattern = "^\\s*";
+
+    for (let i = 0; i < aTokens.length; i++) {
+        const oToken = aTokens[i];
+        if (oToken.sKind === "literal") {
+            sPattern = sPattern + oToken.sText.replace(new RegExp("[.*+?^${}()|[\\]\\\\]", "g"), "\\$&");
+            continue;
+        }
+        const sChar = oToken.sChar;
+        let sGroup = "(\\d{1,2})";
+        if (sChar === "y") {
+            sGroup = oToken.iCount <= 2 ? "(\\d{2})" : "(\\d{4})";
+        } else if (sChar === "f" || sChar === "F") {
+            sGroup = "(\\d{1," + Math.min(oToken.iCount, 7) + "})";
+        } else if ((sChar === "M" || sChar === "d") && oToken.iCount > 2) {
+            sGroup = "([^\\s\\d,.]+)";
+        } else if (sChar === "t") {
+            sGroup = "([AaPp][Mm]?)";
+        } else if (sChar === "K" || sChar === "z") {
+            sGroup = "(Z|[+-]\\d{1,2}(?::?\\d{2})?)?";
+        } else if (sChar === "g") {
+            sGroup = "(\\S+)";
+        }
+        sPattern = sPattern + sGroup;
+        aFields.push(oToken);
+    }
+
+    const aMatch = new RegExp(sPattern + "\\s*$", "i").exec(sText);
+    if (!aMatch) {
+        throw new Error("'" + sText + "' does not match the format '" + sFormat + "'");
+    }
+
+    const oParts = { iYear: 1, iMonth: 1, iDay: 1, iHour: 0, iMinute: 0, iSecond: 0, sFraction: "", bPm: null, sZone: null };
+    for (let i = 0; i < aFields.length; i++) {
+        const oField = aFields[i];
+        const sValue = aMatch[i + 1];
+        if (sValue === undefined) {
+            continue;
+        }
+        switch (oField.sChar) {
+            case "y":
+                oParts.iYear = oField.iCount <= 2 ? 2000 + parseInt(sValue, 10) : parseInt(sValue, 10);
+                break;
+            case "M":
+                oParts.iMonth = oField.iCount <= 2 ? parseInt(sValue, 10) : findMonthNumber(sValue, sLocale, oField.iCount === 3 ? "short" : "long");
+                break;
+            case "d":
+                if (oField.iCount <= 2) {
+                    oParts.iDay = parseInt(sValue, 10);
+                }
+                break;
+            case "h":
+            case "H":
+                oParts.iHour = parseInt(sValue, 10);
+                break;
+            case "m":
+                oParts.iMinute = parseInt(sValue, 10);
+                break;
+            case "s":
+                oParts.iSecond = parseInt(sValue, 10);
+                break;
+            case "f":
+            case "F":
+                oParts.sFraction = sValue;
+                break;
+            case "t":
+                oParts.bPm = sValue[0].toUpperCase() === "P";
+                break;
+            case "K":
+            case "z":
+                oParts.sZone = sValue;
+                break;
+        }
+    }
+
+    if (oParts.bPm !== null) {
+        oParts.iHour = oParts.iHour % 12 + (oParts.bPm ? 12 : 0);
+    }
+
+    let sIso = pad(oParts.iYear, 4) + "-" + pad(oParts.iMonth, 2) + "-" + pad(oParts.iDay, 2) + "T"
+        + pad(oParts.iHour, 2) + ":" + pad(oParts.iMinute, 2) + ":" + pad(oParts.iSecond, 2);
+    if (oParts.sFraction) {
+        sIso = sIso + "." + oParts.sFraction;
+    }
+    if (oParts.sZone) {
+        sIso = sIso + (oParts.sZone.length === 3 ? oParts.sZone + ":00" : oParts.sZone);
+    }
+    return parseTimestamp(sIso);
+}
+
+/**
+ * Find the 1-based month number for a localised month name
+ * @param {string} sName
+ * @param {string} sLocale
+ * @param {string} sStyle - "short" or "long"
+ * @returns {number}
+ */
+function findMonthNumber(sName, sLocale, sStyle) {
+    for (let i = 0; i < 12; i++) {
+        const sMonth = getDateName(new Date(Date.UTC(2000, i, 1)), sLocale, { month: sStyle });
+        if (sMonth.toLowerCase() === sName.toLowerCase()) {
+            return i + 1;
+        }
+    }
+    throw new Error("'" + sName + "' is not a month name");
+}
+
+/**
+ * Add a number of time units to a timestamp. Months and years keep the day
+ * of month where possible and clamp to the last day, like DateTime.AddMonths.
+ * @param {Object} oTimestamp
+ * @param {number} iInterval
+ * @param {string} sUnit - Second, Minute, Hour, Day, Week, Month or Year
+ * @returns {Object} timestamp
+ */
+function addToTimestamp(oTimestamp, iInterval, sUnit) {
+    const oUnitMs = { second: 1000, minute: 60000, hour: 3600000, day: iMsPerDay, week: 7 * iMsPerDay };
+    const sKey = String(sUnit).toLowerCase();
+
+    if (oUnitMs[sKey]) {
+        return { iMs: oTimestamp.iMs + iInterval * oUnitMs[sKey], iSubTicks: oTimestamp.iSubTicks, bUtc: oTimestamp.bUtc };
+    }
+    if (sKey !== "month" && sKey !== "year") {
+        throw new Error("The time unit '" + sUnit + "' isn't valid. Use Second, Minute, Hour, Day, Week, Month or Year");
+    }
+
+    const oDate = new Date(oTimestamp.iMs);
+    const iMonths = sKey === "year" ? iInterval * 12 : iInterval;
+    const iTotalMonths = oDate.getUTCFullYear() * 12 + oDate.getUTCMonth() + iMonths;
+    const iYear = Math.floor(iTotalMonths / 12);
+    const iMonth = iTotalMonths - iYear * 12;
+    const iDaysInMonth = new Date(toUtcMs(iYear, iMonth + 1, 0)).getUTCDate();
+    const iTimeOfDay = oTimestamp.iMs - toUtcMs(oDate.getUTCFullYear(), oDate.getUTCMonth(), oDate.getUTCDate());
+    const iMs = toUtcMs(iYear, iMonth, Math.min(oDate.getUTCDate(), iDaysInMonth)) + iTimeOfDay;
+    return { iMs: iMs, iSubTicks: oTimestamp.iSubTicks, bUtc: oTimestamp.bUtc };
+}
+
+/**
+ * Truncate a timestamp to the start of its day, hour or month
+ * @param {Object} oTimestamp
+ * @param {string} sUnit - "day", "hour" or "month"
+ * @returns {Object} timestamp
+ */
+function startOfTimestamp(oTimestamp, sUnit) {
+    const oDate = new Date(oTimestamp.iMs);
+    let iMs = 0;
+    if (sUnit === "month") {
+        iMs = toUtcMs(oDate.getUTCFullYear(), oDate.getUTCMonth(), 1);
+    } else if (sUnit === "day") {
+        iMs = toUtcMs(oDate.getUTCFullYear(), oDate.getUTCMonth(), oDate.getUTCDate());
+    } else {
+        iMs = oTimestamp.iMs - oTimestamp.iMs % 3600000;
+    }
+    return { iMs: iMs, iSubTicks: 0, bUtc: oTimestamp.bUtc };
+}
+
+/**
+ * Format the difference between two timestamps as a .NET TimeSpan ("1268.00:00:00")
+ * @param {Object} oStart
+ * @param {Object} oEnd
+ * @returns {string}
+ */
+function formatTimestampDifference(oStart, oEnd) {
+    const iTicks = (oEnd.iMs - oStart.iMs) * iTicksPerMs + (oEnd.iSubTicks - oStart.iSubTicks);
+    const iAbsolute = Math.abs(iTicks);
+    const iTotalSeconds = Math.floor(iAbsolute / 10000000);
+    const iDays = Math.floor(iTotalSeconds / 86400);
+    const iFraction = iAbsolute % 10000000;
+
+    let sResult = (iTicks < 0 ? "-" : "") + (iDays > 0 ? iDays + "." : "")
+        + pad(Math.floor(iTotalSeconds % 86400 / 3600), 2) + ":"
+        + pad(Math.floor(iTotalSeconds % 3600 / 60), 2) + ":"
+        + pad(iTotalSeconds % 60, 2);
+    if (iFraction > 0) {
+        sResult = sResult + "." + pad(iFraction, 7);
+    }
+    return sResult;
+}
+
+/**
+ * Get DateTime.Ticks for a timestamp (100ns intervals since 0001-01-01)
+ * @param {Object} oTimestamp
+ * @returns {number}
+ */
+function getTicks(oTimestamp) {
+    return Number(BigInt(oTimestamp.iMs) * BigInt(iTicksPerMs) + BigInt(oTimestamp.iSubTicks) + biEpochTicks);
+}
+
+/**
+ * Resolve a Windows (or IANA) time zone name to an IANA name
+ * @param {string} sZone
+ * @returns {string}
+ */
+function resolveTimeZone(sZone) {
+    const sKey = String(sZone).toLowerCase().replace(new RegExp("[.()]", "g"), "").replace(new RegExp("\\s+", "g"), " ").trim();
+    if (oWindowsTimeZones[sKey]) {
+        return oWindowsTimeZones[sKey];
+    }
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: sZone });
+        return sZone;
+    } catch (oError) {
+        throw new Error("The time zone '" + sZone + "' isn't valid or isn't known offline");
+    }
+}
+
+/**
+ * Get the offset of a time zone from UTC at a UTC instant
+ * @param {string} sIanaZone
+ * @param {number} iUtcMs
+ * @returns {number} offset in milliseconds
+ */
+function getZoneOffset(sIanaZone, iUtcMs) {
+    const oFormat = new Intl.DateTimeFormat("en-US", {
+        timeZone: sIanaZone, hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+    const oParts = {};
+    const aParts = oFormat.formatToParts(new Date(iUtcMs));
+    for (let i = 0; i < aParts.length; i++) {
+        oParts[aParts[i].type] = parseInt(aParts[i].value, 10);
+    }
+    const iWallMs = toUtcMs(oParts.year, oParts.month - 1, oParts.day, oParts.hour, oParts.minute, oParts.second);
+    return iWallMs - (iUtcMs - iUtcMs % 1000);
+}
+
+/**
+ * Convert a UTC timestamp to the wall-clock time of a time zone
+ * @param {Object} oTimestamp
+ * @param {string} sZone - Windows or IANA time zone name
+ * @returns {Object} timestamp with an unspecified kind (UTC when the zone is UTC)
+ */
+function convertFromUtcTimestamp(oTimestamp, sZone) {
+    const sIana = resolveTimeZone(sZone);
+    return {
+        iMs: oTimestamp.iMs + getZoneOffset(sIana, oTimestamp.iMs),
+        iSubTicks: oTimestamp.iSubTicks,
+        bUtc: sIana === "UTC"
+    };
+}
+
+/**
+ * Convert the wall-clock time of a time zone to UTC
+ * @param {Object} oTimestamp
+ * @param {string} sZone - Windows or IANA time zone name
+ * @returns {Object} UTC timestamp
+ */
+function convertToUtcTimestamp(oTimestamp, sZone) {
+    const sIana = resolveTimeZone(sZone);
+    // The offset depends on the UTC instant, so refine the first guess once for DST boundaries
+    const iGuess = oTimestamp.iMs - getZoneOffset(sIana, oTimestamp.iMs);
+    return {
+        iMs: oTimestamp.iMs - getZoneOffset(sIana, iGuess),
+        iSubTicks: oTimestamp.iSubTicks,
+        bUtc: true
+    };
+}
+
+module.exports = {
+    parseTimestamp: parseTimestamp,
+    parseTimestampWithFormat: parseTimestampWithFormat,
+    formatTimestamp: formatTimestamp,
+    addToTimestamp: addToTimestamp,
+    startOfTimestamp: startOfTimestamp,
+    formatTimestampDifference: formatTimestampDifference,
+    getTicks: getTicks,
+    convertFromUtcTimestamp: convertFromUtcTimestamp,
+    convertToUtcTimestamp: convertToUtcTimestamp,
+    toUtcMs: toUtcMs
+};
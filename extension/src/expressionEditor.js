@@ -0,0 +1,294 @@
+let vscode;
+try {
+    vscode = require("vscode");
+} catch (e) {
+    // Running in test/node environment where 'vscode' is not available
+    vscode = null;
+}
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { collectDocumentExpressions } = require("./expressionParser");
+const { parseFlowDefinition, getActionAtOffset } = require("./flowDefinition");
+
+/**
+ * Edit Expression: opens a JSON string value unescaped in a temporary .paexpr file beside
+ * the JSON, and writes it back re-escaped into the original value each time it is saved.
+ */
+
+/**
+ * Folder under the OS temp directory that holds the files being edited
+ */
+const sTempFolder = "power-automate-expressions";
+
+/**
+ * Find the expression string value at an offset of a JSON document
+ * @param {string} sText - document text
+ * @param {number} iOffset
+ * @returns {{ sValue: string, iStart: number, iEnd: number }|null} iStart/iEnd include the quotes
+ */
+function findEditableValue(sText, iOffset) {
+    const oEntry = collectDocumentExpressions(sText, "json").filter(function (oItem) {
+        return iOffset >= oItem.iStart && iOffset <= oItem.iEnd;
+    })[0];
+    return oEntry ? { sValue: oEntry.sValue, iStart: oEntry.iStart, iEnd: oEntry.iEnd } : null;
+}
+
+/**
+ * Move a range past edits made elsewhere in its document.
+ * Changes are { iStart, iEnd, iLength } in the offsets from before the edit, as VS Code
+ * reports them; iLength is the length of the inserted text.
+ * @param {{ iStart: number, iEnd: number }} oRange
+ * @param {Array<Object>} aChanges
+ * @returns {{ iStart: number, iEnd: number }|null} null when a change touches the range itself
+ */
+function shiftRange(oRange, aChanges) {
+    let iDelta = 0;
+    for (let i = 0; i < aChanges.length; i++) {
+        const oChange = aChanges[i];
+        if (oChange.iEnd <= oRange.iStart) {
+            iDelta = iDelta + oChange.iLength - (oChange.iEnd - oChange.iStart);
+        } else if (oChange.iStart < oRange.iEnd) {
+            return null;
+        }
+    }
+    return { iStart: oRange.iStart + iDelta, iEnd: oRange.iEnd + iDelta };
+}
+
+/**
+ * Turn the edited file's text back into the string value. Line endings and a final
+ * newline added by the editor are dropped unless the original value had them.
+ * @param {string} sEdited - text of the temporary file
+ * @param {string} sOriginal - value the file was opened with
+ * @returns {string}
+ */
+function toWriteBackValue(sEdited, sOriginal) {
+    let sValue = sEdited;
+    if (sOriginal.indexOf("\r") === -1) {
+        sValue = sValue.replace(new RegExp("\\r\\n", "g"), "\n");
+    }
+    if (!new RegExp("\\n$").test(sOriginal)) {
+        sValue = sValue.replace(new RegExp("\\r?\\n$"), "");
+    }
+    return sValue;
+}
+
+/**
+ * Build the temporary file name from the action holding the value
+ * @param {string} sText - JSON document text
+ * @param {number} iOffset - offset of the value
+ * @param {number} iSession - running session number, keeps names unique
+ * @param {string} sLanguageId - json or jsonc
+ * @returns {string}
+ */
+function getTempFileName(sText, iOffset, iSession, sLanguageId) {
+    const oFlow = parseFlowDefinition(sText, sLanguageId);
+    const oAction = oFlow ? getActionAtOffset(oFlow, iOffset) : null;
+    const sName = oAction ? oAction.sName.replace(new RegExp("[^a-zA-Z0-9_\\-]", "g"), "-") : "expression";
+    return sName + "." + iSession + ".paexpr";
+}
+
+/**
+ * Build a CodeLensProvider that puts Edit Expression above expression values containing
+ * JSON escapes (\" \n \\), the ones that are hard to edit in place
+ * @param {vscode.EventEmitter} oChangeEmitter - fired when the setting changes
+ * @returns {vscode.CodeLensProvider}
+ */
+function createEditExpressionCodeLensProvider(oChangeEmitter) {
+    return {
+        onDidChangeCodeLenses: oChangeEmitter.event,
+        provideCodeLenses: function (oDocument) {
+            if (!vscode.workspace.getConfiguration("powerAutomateUtility").get("editExpressionCodeLens", true)) {
+                return [];
+            }
+            return collectDocumentExpressions(oDocument.getText(), oDocument.languageId).filter(function (oEntry) {
+                return oEntry.aOffsets !== null;
+            }).map(function (oEntry) {
+                const oStart = oDocument.positionAt(oEntry.iStart);
+                return new vscode.CodeLens(new vscode.Range(oStart, oStart), {
+                    title: "Edit Expression",
+                    tooltip: "Edit this value unescaped in a side editor; saving writes it back",
+                    command: "powerAutomateUtility.editExpression",
+                    arguments: [oDocument.uri, oEntry.iStart + 1]
+                });
+            });
+        }
+    };
+}
+
+/**
+ * Register the Edit Expression command, its code lens and the listeners that keep each
+ * open value in step with its JSON document
+ * @returns {Array<vscode.Disposable>}
+ */
+function registerExpressionEditor() {
+    const aDisposables = [];
+    // Temporary file path -> { oSourceUri, sValue, iStart, iEnd, sRaw, sPendingRaw, bDetached }
+    const oSessions = {};
+    let iSessionCount = 0;
+
+    function findSession(oSourceUri, iStart) {
+        const sKey = Object.keys(oSessions).filter(function (sPath) {
+            const oSession = oSessions[sPath];
+            return !oSession.bDetached && oSession.oSourceUri.toString() === oSourceUri.toString() && oSession.iStart === iStart;
+        })[0];
+        return sKey || null;
+    }
+
+    function openEditor(oDocument, iOffset) {
+        if (oDocument.languageId !== "json" && oDocument.languageId !== "jsonc") {
+            vscode.window.showWarningMessage("Edit Expression works on string values in JSON files.");
+            return;
+        }
+        const sText = oDocument.getText();
+        const oValue = findEditableValue(sText, iOffset);
+        if (!oValue) {
+            vscode.window.showWarningMessage("Place the cursor inside a JSON string value with an expression to edit it.");
+            return;
+        }
+
+        let sFilePath = findSession(oDocument.uri, oValue.iStart);
+        if (!sFilePath) {
+            iSessionCount++;
+            const sFolder = path.join(os.tmpdir(), sTempFolder);
+            fs.mkdirSync(sFolder, { recursive: true });
+            sFilePath = vscode.Uri.file(path.join(sFolder, getTempFileName(sText, oValue.iStart, iSessionCount, oDocument.languageId))).fsPath;
+            fs.writeFileSync(sFilePath, oValue.sValue, "utf8");
+            oSessions[sFilePath] = {
+                oSourceUri: oDocument.uri,
+                sValue: oValue.sValue,
+                iStart: oValue.iStart,
+                iEnd: oValue.iEnd,
+                sRaw: sText.substring(oValue.iStart, oValue.iEnd),
+                sPendingRaw: null,
+                bDetached: false
+            };
+        }
+        vscode.workspace.openTextDocument(sFilePath).then(function (oEdited) {
+            return vscode.window.showTextDocument(oEdited, vscode.ViewColumn.Beside);
+        });
+    }
+
+    function writeBack(oSession, sEdited) {
+        const sDetachedMessage = "The original JSON value changed while it was being edited, so the expression was not written back. Copy it across by hand.";
+        if (oSession.bDetached) {
+            vscode.window.showErrorMessage(sDetachedMessage);
+            return;
+        }
+        vscode.workspace.openTextDocument(oSession.oSourceUri).then(function (oSource) {
+            if (oSource.getText().substring(oSession.iStart, oSession.iEnd) !== oSession.sRaw) {
+                oSession.bDetached = true;
+                vscode.window.showErrorMessage(sDetachedMessage);
+                return;
+            }
+            const sNewRaw = JSON.stringify(toWriteBackValue(sEdited, oSession.sValue));
+            if (sNewRaw === oSession.sRaw) {
+                return;
+            }
+            const oEdit = new vscode.WorkspaceEdit();
+            oEdit.replace(oSession.oSourceUri, new vscode.Range(oSource.positionAt(oSession.iStart), oSource.positionAt(oSession.iEnd)), sNewRaw);
+            oSession.sPendingRaw = sNewRaw;
+            vscode.workspace.applyEdit(oEdit).then(function (bApplied) {
+                oSession.sPendingRaw = null;
+                if (bApplied) {
+                    vscode.window.setStatusBarMessage("Expression written back to " + path.basename(oSession.oSourceUri.fsPath), 3000);
+                } else {
+                    vscode.window.showErrorMessage("Could not write the expression back to " + path.basename(oSession.oSourceUri.fsPath) + ".");
+                }
+            });
+        });
+    }
+
+    // ----------------------------------------------------------------
+    // Command: Edit Expression
+    // ----------------------------------------------------------------
+    const oEditCmd = vscode.commands.registerCommand("powerAutomateUtility.editExpression", function (oUri, iOffset) {
+        if (oUri && typeof iOffset === "number") {
+            vscode.workspace.openTextDocument(oUri).then(function (oDocument) {
+                openEditor(oDocument, iOffset);
+            });
+            return;
+        }
+        const oEditor = vscode.window.activeTextEditor;
+        if (!oEditor) {
+            vscode.window.showWarningMessage("Open a JSON file with an expression to edit.");
+            return;
+        }
+        openEditor(oEditor.document, oEditor.document.offsetAt(oEditor.selection.active));
+    });
+    aDisposables.push(oEditCmd);
+
+    // Code lens above escaped expression values, refreshed when the setting changes
+    const oLensEmitter = new vscode.EventEmitter();
+    aDisposables.push(oLensEmitter);
+    aDisposables.push(vscode.languages.registerCodeLensProvider(
+        [{ language: "json" }, { language: "jsonc" }],
+        createEditExpressionCodeLensProvider(oLensEmitter)
+    ));
+    aDisposables.push(vscode.workspace.onDidChangeConfiguration(function (oEvent) {
+        if (oEvent.affectsConfiguration("powerAutomateUtility.editExpressionCodeLens")) {
+            oLensEmitter.fire();
+        }
+    }));
+
+    // Saving the temporary file writes the value back
+    aDisposables.push(vscode.workspace.onDidSaveTextDocument(function (oDocument) {
+        const oSession = oSessions[oDocument.uri.fsPath];
+        if (oSession) {
+            writeBack(oSession, oDocument.getText());
+        }
+    }));
+
+    // Follow edits to the JSON document so the value's range stays correct
+    aDisposables.push(vscode.workspace.onDidChangeTextDocument(function (oEvent) {
+        const sUri = oEvent.document.uri.toString();
+        Object.keys(oSessions).forEach(function (sPath) {
+            const oSession = oSessions[sPath];
+            if (oSession.bDetached || oSession.oSourceUri.toString() !== sUri || oEvent.contentChanges.length === 0) {
+                return;
+            }
+            const oFirst = oEvent.contentChanges[0];
+            const bOwnEdit = oEvent.contentChanges.length === 1 && oFirst.text === oSession.sPendingRaw
+                && oFirst.rangeOffset === oSession.iStart && oFirst.rangeLength === oSession.iEnd - oSession.iStart;
+            if (bOwnEdit) {
+                oSession.iEnd = oSession.iStart + oFirst.text.length;
+                oSession.sRaw = oFirst.text;
+                oSession.sPendingRaw = null;
+                return;
+            }
+            const oShifted = shiftRange(oSession, oEvent.contentChanges.map(function (oChange) {
+                return { iStart: oChange.rangeOffset, iEnd: oChange.rangeOffset + oChange.rangeLength, iLength: oChange.text.length };
+            }));
+            if (oShifted) {
+                oSession.iStart = oShifted.iStart;
+                oSession.iEnd = oShifted.iEnd;
+            } else {
+                oSession.bDetached = true;
+            }
+        });
+    }));
+
+    // Closing the temporary file ends the session (unsaved changes are offered for saving first)
+    aDisposables.push(vscode.workspace.onDidCloseTextDocument(function (oDocument) {
+        const sPath = oDocument.uri.fsPath;
+        if (!oSessions[sPath]) {
+            return;
+        }
+        delete oSessions[sPath];
+        try {
+            fs.unlinkSync(sPath);
+        } catch (oError) {
+            // Already removed - nothing to clean up
+        }
+    }));
+
+    return aDisposables;
+}
+
+module.exports = {
+    registerExpressionEditor: registerExpressionEditor,
+    // exported for unit testing
+    findEditableValue: findEditableValue,
+    shiftRange: shiftRange,
+    toWriteBackValue: toWriteBackValue
+};
@@ -0,0 +1,1348 @@
+const crypto = require("crypto");
+const { parseExpression, parseStringValue } = require("./expressionParser");
+const oDateTime = require("./expressionDateTime");
+
+/**
+ * Offline evaluator for Logic App expressions. Workflow functions such as
+ * triggerBody(), outputs('X') and variables('x') read from a user supplied
+ * context object:
+ * { triggerBody, triggerOutputs, trigger, outputs: { Action: {...} }, body: { Action: ... },
+ *   actions, variables, items: { Loop: ... }, item, parameters, iterationIndexes, result, workflow, utcNow }
+ * Errors are thrown as Error objects with a message suitable for the user.
+ */
+
+const sUnsupportedMessage = " is not supported when evaluating offline";
+
+/**
+ * Math functions whose result is a Float when any argument is, even when its value is whole
+ */
+const aFloatArithmetic = ["add", "sub", "mul", "div", "mod", "min", "max"];
+
+/**
+ * Get the expression type name of a value
+ * @param {*} vValue
+ * @returns {string} String, Integer, Float, Boolean, Array, Object or Null
+ */
+function getValueType(vValue) {
+    if (vValue === null || vValue === undefined) {
+        return "Null";
+    }
+    if (Array.isArray(vValue)) {
+        return "Array";
+    }
+    if (typeof vValue === "number") {
+        return Number.isInteger(vValue) ? "Integer" : "Float";
+    }
+    if (typeof vValue === "boolean") {
+        return "Boolean";
+    }
+    if (typeof vValue === "string") {
+        return "String";
+    }
+    return "Object";
+}
+
+/**
+ * Convert a value to a string the way string() and interpolation do:
+ * null becomes "", booleans "True"/"False", objects and arrays JSON
+ * @param {*} vValue
+ * @returns {string}
+ */
+function toStringValue(vValue) {
+    if (vValue === null || vValue === undefined) {
+        return "";
+    }
+    if (typeof vValue === "string") {
+        return vValue;
+    }
+    if (typeof vValue === "boolean") {
+        return vValue ? "True" : "False";
+    }
+    if (typeof vValue === "number") {
+        return String(vValue);
+    }
+    if (isBinaryContent(vValue)) {
+        return Buffer.from(vValue["$content"], "base64").toString("utf8");
+    }
+    return JSON.stringify(vValue);
+}
+
+/**
+ * Check if a value is a binary content envelope { "$content-type", "$content" }
+ * @param {*} vValue
+ * @returns {boolean}
+ */
+function isBinaryContent(vValue) {
+    return getValueType(vValue) === "Object" && typeof vValue["$content"] === "string";
+}
+
+/**
+ * Wrap base64 data in the content envelope used for binary values
+ * @param {string} sBase64
+ * @param {string} [sContentType]
+ * @returns {Object}
+ */
+function toBinaryContent(sBase64, sContentType) {
+    return { "$content-type": sContentType || "application/octet-stream", "$content": sBase64 };
+}
+
+/**
+ * Deep equality used by equals(), contains(), union() and intersection()
+ * @param {*} vLeft
+ * @param {*} vRight
+ * @returns {boolean}
+ */
+function valuesEqual(vLeft, vRight) {
+    const sLeftType = getValueType(vLeft);
+    const sRightType = getValueType(vRight);
+    if (sLeftType === "Array" && sRightType === "Array") {
+        if (vLeft.length !== vRight.length) {
+            return false;
+        }
+        for (let i = 0; i < vLeft.length; i++) {
+            if (!valuesEqual(vLeft[i], vRight[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (sLeftType === "Object" && sRightType === "Object") {
+        const aKeys = Object.keys(vLeft);
+        if (aKeys.length !== Object.keys(vRight).length) {
+            return false;
+        }
+        for (let i = 0; i < aKeys.length; i++) {
+            if (!Object.prototype.hasOwnProperty.call(vRight, aKeys[i]) || !valuesEqual(vLeft[aKeys[i]], vRight[aKeys[i]])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (sLeftType === "Null" || sRightType === "Null") {
+        return sLeftType === sRightType;
+    }
+    return vLeft === vRight;
+}
+
+/**
+ * Build the error for an argument of the wrong type
+ * @param {string} sFuncName
+ * @param {number} iIndex - zero-based argument index
+ * @param {string} sExpected
+ * @param {*} vValue
+ * @returns {Error}
+ */
+function argumentError(sFuncName, iIndex, sExpected, vValue) {
+    const sActual = vValue === undefined ? "it is missing" : "got " + getValueType(vValue);
+    return new Error("The '" + sFuncName + "' function expects parameter " + (iIndex + 1) + " to be " + sExpected + " but " + sActual);
+}
+
+/**
+ * Read a String argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {string}
+ */
+function expectString(sFuncName, aArgs, iIndex) {
+    if (typeof aArgs[iIndex] !== "string") {
+        throw argumentError(sFuncName, iIndex, "a String", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read an optional String argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {string|undefined}
+ */
+function expectOptionalString(sFuncName, aArgs, iIndex) {
+    return aArgs[iIndex] === undefined || aArgs[iIndex] === null ? undefined : expectString(sFuncName, aArgs, iIndex);
+}
+
+/**
+ * Read an Integer or Float argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {number}
+ */
+function expectNumber(sFuncName, aArgs, iIndex) {
+    if (typeof aArgs[iIndex] !== "number") {
+        throw argumentError(sFuncName, iIndex, "a number", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read an Integer argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {number}
+ */
+function expectInteger(sFuncName, aArgs, iIndex) {
+    if (!Number.isInteger(aArgs[iIndex])) {
+        throw argumentError(sFuncName, iIndex, "an Integer", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read a Boolean argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {boolean}
+ */
+function expectBoolean(sFuncName, aArgs, iIndex) {
+    if (typeof aArgs[iIndex] !== "boolean") {
+        throw argumentError(sFuncName, iIndex, "a Boolean", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read an Array argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {Array}
+ */
+function expectArray(sFuncName, aArgs, iIndex) {
+    if (!Array.isArray(aArgs[iIndex])) {
+        throw argumentError(sFuncName, iIndex, "an Array", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read an Object argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {Object}
+ */
+function expectObject(sFuncName, aArgs, iIndex) {
+    if (getValueType(aArgs[iIndex]) !== "Object") {
+        throw argumentError(sFuncName, iIndex, "an Object", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read a String or Array argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs - evaluated arguments
+ * @param {number} iIndex
+ * @returns {string|Array}
+ */
+function expectCollection(sFuncName, aArgs, iIndex) {
+    if (typeof aArgs[iIndex] !== "string" && !Array.isArray(aArgs[iIndex])) {
+        throw argumentError(sFuncName, iIndex, "a String or Array", aArgs[iIndex]);
+    }
+    return aArgs[iIndex];
+}
+
+/**
+ * Read all arguments as numbers
+ * @param {string} sFuncName
+ * @param {Array} aArgs
+ * @returns {Array<number>}
+ */
+function expectNumbers(sFuncName, aArgs) {
+    const aNumbers = [];
+    for (let i = 0; i < aArgs.length; i++) {
+        aNumbers.push(expectNumber(sFuncName, aArgs, i));
+    }
+    return aNumbers;
+}
+
+/**
+ * Read the numbers of min()/max(): the arguments, or the items of an array argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs
+ * @returns {Array<number>} at least one number
+ */
+function expectMinMaxNumbers(sFuncName, aArgs) {
+    const bArray = Array.isArray(aArgs[0]);
+    const aNumbers = expectNumbers(sFuncName, bArray ? aArgs[0] : aArgs);
+    if (aNumbers.length === 0) {
+        throw new Error("The '" + sFuncName + "' function expects " + (bArray ? "an array with at least one number" : "at least one number"));
+    }
+    return aNumbers;
+}
+
+/**
+ * Compare two numbers or two strings for greater()/less()
+ * @param {string} sFuncName
+ * @param {Array} aArgs
+ * @returns {number} negative, zero or positive
+ */
+function compareArguments(sFuncName, aArgs) {
+    const vLeft = aArgs[0];
+    const vRight = aArgs[1];
+    if (typeof vLeft === "number" && typeof vRight === "number") {
+        return vLeft - vRight;
+    }
+    if (typeof vLeft === "string" && typeof vRight === "string") {
+        return vLeft < vRight ? -1 : vLeft > vRight ? 1 : 0;
+    }
+    throw new Error("The '" + sFuncName + "' function expects two numbers or two strings but got "
+        + getValueType(vLeft) + " and " + getValueType(vRight));
+}
+
+/**
+ * Get the decimal and group separators of a locale
+ * @param {string} [sLocale]
+ * @returns {{ sDecimal: string, sGroup: string }}
+ */
+function getNumberSeparators(sLocale) {
+    let aParts = [];
+    try {
+        aParts = new Intl.NumberFormat(sLocale || "en-US").formatToParts(12345.6);
+    } catch (oError) {
+        throw new Error("The provided locale '" + sLocale + "' isn't valid");
+    }
+    const oSeparators = { sDecimal: ".", sGroup: "," };
+    for (let i = 0; i < aParts.length; i++) {
+        if (aParts[i].type === "decimal") {
+            oSeparators.sDecimal = aParts[i].value;
+        } else if (aParts[i].type === "group") {
+            oSeparators.sGroup = aParts[i].value;
+        }
+    }
+    return oSeparators;
+}
+
+/**
+ * Parse a number written for a locale, e.g. "10.000,333" for de-DE
+ * @param {string} sText
+ * @param {string} [sLocale]
+ * @returns {number} NaN when the text isn't a number
+ */
+function parseLocaleNumber(sText, sLocale) {
+    const oSeparators = getNumberSeparators(sLocale);
+    const sNormalised = sText.trim().split(oSeparators.sGroup).join("").split(oSeparators.sDecimal).join(".");
+    if (sNormalised === "" || !new RegExp("^[+-]?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+)?$", "").test(sNormalised)) {
+        return NaN;
+    }
+    return Number(sNormalised);
+}
+
+/**
+ * Format a number with a standard ("N2", "C", "P1") or simple custom ("#,##0.00") .NET format
+ * @param {number} nValue
+ * @param {string} sFormat
+ * @param {string} [sLocale]
+ * @returns {string}
+ */
+function formatNumberValue(nValue, sFormat, sLocale) {
+    const sLocaleName = sLocale || "en-US";
+    const aStandard = new RegExp("^([CcDdEeFfGgNnPpXx])(\\d{0,2})$", "").exec(sFormat);
+
+    try {
+        if (aStandard) {
+            const sSpecifier = aStandard[1].toUpperCase();
+            const iPrecision = aStandard[2] === "" ? null : parseInt(aStandard[2], 10);
+            if (sSpecifier === "C") {
+                const oCurrencies = { US: "USD", GB: "GBP", IS: "ISK", JP: "JPY", CA: "CAD", AU: "AUD", IN: "INR", CH: "CHF", SE: "SEK", NO: "NOK", DK: "DKK" };
+                const sRegion = sLocaleName.split("-")[1] || "US";
+                return new Intl.NumberFormat(sLocaleName, {
+                    style: "currency",
+                    currency: oCurrencies[sRegion.toUpperCase()] || "EUR",
+                    minimumFractionDigits: iPrecision === null ? 2 : iPrecision,
+                    maximumFractionDigits: iPrecision === null ? 2 : iPrecision
+                }).format(nValue);
+            }
+            if (sSpecifier === "D" || sSpecifier === "X") {
+                if (!Number.isInteger(nValue)) {
+                    throw new Error("The format '" + sFormat + "' is only valid for integers");
+                }
+                let sDigits = Math.abs(nValue).toString(sSpecifier === "X" ? 16 : 10);
+                sDigits = aStandard[1] === "X" ? sDigits.toUpperCase() : sDigits;
+                while (sDigits.length < (iPrecision || 0)) {
+                    sDigits = "0" + sDigits;
+                }
+                return (nValue < 0 ? "-" : "") + sDigits;
+            }
+            if (sSpecifier === "E") {
+                const aParts = nValue.toExponential(iPrecision === null ? 6 : iPrecision).split("e");
+                let sExponent = aParts[1].replace("+", "").replace("-", "");
+                while (sExponent.length < 3) {
+                    sExponent = "0" + sExponent;
+                }
+                return aParts[0] + aStandard[1] + (aParts[1][0] === "-" ? "-" : "+") + sExponent;
+            }
+            if (sSpecifier === "G") {
+                return iPrecision ? String(Number(nValue.toPrecision(iPrecision))) : String(nValue);
+            }
+            const iDigits = iPrecision === null ? 2 : iPrecision;
+            return new Intl.NumberFormat(sLocaleName, {
+                style: sSpecifier === "P" ? "percent" : "decimal",
+                useGrouping: sSpecifier !== "F",
+                minimumFractionDigits: iDigits,
+                maximumFractionDigits: iDigits
+            }).format(nValue);
+        }
+
+        // Custom format: literal prefix, a digit pattern such as #,##0.00, literal suffix
+        const aCustom = new RegExp("^([^#0,.]*)([#0,]+)(?:\\.([#0]+))?([^#0]*)$", "").exec(sFormat);
+        if (!aCustom) {
+            throw new Error("The format '" + sFormat + "' isn't supported offline");
+        }
+        const sIntegerPattern = aCustom[2];
+        const sFractionPattern = aCustom[3] || "";
+        const bPercent = (aCustom[1] + aCustom[4]).indexOf("%") !== -1;
+        const sFormatted = new Intl.NumberFormat(sLocaleName, {
+            useGrouping: sIntegerPattern.indexOf(",") !== -1,
+            minimumIntegerDigits: Math.max(1, sIntegerPattern.split("0").length - 1),
+            minimumFractionDigits: sFractionPattern.split("0").length - 1,
+            maximumFractionDigits: sFractionPattern.length
+        }).format(bPercent ? nValue * 100 : nValue);
+        return aCustom[1] + sFormatted + aCustom[4];
+    } catch (oError) {
+        if (oError instanceof RangeError) {
+            throw new Error("The provided locale '" + sLocale + "' isn't valid");
+        }
+        throw oError;
+    }
+}
+
+/**
+ * Parse a data URI into its media type and content
+ * @param {string} sUri
+ * @returns {{ sMediaType: string, oBuffer: Buffer }}
+ */
+function parseDataUri(sUri) {
+    const aMatch = new RegExp("^data:([^,]*?)(;base64)?,(.*)$", "s").exec(sUri);
+    if (!aMatch) {
+        throw new Error("'" + sUri + "' is not a valid data URI");
+    }
+    const oBuffer = aMatch[2] ? Buffer.from(aMatch[3], "base64") : Buffer.from(decodeURIComponent(aMatch[3]), "utf8");
+    return { sMediaType: aMatch[1].split(";")[0] || "text/plain", oBuffer: oBuffer };
+}
+
+/**
+ * Encode a URI component the way Uri.EscapeDataString does
+ * @param {string} sText
+ * @returns {string}
+ */
+function escapeDataString(sText) {
+    return encodeURIComponent(sText).replace(new RegExp("[!'()*]", "g"), function (sChar) {
+        return "%" + sChar.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+/**
+ * Parse an absolute URI for the uri*() functions
+ * @param {string} sFuncName
+ * @param {Array} aArgs
+ * @returns {URL}
+ */
+function expectUri(sFuncName, aArgs) {
+    const sUri = expectString(sFuncName, aArgs, 0);
+    try {
+        return new URL(sUri);
+    } catch (oError) {
+        throw new Error("The '" + sFuncName + "' function expects an absolute URI but got '" + sUri + "'");
+    }
+}
+
+/**
+ * Read a timestamp argument
+ * @param {string} sFuncName
+ * @param {Array} aArgs
+ * @param {number} iIndex
+ * @returns {Object} timestamp
+ */
+function expectTimestamp(sFuncName, aArgs, iIndex) {
+    return oDateTime.parseTimestamp(expectString(sFuncName, aArgs, iIndex));
+}
+
+/**
+ * Look up a named entry in a section of the evaluation context. Action names
+ * match with spaces or underscores, as the designer writes them both ways.
+ * @param {Object} oState
+ * @param {string} sSection - e.g. "outputs", "variables"
+ * @param {string} sName
+ * @param {string} sCall - how the value was requested, for the error message
+ * @returns {*}
+ */
+function getContextEntry(oState, sSection, sName, sCall) {
+    const oSection = oState.oContext[sSection];
+    if (getValueType(oSection) === "Object") {
+        const aCandidates = [sName, sName.replace(new RegExp(" ", "g"), "_"), sName.replace(new RegExp("_", "g"), " ")];
+        for (let i = 0; i < aCandidates.length; i++) {
+            if (Object.prototype.hasOwnProperty.call(oSection, aCandidates[i])) {
+                return oSection[aCandidates[i]];
+            }
+        }
+    }
+    throw new Error("The evaluation context has no value for " + sCall);
+}
+
+/**
+ * Read a top-level value from the evaluation context
+ * @param {Object} oState
+ * @param {string} sKey
+ * @returns {*}
+ */
+function getContextValue(oState, sKey) {
+    if (!Object.prototype.hasOwnProperty.call(oState.oContext, sKey)) {
+        throw new Error("The evaluation context has no value for " + sKey + "()");
+    }
+    return oState.oContext[sKey];
+}
+
+/**
+ * Format a timestamp result with an optional format argument
+ * @param {string} sFuncName
+ * @param {Object} oTimestamp
+ * @param {Array} aArgs
+ * @param {number} iFormatIndex
+ * @returns {string}
+ */
+function timestampResult(sFuncName, oTimestamp, aArgs, iFormatIndex) {
+    return oDateTime.formatTimestamp(oTimestamp, expectOptionalString(sFuncName, aArgs, iFormatIndex));
+}
+
+/**
+ * Build an addDays()-style function
+ * @param {string} sUnit
+ * @returns {Function}
+ */
+function addUnitFunction(sUnit) {
+    return function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.addToTimestamp(expectTimestamp(sName, aArgs, 0), expectInteger(sName, aArgs, 1), sUnit);
+        return timestampResult(sName, oTimestamp, aArgs, 2);
+    };
+}
+
+/**
+ * Build a startOfDay()-style function
+ * @param {string} sUnit
+ * @returns {Function}
+ */
+function startOfFunction(sUnit) {
+    return function (aArgs, oState, sName) {
+        return timestampResult(sName, oDateTime.startOfTimestamp(expectTimestamp(sName, aArgs, 0), sUnit), aArgs, 1);
+    };
+}
+
+/**
+ * Build the current timestamp for utcNow(), getFutureTime() and getPastTime()
+ * @param {Object} oState
+ * @returns {Object} timestamp
+ */
+function getNow(oState) {
+    if (typeof oState.oContext.utcNow === "string") {
+        return oDateTime.parseTimestamp(oState.oContext.utcNow);
+    }
+    return { iMs: oState.iNow, iSubTicks: 0, bUtc: true };
+}
+
+/**
+ * Read the first character of a string or first item of an array
+ * @param {*} vCollection
+ * @param {boolean} bLast
+ * @returns {*}
+ */
+function getEndItem(vCollection, bLast) {
+    if (vCollection.length === 0) {
+        return typeof vCollection === "string" ? "" : null;
+    }
+    return vCollection[bLast ? vCollection.length - 1 : 0];
+}
+
+/**
+ * Function implementations, keyed by lower-cased name.
+ * Each receives (aArgs, oState, sName) with arguments already evaluated.
+ */
+const oFunctions = {
+    // String functions
+    concat: function (aArgs) {
+        return aArgs.map(toStringValue).join("");
+    },
+    endswith: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).toLowerCase().endsWith(expectString(sName, aArgs, 1).toLowerCase());
+    },
+    formatnumber: function (aArgs, oState, sName) {
+        return formatNumberValue(expectNumber(sName, aArgs, 0), expectString(sName, aArgs, 1), expectOptionalString(sName, aArgs, 2));
+    },
+    guid: function (aArgs, oState, sName) {
+        const sFormat = (expectOptionalString(sName, aArgs, 0) || "D").toUpperCase();
+        const sGuid = crypto.randomUUID();
+        const oFormats = { N: sGuid.replace(new RegExp("-", "g"), ""), D: sGuid, B: "{" + sGuid + "}", P: "(" + sGuid + ")" };
+        if (!oFormats[sFormat]) {
+            throw new Error("The guid format '" + sFormat + "' isn't valid. Use N, D, B or P");
+        }
+        return oFormats[sFormat];
+    },
+    indexof: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).toLowerCase().indexOf(expectString(sName, aArgs, 1).toLowerCase());
+    },
+    lastindexof: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).toLowerCase().lastIndexOf(expectString(sName, aArgs, 1).toLowerCase());
+    },
+    nthindexof: function (aArgs, oState, sName) {
+        const sText = expectString(sName, aArgs, 0).toLowerCase();
+        const sSearch = expectString(sName, aArgs, 1).toLowerCase();
+        const iOccurrence = expectInteger(sName, aArgs, 2);
+        let iIndex = iOccurrence > 0 ? -1 : sText.length + 1;
+        for (let i = 0; i < Math.abs(iOccurrence); i++) {
+            iIndex = iOccurrence > 0 ? sText.indexOf(sSearch, iIndex + 1) : sText.lastIndexOf(sSearch, iIndex - 1);
+            if (iIndex === -1) {
+                return -1;
+            }
+        }
+        return iOccurrence === 0 ? -1 : iIndex;
+    },
+    replace: function (aArgs, oState, sName) {
+        const sOld = expectString(sName, aArgs, 1);
+        if (sOld === "") {
+            throw new Error("The 'replace' function expects a non-empty string to replace");
+        }
+        return expectString(sName, aArgs, 0).split(sOld).join(expectString(sName, aArgs, 2));
+    },
+    slice: function (aArgs, oState, sName) {
+        const sText = expectString(sName, aArgs, 0);
+        const iStart = expectInteger(sName, aArgs, 1);
+        const iEnd = aArgs.length > 2 ? expectInteger(sName, aArgs, 2) : sText.length;
+        return sText.slice(iStart, iEnd);
+    },
+    split: function (aArgs, oState, sName) {
+        const sDelimiter = expectString(sName, aArgs, 1);
+        const sText = expectString(sName, aArgs, 0);
+        return sDelimiter === "" ? [sText] : sText.split(sDelimiter);
+    },
+    startswith: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).toLowerCase().startsWith(expectString(sName, aArgs, 1).toLowerCase());
+    },
+    substring: function (aArgs, oState, sName) {
+        const sText = expectString(sName, aArgs, 0);
+        const iStart = expectInteger(sName, aArgs, 1);
+        const iLength = aArgs.length > 2 ? expectInteger(sName, aArgs, 2) : sText.length - iStart;
+        if (iStart < 0 || iLength < 0 || iStart + iLength > sText.length) {
+            throw new Error("The 'substring' parameters are out of range: the start index and length must be non-negative and their sum no larger than the length of the string (" + sText.length + ")");
+        }
+        return sText.substr(iStart, iLength);
+    },
+    tolower: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).toLowerCase();
+    },
+    toupper: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).toUpperCase();
+    },
+    trim: function (aArgs, oState, sName) {
+        return expectString(sName, aArgs, 0).trim();
+    },
+
+    // Collection functions
+    chunk: function (aArgs, oState, sName) {
+        const vCollection = expectCollection(sName, aArgs, 0);
+        const iLength = expectInteger(sName, aArgs, 1);
+        if (iLength <= 0) {
+            throw new Error("The 'chunk' function expects a length greater than zero");
+        }
+        const aChunks = [];
+        for (let i = 0; i < vCollection.length; i += iLength) {
+            aChunks.push(vCollection.slice(i, i + iLength));
+        }
+        return aChunks;
+    },
+    contains: function (aArgs, oState, sName) {
+        const vCollection = aArgs[0];
+        if (typeof vCollection === "string") {
+            return vCollection.indexOf(expectString(sName, aArgs, 1)) !== -1;
+        }
+        if (Array.isArray(vCollection)) {
+            return vCollection.some(function (vItem) { return valuesEqual(vItem, aArgs[1]); });
+        }
+        if (getValueType(vCollection) === "Object") {
+            return Object.prototype.hasOwnProperty.call(vCollection, expectString(sName, aArgs, 1));
+        }
+        throw argumentError(sName, 0, "a String, Array or Object", vCollection);
+    },
+    empty: function (aArgs, oState, sName) {
+        const vCollection = aArgs[0];
+        const sType = getValueType(vCollection);
+        if (sType === "Null") {
+            return true;
+        }
+        if (sType === "String" || sType === "Array") {
+            return vCollection.length === 0;
+        }
+        if (sType === "Object") {
+            return Object.keys(vCollection).length === 0;
+        }
+        throw argumentError(sName, 0, "a String, Array or Object", vCollection);
+    },
+    first: function (aArgs, oState, sName) {
+        return getEndItem(expectCollection(sName, aArgs, 0), false);
+    },
+    intersection: function (aArgs, oState, sName) {
+        if (Array.isArray(aArgs[0])) {
+            let aResult = expectArray(sName, aArgs, 0);
+            for (let i = 1; i < aArgs.length; i++) {
+                const aOther = expectArray(sName, aArgs, i);
+                aResult = aResult.filter(function (vItem) {
+                    return aOther.some(function (vOther) { return valuesEqual(vItem, vOther); });
+                });
+            }
+            return oFunctions.union([aResult], oState, sName);
+        }
+        const oResult = Object.assign({}, expectObject(sName, aArgs, 0));
+        for (let i = 1; i < aArgs.length; i++) {
+            const oOther = expectObject(sName, aArgs, i);
+            const aKeys = Object.keys(oResult);
+            for (let k = 0; k < aKeys.length; k++) {
+                if (!Object.prototype.hasOwnProperty.call(oOther, aKeys[k]) || !valuesEqual(oResult[aKeys[k]], oOther[aKeys[k]])) {
+                    delete oResult[aKeys[k]];
+                }
+            }
+        }
+        return oResult;
+    },
+    join: function (aArgs, oState, sName) {
+        return expectArray(sName, aArgs, 0).map(toStringValue).join(expectString(sName, aArgs, 1));
+    },
+    last: function (aArgs, oState, sName) {
+        return getEndItem(expectCollection(sName, aArgs, 0), true);
+    },
+    length: function (aArgs, oState, sName) {
+        return expectCollection(sName, aArgs, 0).length;
+    },
+    reverse: function (aArgs, oState, sName) {
+        return expectArray(sName, aArgs, 0).slice().reverse();
+    },
+    skip: function (aArgs, oState, sName) {
+        return expectArray(sName, aArgs, 0).slice(Math.max(0, expectInteger(sName, aArgs, 1)));
+    },
+    sort: function (aArgs, oState, sName) {
+        const aItems = expectArray(sName, aArgs, 0).slice();
+        const sKey = expectOptionalString(sName, aArgs, 1);
+        return aItems.sort(function (vLeft, vRight) {
+            const vA = sKey === undefined ? vLeft : (vLeft || {})[sKey];
+            const vB = sKey === undefined ? vRight : (vRight || {})[sKey];
+            return compareArguments(sName, [vA, vB]);
+        });
+    },
+    take: function (aArgs, oState, sName) {
+        return expectCollection(sName, aArgs, 0).slice(0, Math.max(0, expectInteger(sName, aArgs, 1)));
+    },
+    union: function (aArgs, oState, sName) {
+        if (Array.isArray(aArgs[0])) {
+            const aResult = [];
+            for (let i = 0; i < aArgs.length; i++) {
+                const aItems = expectArray(sName, aArgs, i);
+                for (let j = 0; j < aItems.length; j++) {
+                    if (!aResult.some(function (vExisting) { return valuesEqual(vExisting, aItems[j]); })) {
+                        aResult.push(aItems[j]);
+                    }
+                }
+            }
+            return aResult;
+        }
+        const oResult = {};
+        for (let i = 0; i < aArgs.length; i++) {
+            Object.assign(oResult, expectObject(sName, aArgs, i));
+        }
+        return oResult;
+    },
+
+    // Logical comparison functions (and, or and if are evaluated lazily in evaluateCall)
+    equals: function (aArgs) {
+        return valuesEqual(aArgs[0], aArgs[1]);
+    },
+    greater: function (aArgs, oState, sName) {
+        return compareArguments(sName, aArgs) > 0;
+    },
+    greaterorequals: function (aArgs, oState, sName) {
+        return compareArguments(sName, aArgs) >= 0;
+    },
+    isfloat: function (aArgs, oState, sName) {
+        return !isNaN(parseLocaleNumber(expectString(sName, aArgs, 0), expectOptionalString(sName, aArgs, 1)));
+    },
+    isint: function (aArgs, oState, sName) {
+        return new RegExp("^\\s*[+-]?\\d+\\s*$", "").test(expectString(sName, aArgs, 0));
+    },
+    less: function (aArgs, oState, sName) {
+        return compareArguments(sName, aArgs) < 0;
+    },
+    lessorequals: function (aArgs, oState, sName) {
+        return compareArguments(sName, aArgs) <= 0;
+    },
+    not: function (aArgs, oState, sName) {
+        return !expectBoolean(sName, aArgs, 0);
+    },
+
+    // Conversion functions
+    array: function (aArgs) {
+        return [aArgs[0]];
+    },
+    base64: function (aArgs) {
+        return isBinaryContent(aArgs[0]) ? aArgs[0]["$content"] : Buffer.from(toStringValue(aArgs[0]), "utf8").toString("base64");
+    },
+    base64tobinary: function (aArgs, oState, sName) {
+        return toBinaryContent(expectString(sName, aArgs, 0));
+    },
+    base64tostring: function (aArgs, oState, sName) {
+        return Buffer.from(expectString(sName, aArgs, 0), "base64").toString("utf8");
+    },
+    binary: function (aArgs) {
+        return toBinaryContent(Buffer.from(toStringValue(aArgs[0]), "utf8").toString("base64"));
+    },
+    bool: function (aArgs, oState, sName) {
+        const vValue = aArgs[0];
+        if (typeof vValue === "boolean") {
+            return vValue;
+        }
+        if (typeof vValue === "number") {
+            return vValue !== 0;
+        }
+        if (typeof vValue === "string" && ["true", "false"].indexOf(vValue.trim().toLowerCase()) !== -1) {
+            return vValue.trim().toLowerCase() === "true";
+        }
+        throw new Error("The 'bool' function cannot convert " + JSON.stringify(vValue) + " to a Boolean");
+    },
+    createarray: function (aArgs) {
+        return aArgs.slice();
+    },
+    datauri: function (aArgs) {
+        return "data:text/plain;charset=utf-8;base64," + Buffer.from(toStringValue(aArgs[0]), "utf8").toString("base64");
+    },
+    datauritobinary: function (aArgs, oState, sName) {
+        const oData = parseDataUri(expectString(sName, aArgs, 0));
+        return toBinaryContent(oData.oBuffer.toString("base64"), oData.sMediaType);
+    },
+    datauritostring: function (aArgs, oState, sName) {
+        return parseDataUri(expectString(sName, aArgs, 0)).oBuffer.toString("utf8");
+    },
+    decimal: function (aArgs, oState, sName) {
+        const nValue = parseLocaleNumber(expectString(sName, aArgs, 0), "en-US");
+        if (isNaN(nValue)) {
+            throw new Error("The 'decimal' function cannot convert '" + aArgs[0] + "' to a decimal number");
+        }
+        return nValue;
+    },
+    decodeuricomponent: function (aArgs, oState, sName) {
+        return decodeURIComponent(expectString(sName, aArgs, 0));
+    },
+    encodeuricomponent: function (aArgs) {
+        return escapeDataString(toStringValue(aArgs[0]));
+    },
+    float: function (aArgs, oState, sName) {
+        if (typeof aArgs[0] === "number") {
+            return aArgs[0];
+        }
+        const nValue = parseLocaleNumber(expectString(sName, aArgs, 0), expectOptionalString(sName, aArgs, 1));
+        if (isNaN(nValue)) {
+            throw new Error("The 'float' function cannot convert '" + aArgs[0] + "' to a floating-point number");
+        }
+        return nValue;
+    },
+    int: function (aArgs, oState, sName) {
+        if (typeof aArgs[0] === "number") {
+            return Math.trunc(aArgs[0]);
+        }
+        const sValue = expectString(sName, aArgs, 0);
+        if (!new RegExp("^\\s*[+-]?\\d+\\s*$", "").test(sValue)) {
+            throw new Error("The 'int' function cannot convert '" + sValue + "' to an integer");
+        }
+        return parseInt(sValue, 10);
+    },
+    json: function (aArgs, oState, sName) {
+        if (typeof aArgs[0] !== "string") {
+            return aArgs[0];
+        }
+        try {
+            return JSON.parse(aArgs[0]);
+        } catch (oError) {
+            throw new Error("The 'json' function cannot parse '" + aArgs[0] + "': " + oError.message);
+        }
+    },
+    string: function (aArgs) {
+        return toStringValue(aArgs[0]);
+    },
+    uricomponenttobinary: function (aArgs, oState, sName) {
+        return toBinaryContent(Buffer.from(decodeURIComponent(expectString(sName, aArgs, 0)), "utf8").toString("base64"));
+    },
+
+    // Math functions
+    add: function (aArgs, oState, sName) {
+        const aNumbers = expectNumbers(sName, aArgs);
+        return aNumbers[0] + aNumbers[1];
+    },
+    div: function (aArgs, oState, sName, bFloatArgs) {
+        const aNumbers = expectNumbers(sName, aArgs);
+        if (aNumbers[1] === 0) {
+            throw new Error("The 'div' function cannot divide by zero");
+        }
+        // Integer division when both values are integers, like the workflow engine
+        const nResult = aNumbers[0] / aNumbers[1];
+        return bFloatArgs ? nResult : Math.trunc(nResult);
+    },
+    max: function (aArgs, oState, sName) {
+        return Math.max.apply(null, expectMinMaxNumbers(sName, aArgs));
+    },
+    min: function (aArgs, oState, sName) {
+        return Math.min.apply(null, expectMinMaxNumbers(sName, aArgs));
+    },
+    mod: function (aArgs, oState, sName) {
+        const aNumbers = expectNumbers(sName, aArgs);
+        if (aNumbers[1] === 0) {
+            throw new Error("The 'mod' function cannot divide by zero");
+        }
+        return aNumbers[0] % aNumbers[1];
+    },
+    mul: function (aArgs, oState, sName) {
+        const aNumbers = expectNumbers(sName, aArgs);
+        return aNumbers[0] * aNumbers[1];
+    },
+    rand: function (aArgs, oState, sName) {
+        const iMin = expectInteger(sName, aArgs, 0);
+        const iMax = expectInteger(sName, aArgs, 1);
+        if (iMin >= iMax) {
+            throw new Error("The 'rand' function expects the minimum value " + iMin + " to be less than the maximum value " + iMax);
+        }
+        return iMin + Math.floor(Math.random() * (iMax - iMin));
+    },
+    range: function (aArgs, oState, sName) {
+        const iStart = expectInteger(sName, aArgs, 0);
+        const iCount = expectInteger(sName, aArgs, 1);
+        const aResult = [];
+        for (let i = 0; i < iCount; i++) {
+            aResult.push(iStart + i);
+        }
+        return aResult;
+    },
+    sub: function (aArgs, oState, sName) {
+        const aNumbers = expectNumbers(sName, aArgs);
+        return aNumbers[0] - aNumbers[1];
+    },
+
+    // Manipulation functions
+    addproperty: function (aArgs, oState, sName) {
+        const oObject = expectObject(sName, aArgs, 0);
+        const sProperty = expectString(sName, aArgs, 1);
+        if (Object.prototype.hasOwnProperty.call(oObject, sProperty)) {
+            throw new Error("The property '" + sProperty + "' already exists, use setProperty() instead");
+        }
+        const oResult = Object.assign({}, oObject);
+        oResult[sProperty] = aArgs[2];
+        return oResult;
+    },
+    coalesce: function (aArgs) {
+        for (let i = 0; i < aArgs.length; i++) {
+            if (aArgs[i] !== null && aArgs[i] !== undefined) {
+                return aArgs[i];
+            }
+        }
+        return null;
+    },
+    removeproperty: function (aArgs, oState, sName) {
+        const oResult = Object.assign({}, expectObject(sName, aArgs, 0));
+        delete oResult[expectString(sName, aArgs, 1)];
+        return oResult;
+    },
+    setproperty: function (aArgs, oState, sName) {
+        const oResult = Object.assign({}, expectObject(sName, aArgs, 0));
+        oResult[expectString(sName, aArgs, 1)] = aArgs[2];
+        return oResult;
+    },
+
+    // Date and time functions
+    adddays: addUnitFunction("Day"),
+    addhours: addUnitFunction("Hour"),
+    addminutes: addUnitFunction("Minute"),
+    addseconds: addUnitFunction("Second"),
+    addtotime: function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.addToTimestamp(expectTimestamp(sName, aArgs, 0), expectInteger(sName, aArgs, 1), expectString(sName, aArgs, 2));
+        return timestampResult(sName, oTimestamp, aArgs, 3);
+    },
+    convertfromutc: function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.convertFromUtcTimestamp(expectTimestamp(sName, aArgs, 0), expectString(sName, aArgs, 1));
+        return timestampResult(sName, oTimestamp, aArgs, 2);
+    },
+    converttimezone: function (aArgs, oState, sName) {
+        const oUtc = oDateTime.convertToUtcTimestamp(expectTimestamp(sName, aArgs, 0), expectString(sName, aArgs, 1));
+        return timestampResult(sName, oDateTime.convertFromUtcTimestamp(oUtc, expectString(sName, aArgs, 2)), aArgs, 3);
+    },
+    converttoutc: function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.convertToUtcTimestamp(expectTimestamp(sName, aArgs, 0), expectString(sName, aArgs, 1));
+        return timestampResult(sName, oTimestamp, aArgs, 2);
+    },
+    datedifference: function (aArgs, oState, sName) {
+        return oDateTime.formatTimestampDifference(expectTimestamp(sName, aArgs, 0), expectTimestamp(sName, aArgs, 1));
+    },
+    dayofmonth: function (aArgs, oState, sName) {
+        return new Date(expectTimestamp(sName, aArgs, 0).iMs).getUTCDate();
+    },
+    dayofweek: function (aArgs, oState, sName) {
+        return new Date(expectTimestamp(sName, aArgs, 0).iMs).getUTCDay();
+    },
+    dayofyear: function (aArgs, oState, sName) {
+        const oDate = new Date(expectTimestamp(sName, aArgs, 0).iMs);
+        return Math.floor((oDate.getTime() - oDateTime.toUtcMs(oDate.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+    },
+    formatdatetime: function (aArgs, oState, sName) {
+        return oDateTime.formatTimestamp(expectTimestamp(sName, aArgs, 0), expectOptionalString(sName, aArgs, 1), expectOptionalString(sName, aArgs, 2));
+    },
+    getfuturetime: function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.addToTimestamp(getNow(oState), expectInteger(sName, aArgs, 0), expectString(sName, aArgs, 1));
+        return timestampResult(sName, oTimestamp, aArgs, 2);
+    },
+    getpasttime: function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.addToTimestamp(getNow(oState), -expectInteger(sName, aArgs, 0), expectString(sName, aArgs, 1));
+        return timestampResult(sName, oTimestamp, aArgs, 2);
+    },
+    parsedatetime: function (aArgs, oState, sName) {
+        const sText = expectString(sName, aArgs, 0);
+        const sLocale = expectOptionalString(sName, aArgs, 1);
+        const sFormat = expectOptionalString(sName, aArgs, 2);
+        const oTimestamp = sFormat ? oDateTime.parseTimestampWithFormat(sText, sFormat, sLocale) : oDateTime.parseTimestamp(sText);
+        return oDateTime.formatTimestamp(oTimestamp);
+    },
+    startofday: startOfFunction("day"),
+    startofhour: startOfFunction("hour"),
+    startofmonth: startOfFunction("month"),
+    subtractfromtime: function (aArgs, oState, sName) {
+        const oTimestamp = oDateTime.addToTimestamp(expectTimestamp(sName, aArgs, 0), -expectInteger(sName, aArgs, 1), expectString(sName, aArgs, 2));
+        return timestampResult(sName, oTimestamp, aArgs, 3);
+    },
+    ticks: function (aArgs, oState, sName) {
+        return oDateTime.getTicks(expectTimestamp(sName, aArgs, 0));
+    },
+    utcnow: function (aArgs, oState, sName) {
+        return timestampResult(sName, getNow(oState), aArgs, 0);
+    },
+
+    // URI parsing functions
+    urihost: function (aArgs, oState, sName) {
+        return expectUri(sName, aArgs).hostname;
+    },
+    uripath: function (aArgs, oState, sName) {
+        return expectUri(sName, aArgs).pathname;
+    },
+    uripathandquery: function (aArgs, oState, sName) {
+        const oUri = expectUri(sName, aArgs);
+        return oUri.pathname + oUri.search;
+    },
+    uriport: function (aArgs, oState, sName) {
+        const oUri = expectUri(sName, aArgs);
+        const oDefaultPorts = { "http:": 80, "https:": 443, "ftp:": 21 };
+        return oUri.port ? parseInt(oUri.port, 10) : (oDefaultPorts[oUri.protocol] || null);
+    },
+    uriquery: function (aArgs, oState, sName) {
+        return expectUri(sName, aArgs).search;
+    },
+    urischeme: function (aArgs, oState, sName) {
+        return expectUri(sName, aArgs).protocol.replace(":", "");
+    },
+
+    // Workflow functions read from the evaluation context
+    actions: function (aArgs, oState, sName) {
+        const sAction = expectString(sName, aArgs, 0);
+        if (getValueType(oState.oContext.actions) === "Object") {
+            return getContextEntry(oState, "actions", sAction, "actions('" + sAction + "')");
+        }
+        return { name: sAction, outputs: getContextEntry(oState, "outputs", sAction, "actions('" + sAction + "')") };
+    },
+    body: function (aArgs, oState, sName) {
+        const sAction = expectString(sName, aArgs, 0);
+        if (getValueType(oState.oContext.body) === "Object" && Object.prototype.hasOwnProperty.call(oState.oContext.body, sAction)) {
+            return oState.oContext.body[sAction];
+        }
+        const vOutputs = getContextEntry(oState, "outputs", sAction, "body('" + sAction + "')");
+        return getValueType(vOutputs) === "Object" && Object.prototype.hasOwnProperty.call(vOutputs, "body") ? vOutputs.body : null;
+    },
+    item: function (aArgs, oState) {
+        return getContextValue(oState, "item");
+    },
+    items: function (aArgs, oState, sName) {
+        const sLoop = expectString(sName, aArgs, 0);
+        return getContextEntry(oState, "items", sLoop, "items('" + sLoop + "')");
+    },
+    iterationindexes: function (aArgs, oState, sName) {
+        const sLoop = expectString(sName, aArgs, 0);
+        return getContextEntry(oState, "iterationIndexes", sLoop, "iterationIndexes('" + sLoop + "')");
+    },
+    outputs: function (aArgs, oState, sName) {
+        const sAction = expectString(sName, aArgs, 0);
+        return getContextEntry(oState, "outputs", sAction, "outputs('" + sAction + "')");
+    },
+    parameters: function (aArgs, oState, sName) {
+        const sParameter = expectString(sName, aArgs, 0);
+        return getContextEntry(oState, "parameters", sParameter, "parameters('" + sParameter + "')");
+    },
+    result: function (aArgs, oState, sName) {
+        const sScope = expectString(sName, aArgs, 0);
+        return getContextEntry(oState, "result", sScope, "result('" + sScope + "')");
+    },
+    trigger: function (aArgs, oState) {
+        return getContextValue(oState, "trigger");
+    },
+    triggerbody: function (aArgs, oState) {
+        if (Object.prototype.hasOwnProperty.call(oState.oContext, "triggerBody")) {
+            return oState.oContext.triggerBody;
+        }
+        const vOutputs = getContextValue(oState, "triggerOutputs");
+        return getValueType(vOutputs) === "Object" && Object.prototype.hasOwnProperty.call(vOutputs, "body") ? vOutputs.body : null;
+    },
+    triggeroutputs: function (aArgs, oState) {
+        if (Object.prototype.hasOwnProperty.call(oState.oContext, "triggerOutputs")) {
+            return oState.oContext.triggerOutputs;
+        }
+        return { body: getContextValue(oState, "triggerBody") };
+    },
+    variables: function (aArgs, oState, sName) {
+        const sVariable = expectString(sName, aArgs, 0);
+        return getContextEntry(oState, "variables", sVariable, "variables('" + sVariable + "')");
+    },
+    workflow: function (aArgs, oState) {
+        return getContextValue(oState, "workflow");
+    }
+};
+
+// Functions documented under another name that behave the same
+oFunctions.decodebase64 = oFunctions.base64tostring;
+oFunctions.decodedatauri = oFunctions.datauritostring;
+oFunctions.uricomponent = oFunctions.encodeuricomponent;
+oFunctions.uricomponenttostring = oFunctions.decodeuricomponent;
+
+/**
+ * Read a property or array item, honouring the ?-operator
+ * @param {*} vTarget
+ * @param {*} vKey - property name or array index
+ * @param {boolean} bSafe - true for ?[...] and ?.name
+ * @returns {*}
+ */
+function selectProperty(vTarget, vKey, bSafe) {
+    const sType = getValueType(vTarget);
+
+    if (sType === "Null") {
+        if (bSafe) {
+            return null;
+        }
+        throw new Error("Cannot select property '" + vKey + "' of null. Use ?['" + vKey + "'] when the value can be missing");
+    }
+
+    if (sType === "Array") {
+        if (!Number.isInteger(vKey)) {
+            throw new Error("Arrays can only be indexed with an integer but got '" + vKey + "'");
+        }
+        if (vKey < 0 || vKey >= vTarget.length) {
+            if (bSafe) {
+                return null;
+            }
+            throw new Error("Array index " + vKey + " is outside the bounds (0, " + (vTarget.length - 1) + ") of the array");
+        }
+        return vTarget[vKey];
+    }
+
+    if (sType === "Object") {
+        const sKey = String(vKey);
+        if (Object.prototype.hasOwnProperty.call(vTarget, sKey)) {
+            return vTarget[sKey];
+        }
+        // Property names are matched case-insensitively by the workflow engine
+        const aKeys = Object.keys(vTarget);
+        for (let i = 0; i < aKeys.length; i++) {
+            if (aKeys[i].toLowerCase() === sKey.toLowerCase()) {
+                return vTarget[aKeys[i]];
+            }
+        }
+        if (bSafe) {
+            return null;
+        }
+        throw new Error("Property '" + sKey + "' doesn't exist, available properties are '" + aKeys.join(", ") + "'");
+    }
+
+    throw new Error("Cannot select property '" + vKey + "' of a " + sType + " value");
+}
+
+/**
+ * Evaluate a call node. if(), and() and or() only evaluate the arguments they need.
+ * @param {Object} oNode
+ * @param {Object} oState
+ * @returns {*}
+ */
+function evaluateCall(oNode, oState) {
+    const sKey = oNode.sName.toLowerCase();
+
+    if (sKey === "if") {
+        if (oNode.aArgs.length !== 3) {
+            throw new Error("The 'if' function expects 3 arguments but got " + oNode.aArgs.length);
+        }
+        const bCondition = expectBoolean("if", [evaluateNode(oNode.aArgs[0], oState)], 0);
+        const oBranch = oNode.aArgs[bCondition ? 1 : 2];
+        const vBranch = evaluateNode(oBranch, oState);
+        if (oState.oFloatNodes.has(oBranch)) {
+            oState.oFloatNodes.add(oNode);
+        }
+        return vBranch;
+    }
+    if (sKey === "and" || sKey === "or") {
+        const bStopOn = sKey === "or";
+        for (let i = 0; i < oNode.aArgs.length; i++) {
+            const aValue = [];
+            aValue[i] = evaluateNode(oNode.aArgs[i], oState);
+            if (expectBoolean(oNode.sName, aValue, i) === bStopOn) {
+                return bStopOn;
+            }
+        }
+        return !bStopOn;
+    }
+
+    const fnFunction = oFunctions[sKey];
+    if (!fnFunction) {
+        throw new Error("The function '" + oNode.sName + "'" + sUnsupportedMessage);
+    }
+
+    const aArgs = [];
+    let bFloatArgs = false;
+    for (let i = 0; i < oNode.aArgs.length; i++) {
+        aArgs.push(evaluateNode(oNode.aArgs[i], oState));
+        bFloatArgs = bFloatArgs || isFloat(oNode.aArgs[i], aArgs[i], oState);
+    }
+    const vResult = fnFunction(aArgs, oState, oNode.sName, bFloatArgs);
+    if (typeof vResult === "number" && (sKey === "float" || (bFloatArgs && aFloatArithmetic.indexOf(sKey) !== -1))) {
+        oState.oFloatNodes.add(oNode);
+    }
+    return vResult;
+}
+
+/**
+ * Check whether a node evaluated to a Float: a fractional number, or a whole one from a
+ * literal such as 2.0, float() or arithmetic on Floats
+ * @param {Object} oNode
+ * @param {*} vValue - the node's value
+ * @param {Object} oState
+ * @returns {boolean}
+ */
+function isFloat(oNode, vValue, oState) {
+    return typeof vValue === "number" && (!Number.isInteger(vValue) || oState.oFloatNodes.has(oNode));
+}
+
+/**
+ * Get the expression type name of a node's value, keeping whole Floats apart from Integers
+ * @param {Object} oNode
+ * @param {*} vValue - the node's value
+ * @param {Object} oState
+ * @returns {string}
+ */
+function getNodeType(oNode, vValue, oState) {
+    return isFloat(oNode, vValue, oState) ? "Float" : getValueType(vValue);
+}
+
+/**
+ * Evaluate an AST node
+ * @param {Object} oNode
+ * @param {Object} oState - { oContext, iNow, oFloatNodes }
+ * @returns {*}
+ */
+function evaluateNode(oNode, oState) {
+    switch (oNode.sKind) {
+        case "string":
+            return oNode.sValue;
+        case "number":
+            if (oNode.bFloat) {
+                oState.oFloatNodes.add(oNode);
+            }
+            return oNode.nValue;
+        case "boolean":
+            return oNode.bValue;
+        case "null":
+            return null;
+        case "call":
+            return evaluateCall(oNode, oState);
+        case "index":
+            return selectProperty(evaluateNode(oNode.oTarget, oState), evaluateNode(oNode.oIndex, oState), oNode.bSafe);
+        case "member":
+            return selectProperty(evaluateNode(oNode.oTarget, oState), oNode.sName, oNode.bSafe);
+    }
+    throw new Error("The expression contains a syntax error");
+}
+
+/**
+ * Throw the first syntax error reported by the parser
+ * @param {Array<Object>} aErrors
+ */
+function throwSyntaxErrors(aErrors) {
+    for (let i = 0; i < aErrors.length; i++) {
+        if (aErrors[i].sSeverity === "error") {
+            throw new Error("Syntax error: " + aErrors[i].sMessage);
+        }
+    }
+}
+
+/**
+ * Build the evaluation state shared by every node of one evaluation. oFloatNodes holds
+ * the nodes whose value is a Float, as a whole number does not tell 2.0 from 2.
+ * @param {Object} [oContext]
+ * @returns {Object}
+ */
+function createState(oContext) {
+    return { oContext: oContext || {}, iNow: Date.now(), oFloatNodes: new Set() };
+}
+
+/**
+ * Evaluate a bare expression such as "add(1, 2)"
+ * @param {string} sExpression
+ * @param {Object} [oContext] - evaluation context
+ * @returns {{ vValue: *, sType: string }}
+ */
+function evaluateExpression(sExpression, oContext) {
+    const oParsed = parseExpression(sExpression);
+    throwSyntaxErrors(oParsed.aErrors);
+    if (!oParsed.oAst) {
+        throw new Error("Syntax error: the expression is empty");
+    }
+    const oState = createState(oContext);
+    const vValue = evaluateNode(oParsed.oAst, oState);
+    return { vValue: vValue, sType: getNodeType(oParsed.oAst, vValue, oState) };
+}
+
+/**
+ * Evaluate a workflow string value: "@expr" keeps the expression's type,
+ * text with @{...} interpolations becomes a string and "@@" escapes a literal @
+ * @param {string} sValue
+ * @param {Object} [oContext] - evaluation context
+ * @returns {{ vValue: *, sType: string }}
+ */
+function evaluateStringValue(sValue, oContext) {
+    if (sValue.indexOf("@@") === 0) {
+        return { vValue: sValue.substring(1), sType: "String" };
+    }
+
+    const oParsed = parseStringValue(sValue);
+    throwSyntaxErrors(oParsed.aErrors);
+    const oState = createState(oContext);
+    const aSegments = oParsed.aSegments;
+
+    if (aSegments.length === 1 && aSegments[0].sKind === "expression" && !aSegments[0].bInterpolated) {
+        const vValue = evaluateNode(aSegments[0].oAst, oState);
+        return { vValue: vValue, sType: getNodeType(aSegments[0].oAst, vValue, oState) };
+    }
+
+    let sResult = "";
+    for (let i = 0; i < aSegments.length; i++) {
+        const oSegment = aSegments[i];
+        if (oSegment.sKind === "literal") {
+            sResult = sResult + sValue.substring(oSegment.iStart, oSegment.iEnd);
+        } else {
+            sResult = sResult + toStringValue(evaluateNode(oSegment.oAst, oState));
+        }
+    }
+    return { vValue: sResult, sType: "String" };
+}
+
+module.exports = {
+    getValueType: getValueType,
+    toStringValue: toStringValue,
+    evaluateExpression: evaluateExpression,
+    evaluateStringValue: evaluateStringValue
+};
@@ -0,0 +1,311 @@
+const { parseExpression, parseStringValue, collectDocumentExpressions } = require("./expressionParser");
+
+/**
+ * Pretty-printing and minifying of expressions. Literal text, '' escapes and
+ * @{...} interpolation boundaries are kept exactly; only the whitespace inside
+ * expressions changes.
+ */
+
+const oDefaultOptions = { sIndent: "    ", iMaxWidth: 60 };
+
+/**
+ * Throw if the parser reported a syntax error - formatting would lose text
+ * @param {Array<Object>} aErrors
+ */
+function assertNoSyntaxErrors(aErrors) {
+    for (let i = 0; i < aErrors.length; i++) {
+        if (aErrors[i].sSeverity === "error") {
+            throw new Error("Cannot format an expression with syntax errors: " + aErrors[i].sMessage);
+        }
+    }
+}
+
+/**
+ * Render a node on a single line
+ * @param {Object} oNode - AST node
+ * @param {string} sSource - text the node offsets refer to
+ * @param {string} sSeparator - between call arguments, ", " or ","
+ * @returns {string}
+ */
+function renderInline(oNode, sSource, sSeparator) {
+    if (oNode.sKind === "call") {
+        if (oNode.bNoParens) {
+            return oNode.sName;
+        }
+        const aArgs = oNode.aArgs.map(function (oArg) {
+            return renderInline(oArg, sSource, sSeparator);
+        });
+        return oNode.sName + "(" + aArgs.join(sSeparator) + ")";
+    }
+    if (oNode.sKind === "index") {
+        return renderInline(oNode.oTarget, sSource, sSeparator) + (oNode.bSafe ? "?" : "") + "[" + renderInline(oNode.oIndex, sSource, sSeparator) + "]";
+    }
+    if (oNode.sKind === "member") {
+        return renderInline(oNode.oTarget, sSource, sSeparator) + (oNode.bSafe ? "?" : "") + "." + oNode.sName;
+    }
+    // Literals are copied from the source so '' escapes and number formats are untouched
+    return sSource.substring(oNode.iStart, oNode.iEnd);
+}
+
+/**
+ * Render a node across several lines, keeping calls inline while they fit
+ * @param {Object} oNode
+ * @param {string} sSource
+ * @param {number} iDepth - indentation level of the line the node starts on
+ * @param {Object} oOptions - { sIndent, iMaxWidth }
+ * @returns {string}
+ */
+function renderPretty(oNode, sSource, iDepth, oOptions) {
+    const sInline = renderInline(oNode, sSource, ", ");
+    if (oOptions.sIndent.length * iDepth + sInline.length <= oOptions.iMaxWidth) {
+        return sInline;
+    }
+
+    if (oNode.sKind === "call" && oNode.aArgs.length > 0) {
+        const sInnerIndent = oOptions.sIndent.repeat(iDepth + 1);
+        const aArgs = oNode.aArgs.map(function (oArg) {
+            return sInnerIndent + renderPretty(oArg, sSource, iDepth + 1, oOptions);
+        });
+        return oNode.sName + "(\n" + aArgs.join(",\n") + "\n" + oOptions.sIndent.repeat(iDepth) + ")";
+    }
+    if (oNode.sKind === "index") {
+        return renderPretty(oNode.oTarget, sSource, iDepth, oOptions) + (oNode.bSafe ? "?" : "") + "[" + renderInline(oNode.oIndex, sSource, ", ") + "]";
+    }
+    if (oNode.sKind === "member") {
+        return renderPretty(oNode.oTarget, sSource, iDepth, oOptions) + (oNode.bSafe ? "?" : "") + "." + oNode.sName;
+    }
+    return sInline;
+}
+
+/**
+ * Re-render every expression segment of a string value, keeping literal text as-is
+ * @param {string} sValue
+ * @param {Function} fnRender - (oAst) => string
+ * @returns {string}
+ */
+function rewriteStringValue(sValue, fnRender) {
+    // "@@..." is an escaped literal
+    if (sValue.indexOf("@@") === 0) {
+        return sValue;
+    }
+
+    const oParsed = parseStringValue(sValue);
+    assertNoSyntaxErrors(oParsed.aErrors);
+
+    let sResult = "";
+    for (let i = 0; i < oParsed.aSegments.length; i++) {
+        const oSegment = oParsed.aSegments[i];
+        if (oSegment.sKind === "literal" || !oSegment.oAst) {
+            sResult = sResult + sValue.substring(oSegment.iStart, oSegment.iEnd);
+        } else if (oSegment.bInterpolated) {
+            sResult = sResult + "@{" + fnRender(oSegment.oAst) + "}";
+        } else {
+            sResult = sResult + "@" + fnRender(oSegment.oAst);
+        }
+    }
+    return sResult;
+}
+
+/**
+ * Merge caller options with the defaults
+ * @param {Object} [oOptions]
+ * @returns {Object}
+ */
+function resolveOptions(oOptions) {
+    return Object.assign({}, oDefaultOptions, oOptions || {});
+}
+
+/**
+ * Pretty-print a workflow string value ("@concat(...)" or text with @{...})
+ * @param {string} sValue
+ * @param {Object} [oOptions] - { sIndent, iMaxWidth }
+ * @returns {string}
+ */
+function prettyPrintValue(sValue, oOptions) {
+    const oResolved = resolveOptions(oOptions);
+    return rewriteStringValue(sValue, function (oAst) {
+        return renderPretty(oAst, sValue, 0, oResolved);
+    });
+}
+
+/**
+ * Pretty-print a bare expression such as "concat('a', 'b')"
+ * @param {string} sExpression
+ * @param {Object} [oOptions] - { sIndent, iMaxWidth }
+ * @returns {string}
+ */
+function prettyPrintExpression(sExpression, oOptions) {
+    const oParsed = parseExpression(sExpression);
+    assertNoSyntaxErrors(oParsed.aErrors);
+    if (!oParsed.oAst) {
+        return sExpression;
+    }
+    return renderPretty(oParsed.oAst, sExpression, 0, resolveOptions(oOptions));
+}
+
+/**
+ * Collapse a (possibly multi-line) workflow string value onto one line
+ * @param {string} sValue
+ * @returns {string}
+ */
+function minifyValue(sValue) {
+    return rewriteStringValue(sValue, function (oAst) {
+        return renderInline(oAst, sValue, ",");
+    });
+}
+
+/**
+ * Collapse a bare expression onto one line
+ * @param {string} sExpression
+ * @returns {string}
+ */
+function minifyExpression(sExpression) {
+    const oParsed = parseExpression(sExpression);
+    assertNoSyntaxErrors(oParsed.aErrors);
+    if (!oParsed.oAst) {
+        return sExpression;
+    }
+    return renderInline(oParsed.oAst, sExpression, ",");
+}
+
+/**
+ * Check whether a node is a concat() call
+ * @param {Object} oNode
+ * @returns {boolean}
+ */
+function isConcatCall(oNode) {
+    return !!oNode && oNode.sKind === "call" && !oNode.bNoParens && oNode.sName.toLowerCase() === "concat";
+}
+
+/**
+ * Quote text as an expression string literal, doubling single quotes
+ * @param {string} sText
+ * @returns {string}
+ */
+function quoteLiteral(sText) {
+    return "'" + sText.replace(new RegExp("'", "g"), "''") + "'";
+}
+
+/**
+ * Turn "@concat('Hello ', triggerBody()?['name'], '!')" into "Hello @{triggerBody()?['name']}!".
+ * Nested concat() calls are flattened and neighbouring literals merged. Literal text
+ * the runtime would read as an expression (containing "@{", a leading "@" in front of
+ * an interpolation, or an "@" right before one) stays inside @{'...'}, and an
+ * all-literal result starting with "@" gets the "@@" escape.
+ * @param {string} sValue - decoded string value
+ * @returns {string|null} null when the value is not a single concat() expression
+ */
+function concatToInterpolation(sValue) {
+    const oParsed = parseStringValue(sValue);
+    const oSegment = oParsed.aSegments[0];
+    const bError = oParsed.aErrors.some(function (oError) {
+        return oError.sSeverity === "error";
+    });
+    if (bError || oParsed.aSegments.length !== 1 || oSegment.sKind !== "expression" || oSegment.bInterpolated || !isConcatCall(oSegment.oAst)) {
+        return null;
+    }
+
+    // Parts: { sLiteral } for merged string arguments, { oNode } for everything else
+    const aParts = [];
+    (function addArgs(oCall) {
+        oCall.aArgs.forEach(function (oArg) {
+            const oLast = aParts[aParts.length - 1];
+            if (isConcatCall(oArg)) {
+                addArgs(oArg);
+            } else if (oArg.sKind !== "string") {
+                aParts.push({ oNode: oArg });
+            } else if (oLast && oLast.sLiteral !== undefined) {
+                oLast.sLiteral = oLast.sLiteral + oArg.sValue;
+            } else {
+                aParts.push({ sLiteral: oArg.sValue });
+            }
+        });
+    })(oSegment.oAst);
+
+    const bInterpolates = aParts.some(function (oPart) {
+        return oPart.oNode || oPart.sLiteral.indexOf("@{") !== -1;
+    });
+    let sResult = "";
+    aParts.forEach(function (oPart, i) {
+        if (oPart.oNode) {
+            sResult = sResult + "@{" + renderInline(oPart.oNode, sValue, ", ") + "}";
+            return;
+        }
+        const bWrap = oPart.sLiteral.indexOf("@{") !== -1
+            || (i === 0 && bInterpolates && oPart.sLiteral[0] === "@")
+            || (i < aParts.length - 1 && oPart.sLiteral[oPart.sLiteral.length - 1] === "@");
+        sResult = sResult + (bWrap ? "@{" + quoteLiteral(oPart.sLiteral) + "}" : oPart.sLiteral);
+    });
+    return !bInterpolates && sResult[0] === "@" ? "@" + sResult : sResult;
+}
+
+/**
+ * Turn "Hello @{triggerBody()?['name']}!" into "@concat('Hello ', triggerBody()?['name'], '!')".
+ * Literal text is quoted with '' escapes; interpolated expressions of any type are
+ * passed as they are, since concat() converts them to strings the same way.
+ * @param {string} sValue - decoded string value
+ * @returns {string|null} null when the value has no @{...} to convert
+ */
+function interpolationToConcat(sValue) {
+    if (sValue.indexOf("@@") === 0) {
+        return null;
+    }
+    const oParsed = parseStringValue(sValue);
+    const bError = oParsed.aErrors.some(function (oError) {
+        return oError.sSeverity === "error";
+    });
+    const bInterpolated = oParsed.aSegments.some(function (oSegment) {
+        return oSegment.bInterpolated;
+    });
+    if (bError || !bInterpolated) {
+        return null;
+    }
+    const aArgs = oParsed.aSegments.map(function (oSegment) {
+        if (oSegment.sKind === "literal") {
+            return quoteLiteral(sValue.substring(oSegment.iStart, oSegment.iEnd));
+        }
+        return renderInline(oSegment.oAst, sValue, ", ");
+    });
+    return "@concat(" + aArgs.join(", ") + ")";
+}
+
+/**
+ * Pretty-print the plain text expression blocks that overlap a range.
+ * Blocks with syntax errors and blocks that are already formatted are skipped.
+ * @param {string} sText - full document text
+ * @param {number} iStart - range start offset
+ * @param {number} iEnd - range end offset
+ * @param {Object} [oOptions] - { sIndent, iMaxWidth }
+ * @param {string} [sLanguageId] - "plaintext" (default) or "paexpr"
+ * @returns {Array<{ iStart: number, iEnd: number, sNewText: string }>}
+ */
+function formatPlainTextBlocks(sText, iStart, iEnd, oOptions, sLanguageId) {
+    const aEdits = [];
+    const aEntries = collectDocumentExpressions(sText, sLanguageId || "plaintext");
+    for (let i = 0; i < aEntries.length; i++) {
+        const oEntry = aEntries[i];
+        if (oEntry.iEnd < iStart || oEntry.iStart > iEnd) {
+            continue;
+        }
+        let sNewText;
+        try {
+            sNewText = prettyPrintValue(oEntry.sValue, oOptions);
+        } catch (oError) {
+            continue;
+        }
+        if (sNewText !== oEntry.sValue) {
+            aEdits.push({ iStart: oEntry.iStart, iEnd: oEntry.iEnd, sNewText: sNewText });
+        }
+    }
+    return aEdits;
+}
+
+module.exports = {
+    formatPlainTextBlocks: formatPlainTextBlocks,
+    prettyPrintValue: prettyPrintValue,
+    prettyPrintExpression: prettyPrintExpression,
+    minifyValue: minifyValue,
+    minifyExpression: minifyExpression,
+    concatToInterpolation: concatToInterpolation,
+    interpolationToConcat: interpolationToConcat
+};
@@ -0,0 +1,98 @@
+const { tokenizeExpression, collectDocumentExpressions, toDocumentOffset } = require("./expressionParser");
+
+/**
+ * Classify the parts of embedded expressions for semantic highlighting. Function names
+ * are looked up in the reference, so misspelled or unsupported functions stand out.
+ */
+
+/**
+ * Semantic token types, in legend order. unknownFunction is contributed in package.json.
+ */
+const aTokenTypes = ["function", "unknownFunction", "string", "number", "keyword", "property", "operator"];
+
+/**
+ * Semantic token modifiers, in legend order
+ */
+const aTokenModifiers = ["defaultLibrary", "deprecated"];
+
+/**
+ * Classify one expression token from the tokens around it
+ * @param {Array<Object>} aTokens - from tokenizeExpression
+ * @param {number} i - index of the token
+ * @param {Object} oFuncMap - lower-cased name -> function definition
+ * @returns {{ sType: string, aModifiers: Array<string> }|null} null for punctuation
+ */
+function classifyToken(aTokens, i, oFuncMap) {
+    const oToken = aTokens[i];
+    const oPrev = aTokens[i - 1];
+    const oNext = aTokens[i + 1];
+
+    if (oToken.sType === "identifier") {
+        if (oNext && oNext.sType === "lparen") {
+            const oFunc = oFuncMap[oToken.sValue.toLowerCase()];
+            if (!oFunc) {
+                return { sType: "unknownFunction", aModifiers: [] };
+            }
+            return { sType: "function", aModifiers: oFunc.bDeprecated ? ["defaultLibrary", "deprecated"] : ["defaultLibrary"] };
+        }
+        if (oPrev && oPrev.sType === "dot") {
+            return { sType: "property", aModifiers: [] };
+        }
+        const sLower = oToken.sValue.toLowerCase();
+        return sLower === "true" || sLower === "false" || sLower === "null" ? { sType: "keyword", aModifiers: [] } : null;
+    }
+    if (oToken.sType === "string") {
+        return { sType: oPrev && oPrev.sType === "lbracket" ? "property" : "string", aModifiers: [] };
+    }
+    if (oToken.sType === "number") {
+        return { sType: "number", aModifiers: [] };
+    }
+    if (oToken.sType === "question" || oToken.sType === "dot") {
+        return { sType: "operator", aModifiers: [] };
+    }
+    return null;
+}
+
+/**
+ * Collect the highlight tokens of every expression in a document: the "@", "@{" and "}"
+ * delimiters, function names, literals, property names and "?" / "." navigation.
+ * Tokens: { iStart, iEnd, sType, aModifiers } in document offsets, sorted by iStart.
+ * @param {string} sText - full document text
+ * @param {string} sLanguageId
+ * @param {Object} oFuncMap - lower-cased name -> function definition
+ * @returns {Array<Object>}
+ */
+function collectHighlightTokens(sText, sLanguageId, oFuncMap) {
+    const aResult = [];
+    collectDocumentExpressions(sText, sLanguageId).forEach(function (oEntry) {
+        function addToken(iStart, iEnd, sType, aModifiers) {
+            aResult.push({ iStart: toDocumentOffset(oEntry, iStart), iEnd: toDocumentOffset(oEntry, iEnd), sType: sType, aModifiers: aModifiers });
+        }
+
+        oEntry.aSegments.forEach(function (oSegment) {
+            if (oSegment.sKind !== "expression") {
+                return;
+            }
+            addToken(oSegment.iStart, oSegment.iExprStart, "keyword", []);
+            const aTokens = tokenizeExpression(oEntry.sValue, oSegment.iExprStart, oSegment.iExprEnd);
+            aTokens.forEach(function (oToken, i) {
+                const oClass = classifyToken(aTokens, i, oFuncMap);
+                if (oClass) {
+                    addToken(oToken.iStart, oToken.iEnd, oClass.sType, oClass.aModifiers);
+                }
+            });
+            if (oSegment.bInterpolated && oSegment.iEnd > oSegment.iExprEnd) {
+                addToken(oSegment.iExprEnd, oSegment.iEnd, "keyword", []);
+            }
+        });
+    });
+    return aResult.sort(function (oLeft, oRight) {
+        return oLeft.iStart - oRight.iStart;
+    });
+}
+
+module.exports = {
+    aTokenTypes: aTokenTypes,
+    aTokenModifiers: aTokenModifiers,
+    collectHighlightTokens: collectHighlightTokens
+};
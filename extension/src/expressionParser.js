@@ -0,0 +1,948 @@
+const { tokenizeJson } = require("./jsonDocument");
+
+/**
+ * Tokenizer and parser for Workflow Definition Language expressions.
+ * Offsets in tokens, AST nodes and errors are indexes into the text that was
+ * passed in (for JSON documents that is the decoded string value).
+ *
+ * AST node kinds:
+ *   call    { sName, iNameStart, iNameEnd, aArgs }         concat('a', 'b')
+ *   string  { sValue }                                     'it''s'
+ *   number  { nValue }                                     42, -1.5
+ *   boolean { bValue } / null                              true, null
+ *   index   { oTarget, oIndex, bSafe }                     x?['name'], x[0]
+ *   member  { oTarget, sName, bSafe, iNameStart, iNameEnd } x.name
+ *   error   {}                                             placeholder after a syntax error
+ * Every node has iStart and iEnd.
+ */
+
+/**
+ * Check if a character can start an identifier
+ * @param {string} sChar
+ * @returns {boolean}
+ */
+function isIdentifierStart(sChar) {
+    return !!sChar && ((sChar >= "a" && sChar <= "z") || (sChar >= "A" && sChar <= "Z") || sChar === "_");
+}
+
+/**
+ * Check if a character can continue an identifier
+ * @param {string} sChar
+ * @returns {boolean}
+ */
+function isIdentifierPart(sChar) {
+    return isIdentifierStart(sChar) || (sChar >= "0" && sChar <= "9");
+}
+
+/**
+ * Check if a character is a digit
+ * @param {string} sChar
+ * @returns {boolean}
+ */
+function isDigit(sChar) {
+    return !!sChar && sChar >= "0" && sChar <= "9";
+}
+
+/**
+ * Read the next token at or after iPos. Whitespace (including line breaks) is skipped.
+ * Token types: identifier, string, number, at, atBrace, lparen, rparen,
+ * lbracket, rbracket, lbrace, rbrace, comma, dot, question, unknown
+ * @param {string} sText
+ * @param {number} iPos
+ * @param {number} [iEnd] - stop offset (defaults to the end of the text)
+ * @returns {Object|null} token { sType, sValue, iStart, iEnd } or null at the end
+ */
+function readToken(sText, iPos, iEnd) {
+    const iLimit = iEnd === undefined ? sText.length : iEnd;
+    let i = iPos;
+    while (i < iLimit && (sText[i] === " " || sText[i] === "\t" || sText[i] === "\n" || sText[i] === "\r")) {
+        i++;
+    }
+    if (i >= iLimit) {
+        return null;
+    }
+
+    const sChar = sText[i];
+
+    if (sChar === "'") {
+        let j = i + 1;
+        let sValue = "";
+        let bUnterminated = true;
+        while (j < iLimit) {
+            if (sText[j] === "'" && sText[j + 1] === "'" && j + 1 < iLimit) {
+                sValue = sValue + "'";
+                j += 2;
+            } else if (sText[j] === "'") {
+                bUnterminated = false;
+                j++;
+                break;
+            } else {
+                sValue = sValue + sText[j];
+                j++;
+            }
+        }
+        return { sType: "string", sValue: sValue, iStart: i, iEnd: j, bUnterminated: bUnterminated };
+    }
+
+    if (isDigit(sChar) || (sChar === "-" && isDigit(sText[i + 1]))) {
+        let j = i + 1;
+        while (j < iLimit && (isDigit(sText[j]) || (sText[j] === "." && isDigit(sText[j + 1])))) {
+            j++;
+        }
+        return { sType: "number", sValue: sText.substring(i, j), iStart: i, iEnd: j };
+    }
+
+    if (isIdentifierStart(sChar)) {
+        let j = i + 1;
+        while (j < iLimit && isIdentifierPart(sText[j])) {
+            j++;
+        }
+        return { sType: "identifier", sValue: sText.substring(i, j), iStart: i, iEnd: j };
+    }
+
+    if (sChar === "@" && sText[i + 1] === "{" && i + 1 < iLimit) {
+        return { sType: "atBrace", sValue: "@{", iStart: i, iEnd: i + 2 };
+    }
+
+    const oPunctuation = {
+        "@": "at",
+        "(": "lparen",
+        ")": "rparen",
+        "[": "lbracket",
+        "]": "rbracket",
+        "{": "lbrace",
+        "}": "rbrace",
+        ",": "comma",
+        ".": "dot",
+        "?": "question"
+    };
+    return { sType: oPunctuation[sChar] || "unknown", sValue: sChar, iStart: i, iEnd: i + 1 };
+}
+
+/**
+ * Split expression text into tokens
+ * @param {string} sText
+ * @param {number} [iStart]
+ * @param {number} [iEnd]
+ * @returns {Array<Object>}
+ */
+function tokenizeExpression(sText, iStart, iEnd) {
+    const aTokens = [];
+    let oToken = readToken(sText, iStart || 0, iEnd);
+    while (oToken) {
+        aTokens.push(oToken);
+        oToken = readToken(sText, oToken.iEnd, iEnd);
+    }
+    return aTokens;
+}
+
+/**
+ * Parse the body of an expression (the text after "@" or inside "@{...}").
+ * Never throws: syntax problems are reported in aErrors and the AST contains
+ * error nodes where recovery was needed.
+ * @param {string} sText
+ * @param {number} [iStart]
+ * @param {number} [iEnd]
+ * @returns {{ oAst: Object|null, aErrors: Array<Object> }}
+ */
+function parseExpression(sText, iStart, iEnd) {
+    const iFrom = iStart || 0;
+    const iTo = iEnd === undefined ? sText.length : iEnd;
+    const aTokens = tokenizeExpression(sText, iFrom, iTo);
+    const aErrors = [];
+    let iIndex = 0;
+
+    function peek(iAhead) {
+        return aTokens[iIndex + (iAhead || 0)] || null;
+    }
+
+    function isType(oToken, sType) {
+        return !!oToken && oToken.sType === sType;
+    }
+
+    function addError(sCode, sMessage, iErrStart, iErrEnd) {
+        // Recovery can revisit the same token; report each location once
+        for (let i = 0; i < aErrors.length; i++) {
+            if (aErrors[i].iStart === iErrStart) {
+                return;
+            }
+        }
+        aErrors.push({ sCode: sCode, sMessage: sMessage, iStart: iErrStart, iEnd: iErrEnd, sSeverity: "error" });
+    }
+
+    function parsePrimary() {
+        let oToken = peek();
+
+        // A nested "@" is never valid inside an expression; report it and carry on
+        while (isType(oToken, "at") || isType(oToken, "atBrace")) {
+            addError("strayAt", "Nested function calls must not start with '@'", oToken.iStart, oToken.iEnd);
+            iIndex++;
+            oToken = peek();
+        }
+
+        if (!oToken) {
+            const iAt = aTokens.length > 0 ? aTokens[aTokens.length - 1].iEnd : iFrom;
+            addError("missingExpression", "Expected an expression", iAt, iAt);
+            return { sKind: "error", iStart: iAt, iEnd: iAt };
+        }
+
+        if (oToken.sType === "string") {
+            iIndex++;
+            if (oToken.bUnterminated) {
+                addError("unterminatedString", "Unterminated string literal", oToken.iStart, oToken.iEnd);
+            }
+            return { sKind: "string", sValue: oToken.sValue, iStart: oToken.iStart, iEnd: oToken.iEnd };
+        }
+
+        if (oToken.sType === "number") {
+            iIndex++;
+            return { sKind: "number", nValue: Number(oToken.sValue), bFloat: oToken.sValue.indexOf(".") !== -1, iStart: oToken.iStart, iEnd: oToken.iEnd };
+        }
+
+        if (oToken.sType === "identifier") {
+            iIndex++;
+            if (isType(peek(), "lparen")) {
+                return parseCall(oToken);
+            }
+            if (oToken.sValue === "true" || oToken.sValue === "false") {
+                return { sKind: "boolean", bValue: oToken.sValue === "true", iStart: oToken.iStart, iEnd: oToken.iEnd };
+            }
+            if (oToken.sValue === "null") {
+                return { sKind: "null", iStart: oToken.iStart, iEnd: oToken.iEnd };
+            }
+            addError("expectedParen", "Expected '(' after '" + oToken.sValue + "'", oToken.iStart, oToken.iEnd);
+            return {
+                sKind: "call",
+                sName: oToken.sValue,
+                iNameStart: oToken.iStart,
+                iNameEnd: oToken.iEnd,
+                aArgs: [],
+                bNoParens: true,
+                iStart: oToken.iStart,
+                iEnd: oToken.iEnd
+            };
+        }
+
+        if (oToken.sType === "rparen") {
+            addError("unbalancedParen", "Unexpected ')'", oToken.iStart, oToken.iEnd);
+        } else {
+            addError("unexpectedToken", "Unexpected '" + oToken.sValue + "'", oToken.iStart, oToken.iEnd);
+        }
+        // Leave separators in place so the enclosing call can recover
+        if (["rparen", "comma", "rbracket"].indexOf(oToken.sType) === -1) {
+            iIndex++;
+        }
+        return { sKind: "error", iStart: oToken.iStart, iEnd: oToken.iEnd };
+    }
+
+    function parseCall(oNameToken) {
+        const oOpen = peek();
+        iIndex++;
+        const oNode = {
+            sKind: "call",
+            sName: oNameToken.sValue,
+            iNameStart: oNameToken.iStart,
+            iNameEnd: oNameToken.iEnd,
+            aArgs: [],
+            iStart: oNameToken.iStart,
+            iEnd: oOpen.iEnd
+        };
+
+        if (isType(peek(), "rparen")) {
+            oNode.iEnd = peek().iEnd;
+            iIndex++;
+            return oNode;
+        }
+        if (!peek()) {
+            addError("unbalancedParen", "Missing ')' to close '" + oNode.sName + "('", oOpen.iStart, oOpen.iEnd);
+            return oNode;
+        }
+
+        while (true) {
+            const iBefore = iIndex;
+            oNode.aArgs.push(parsePostfix());
+            const oNext = peek();
+
+            if (isType(oNext, "rparen")) {
+                oNode.iEnd = oNext.iEnd;
+                iIndex++;
+                return oNode;
+            }
+            if (isType(oNext, "comma")) {
+                iIndex++;
+                if (isType(peek(), "rparen")) {
+                    addError("danglingComma", "Trailing ',' in call to '" + oNode.sName + "'", oNext.iStart, oNext.iEnd);
+                    oNode.iEnd = peek().iEnd;
+                    iIndex++;
+                    return oNode;
+                }
+                continue;
+            }
+            if (!oNext) {
+                addError("unbalancedParen", "Missing ')' to close '" + oNode.sName + "('", oOpen.iStart, oOpen.iEnd);
+                oNode.iEnd = aTokens[aTokens.length - 1].iEnd;
+                return oNode;
+            }
+
+            addError("unexpectedToken", "Expected ',' or ')' but found '" + oNext.sValue + "'", oNext.iStart, oNext.iEnd);
+            if (iIndex === iBefore || isType(oNext, "rbracket")) {
+                iIndex++;
+            }
+        }
+    }
+
+    function parsePostfix() {
+        let oNode = parsePrimary();
+
+        while (true) {
+            const oToken = peek();
+            let bSafe = false;
+            let iOperator = iIndex;
+
+            if (isType(oToken, "question")) {
+                const oAfter = peek(1);
+                if (!isType(oAfter, "lbracket") && !isType(oAfter, "dot")) {
+                    addError("unexpectedToken", "Expected '[' or '.' after '?'", oToken.iStart, oToken.iEnd);
+                    iIndex++;
+                    return oNode;
+                }
+                bSafe = true;
+                iOperator = iIndex + 1;
+            }
+
+            const oOperator = aTokens[iOperator];
+            if (isType(oOperator, "lbracket")) {
+                iIndex = iOperator + 1;
+                const oIndexNode = parsePostfix();
+                const oClose = peek();
+                const oIndexed = {
+                    sKind: "index",
+                    oTarget: oNode,
+                    oIndex: oIndexNode,
+                    bSafe: bSafe,
+                    iStart: oNode.iStart,
+                    iEnd: oIndexNode.iEnd
+                };
+                if (isType(oClose, "rbracket")) {
+                    oIndexed.iEnd = oClose.iEnd;
+                    iIndex++;
+                } else {
+                    addError("unbalancedBracket", "Missing ']' to close '['", oOperator.iStart, oOperator.iEnd);
+                }
+                oNode = oIndexed;
+            } else if (isType(oOperator, "dot")) {
+                iIndex = iOperator + 1;
+                const oName = peek();
+                if (!isType(oName, "identifier")) {
+                    addError("unexpectedToken", "Expected a property name after '.'", oOperator.iStart, oOperator.iEnd);
+                    return oNode;
+                }
+                iIndex++;
+                oNode = {
+                    sKind: "member",
+                    oTarget: oNode,
+                    sName: oName.sValue,
+                    bSafe: bSafe,
+                    iNameStart: oName.iStart,
+                    iNameEnd: oName.iEnd,
+                    iStart: oNode.iStart,
+                    iEnd: oName.iEnd
+                };
+            } else {
+                return oNode;
+            }
+        }
+    }
+
+    if (aTokens.length === 0) {
+        addError("emptyExpression", "Empty expression", iFrom, iTo);
+        return { oAst: null, aErrors: aErrors };
+    }
+
+    const oAst = parsePostfix();
+    const oExtra = peek();
+    if (oExtra) {
+        if (oExtra.sType === "rparen") {
+            addError("unbalancedParen", "Unexpected ')'", oExtra.iStart, oExtra.iEnd);
+        } else if (oExtra.sType === "rbracket") {
+            addError("unbalancedBracket", "Unexpected ']'", oExtra.iStart, oExtra.iEnd);
+        } else {
+            addError("unexpectedToken", "Unexpected '" + oExtra.sValue + "' after the end of the expression", oExtra.iStart, oExtra.iEnd);
+        }
+    }
+
+    return { oAst: oAst, aErrors: aErrors };
+}
+
+/**
+ * Find the "}" that closes an @{ interpolation, skipping single-quoted literals
+ * @param {string} sValue
+ * @param {number} iFrom - offset just after "@{"
+ * @returns {number} offset of the closing brace or -1
+ */
+function findInterpolationEnd(sValue, iFrom) {
+    let i = iFrom;
+    while (i < sValue.length) {
+        if (sValue[i] === "'") {
+            i++;
+            while (i < sValue.length) {
+                if (sValue[i] === "'" && sValue[i + 1] === "'") {
+                    i += 2;
+                } else if (sValue[i] === "'") {
+                    break;
+                } else {
+                    i++;
+                }
+            }
+        } else if (sValue[i] === "}") {
+            return i;
+        }
+        i++;
+    }
+    return -1;
+}
+
+/**
+ * Split a string value into literal text and expression segments.
+ * "@expr" makes the whole value an expression, "@{expr}" interpolates into
+ * text and a leading "@@" escapes a literal "@".
+ * Segments: { sKind: "literal"|"expression", iStart, iEnd } where expression
+ * segments also carry iExprStart, iExprEnd, bInterpolated and oAst.
+ * @param {string} sValue - decoded string value
+ * @returns {{ aSegments: Array<Object>, aErrors: Array<Object> }}
+ */
+function parseStringValue(sValue) {
+    const aSegments = [];
+    let aErrors = [];
+
+    if (sValue.indexOf("@@") === 0) {
+        aSegments.push({ sKind: "literal", iStart: 0, iEnd: sValue.length });
+        return { aSegments: aSegments, aErrors: aErrors };
+    }
+
+    if (sValue[0] === "@" && sValue[1] !== "{") {
+        const oParsed = parseExpression(sValue, 1, sValue.length);
+        aSegments.push({
+            sKind: "expression",
+            iStart: 0,
+            iEnd: sValue.length,
+            iExprStart: 1,
+            iExprEnd: sValue.length,
+            bInterpolated: false,
+            oAst: oParsed.oAst
+        });
+        return { aSegments: aSegments, aErrors: oParsed.aErrors };
+    }
+
+    let iPos = 0;
+    while (iPos < sValue.length) {
+        const iOpen = sValue.indexOf("@{", iPos);
+        const iLiteralEnd = iOpen === -1 ? sValue.length : iOpen;
+        if (iLiteralEnd > iPos) {
+            aSegments.push({ sKind: "literal", iStart: iPos, iEnd: iLiteralEnd });
+            aErrors = aErrors.concat(findStrayAtInText(sValue, iPos, iLiteralEnd));
+        }
+        if (iOpen === -1) {
+            break;
+        }
+
+        const iClose = findInterpolationEnd(sValue, iOpen + 2);
+        const iExprEnd = iClose === -1 ? sValue.length : iClose;
+        const oParsed = parseExpression(sValue, iOpen + 2, iExprEnd);
+        if (iClose === -1) {
+            oParsed.aErrors.push({
+                sCode: "unterminatedInterpolation",
+                sMessage: "Missing '}' to close '@{'",
+                iStart: iOpen,
+                iEnd: iOpen + 2,
+                sSeverity: "error"
+            });
+        }
+        aSegments.push({
+            sKind: "expression",
+            iStart: iOpen,
+            iEnd: iClose === -1 ? sValue.length : iClose + 1,
+            iExprStart: iOpen + 2,
+            iExprEnd: iExprEnd,
+            bInterpolated: true,
+            oAst: oParsed.oAst
+        });
+        aErrors = aErrors.concat(oParsed.aErrors);
+        iPos = iClose === -1 ? sValue.length : iClose + 1;
+    }
+
+    return { aSegments: aSegments, aErrors: aErrors };
+}
+
+/**
+ * Find "@fn(" in the middle of literal text. The runtime only evaluates "@"
+ * at the very start of a value, so these are almost always a mistake.
+ * @param {string} sValue
+ * @param {number} iStart
+ * @param {number} iEnd
+ * @returns {Array<Object>} warnings
+ */
+function findStrayAtInText(sValue, iStart, iEnd) {
+    const aWarnings = [];
+    const oRegex = new RegExp("@([A-Za-z_][A-Za-z0-9_]*)\\(", "g");
+    const sText = sValue.substring(0, iEnd);
+    oRegex.lastIndex = iStart;
+    let oMatch = oRegex.exec(sText);
+    while (oMatch) {
+        aWarnings.push({
+            sCode: "strayAt",
+            sMessage: "'@" + oMatch[1] + "(' inside text is not evaluated; wrap it as @{" + oMatch[1] + "(...)}",
+            iStart: oMatch.index,
+            iEnd: oMatch.index + 1,
+            sSeverity: "warning"
+        });
+        oMatch = oRegex.exec(sText);
+    }
+    return aWarnings;
+}
+
+/**
+ * Walk the text before the cursor and report which calls, brackets and
+ * interpolations are still open. Used by completion, hover and signature help.
+ * Frames: { sKind: "call", sName, iArgIndex, iStart } | { sKind: "group" }
+ *         | { sKind: "index" } | { sKind: "interpolation" }
+ * @param {string} sText - text before the cursor
+ * @returns {{ aFrames: Array<Object>, oOpenString: Object|null, aTokens: Array<Object> }}
+ */
+function getOpenContext(sText) {
+    const aTokens = tokenizeExpression(sText);
+    const aFrames = [];
+    let oOpenString = null;
+
+    for (let i = 0; i < aTokens.length; i++) {
+        const oToken = aTokens[i];
+        const oTop = aFrames.length > 0 ? aFrames[aFrames.length - 1] : null;
+
+        if (oToken.sType === "atBrace") {
+            aFrames.push({ sKind: "interpolation", iStart: oToken.iStart });
+        } else if (oToken.sType === "rbrace") {
+            // Close the innermost interpolation along with anything left open inside it
+            for (let f = aFrames.length - 1; f >= 0; f--) {
+                if (aFrames[f].sKind === "interpolation") {
+                    aFrames.length = f;
+                    break;
+                }
+            }
+        } else if (oToken.sType === "lparen") {
+            const oPrev = i > 0 ? aTokens[i - 1] : null;
+            if (oPrev && oPrev.sType === "identifier") {
+                aFrames.push({ sKind: "call", sName: oPrev.sValue, iArgIndex: 0, iStart: oPrev.iStart });
+            } else {
+                aFrames.push({ sKind: "group", iStart: oToken.iStart });
+            }
+        } else if (oToken.sType === "rparen") {
+            if (oTop && (oTop.sKind === "call" || oTop.sKind === "group")) {
+                aFrames.pop();
+            }
+        } else if (oToken.sType === "lbracket") {
+            aFrames.push({ sKind: "index", iStart: oToken.iStart });
+        } else if (oToken.sType === "rbracket") {
+            if (oTop && oTop.sKind === "index") {
+                aFrames.pop();
+            }
+        } else if (oToken.sType === "comma") {
+            if (oTop && oTop.sKind === "call") {
+                oTop.iArgIndex++;
+            }
+        } else if (oToken.sType === "string" && oToken.bUnterminated) {
+            oOpenString = oToken;
+        }
+    }
+
+    return { aFrames: aFrames, oOpenString: oOpenString, aTokens: aTokens };
+}
+
+/**
+ * Describe the call argument being typed at the end of the text, for completions
+ * that fill in a quoted name such as body('...') or variables('...').
+ * iPrefixStart is the index of the opening ' (or of the cursor when no quote has
+ * been typed yet) and sPrefix the text typed after the quote.
+ * @param {string} sText - expression text before the cursor
+ * @returns {{ sFunction: string, iArgIndex: number, bInString: boolean, sPrefix: string, iPrefixStart: number }|null}
+ */
+function getStringArgumentContext(sText) {
+    const oOpen = getOpenContext(sText);
+    const oTop = oOpen.aFrames.length > 0 ? oOpen.aFrames[oOpen.aFrames.length - 1] : null;
+    if (!oTop || oTop.sKind !== "call") {
+        return null;
+    }
+
+    const oLast = oOpen.aTokens[oOpen.aTokens.length - 1];
+    if (oOpen.oOpenString && oLast === oOpen.oOpenString) {
+        return {
+            sFunction: oTop.sName,
+            iArgIndex: oTop.iArgIndex,
+            bInString: true,
+            sPrefix: sText.substring(oLast.iStart + 1),
+            iPrefixStart: oLast.iStart
+        };
+    }
+    if (oLast && (oLast.sType === "lparen" || oLast.sType === "comma")) {
+        return { sFunction: oTop.sName, iArgIndex: oTop.iArgIndex, bInString: false, sPrefix: "", iPrefixStart: sText.length };
+    }
+    return null;
+}
+
+/**
+ * Describe the property access being typed at the end of the text, e.g.
+ * "triggerBody()?['file']?['" gives sFunction "triggerBody" and aPath ["file"].
+ * Only chains of literal ['key'], [0] and .key accesses on a call are understood.
+ * sFirstArg is the first argument of the call when it is a string literal.
+ * @param {string} sText - expression text before the cursor
+ * @returns {{ sFunction: string, sFirstArg: string, aPath: Array<string|number>, bInString: boolean, sPrefix: string, iPrefixStart: number }|null}
+ */
+function getIndexPathContext(sText) {
+    const oOpen = getOpenContext(sText);
+    const oTop = oOpen.aFrames.length > 0 ? oOpen.aFrames[oOpen.aFrames.length - 1] : null;
+    if (!oTop || oTop.sKind !== "index") {
+        return null;
+    }
+
+    const aTokens = oOpen.aTokens;
+    const oLast = aTokens[aTokens.length - 1];
+    const bInString = !!oOpen.oOpenString && oLast === oOpen.oOpenString;
+    if (!bInString && !(oLast.sType === "lbracket" && oLast.iStart === oTop.iStart)) {
+        return null;
+    }
+
+    let i = aTokens.length - (bInString ? 3 : 2);
+    const aPath = [];
+    while (i >= 0) {
+        const oToken = aTokens[i];
+        if (oToken.sType === "question") {
+            i--;
+        } else if (oToken.sType === "rbracket" && i >= 2 && aTokens[i - 2].sType === "lbracket"
+            && (aTokens[i - 1].sType === "string" || aTokens[i - 1].sType === "number")) {
+            const oKey = aTokens[i - 1];
+            aPath.unshift(oKey.sType === "number" ? Number(oKey.sValue) : oKey.sValue);
+            i -= 3;
+        } else if (oToken.sType === "identifier" && i >= 1 && aTokens[i - 1].sType === "dot") {
+            aPath.unshift(oToken.sValue);
+            i -= 2;
+        } else if (oToken.sType === "rparen") {
+            let iDepth = 0;
+            let j = i;
+            for (; j >= 0; j--) {
+                if (aTokens[j].sType === "rparen") {
+                    iDepth++;
+                } else if (aTokens[j].sType === "lparen") {
+                    iDepth--;
+                    if (iDepth === 0) {
+                        break;
+                    }
+                }
+            }
+            if (j < 1 || aTokens[j - 1].sType !== "identifier") {
+                return null;
+            }
+            const oFirstArg = aTokens[j + 1];
+            return {
+                sFunction: aTokens[j - 1].sValue,
+                sFirstArg: oFirstArg && oFirstArg.sType === "string" ? oFirstArg.sValue : "",
+                aPath: aPath,
+                bInString: bInString,
+                sPrefix: bInString ? sText.substring(oLast.iStart + 1) : "",
+                iPrefixStart: bInString ? oLast.iStart : sText.length
+            };
+        } else {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a chain of literal property accesses back to the call it starts from,
+ * e.g. the node for triggerBody()?['file']?['name'] gives the triggerBody() call
+ * and aPath ["file", "name"].
+ * @param {Object} oNode - index, member or call node
+ * @returns {{ oCall: Object, aPath: Array<string|number> }|null}
+ */
+function resolveAccessPath(oNode) {
+    const aPath = [];
+    let oCurrent = oNode;
+    while (oCurrent) {
+        if (oCurrent.sKind === "call") {
+            return { oCall: oCurrent, aPath: aPath };
+        }
+        if (oCurrent.sKind === "member") {
+            aPath.unshift(oCurrent.sName);
+        } else if (oCurrent.sKind === "index" && oCurrent.oIndex && oCurrent.oIndex.sKind === "string") {
+            aPath.unshift(oCurrent.oIndex.sValue);
+        } else if (oCurrent.sKind === "index" && oCurrent.oIndex && oCurrent.oIndex.sKind === "number") {
+            aPath.unshift(oCurrent.oIndex.nValue);
+        } else {
+            return null;
+        }
+        oCurrent = oCurrent.oTarget;
+    }
+    return null;
+}
+
+/**
+ * Return the part of a line that belongs to the current JSON string value.
+ * When the cursor sits inside a double-quoted string only the text after the
+ * opening quote is returned, so apostrophes elsewhere on the line are ignored.
+ * @param {string} sTextBefore - line text before the cursor
+ * @returns {{ sText: string, iOffset: number }}
+ */
+function getCurrentValueText(sTextBefore) {
+    let iLastQuote = -1;
+    let iQuoteCount = 0;
+    for (let i = 0; i < sTextBefore.length; i++) {
+        if (sTextBefore[i] === "\"" && (i === 0 || sTextBefore[i - 1] !== "\\")) {
+            iQuoteCount++;
+            iLastQuote = i;
+        }
+    }
+    if (iQuoteCount % 2 === 1) {
+        return { sText: sTextBefore.substring(iLastQuote + 1), iOffset: iLastQuote + 1 };
+    }
+    return { sText: sTextBefore, iOffset: 0 };
+}
+
+/**
+ * Find "@" signs in front of function names nested inside an expression's
+ * parentheses, e.g. the second @ in "@concat(@toLower('A'))".
+ * @param {string} sLine
+ * @returns {Array<number>} offsets of the "@" characters to remove
+ */
+function findNestedAtSigns(sLine) {
+    const aOffsets = [];
+    let i = 0;
+
+    while (i < sLine.length) {
+        if (sLine[i] !== "@" || !isIdentifierStart(sLine[i + 1])) {
+            i++;
+            continue;
+        }
+
+        const oName = readToken(sLine, i + 1);
+        const oOpen = readToken(sLine, oName.iEnd);
+        if (!oOpen || oOpen.sType !== "lparen" || oOpen.iStart !== oName.iEnd) {
+            i = oName.iEnd;
+            continue;
+        }
+
+        let iDepth = 1;
+        let oToken = readToken(sLine, oOpen.iEnd);
+        while (oToken && iDepth > 0) {
+            if (oToken.sType === "lparen") {
+                iDepth++;
+            } else if (oToken.sType === "rparen") {
+                iDepth--;
+            } else if (oToken.sType === "at" && isIdentifierStart(sLine[oToken.iEnd])) {
+                aOffsets.push(oToken.iStart);
+            }
+            i = oToken.iEnd;
+            oToken = readToken(sLine, oToken.iEnd);
+        }
+        if (!oToken) {
+            break;
+        }
+    }
+
+    return aOffsets;
+}
+
+/**
+ * Visit every node of an expression AST depth-first
+ * @param {Object} oNode
+ * @param {function(Object, Object|null)} fnVisit - called with (oNode, oParent)
+ * @param {Object} [oParent]
+ */
+function walkExpression(oNode, fnVisit, oParent) {
+    if (!oNode) {
+        return;
+    }
+    fnVisit(oNode, oParent || null);
+    if (oNode.sKind === "call") {
+        for (let i = 0; i < oNode.aArgs.length; i++) {
+            walkExpression(oNode.aArgs[i], fnVisit, oNode);
+        }
+    } else if (oNode.sKind === "index") {
+        walkExpression(oNode.oTarget, fnVisit, oNode);
+        walkExpression(oNode.oIndex, fnVisit, oNode);
+    } else if (oNode.sKind === "member") {
+        walkExpression(oNode.oTarget, fnVisit, oNode);
+    }
+}
+
+/**
+ * Find the innermost AST node whose range contains the index
+ * @param {Object} oAst
+ * @param {number} iIndex
+ * @returns {Object|null}
+ */
+function findNodeAt(oAst, iIndex) {
+    let oFound = null;
+    walkExpression(oAst, function (oNode) {
+        if (iIndex >= oNode.iStart && iIndex <= oNode.iEnd) {
+            if (!oFound || (oNode.iEnd - oNode.iStart) <= (oFound.iEnd - oFound.iStart)) {
+                oFound = oNode;
+            }
+        }
+    });
+    return oFound;
+}
+
+/**
+ * Collect every string value in a document that contains an expression.
+ * JSON documents contribute their (non-key) string values; plaintext and expression
+ * library (paexpr) documents are split into blocks separated by blank lines, where
+ * paexpr "//" comment lines count as blank.
+ * Entries: { sValue, iValueStart, aOffsets, iStart, iEnd, aSegments, aErrors }
+ * where iStart/iEnd is the document range of the value (including JSON quotes).
+ * @param {string} sText - full document text
+ * @param {string} sLanguageId
+ * @returns {Array<Object>}
+ */
+function collectDocumentExpressions(sText, sLanguageId) {
+    const aEntries = [];
+
+    if (sLanguageId === "json" || sLanguageId === "jsonc") {
+        const aTokens = tokenizeJson(sText);
+        for (let i = 0; i < aTokens.length; i++) {
+            const oToken = aTokens[i];
+            if (oToken.sType !== "string" || oToken.bIsKey || oToken.sValue.indexOf("@") === -1) {
+                continue;
+            }
+            const oParsed = parseStringValue(oToken.sValue);
+            aEntries.push({
+                sValue: oToken.sValue,
+                iValueStart: oToken.iStart + 1,
+                aOffsets: oToken.aOffsets,
+                iStart: oToken.iStart,
+                iEnd: oToken.iEnd,
+                aSegments: oParsed.aSegments,
+                aErrors: oParsed.aErrors
+            });
+        }
+        return aEntries;
+    }
+
+    const aBlocks = splitTextBlocks(sLanguageId === "paexpr" ? blankLineComments(sText) : sText);
+    for (let b = 0; b < aBlocks.length; b++) {
+        const oBlock = aBlocks[b];
+        if (oBlock.sText.indexOf("@") === -1) {
+            continue;
+        }
+        const oParsed = parseStringValue(oBlock.sText);
+        aEntries.push({
+            sValue: oBlock.sText,
+            iValueStart: oBlock.iStart,
+            aOffsets: null,
+            iStart: oBlock.iStart,
+            iEnd: oBlock.iStart + oBlock.sText.length,
+            aSegments: oParsed.aSegments,
+            aErrors: oParsed.aErrors
+        });
+    }
+    return aEntries;
+}
+
+/**
+ * Replace whole-line "//" comments with spaces, keeping every other offset in place
+ * @param {string} sText
+ * @returns {string}
+ */
+function blankLineComments(sText) {
+    return sText.replace(new RegExp("^[ \\t]*//.*$", "gm"), function (sComment) {
+        return " ".repeat(sComment.length);
+    });
+}
+
+/**
+ * Split plain text into blocks separated by blank lines, trimming surrounding whitespace
+ * @param {string} sText
+ * @returns {Array<{ sText: string, iStart: number }>}
+ */
+function splitTextBlocks(sText) {
+    const aBlocks = [];
+    const oRegex = new RegExp("\\S[\\s\\S]*?(?=\\r?\\n[ \\t]*\\r?\\n|\\s*$)", "g");
+    let oMatch = oRegex.exec(sText);
+    while (oMatch) {
+        aBlocks.push({ sText: oMatch[0], iStart: oMatch.index });
+        oRegex.lastIndex = oMatch.index + oMatch[0].length;
+        oMatch = oRegex.exec(sText);
+    }
+    return aBlocks;
+}
+
+/**
+ * Map an index inside an entry's value to a document offset
+ * @param {Object} oEntry - entry from collectDocumentExpressions
+ * @param {number} iIndex
+ * @returns {number}
+ */
+function toDocumentOffset(oEntry, iIndex) {
+    if (oEntry.aOffsets) {
+        return oEntry.aOffsets[Math.max(0, Math.min(iIndex, oEntry.aOffsets.length - 1))];
+    }
+    return oEntry.iValueStart + iIndex;
+}
+
+/**
+ * Map a document offset to an index inside an entry's value
+ * @param {Object} oEntry - entry from collectDocumentExpressions
+ * @param {number} iOffset
+ * @returns {number}
+ */
+function toValueIndex(oEntry, iOffset) {
+    if (oEntry.aOffsets) {
+        for (let i = 0; i < oEntry.aOffsets.length; i++) {
+            if (oEntry.aOffsets[i] >= iOffset) {
+                return i;
+            }
+        }
+        return oEntry.aOffsets.length - 1;
+    }
+    return iOffset - oEntry.iValueStart;
+}
+
+/**
+ * Find the entry and expression segment at a document offset
+ * @param {Array<Object>} aEntries - from collectDocumentExpressions
+ * @param {number} iOffset
+ * @returns {{ oEntry: Object, oSegment: Object, iIndex: number }|null}
+ */
+function findExpressionAtOffset(aEntries, iOffset) {
+    for (let i = 0; i < aEntries.length; i++) {
+        const oEntry = aEntries[i];
+        if (iOffset < oEntry.iStart || iOffset > oEntry.iEnd) {
+            continue;
+        }
+        const iIndex = toValueIndex(oEntry, iOffset);
+        for (let s = 0; s < oEntry.aSegments.length; s++) {
+            const oSegment = oEntry.aSegments[s];
+            if (oSegment.sKind === "expression" && iIndex >= oSegment.iExprStart && iIndex <= oSegment.iExprEnd) {
+                return { oEntry: oEntry, oSegment: oSegment, iIndex: iIndex };
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    readToken: readToken,
+    tokenizeExpression: tokenizeExpression,
+    parseExpression: parseExpression,
+    parseStringValue: parseStringValue,
+    getOpenContext: getOpenContext,
+    getStringArgumentContext: getStringArgumentContext,
+    getIndexPathContext: getIndexPathContext,
+    resolveAccessPath: resolveAccessPath,
+    getCurrentValueText: getCurrentValueText,
+    findNestedAtSigns: findNestedAtSigns,
+    walkExpression: walkExpression,
+    findNodeAt: findNodeAt,
+    collectDocumentExpressions: collectDocumentExpressions,
+    toDocumentOffset: toDocumentOffset,
+    toValueIndex: toValueIndex,
+    findExpressionAtOffset: findExpressionAtOffset
+};
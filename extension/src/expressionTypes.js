@@ -0,0 +1,279 @@
+/**
+ * Static type inference for expressions, driven by the parameter and return
+ * types documented in the function reference. Types are arrays of the names
+ * String, Integer, Float, Boolean, Array, Object, Null or ["Any"] when unknown.
+ */
+
+const aAnyType = ["Any"];
+// concat() converts every argument to a string at runtime, so its String parameters are not checked
+const aStringifyingFunctions = ["concat"];
+// int() and float() are documented with a String value but convert numbers as well
+const oValueParameterTypes = {
+    int: ["String", "Integer", "Float"],
+    float: ["String", "Integer", "Float"]
+};
+
+/**
+ * Convert a type description from the reference ("Integer, Float, or String",
+ * "String or Array", "Various") into a list of type names
+ * @param {string} sTypeText
+ * @returns {Array<string>}
+ */
+function parseTypeText(sTypeText) {
+    const sText = (sTypeText || "").toLowerCase();
+    if (sText === "" || sText.indexOf("any") === 0 || sText.indexOf("various") !== -1 || sText.indexOf("json") !== -1 || sText.indexOf("xml") !== -1) {
+        return aAnyType;
+    }
+    // "Array - Integer, Float, or both" describes the items of an array
+    if (sText.indexOf("array -") === 0 || sText.indexOf("array object") === 0) {
+        return ["Array"];
+    }
+
+    const aTypes = [];
+    const aKeywords = [
+        { sWord: "string", sType: "String" },
+        { sWord: "integer", sType: "Integer" },
+        { sWord: "float", sType: "Float" },
+        { sWord: "double", sType: "Float" },
+        { sWord: "decimal", sType: "Float" },
+        { sWord: "boolean", sType: "Boolean" },
+        { sWord: "array", sType: "Array" },
+        { sWord: "object", sType: "Object" },
+        { sWord: "dictionary", sType: "Object" }
+    ];
+    for (let i = 0; i < aKeywords.length; i++) {
+        if (sText.indexOf(aKeywords[i].sWord) !== -1 && aTypes.indexOf(aKeywords[i].sType) === -1) {
+            aTypes.push(aKeywords[i].sType);
+        }
+    }
+    return aTypes.length > 0 ? aTypes : aAnyType;
+}
+
+/**
+ * Check if a type list is unknown
+ * @param {Array<string>} aTypes
+ * @returns {boolean}
+ */
+function isAnyType(aTypes) {
+    return !aTypes || aTypes.indexOf("Any") !== -1;
+}
+
+/**
+ * Check if a value of type aActual can be passed where aExpected is documented.
+ * Integer and Float are interchangeable and null is accepted everywhere.
+ * @param {Array<string>} aActual
+ * @param {Array<string>} aExpected
+ * @returns {boolean}
+ */
+function isAssignable(aActual, aExpected) {
+    if (isAnyType(aActual) || isAnyType(aExpected)) {
+        return true;
+    }
+    const bExpectsNumber = aExpected.indexOf("Integer") !== -1 || aExpected.indexOf("Float") !== -1;
+    for (let i = 0; i < aActual.length; i++) {
+        const sType = aActual[i];
+        if (sType === "Null" || aExpected.indexOf(sType) !== -1) {
+            return true;
+        }
+        if (bExpectsNumber && (sType === "Integer" || sType === "Float")) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Merge two type lists
+ * @param {Array<string>} aLeft
+ * @param {Array<string>} aRight
+ * @returns {Array<string>}
+ */
+function unionTypes(aLeft, aRight) {
+    if (isAnyType(aLeft) || isAnyType(aRight)) {
+        return aAnyType;
+    }
+    const aResult = aLeft.slice();
+    for (let i = 0; i < aRight.length; i++) {
+        if (aResult.indexOf(aRight[i]) === -1) {
+            aResult.push(aRight[i]);
+        }
+    }
+    return aResult;
+}
+
+/**
+ * Format a type list for messages and hovers, e.g. "Integer or Float"
+ * @param {Array<string>} aTypes
+ * @returns {string}
+ */
+function formatType(aTypes) {
+    if (isAnyType(aTypes)) {
+        return "Any";
+    }
+    if (aTypes.length === 1) {
+        return aTypes[0];
+    }
+    return aTypes.slice(0, aTypes.length - 1).join(", ") + " or " + aTypes[aTypes.length - 1];
+}
+
+/**
+ * Work out the return type of a call from the reference and its argument types
+ * @param {Object} oFunc - function definition
+ * @param {Array<Array<string>>} aArgTypes
+ * @returns {Array<string>}
+ */
+function getReturnType(oFunc, aArgTypes) {
+    const sName = oFunc.sName;
+
+    // Workflow functions return whatever the action or trigger produced; the reference
+    // documents several of them as String which would flag every ?['property'] access
+    if (oFunc.sCategory === "Workflow" && ["Integer", "Array object"].indexOf(oFunc.sReturnType) === -1) {
+        return aAnyType;
+    }
+    if (sName === "if") {
+        return aArgTypes.length === 3 ? unionTypes(aArgTypes[1], aArgTypes[2]) : aAnyType;
+    }
+    if (sName === "coalesce") {
+        let aResult = [];
+        for (let i = 0; i < aArgTypes.length; i++) {
+            aResult = unionTypes(aResult, aArgTypes[i]);
+        }
+        return aResult.length > 0 ? aResult : aAnyType;
+    }
+    if (sName === "first" || sName === "last") {
+        return aArgTypes.length > 0 && aArgTypes[0].length === 1 && aArgTypes[0][0] === "String" ? ["String"] : aAnyType;
+    }
+    // "String or Array, respectively" - the result has the same type as the collection passed in
+    if (oFunc.sReturnType.indexOf("respectively") !== -1) {
+        return aArgTypes.length > 0 && !isAnyType(aArgTypes[0]) ? aArgTypes[0] : parseTypeText(oFunc.sReturnType.replace("respectively", ""));
+    }
+    if (oFunc.sReturnType === "Integer or Float" && aArgTypes.length > 0) {
+        // add(1, 2) stays an Integer, anything involving a Float is a Float
+        let bAllIntegers = true;
+        for (let i = 0; i < aArgTypes.length; i++) {
+            if (aArgTypes[i].length !== 1 || aArgTypes[i][0] !== "Integer") {
+                bAllIntegers = false;
+            }
+        }
+        return bAllIntegers ? ["Integer"] : ["Integer", "Float"];
+    }
+    return parseTypeText(oFunc.sReturnType);
+}
+
+/**
+ * Get the documented parameter for an argument position, following variadic parameters.
+ * Rows after a variadic row are alternative forms (max([1, 2]) vs max(1, 2)) so their
+ * types are accepted as well.
+ * @param {Object} oFunc
+ * @param {number} iIndex
+ * @returns {{ sName: string, aTypes: Array<string> }|null}
+ */
+function getParameterAt(oFunc, iIndex) {
+    const aParams = oFunc.aParameters;
+    for (let i = 0; i < aParams.length; i++) {
+        if (aParams[i].sName.indexOf("...") !== -1 && i <= iIndex) {
+            let aTypes = parseTypeText(aParams[i].sType);
+            for (let j = i + 1; j < aParams.length; j++) {
+                aTypes = unionTypes(aTypes, parseTypeText(aParams[j].sType));
+            }
+            return { sName: aParams[i].sName, aTypes: aTypes };
+        }
+    }
+    if (!aParams[iIndex]) {
+        return null;
+    }
+    if (iIndex === 0 && oValueParameterTypes[oFunc.sName]) {
+        return { sName: aParams[0].sName, aTypes: oValueParameterTypes[oFunc.sName] };
+    }
+    return { sName: aParams[iIndex].sName, aTypes: parseTypeText(aParams[iIndex].sType) };
+}
+
+/**
+ * Infer the type of every node in an expression and report arguments whose
+ * type cannot match the documented parameter type.
+ * @param {Object} oAst - expression AST
+ * @param {Object} oFuncMap - lower-cased name -> function definition
+ * @param {Object} [oVariableTypes] - lower-cased variable name -> declared type list, for variables('...')
+ * @returns {{ oTypes: Map, aIssues: Array<Object> }} node -> type list, plus issues
+ */
+function inferTypes(oAst, oFuncMap, oVariableTypes) {
+    const oTypes = new Map();
+    const aIssues = [];
+
+    function infer(oNode) {
+        let aType = aAnyType;
+
+        if (oNode.sKind === "string") {
+            aType = ["String"];
+        } else if (oNode.sKind === "number") {
+            aType = Number.isInteger(oNode.nValue) ? ["Integer"] : ["Float"];
+        } else if (oNode.sKind === "boolean") {
+            aType = ["Boolean"];
+        } else if (oNode.sKind === "null") {
+            aType = ["Null"];
+        } else if (oNode.sKind === "index" || oNode.sKind === "member") {
+            const aTargetType = infer(oNode.oTarget);
+            if (oNode.sKind === "index") {
+                infer(oNode.oIndex);
+            }
+            if (!isAnyType(aTargetType) && !isAssignable(aTargetType, ["Array", "Object"])) {
+                aIssues.push({
+                    sCode: "typeMismatch",
+                    sMessage: "Cannot read a property from a value of type " + formatType(aTargetType),
+                    iStart: oNode.oTarget.iStart,
+                    iEnd: oNode.oTarget.iEnd,
+                    sSeverity: "warning"
+                });
+            }
+        } else if (oNode.sKind === "call") {
+            const aArgTypes = [];
+            for (let i = 0; i < oNode.aArgs.length; i++) {
+                aArgTypes.push(infer(oNode.aArgs[i]));
+            }
+
+            const oFunc = oFuncMap[oNode.sName.toLowerCase()];
+            if (oFunc) {
+                const bCheckArguments = aStringifyingFunctions.indexOf(oFunc.sName) === -1;
+                for (let i = 0; bCheckArguments && i < oNode.aArgs.length; i++) {
+                    const oParam = getParameterAt(oFunc, i);
+                    if (!oParam) {
+                        continue;
+                    }
+                    const aExpected = oParam.aTypes;
+                    if (!isAssignable(aArgTypes[i], aExpected)) {
+                        aIssues.push({
+                            sCode: "typeMismatch",
+                            sMessage: "Argument " + (i + 1) + " of '" + oFunc.sName + "' (" + oParam.sName + ") expects "
+                                + formatType(aExpected) + " but got " + formatType(aArgTypes[i]),
+                            iStart: oNode.aArgs[i].iStart,
+                            iEnd: oNode.aArgs[i].iEnd,
+                            sSeverity: "warning"
+                        });
+                    }
+                }
+                aType = getReturnType(oFunc, aArgTypes);
+            }
+            const oFirstArg = oNode.aArgs[0];
+            if (oVariableTypes && oNode.sName.toLowerCase() === "variables" && oFirstArg && oFirstArg.sKind === "string"
+                && oVariableTypes[oFirstArg.sValue.toLowerCase()]) {
+                aType = oVariableTypes[oFirstArg.sValue.toLowerCase()];
+            }
+        }
+
+        oTypes.set(oNode, aType);
+        return aType;
+    }
+
+    if (oAst) {
+        infer(oAst);
+    }
+
+    return { oTypes: oTypes, aIssues: aIssues };
+}
+
+module.exports = {
+    parseTypeText: parseTypeText,
+    isAssignable: isAssignable,
+    formatType: formatType,
+    inferTypes: inferTypes
+};
@@ -0,0 +1,176 @@
+const { walkExpression } = require("./expressionParser");
+
+/**
+ * Build a case-insensitive lookup of function definitions
+ * @param {Array<Object>} aFunctions - parsed function definitions
+ * @returns {Object} map of lower-cased name -> function definition
+ */
+function buildFunctionMap(aFunctions) {
+    const oFuncMap = {};
+    for (let i = 0; i < aFunctions.length; i++) {
+        oFuncMap[aFunctions[i].sName.toLowerCase()] = aFunctions[i];
+    }
+    return oFuncMap;
+}
+
+/**
+ * Work out how many arguments a function accepts from its parameter table.
+ * Variadic parameters ("text1, text2, ...") lift the upper limit.
+ * @param {Object} oFunc - function definition
+ * @returns {{ iMin: number, iMax: number }}
+ */
+function getArity(oFunc) {
+    let iMin = 0;
+    let iMax = 0;
+
+    for (let i = 0; i < oFunc.aParameters.length; i++) {
+        const oParam = oFunc.aParameters[i];
+        if (oParam.sName.indexOf("...") !== -1) {
+            // Alternative forms such as max([number1, ...]) follow the variadic row; ignore them
+            return { iMin: iMin + 1, iMax: Infinity };
+        }
+        iMax++;
+        if (oParam.bRequired) {
+            iMin = iMax;
+        }
+    }
+
+    return { iMin: iMin, iMax: iMax };
+}
+
+/**
+ * Levenshtein distance between two strings (case-insensitive)
+ * @param {string} sA
+ * @param {string} sB
+ * @returns {number}
+ */
+function getEditDistance(sA, sB) {
+    const sLeft = sA.toLowerCase();
+    const sRight = sB.toLowerCase();
+    let aPrevious = [];
+    for (let j = 0; j <= sRight.length; j++) {
+        aPrevious.push(j);
+    }
+
+    for (let i = 1; i <= sLeft.length; i++) {
+        const aCurrent = [i];
+        for (let j = 1; j <= sRight.length; j++) {
+            const iCost = sLeft[i - 1] === sRight[j - 1] ? 0 : 1;
+            aCurrent.push(Math.min(aPrevious[j] + 1, aCurrent[j - 1] + 1, aPrevious[j - 1] + iCost));
+        }
+        aPrevious = aCurrent;
+    }
+
+    return aPrevious[sRight.length];
+}
+
+/**
+ * Find the names closest to a misspelled name
+ * @param {string} sName
+ * @param {Array<string>} aCandidates
+ * @param {number} [iLimit] - maximum number of suggestions (default 3)
+ * @returns {Array<string>} best matches first
+ */
+function findClosestNames(sName, aCandidates, iLimit) {
+    const iMaxDistance = Math.max(2, Math.floor(sName.length / 3));
+    const aScored = [];
+
+    for (let i = 0; i < aCandidates.length; i++) {
+        const iDistance = getEditDistance(sName, aCandidates[i]);
+        if (iDistance <= iMaxDistance) {
+            aScored.push({ sName: aCandidates[i], iDistance: iDistance });
+        }
+    }
+
+    aScored.sort(function (oA, oB) {
+        return oA.iDistance - oB.iDistance || oA.sName.localeCompare(oB.sName);
+    });
+
+    return aScored.slice(0, iLimit || 3).map(function (o) { return o.sName; });
+}
+
+/**
+ * Check every function call in an expression against the reference:
+ * unknown names, wrong casing, argument counts and deprecated functions.
+ * Issues use the same shape and offsets as parser errors.
+ * @param {Object} oAst - expression AST
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @returns {Array<Object>} issues { sCode, sMessage, iStart, iEnd, sSeverity }
+ */
+function checkFunctionCalls(oAst, oFuncMap) {
+    const aIssues = [];
+    const aNames = Object.keys(oFuncMap).map(function (sKey) { return oFuncMap[sKey].sName; });
+
+    walkExpression(oAst, function (oNode) {
+        if (oNode.sKind !== "call") {
+            return;
+        }
+
+        const oFunc = oFuncMap[oNode.sName.toLowerCase()];
+        if (!oFunc) {
+            const aSuggestions = findClosestNames(oNode.sName, aNames);
+            let sMessage = "Unknown function '" + oNode.sName + "'";
+            if (aSuggestions.length > 0) {
+                sMessage = sMessage + ". Did you mean " + aSuggestions.map(function (s) { return "'" + s + "'"; }).join(", ") + "?";
+            }
+            aIssues.push({ sCode: "unknownFunction", sMessage: sMessage, iStart: oNode.iNameStart, iEnd: oNode.iNameEnd, sSeverity: "warning" });
+            return;
+        }
+
+        if (oFunc.sName !== oNode.sName) {
+            aIssues.push({
+                sCode: "functionCase",
+                sMessage: "'" + oNode.sName + "' should be written '" + oFunc.sName + "'",
+                iStart: oNode.iNameStart,
+                iEnd: oNode.iNameEnd,
+                sSeverity: "warning"
+            });
+        }
+
+        if (oFunc.bDeprecated) {
+            let sMessage = "'" + oFunc.sName + "' is deprecated";
+            if (oFunc.sReplacement) {
+                sMessage = sMessage + ", use '" + oFunc.sReplacement + "' instead";
+            }
+            aIssues.push({ sCode: "deprecatedFunction", sMessage: sMessage, iStart: oNode.iNameStart, iEnd: oNode.iNameEnd, sSeverity: "warning", bDeprecated: true });
+        }
+
+        // Calls written without parentheses are already reported by the parser, and
+        // functions documented without a syntax block have no parameter table to check
+        if (oNode.bNoParens || !oFunc.sSyntax) {
+            return;
+        }
+
+        const oArity = getArity(oFunc);
+        const iCount = oNode.aArgs.length;
+        if (iCount < oArity.iMin) {
+            const aMissing = oFunc.aParameters.slice(iCount, oArity.iMin).map(function (o) { return o.sName; });
+            aIssues.push({
+                sCode: "tooFewArguments",
+                sMessage: "'" + oFunc.sName + "' expects at least " + oArity.iMin + " argument" + (oArity.iMin === 1 ? "" : "s") + " but got " + iCount
+                    + (aMissing.length > 0 && aMissing[0].indexOf("...") === -1 ? " (missing " + aMissing.join(", ") + ")" : ""),
+                iStart: oNode.iStart,
+                iEnd: oNode.iEnd,
+                sSeverity: "warning"
+            });
+        } else if (iCount > oArity.iMax) {
+            aIssues.push({
+                sCode: "tooManyArguments",
+                sMessage: "'" + oFunc.sName + "' expects at most " + oArity.iMax + " argument" + (oArity.iMax === 1 ? "" : "s") + " but got " + iCount,
+                iStart: oNode.aArgs[oArity.iMax].iStart,
+                iEnd: oNode.aArgs[iCount - 1].iEnd,
+                sSeverity: "warning"
+            });
+        }
+    });
+
+    return aIssues;
+}
+
+module.exports = {
+    buildFunctionMap: buildFunctionMap,
+    getArity: getArity,
+    getEditDistance: getEditDistance,
+    findClosestNames: findClosestNames,
+    checkFunctionCalls: checkFunctionCalls
+};
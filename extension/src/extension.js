@@ -8,14 +8,27 @@ const { createActionCompletionProvider } = require("./actionCompletionProvider")
 const { createHoverProvider } = require("./hoverProvider");
 const { createSignatureHelpProvider } = require("./signatureHelpProvider");
 const { createParametersCompletionProvider } = require("./parametersCompletionProvider");
+const { createReferenceCompletionProvider } = require("./referenceCompletionProvider");
+const { createSchemaCompletionProvider } = require("./schemaCompletionProvider");
+const { createDefinitionProvider, createReferenceProvider, createRenameProvider } = require("./navigationProvider");
+const { createDocumentSymbolProvider } = require("./symbolProvider");
+const { createCodeActionProvider } = require("./codeActionProvider");
+const { createSemanticTokensProvider, oSemanticTokensLegend } = require("./semanticTokensProvider");
 const { registerFlowCommands } = require("./flowCommands");
+const { registerExpressionCommands } = require("./expressionCommands");
+const { registerExpressionEditor } = require("./expressionEditor");
+const { registerFlowTreeView } = require("./flowTreeView");
+const { registerFlowDiagram } = require("./flowDiagram");
+const { registerDiagnostics } = require("./diagnosticsProvider");
+const { createExpressionFormattingProvider } = require("./formattingProvider");
+const { findNestedAtSigns } = require("./expressionParser");
 
 let aDisposables = [];
 let aIntellisenseDisposables = [];
 let bCleaningUpAt = false;
 
 /**
- * Document selectors for JSON files and untitled (new) files
+ * Document selectors for JSON, plaintext and expression library (.paexpr) files and untitled (new) files
  */
 const aDocSelectors = [
     { scheme: "file", language: "json" },
@@ -23,11 +36,13 @@ const aDocSelectors = [
     { scheme: "untitled", language: "json" },
     { scheme: "untitled", language: "jsonc" },
     { scheme: "untitled", language: "plaintext" },
-    { scheme: "file", language: "plaintext" }
+    { scheme: "file", language: "plaintext" },
+    { scheme: "untitled", language: "paexpr" },
+    { scheme: "file", language: "paexpr" }
 ];
 
 /**
- * Register all IntelliSense providers (completion, hover, signature help)
+ * Register all IntelliSense providers (completion, hover, signature help, diagnostics)
  * @param {vscode.ExtensionContext} oContext
  * @param {Array} aFunctions
  */
@@ -83,6 +98,56 @@ function registerIntellisenseProviders(oContext, aFunctions) {
     );
     aIntellisenseDisposables.push(oParametersCompletionDisposable);
 
+    // Register action and variable name completion - triggers on ( and ' for body('...'), variables('...') etc.
+    const oReferenceCompletionDisposable = vscode.languages.registerCompletionItemProvider(
+        aDocSelectors,
+        createReferenceCompletionProvider(),
+        "(", "'"
+    );
+    aIntellisenseDisposables.push(oReferenceCompletionDisposable);
+
+    // Register schema property completion - triggers on [ and ' for triggerBody()?['...'] etc.
+    const oSchemaCompletionDisposable = vscode.languages.registerCompletionItemProvider(
+        aDocSelectors,
+        createSchemaCompletionProvider(),
+        "[", "'"
+    );
+    aIntellisenseDisposables.push(oSchemaCompletionDisposable);
+
+    // Register go to definition, find all references and rename for action names in flow definitions
+    const aJsonSelectors = aDocSelectors.filter(function (oSelector) {
+        return oSelector.language === "json" || oSelector.language === "jsonc";
+    });
+    aIntellisenseDisposables.push(vscode.languages.registerDefinitionProvider(aJsonSelectors, createDefinitionProvider()));
+    aIntellisenseDisposables.push(vscode.languages.registerReferenceProvider(aJsonSelectors, createReferenceProvider()));
+    aIntellisenseDisposables.push(vscode.languages.registerRenameProvider(aJsonSelectors, createRenameProvider()));
+
+    // Register the flow outline (Outline view, breadcrumbs, Go to Symbol)
+    aIntellisenseDisposables.push(vscode.languages.registerDocumentSymbolProvider(aJsonSelectors, createDocumentSymbolProvider()));
+
+    // Register quick fixes for the diagnostics below, plus Turn on Secure Inputs and Outputs and Extract to Compose
+    aIntellisenseDisposables.push(vscode.languages.registerCodeActionsProvider(aDocSelectors, createCodeActionProvider(aFunctions), {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, vscode.CodeActionKind.RefactorRewrite, vscode.CodeActionKind.RefactorExtract]
+    }));
+
+    // Register semantic highlighting for expressions - unknown functions get their own token type
+    aIntellisenseDisposables.push(vscode.languages.registerDocumentSemanticTokensProvider(aDocSelectors, createSemanticTokensProvider(aFunctions), oSemanticTokensLegend));
+
+    // Register range formatting - pretty-prints expressions pasted into plaintext and .paexpr files
+    const oFormattingDisposable = vscode.languages.registerDocumentRangeFormattingEditProvider(
+        aDocSelectors.filter(function (oSelector) {
+            return oSelector.language === "plaintext" || oSelector.language === "paexpr";
+        }),
+        createExpressionFormattingProvider()
+    );
+    aIntellisenseDisposables.push(oFormattingDisposable);
+
+    // Register live expression diagnostics (syntax errors, unknown functions, argument counts)
+    const aDiagnosticDisposables = registerDiagnostics(aFunctions);
+    for (let i = 0; i < aDiagnosticDisposables.length; i++) {
+        aIntellisenseDisposables.push(aDiagnosticDisposables[i]);
+    }
+
     // Add all IntelliSense disposables to the extension context
     for (let i = 0; i < aIntellisenseDisposables.length; i++) {
         oContext.subscriptions.push(aIntellisenseDisposables[i]);
@@ -161,6 +226,30 @@ function activate(oContext) {
         oContext.subscriptions.push(aFlowDisposables[i]);
     }
 
+    // Register expression commands (evaluate, format, minify)
+    const aExpressionDisposables = registerExpressionCommands(oContext);
+    for (let i = 0; i < aExpressionDisposables.length; i++) {
+        oContext.subscriptions.push(aExpressionDisposables[i]);
+    }
+
+    // Register Edit Expression (unescaped side editor written back on save, plus its code lens)
+    const aEditorDisposables = registerExpressionEditor();
+    for (let i = 0; i < aEditorDisposables.length; i++) {
+        oContext.subscriptions.push(aEditorDisposables[i]);
+    }
+
+    // Register the Flow Actions tree view (execution order, reveal, drag-and-drop)
+    const aTreeDisposables = registerFlowTreeView();
+    for (let i = 0; i < aTreeDisposables.length; i++) {
+        oContext.subscriptions.push(aTreeDisposables[i]);
+    }
+
+    // Register the flow diagram commands (webview graph, Mermaid / DOT export, documentation)
+    const aDiagramDisposables = registerFlowDiagram(oContext);
+    for (let i = 0; i < aDiagramDisposables.length; i++) {
+        oContext.subscriptions.push(aDiagramDisposables[i]);
+    }
+
     // Register a command to show function count
     const oInfoCommand = vscode.commands.registerCommand("powerAutomateUtility.showInfo", function () {
         vscode.window.showInformationMessage(
@@ -390,15 +479,6 @@ function deleteSkillFile(oContext) {
     }
 }
 
-/**
- * Check if a character is a letter (a-z, A-Z).
- * @param {string} sChar - single character
- * @returns {boolean}
- */
-function isLetter(sChar) {
-    return (sChar >= "a" && sChar <= "z") || (sChar >= "A" && sChar <= "Z");
-}
-
 /**
  * Scan a line of text for @ symbols that appear inside an outer expression's
  * parentheses (nested function calls) and return TextEdits to delete them.
@@ -408,60 +488,10 @@ function isLetter(sChar) {
  * @returns {Array<vscode.TextEdit>}
  */
 function findNestedAtEdits(sLine, iLine) {
-    const aEdits = [];
-    let i = 0;
-
-    while (i < sLine.length) {
-        // Look for the start of an expression: @ followed by a letter
-        if (sLine[i] === "@" && i + 1 < sLine.length && isLetter(sLine[i + 1])) {
-            i++; // skip the leading @
-            // Skip the function name
-            while (i < sLine.length && (isLetter(sLine[i]) || (sLine[i] >= "0" && sLine[i] <= "9") || sLine[i] === "_")) {
-                i++;
-            }
-
-            // Check for opening parenthesis
-            if (i < sLine.length && sLine[i] === "(") {
-                i++; // skip (
-                let iDepth = 1;
-
-                while (i < sLine.length && iDepth > 0) {
-                    if (sLine[i] === "'") {
-                        // Skip single-quoted string literal
-                        i++;
-                        while (i < sLine.length) {
-                            if (sLine[i] === "'" && i + 1 < sLine.length && sLine[i + 1] === "'") {
-                                i += 2; // escaped quote ''
-                            } else if (sLine[i] === "'") {
-                                i++; // closing quote
-                                break;
-                            } else {
-                                i++;
-                            }
-                        }
-                    } else if (sLine[i] === "(") {
-                        iDepth++;
-                        i++;
-                    } else if (sLine[i] === ")") {
-                        iDepth--;
-                        i++;
-                    } else if (sLine[i] === "@" && i + 1 < sLine.length && isLetter(sLine[i + 1])) {
-                        // Nested @ before a function name — mark for removal
-                        aEdits.push(vscode.TextEdit.delete(
-                            new vscode.Range(iLine, i, iLine, i + 1)
-                        ));
-                        i++;
-                    } else {
-                        i++;
-                    }
-                }
-            }
-        } else {
-            i++;
-        }
-    }
-
-    return aEdits;
+    const aOffsets = findNestedAtSigns(sLine);
+    return aOffsets.map(function (iOffset) {
+        return vscode.TextEdit.delete(new vscode.Range(iLine, iOffset, iLine, iOffset + 1));
+    });
 }
 
 /**
@@ -481,7 +511,7 @@ function registerNestedAtCleanup(oContext) {
         }
 
         const sLangId = oEvent.document.languageId;
-        if (sLangId !== "json" && sLangId !== "jsonc" && sLangId !== "plaintext") {
+        if (sLangId !== "json" && sLangId !== "jsonc" && sLangId !== "plaintext" && sLangId !== "paexpr") {
             return;
         }
 
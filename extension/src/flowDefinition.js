@@ -0,0 +1,479 @@
+const { parseJsonDocument, getPropertyValue, toValue } = require("./jsonDocument");
+
+/**
+ * Reads the triggers and actions of a workflow definition from a document,
+ * keeping their position in the scope tree (Scope, Foreach, Until, If, Switch).
+ * Accepts a clientdata file ({ properties: { definition } }), a { definition }
+ * wrapper or a bare workflow definition.
+ */
+
+/**
+ * Action types that repeat their child actions
+ */
+const aLoopTypes = ["foreach", "until"];
+
+/**
+ * Functions whose first argument names an action, and which actions they accept:
+ * "any" (triggers and actions), "scope" (Scope, Foreach, Until) or a single loop type
+ */
+const oReferenceFunctions = {
+    "actions": "any",
+    "body": "any",
+    "outputs": "any",
+    "result": "scope",
+    "items": "foreach",
+    "iterationindexes": "until"
+};
+
+/**
+ * InitializeVariable type names and the expression types they hold
+ */
+const oVariableTypes = {
+    "array": ["Array"],
+    "boolean": ["Boolean"],
+    "float": ["Float"],
+    "integer": ["Integer"],
+    "object": ["Object"],
+    "string": ["String"]
+};
+
+/**
+ * Find the workflow definition object node in a parsed document
+ * @param {Object} oRoot - root node from parseJsonDocument
+ * @returns {Object|null}
+ */
+function findDefinitionNode(oRoot) {
+    if (!oRoot || oRoot.sType !== "object") {
+        return null;
+    }
+    const oProperties = getPropertyValue(oRoot, "properties");
+    const oWrapped = getPropertyValue(oProperties, "definition") || getPropertyValue(oRoot, "definition");
+    if (oWrapped && oWrapped.sType === "object") {
+        return oWrapped;
+    }
+    if (getPropertyValue(oRoot, "actions") || getPropertyValue(oRoot, "triggers")) {
+        return oRoot;
+    }
+    return null;
+}
+
+/**
+ * Get the string value of a property, or "" when missing
+ * @param {Object} oNode - object node
+ * @param {string} sKey
+ * @returns {string}
+ */
+function getStringProperty(oNode, sKey) {
+    const oValue = getPropertyValue(oNode, sKey);
+    return oValue && oValue.sType === "string" ? oValue.vValue : "";
+}
+
+/**
+ * List the child action containers of an action: { sBranch, oNode } where oNode is
+ * the "actions" object. Branches are "actions", "else", "default" or "case:<name>".
+ * @param {Object} oValueNode - the action's object node
+ * @returns {Array<{ sBranch: string, oNode: Object }>}
+ */
+function getActionContainers(oValueNode) {
+    const aContainers = [];
+    const oActions = getPropertyValue(oValueNode, "actions");
+    if (oActions && oActions.sType === "object") {
+        aContainers.push({ sBranch: "actions", oNode: oActions });
+    }
+
+    const oElseActions = getPropertyValue(getPropertyValue(oValueNode, "else"), "actions");
+    if (oElseActions && oElseActions.sType === "object") {
+        aContainers.push({ sBranch: "else", oNode: oElseActions });
+    }
+
+    const oCases = getPropertyValue(oValueNode, "cases");
+    if (oCases && oCases.sType === "object") {
+        for (let i = 0; i < oCases.aProperties.length; i++) {
+            const oCaseActions = getPropertyValue(oCases.aProperties[i].oValueNode, "actions");
+            if (oCaseActions && oCaseActions.sType === "object") {
+                aContainers.push({ sBranch: "case:" + oCases.aProperties[i].sKey, oNode: oCaseActions });
+            }
+        }
+    }
+
+    const oDefaultActions = getPropertyValue(getPropertyValue(oValueNode, "default"), "actions");
+    if (oDefaultActions && oDefaultActions.sType === "object") {
+        aContainers.push({ sBranch: "default", oNode: oDefaultActions });
+    }
+    return aContainers;
+}
+
+/**
+ * Read the actions of one "actions" object, recursing into scopes
+ * @param {Object} oContainerNode - "actions" object node
+ * @param {Object|null} oParent - enclosing action entry
+ * @param {string} sBranch - branch of the parent that holds these actions
+ * @param {Array<Object>} aActions - receives every action, in document order
+ * @returns {Array<Object>} the direct children
+ */
+function readActions(oContainerNode, oParent, sBranch, aActions) {
+    const aChildren = [];
+    for (let i = 0; i < oContainerNode.aProperties.length; i++) {
+        const oProperty = oContainerNode.aProperties[i];
+        const oValueNode = oProperty.oValueNode;
+        const oAction = {
+            sName: oProperty.sKey,
+            sType: getStringProperty(oValueNode, "type"),
+            oKeyNode: oProperty.oKeyNode,
+            oValueNode: oValueNode,
+            oContainerNode: oContainerNode,
+            oParent: oParent,
+            sBranch: sBranch,
+            aContainers: [],
+            aChildren: [],
+            bTrigger: false
+        };
+        aActions.push(oAction);
+        aChildren.push(oAction);
+
+        if (oValueNode && oValueNode.sType === "object") {
+            oAction.aContainers = getActionContainers(oValueNode);
+            for (let c = 0; c < oAction.aContainers.length; c++) {
+                const aNested = readActions(oAction.aContainers[c].oNode, oAction, oAction.aContainers[c].sBranch, aActions);
+                oAction.aChildren = oAction.aChildren.concat(aNested);
+            }
+        }
+    }
+    return aChildren;
+}
+
+/**
+ * Build the flow model for a document.
+ * Actions: { sName, sType, oKeyNode, oValueNode, oContainerNode, oParent, sBranch,
+ *            aContainers, aChildren, bTrigger }
+ * Triggers use the same shape with bTrigger = true.
+ * @param {string} sText - document text
+ * @param {string} [sLanguageId] - "jsonc" allows trailing commas
+ * @returns {{ oRoot: Object|null, oDefinition: Object|null, aTriggers: Array<Object>, aActions: Array<Object>, aTopLevel: Array<Object> }|null}
+ *          null when the document is not valid JSON or holds no workflow definition
+ */
+function parseFlowDefinition(sText, sLanguageId) {
+    const oRoot = parseJsonDocument(sText, sLanguageId).oRoot;
+    const oDefinition = findDefinitionNode(oRoot);
+    if (!oDefinition) {
+        return null;
+    }
+
+    const aTriggers = [];
+    const oTriggers = getPropertyValue(oDefinition, "triggers");
+    if (oTriggers && oTriggers.sType === "object") {
+        for (let i = 0; i < oTriggers.aProperties.length; i++) {
+            const oProperty = oTriggers.aProperties[i];
+            aTriggers.push({
+                sName: oProperty.sKey,
+                sType: getStringProperty(oProperty.oValueNode, "type"),
+                oKeyNode: oProperty.oKeyNode,
+                oValueNode: oProperty.oValueNode,
+                oContainerNode: oTriggers,
+                oParent: null,
+                sBranch: "triggers",
+                aContainers: [],
+                aChildren: [],
+                bTrigger: true
+            });
+        }
+    }
+
+    const aActions = [];
+    let aTopLevel = [];
+    const oActions = getPropertyValue(oDefinition, "actions");
+    if (oActions && oActions.sType === "object") {
+        aTopLevel = readActions(oActions, null, "actions", aActions);
+    }
+
+    return { oRoot: oRoot, oDefinition: oDefinition, aTriggers: aTriggers, aActions: aActions, aTopLevel: aTopLevel };
+}
+
+/**
+ * Create a per-document cache of flow models. While a document is not valid JSON
+ * (e.g. half-typed) the last model that parsed is returned instead.
+ * @returns {function(string, string, string=): (Object|null)} (sKey, sText, sLanguageId) => flow model
+ */
+function createFlowCache() {
+    const oLastFlows = {};
+    return function (sKey, sText, sLanguageId) {
+        const oFlow = parseFlowDefinition(sText, sLanguageId);
+        if (oFlow) {
+            oLastFlows[sKey] = oFlow;
+            return oFlow;
+        }
+        return oLastFlows[sKey] || null;
+    };
+}
+
+/**
+ * Find an action (or trigger) by name. Expression references use underscores
+ * for spaces and are matched case-insensitively.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {string} sName
+ * @returns {Object|null}
+ */
+function findAction(oFlow, sName) {
+    const sWanted = toReferenceName(sName).toLowerCase();
+    const aAll = oFlow.aActions.concat(oFlow.aTriggers);
+    for (let i = 0; i < aAll.length; i++) {
+        if (toReferenceName(aAll[i].sName).toLowerCase() === sWanted) {
+            return aAll[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the innermost action or trigger whose definition contains the offset
+ * @param {Object} oFlow
+ * @param {number} iOffset
+ * @returns {Object|null}
+ */
+function getActionAtOffset(oFlow, iOffset) {
+    let oFound = null;
+    const aAll = oFlow.aTriggers.concat(oFlow.aActions);
+    for (let i = 0; i < aAll.length; i++) {
+        const oAction = aAll[i];
+        if (iOffset >= oAction.oKeyNode.iStart && oAction.oValueNode && iOffset <= oAction.oValueNode.iEnd) {
+            // aActions is in document order, so later matches are nested deeper
+            oFound = oAction;
+        }
+    }
+    return oFound;
+}
+
+/**
+ * List the actions whose child actions contain the offset, innermost first
+ * @param {Object} oFlow
+ * @param {number} iOffset
+ * @returns {Array<Object>}
+ */
+function getEnclosingActions(oFlow, iOffset) {
+    const aEnclosing = [];
+    for (let i = 0; i < oFlow.aActions.length; i++) {
+        const aContainers = oFlow.aActions[i].aContainers;
+        for (let c = 0; c < aContainers.length; c++) {
+            if (iOffset > aContainers[c].oNode.iStart && iOffset < aContainers[c].oNode.iEnd) {
+                aEnclosing.unshift(oFlow.aActions[i]);
+                break;
+            }
+        }
+    }
+    return aEnclosing;
+}
+
+/**
+ * Check if an action repeats its children (Foreach or Until)
+ * @param {Object} oAction
+ * @returns {boolean}
+ */
+function isLoopAction(oAction) {
+    return aLoopTypes.indexOf(oAction.sType.toLowerCase()) !== -1;
+}
+
+/**
+ * List the actions (and triggers) that can be named by a reference function at an offset.
+ * items() and iterationIndexes() only accept the Foreach / Until loops enclosing the offset;
+ * the other functions accept anything except the action being edited and its parents.
+ * @param {Object} oFlow
+ * @param {string} sFunction - e.g. "body", "items"
+ * @param {number} iOffset - document offset of the reference
+ * @returns {Array<Object>} empty when sFunction does not take an action name
+ */
+function getReferenceableActions(oFlow, sFunction, iOffset) {
+    const sKind = oReferenceFunctions[sFunction.toLowerCase()];
+    if (!sKind) {
+        return [];
+    }
+
+    const aEnclosing = getEnclosingActions(oFlow, iOffset);
+    if (sKind === "foreach" || sKind === "until") {
+        return aEnclosing.filter(function (oAction) {
+            return oAction.sType.toLowerCase() === sKind;
+        });
+    }
+
+    const oCurrent = getActionAtOffset(oFlow, iOffset);
+    const aCandidates = sKind === "any" ? oFlow.aTriggers.concat(oFlow.aActions) : oFlow.aActions;
+    return aCandidates.filter(function (oAction) {
+        if (oAction === oCurrent || aEnclosing.indexOf(oAction) !== -1) {
+            return false;
+        }
+        return sKind === "any" || oAction.sType.toLowerCase() === "scope" || isLoopAction(oAction);
+    });
+}
+
+/**
+ * Collect the variables declared by InitializeVariable actions.
+ * Variables: { sName, sType, aTypes, vValue, oNameNode, oTypeNode, oValueNode, oAction }
+ * where sType is the declared type as written and aTypes the matching expression type.
+ * @param {Object} oFlow
+ * @returns {Array<Object>}
+ */
+function collectVariables(oFlow) {
+    const aVariables = [];
+    for (let i = 0; i < oFlow.aActions.length; i++) {
+        const oAction = oFlow.aActions[i];
+        if (oAction.sType.toLowerCase() !== "initializevariable") {
+            continue;
+        }
+        const oDeclarations = getPropertyValue(getPropertyValue(oAction.oValueNode, "inputs"), "variables");
+        if (!oDeclarations || oDeclarations.sType !== "array") {
+            continue;
+        }
+        for (let d = 0; d < oDeclarations.aItems.length; d++) {
+            const oDeclaration = oDeclarations.aItems[d];
+            const oNameNode = getPropertyValue(oDeclaration, "name");
+            if (!oNameNode || oNameNode.sType !== "string") {
+                continue;
+            }
+            const sType = getStringProperty(oDeclaration, "type");
+            const oValueNode = getPropertyValue(oDeclaration, "value");
+            aVariables.push({
+                sName: oNameNode.vValue,
+                sType: sType,
+                aTypes: oVariableTypes[sType.toLowerCase()] || ["Any"],
+                vValue: toValue(oValueNode),
+                oNameNode: oNameNode,
+                oTypeNode: getPropertyValue(oDeclaration, "type"),
+                oValueNode: oValueNode,
+                oAction: oAction
+            });
+        }
+    }
+    return aVariables;
+}
+
+/**
+ * Find a declared variable by name (variable names are case-insensitive)
+ * @param {Array<Object>} aVariables - from collectVariables
+ * @param {string} sName
+ * @returns {Object|null}
+ */
+function findVariable(aVariables, sName) {
+    const sWanted = sName.toLowerCase();
+    for (let i = 0; i < aVariables.length; i++) {
+        if (aVariables[i].sName.toLowerCase() === sWanted) {
+            return aVariables[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert an action name to the form used in expressions (spaces become underscores)
+ * @param {string} sName
+ * @returns {string}
+ */
+function toReferenceName(sName) {
+    return sName.replace(new RegExp(" ", "g"), "_");
+}
+
+/**
+ * Find the property entry that holds a value node
+ * @param {Object} oValueNode
+ * @returns {Object|null} { sKey, oKeyNode, oValueNode }
+ */
+function getOwningProperty(oValueNode) {
+    const oParent = oValueNode.oParent;
+    if (!oParent || oParent.sType !== "object") {
+        return null;
+    }
+    for (let i = 0; i < oParent.aProperties.length; i++) {
+        if (oParent.aProperties[i].oValueNode === oValueNode) {
+            return oParent.aProperties[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Build an outline entry for an action or trigger and everything nested in it.
+ * If and Switch children are grouped under their branches (If yes / If no, each case, Default).
+ * @param {Object} oAction
+ * @returns {Object} outline node
+ */
+function buildOutlineNode(oAction) {
+    const oNode = {
+        sName: oAction.sName,
+        sDetail: oAction.sType,
+        sKind: oAction.bTrigger ? "trigger" : "action",
+        oAction: oAction,
+        iStart: oAction.oKeyNode.iStart,
+        iEnd: oAction.oValueNode ? oAction.oValueNode.iEnd : oAction.oKeyNode.iEnd,
+        iSelectionStart: oAction.oKeyNode.iStart,
+        iSelectionEnd: oAction.oKeyNode.iEnd,
+        aChildren: []
+    };
+
+    const sType = oAction.sType.toLowerCase();
+    const bBranched = sType === "if" || sType === "switch";
+    for (let c = 0; c < oAction.aContainers.length; c++) {
+        const oContainer = oAction.aContainers[c];
+        const aChildren = oAction.aChildren.filter(function (oChild) {
+            return oChild.oContainerNode === oContainer.oNode;
+        }).map(buildOutlineNode);
+        if (!bBranched) {
+            oNode.aChildren = oNode.aChildren.concat(aChildren);
+            continue;
+        }
+
+        const oEntry = getOwningProperty(oContainer.sBranch === "actions" ? oContainer.oNode : oContainer.oNode.oParent);
+        const oBranch = {
+            sName: "",
+            sDetail: "",
+            sKind: "branch",
+            oAction: null,
+            iStart: oEntry ? oEntry.oKeyNode.iStart : oContainer.oNode.iStart,
+            iEnd: oContainer.oNode.oParent && oContainer.sBranch !== "actions" ? oContainer.oNode.oParent.iEnd : oContainer.oNode.iEnd,
+            iSelectionStart: oEntry ? oEntry.oKeyNode.iStart : oContainer.oNode.iStart,
+            iSelectionEnd: oEntry ? oEntry.oKeyNode.iEnd : oContainer.oNode.iStart + 1,
+            oContainerNode: oContainer.oNode,
+            aChildren: aChildren
+        };
+        if (oContainer.sBranch === "actions") {
+            oBranch.sName = "If yes";
+        } else if (oContainer.sBranch === "else") {
+            oBranch.sName = "If no";
+        } else if (oContainer.sBranch === "default") {
+            oBranch.sName = "Default";
+        } else {
+            const oCaseValue = getPropertyValue(oContainer.oNode.oParent, "case");
+            oBranch.sName = "Case " + oContainer.sBranch.substring("case:".length);
+            oBranch.sDetail = oCaseValue && oCaseValue.sType !== "object" && oCaseValue.sType !== "array" ? "= " + JSON.stringify(oCaseValue.vValue) : "";
+        }
+        oNode.aChildren.push(oBranch);
+    }
+    return oNode;
+}
+
+/**
+ * Build the document outline of a flow: triggers first, then the top-level actions
+ * with nested actions under their scopes, loops and branches.
+ * Nodes: { sName, sDetail, sKind ("trigger" | "action" | "branch"), oAction, iStart, iEnd,
+ *          iSelectionStart, iSelectionEnd, aChildren }; branches also carry the oContainerNode
+ *          ("actions" object) that holds their children.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {Array<Object>}
+ */
+function buildFlowOutline(oFlow) {
+    return oFlow.aTriggers.concat(oFlow.aTopLevel).map(buildOutlineNode);
+}
+
+module.exports = {
+    getStringProperty: getStringProperty,
+    findDefinitionNode: findDefinitionNode,
+    parseFlowDefinition: parseFlowDefinition,
+    createFlowCache: createFlowCache,
+    findAction: findAction,
+    getActionAtOffset: getActionAtOffset,
+    getEnclosingActions: getEnclosingActions,
+    isLoopAction: isLoopAction,
+    getReferenceableActions: getReferenceableActions,
+    collectVariables: collectVariables,
+    findVariable: findVariable,
+    toReferenceName: toReferenceName,
+    getOwningProperty: getOwningProperty,
+    buildFlowOutline: buildFlowOutline
+};
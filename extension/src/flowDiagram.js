@@ -0,0 +1,209 @@
+const vscode = require("vscode");
+const crypto = require("crypto");
+const { parseFlowDefinition } = require("./flowDefinition");
+const { buildFlowGraph, layoutFlowGraph } = require("./flowGraph");
+const { toMermaid, toDot } = require("./flowExport");
+const { buildFlowDocumentation } = require("./flowDocumentation");
+
+/**
+ * Build the webview page. Script and styles live in media/flowDiagram.js and
+ * media/flowDiagram.css; the page only links them.
+ * @param {vscode.Webview} oWebview
+ * @param {vscode.Uri} oExtensionUri
+ * @returns {string}
+ */
+function getDiagramHtml(oWebview, oExtensionUri) {
+    const sNonce = crypto.randomBytes(16).toString("hex");
+    const oStyleUri = oWebview.asWebviewUri(vscode.Uri.joinPath(oExtensionUri, "media", "flowDiagram.css"));
+    const oScriptUri = oWebview.asWebviewUri(vscode.Uri.joinPath(oExtensionUri, "media", "flowDiagram.js"));
+    return "<!DOCTYPE html><html lang=\"en\"><head><meta charset=\"UTF-8\">"
+        + "<meta http-equiv=\"Content-Security-Policy\" content=\"default-src 'none'; style-src " + oWebview.cspSource
+        + "; script-src 'nonce-" + sNonce + "';\">"
+        + "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">"
+        + "<link rel=\"stylesheet\" href=\"" + oStyleUri.toString() + "\">"
+        + "<title>Flow Diagram</title></head><body>"
+        + "<div id=\"toolbar\"><span id=\"title\"></span>"
+        + "<button id=\"zoomOut\" title=\"Zoom out\">-</button>"
+        + "<button id=\"zoomReset\" title=\"Reset zoom\">100%</button>"
+        + "<button id=\"zoomIn\" title=\"Zoom in\">+</button></div>"
+        + "<div id=\"canvas\"><svg id=\"diagram\" xmlns=\"http://www.w3.org/2000/svg\"></svg></div>"
+        + "<script nonce=\"" + sNonce + "\" src=\"" + oScriptUri.toString() + "\"></script>"
+        + "</body></html>";
+}
+
+/**
+ * Get the flow definition in the active editor, warning when there is none
+ * @param {string} sAction - what the command does, for the warning
+ * @returns {Object|null} from parseFlowDefinition
+ */
+function getActiveFlow(sAction) {
+    const oEditor = vscode.window.activeTextEditor;
+    const oFlow = oEditor ? parseFlowDefinition(oEditor.document.getText(), oEditor.document.languageId) : null;
+    if (!oFlow) {
+        vscode.window.showWarningMessage("Power Automate Utility: Open a flow definition (.json) to " + sAction + ".");
+    }
+    return oFlow;
+}
+
+/**
+ * Open an export in a new editor beside the flow, using the language when one is
+ * installed (e.g. "mermaid" or "dot") and plaintext otherwise
+ * @param {string} sContent
+ * @param {string} sLanguageId
+ * @returns {Thenable}
+ */
+function openExport(sContent, sLanguageId) {
+    return vscode.languages.getLanguages().then(function (aLanguages) {
+        return vscode.workspace.openTextDocument({
+            content: sContent,
+            language: aLanguages.indexOf(sLanguageId) !== -1 ? sLanguageId : "plaintext"
+        });
+    }).then(function (oDocument) {
+        return vscode.window.showTextDocument(oDocument, vscode.ViewColumn.Beside);
+    });
+}
+
+/**
+ * Register the Show Flow Diagram command (the open flow drawn as a graph in a webview
+ * beside the editor, redrawn as the definition changes; clicking a node reveals the
+ * action in the JSON), the Mermaid / DOT export commands and Generate Flow Documentation.
+ * @param {vscode.ExtensionContext} oContext
+ * @returns {Array<vscode.Disposable>}
+ */
+function registerFlowDiagram(oContext) {
+    const aDisposables = [];
+    let oPanel = null;
+    let oDocument = null;
+    let oRefreshTimer = null;
+
+    /**
+     * Send the current layout to the webview; keep the last drawing while the
+     * document is half-typed
+     */
+    function render() {
+        if (!oPanel || !oDocument) {
+            return;
+        }
+        const oFlow = parseFlowDefinition(oDocument.getText(), oDocument.languageId);
+        if (!oFlow) {
+            return;
+        }
+        const sTitle = oDocument.uri.path.split("/").pop();
+        oPanel.title = "Flow Diagram: " + sTitle;
+        oPanel.webview.postMessage({
+            sCommand: "render",
+            sTitle: sTitle,
+            oLayout: layoutFlowGraph(buildFlowGraph(oFlow))
+        });
+    }
+
+    /**
+     * Select an action's key in the flow document
+     * @param {number} iStart
+     * @param {number} iEnd
+     */
+    function reveal(iStart, iEnd) {
+        if (!oDocument) {
+            return;
+        }
+        const aEditors = vscode.window.visibleTextEditors.filter(function (oEditor) {
+            return oEditor.document === oDocument;
+        });
+        const iColumn = aEditors.length > 0 ? aEditors[0].viewColumn : vscode.ViewColumn.One;
+        vscode.window.showTextDocument(oDocument, { viewColumn: iColumn, preserveFocus: false }).then(function (oEditor) {
+            const oRange = new vscode.Range(oDocument.positionAt(iStart), oDocument.positionAt(iEnd));
+            oEditor.selection = new vscode.Selection(oRange.start, oRange.end);
+            oEditor.revealRange(oRange, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        });
+    }
+
+    // ----------------------------------------------------------------
+    // Command: Show Flow Diagram
+    // ----------------------------------------------------------------
+    aDisposables.push(vscode.commands.registerCommand("powerAutomateUtility.showFlowDiagram", function () {
+        if (!getActiveFlow("show its diagram")) {
+            return;
+        }
+        oDocument = vscode.window.activeTextEditor.document;
+        if (oPanel) {
+            oPanel.reveal(vscode.ViewColumn.Beside, true);
+            render();
+            return;
+        }
+
+        oPanel = vscode.window.createWebviewPanel(
+            "powerAutomateUtility.flowDiagram",
+            "Flow Diagram",
+            { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [vscode.Uri.joinPath(oContext.extensionUri, "media")]
+            }
+        );
+        oPanel.webview.onDidReceiveMessage(function (oMessage) {
+            if (oMessage.sCommand === "ready") {
+                render();
+            } else if (oMessage.sCommand === "reveal") {
+                reveal(oMessage.iSelectionStart, oMessage.iSelectionEnd);
+            }
+        });
+        oPanel.onDidDispose(function () {
+            oPanel = null;
+            oDocument = null;
+        });
+        oPanel.webview.html = getDiagramHtml(oPanel.webview, oContext.extensionUri);
+    }));
+
+    // ----------------------------------------------------------------
+    // Command: Export Flow as Mermaid
+    // ----------------------------------------------------------------
+    aDisposables.push(vscode.commands.registerCommand("powerAutomateUtility.exportMermaid", function () {
+        const oFlow = getActiveFlow("export it as Mermaid");
+        if (oFlow) {
+            openExport(toMermaid(buildFlowGraph(oFlow)), "mermaid");
+        }
+    }));
+
+    // ----------------------------------------------------------------
+    // Command: Export Flow as DOT
+    // ----------------------------------------------------------------
+    aDisposables.push(vscode.commands.registerCommand("powerAutomateUtility.exportDot", function () {
+        const oFlow = getActiveFlow("export it as Graphviz DOT");
+        if (oFlow) {
+            openExport(toDot(buildFlowGraph(oFlow)), "dot");
+        }
+    }));
+
+    // ----------------------------------------------------------------
+    // Command: Generate Flow Documentation
+    // ----------------------------------------------------------------
+    aDisposables.push(vscode.commands.registerCommand("powerAutomateUtility.generateFlowDocumentation", function () {
+        const oFlow = getActiveFlow("document it");
+        if (!oFlow) {
+            return;
+        }
+        const oSource = vscode.window.activeTextEditor.document;
+        const sTitle = oSource.uri.path.split("/").pop().replace(new RegExp("(\\.clientdata)?\\.json$", "i"), "");
+        openExport(buildFlowDocumentation(oSource.getText(), oFlow, sTitle), "markdown");
+    }));
+
+    aDisposables.push(vscode.workspace.onDidChangeTextDocument(function (oEvent) {
+        if (oEvent.document !== oDocument) {
+            return;
+        }
+        clearTimeout(oRefreshTimer);
+        oRefreshTimer = setTimeout(render, 300);
+    }));
+    aDisposables.push({
+        dispose: function () {
+            clearTimeout(oRefreshTimer);
+            if (oPanel) {
+                oPanel.dispose();
+            }
+        }
+    });
+    return aDisposables;
+}
+
+module.exports = { registerFlowDiagram };
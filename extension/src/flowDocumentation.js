@@ -0,0 +1,591 @@
+const { getPropertyValue, toValue, findNodeAtOffset } = require("./jsonDocument");
+const { getStringProperty, collectVariables, getOwningProperty } = require("./flowDefinition");
+const { walkExpression, collectDocumentExpressions } = require("./expressionParser");
+const { getTriggerSchema, listSchemaProperties, formatSchemaType, getFirstStringArg } = require("./flowSchema");
+const { getRunAfterEntries } = require("./flowReferences");
+const { buildFlowTree, getConnectionName } = require("./flowTree");
+
+/**
+ * Markdown documentation of a flow for change-approval packs: trigger, actions in
+ * execution order with their key inputs, variables, environment variables,
+ * connection references and every expression.
+ */
+
+/**
+ * Longest input value shown before it is cut short
+ */
+const iMaxValueLength = 160;
+
+/**
+ * Parameters the platform supplies rather than the solution's environment variables
+ */
+const aPlatformParameters = ["$connections", "$authentication"];
+
+/**
+ * Header and query names whose values are credentials (Authorization, Cookie, API keys)
+ */
+const oSecretNameRegex = new RegExp("^(proxy-)?authorization$|^(set-)?cookie$|api[-_]?key|subscription-key|functions-key", "i");
+
+/**
+ * Shown in place of a credential value
+ */
+const sRedacted = "(redacted)";
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} sText
+ * @returns {string}
+ */
+function escapeCell(sText) {
+    return String(sText).replace(new RegExp("\\|", "g"), "\\|").replace(new RegExp("\\r?\\n", "g"), " ");
+}
+
+/**
+ * Wrap text in a code span, using a longer fence when it contains backticks
+ * @param {string} sText
+ * @returns {string}
+ */
+function toCode(sText) {
+    if (sText === "") {
+        return "";
+    }
+    return sText.indexOf("`") === -1 ? "`" + sText + "`" : "`` " + sText + " ``";
+}
+
+/**
+ * Show a JSON value on one line, cut short when long
+ * @param {*} vValue
+ * @returns {string}
+ */
+function summarizeValue(vValue) {
+    const sText = typeof vValue === "string" ? vValue : JSON.stringify(vValue);
+    if (sText === undefined) {
+        return "";
+    }
+    return sText.length > iMaxValueLength ? sText.substring(0, iMaxValueLength - 1) + "…" : sText;
+}
+
+/**
+ * Build a Markdown table
+ * @param {Array<string>} aHeaders
+ * @param {Array<Array<string>>} aRows - cell text, already formatted
+ * @returns {Array<string>} lines
+ */
+function buildTable(aHeaders, aRows) {
+    const aLines = [
+        "| " + aHeaders.join(" | ") + " |",
+        "|" + aHeaders.map(function () {
+            return "---";
+        }).join("|") + "|"
+    ];
+    aRows.forEach(function (aRow) {
+        aLines.push("| " + aRow.join(" | ") + " |");
+    });
+    return aLines;
+}
+
+/**
+ * Describe a Recurrence trigger's schedule, e.g. "Every 1 Day at hours 8, on Monday"
+ * @param {Object} oTrigger
+ * @returns {string} "" when the trigger has no recurrence
+ */
+function describeSchedule(oTrigger) {
+    const oRecurrence = toValue(getPropertyValue(oTrigger.oValueNode, "recurrence"));
+    if (!oRecurrence || typeof oRecurrence !== "object") {
+        return "";
+    }
+    let sSchedule = "Every " + (oRecurrence.interval === undefined ? 1 : oRecurrence.interval) + " " + (oRecurrence.frequency || "?");
+    const oDetails = oRecurrence.schedule || {};
+    if (Array.isArray(oDetails.hours)) {
+        sSchedule += ", at hours " + oDetails.hours.join(", ");
+    }
+    if (Array.isArray(oDetails.minutes)) {
+        sSchedule += ", at minutes " + oDetails.minutes.join(", ");
+    }
+    if (Array.isArray(oDetails.weekDays)) {
+        sSchedule += ", on " + oDetails.weekDays.join(", ");
+    }
+    if (Array.isArray(oDetails.monthDays)) {
+        sSchedule += ", on days " + oDetails.monthDays.join(", ");
+    }
+    if (oRecurrence.timeZone) {
+        sSchedule += " (" + oRecurrence.timeZone + ")";
+    }
+    if (oRecurrence.startTime) {
+        sSchedule += ", starting " + oRecurrence.startTime;
+    }
+    return sSchedule;
+}
+
+/**
+ * Get the operation an action or trigger calls: operationId for OpenApiConnection,
+ * "METHOD path" for ApiConnection and "METHOD uri" for HTTP
+ * @param {Object} oAction
+ * @returns {string}
+ */
+function getOperation(oAction) {
+    const oInputs = getPropertyValue(oAction.oValueNode, "inputs");
+    const sOperationId = getStringProperty(getPropertyValue(oInputs, "host"), "operationId");
+    if (sOperationId) {
+        return sOperationId;
+    }
+    const sMethod = getStringProperty(oInputs, "method");
+    const sTarget = getStringProperty(oInputs, "path") || getStringProperty(oInputs, "uri");
+    return sMethod && sTarget ? sMethod.toUpperCase() + " " + sTarget : "";
+}
+
+/**
+ * Check whether runtimeConfiguration.secureData hides an action's inputs
+ * @param {Object} oAction
+ * @returns {boolean}
+ */
+function hasSecureInputs(oAction) {
+    const oSecureData = getPropertyValue(getPropertyValue(oAction.oValueNode, "runtimeConfiguration"), "secureData");
+    const oProperties = getPropertyValue(oSecureData, "properties");
+    return Boolean(oProperties && oProperties.sType === "array" && oProperties.aItems.some(function (oItem) {
+        return oItem.vValue === "inputs";
+    }));
+}
+
+/**
+ * Read a headers / queries object with credential values replaced
+ * @param {Object} oNode
+ * @returns {*}
+ */
+function toRedactedValue(oNode) {
+    const vValue = toValue(oNode);
+    if (oNode.sType !== "object") {
+        return vValue;
+    }
+    Object.keys(vValue).forEach(function (sName) {
+        if (oSecretNameRegex.test(sName)) {
+            vValue[sName] = sRedacted;
+        }
+    });
+    return vValue;
+}
+
+/**
+ * List an action's key inputs: foreach / expression for containers, then connector
+ * parameters or the top-level inputs (connection details and secure inputs are left out,
+ * credential headers are redacted)
+ * @param {Object} oAction
+ * @returns {Array<{ sName: string, vValue: * }>}
+ */
+function getKeyInputs(oAction) {
+    const aInputs = [];
+    ["foreach", "expression"].forEach(function (sKey) {
+        const oNode = getPropertyValue(oAction.oValueNode, sKey);
+        if (oNode) {
+            aInputs.push({ sName: sKey, vValue: toValue(oNode) });
+        }
+    });
+    const oInputs = getPropertyValue(oAction.oValueNode, "inputs");
+    if (!oInputs || hasSecureInputs(oAction)) {
+        return aInputs;
+    }
+    if (oInputs.sType !== "object") {
+        aInputs.push({ sName: "inputs", vValue: toValue(oInputs) });
+        return aInputs;
+    }
+    oInputs.aProperties.forEach(function (oProperty) {
+        if (oProperty.sKey === "host" || oProperty.sKey === "authentication") {
+            return;
+        }
+        if (oProperty.sKey === "parameters" && oProperty.oValueNode.sType === "object") {
+            oProperty.oValueNode.aProperties.forEach(function (oParameter) {
+                const bSecret = oSecretNameRegex.test(oParameter.sKey.split("/").pop());
+                aInputs.push({ sName: oParameter.sKey, vValue: bSecret ? sRedacted : toValue(oParameter.oValueNode) });
+            });
+            return;
+        }
+        if (oProperty.sKey === "headers" || oProperty.sKey === "queries") {
+            aInputs.push({ sName: oProperty.sKey, vValue: toRedactedValue(oProperty.oValueNode) });
+            return;
+        }
+        aInputs.push({ sName: oProperty.sKey, vValue: toValue(oProperty.oValueNode) });
+    });
+    return aInputs;
+}
+
+/**
+ * Check whether an expression sits in secure inputs or a credential header, so the
+ * documentation must not show it
+ * @param {Object} oExpression - from collectFlowExpressions
+ * @returns {boolean}
+ */
+function isSecretExpression(oExpression) {
+    const aSteps = oExpression.sPath.split(".");
+    if (aSteps[0] !== "inputs") {
+        return false;
+    }
+    if (oExpression.oOwner && hasSecureInputs(oExpression.oOwner)) {
+        return true;
+    }
+    if ((aSteps[1] === "headers" || aSteps[1] === "queries") && aSteps.length > 2) {
+        return oSecretNameRegex.test(aSteps[2]);
+    }
+    return aSteps[1] === "parameters" && aSteps.length > 2 && oSecretNameRegex.test(aSteps[2].split("/").pop());
+}
+
+/**
+ * Build the JSON path of a node below an action, e.g. "inputs.parameters.item/Title"
+ * @param {Object} oNode
+ * @param {Object} oStop - the action's object node
+ * @returns {string}
+ */
+function getPathBelow(oNode, oStop) {
+    const aSteps = [];
+    let oCurrent = oNode;
+    while (oCurrent && oCurrent !== oStop && oCurrent.oParent) {
+        if (oCurrent.oParent.sType === "array") {
+            aSteps.unshift("[" + oCurrent.oParent.aItems.indexOf(oCurrent) + "]");
+        } else {
+            const oProperty = getOwningProperty(oCurrent);
+            aSteps.unshift("." + (oProperty ? oProperty.sKey : "?"));
+        }
+        oCurrent = oCurrent.oParent;
+    }
+    return aSteps.join("").replace(new RegExp("^\\.", ""), "");
+}
+
+/**
+ * Collect every expression with the action (or trigger) that holds it.
+ * Entries: { sValue, oEntry, oOwner, sPath } where oEntry is the collectDocumentExpressions
+ * entry and oOwner is null outside actions.
+ * @param {string} sText
+ * @param {Object} oFlow
+ * @returns {Array<Object>}
+ */
+function collectFlowExpressions(sText, oFlow) {
+    const aOwners = oFlow.aTriggers.concat(oFlow.aActions);
+    return collectDocumentExpressions(sText, "json").filter(function (oEntry) {
+        return oEntry.aSegments.some(function (oSegment) {
+            return oSegment.sKind === "expression";
+        });
+    }).map(function (oEntry) {
+        let oOwner = null;
+        aOwners.forEach(function (oCandidate) {
+            const oValueNode = oCandidate.oValueNode;
+            if (oEntry.iStart >= oValueNode.iStart && oEntry.iEnd <= oValueNode.iEnd && (!oOwner || oValueNode.iStart >= oOwner.oValueNode.iStart)) {
+                oOwner = oCandidate;
+            }
+        });
+        const oNode = findNodeAtOffset(oFlow.oRoot, oEntry.iStart + 1);
+        return {
+            sValue: oEntry.sValue,
+            oEntry: oEntry,
+            oOwner: oOwner,
+            sPath: getPathBelow(oNode, oOwner ? oOwner.oValueNode : oFlow.oDefinition)
+        };
+    });
+}
+
+/**
+ * Find the parameters() names used by expressions, with the actions using them
+ * @param {Array<Object>} aExpressions - from collectFlowExpressions
+ * @returns {Map<string, Array<string>>} parameter name to action names
+ */
+function collectParameterUses(aExpressions) {
+    const oUses = new Map();
+    aExpressions.forEach(function (oExpression) {
+        oExpression.oEntry.aSegments.forEach(function (oSegment) {
+            walkExpression(oSegment.oAst, function (oNode) {
+                if (oNode.sKind !== "call" || oNode.sName.toLowerCase() !== "parameters") {
+                    return;
+                }
+                const sName = getFirstStringArg(oNode);
+                if (!sName || aPlatformParameters.indexOf(sName) !== -1) {
+                    return;
+                }
+                const aUsers = oUses.get(sName) || [];
+                const sUser = oExpression.oOwner ? oExpression.oOwner.sName : "";
+                if (sUser && aUsers.indexOf(sUser) === -1) {
+                    aUsers.push(sUser);
+                }
+                oUses.set(sName, aUsers);
+            });
+        });
+    });
+    return oUses;
+}
+
+/**
+ * Describe an action's runAfter, e.g. "Get_items (Succeeded, Failed)"
+ * @param {Object} oAction
+ * @returns {string}
+ */
+function describeRunAfter(oAction) {
+    return getRunAfterEntries(oAction).map(function (oEntry) {
+        const vStatuses = toValue(oEntry.oValueNode);
+        return oEntry.sKey + (Array.isArray(vStatuses) && vStatuses.length > 0 ? " (" + vStatuses.join(", ") + ")" : "");
+    }).join(", ");
+}
+
+/**
+ * Write the trigger section
+ * @param {Object} oFlow
+ * @param {Array<string>} aLines
+ */
+function writeTriggers(oFlow, aLines) {
+    aLines.push("## Trigger", "");
+    if (oFlow.aTriggers.length === 0) {
+        aLines.push("_This flow has no trigger._", "");
+        return;
+    }
+    oFlow.aTriggers.forEach(function (oTrigger) {
+        aLines.push("### " + oTrigger.sName, "");
+        aLines.push("- **Type:** " + oTrigger.sType);
+        const sKind = getStringProperty(oTrigger.oValueNode, "kind");
+        if (sKind) {
+            aLines.push("- **Kind:** " + sKind);
+        }
+        const sOperation = getOperation(oTrigger);
+        if (sOperation) {
+            aLines.push("- **Operation:** " + toCode(sOperation));
+        }
+        const sSchedule = describeSchedule(oTrigger);
+        if (sSchedule) {
+            aLines.push("- **Schedule:** " + sSchedule);
+        }
+        const sConditions = summarizeValue(toValue(getPropertyValue(oTrigger.oValueNode, "conditions")));
+        if (sConditions) {
+            aLines.push("- **Conditions:** " + toCode(sConditions));
+        }
+        aLines.push("");
+    });
+
+    const aProperties = listSchemaProperties(getTriggerSchema(oFlow));
+    if (aProperties.length > 0) {
+        aLines.push("**Inputs schema**", "");
+        Array.prototype.push.apply(aLines, buildTable(["Property", "Type", "Title", "Required"], aProperties.map(function (oProperty) {
+            return [
+                toCode(escapeCell(oProperty.sName)),
+                escapeCell(formatSchemaType(oProperty.oSchema)),
+                escapeCell(oProperty.oSchema.title || oProperty.oSchema.description || ""),
+                oProperty.bRequired ? "Yes" : "No"
+            ];
+        })));
+        aLines.push("");
+    }
+}
+
+/**
+ * Write the actions section: a summary table, then details per action
+ * @param {Object} oFlow
+ * @param {Array<string>} aLines
+ */
+function writeActions(oFlow, aLines) {
+    const aEntries = [];
+
+    /**
+     * List tree nodes in execution order with where they sit
+     * @param {Array<Object>} aNodes
+     * @param {string} sInside
+     */
+    function visit(aNodes, sInside) {
+        aNodes.forEach(function (oNode) {
+            if (oNode.sKind === "branch") {
+                visit(oNode.aChildren, sInside + " › " + oNode.sName);
+                return;
+            }
+            if (oNode.sKind === "action") {
+                aEntries.push({ oNode: oNode, sInside: sInside.replace(new RegExp("^ › ", ""), "") });
+            }
+            visit(oNode.aChildren, sInside + " › " + oNode.sName);
+        });
+    }
+    visit(buildFlowTree(oFlow).filter(function (oNode) {
+        return oNode.sKind !== "trigger";
+    }), "");
+
+    aLines.push("## Actions", "");
+    if (aEntries.length === 0) {
+        aLines.push("_This flow has no actions._", "");
+        return;
+    }
+    Array.prototype.push.apply(aLines, buildTable(["Action", "Type", "Connector", "Operation", "Inside"], aEntries.map(function (oEntry) {
+        return [
+            escapeCell(oEntry.oNode.sName),
+            escapeCell(oEntry.oNode.sDetail),
+            escapeCell(oEntry.oNode.sConnector),
+            toCode(escapeCell(getOperation(oEntry.oNode.oAction))),
+            escapeCell(oEntry.sInside)
+        ];
+    })));
+    aLines.push("");
+
+    aEntries.forEach(function (oEntry) {
+        const oAction = oEntry.oNode.oAction;
+        aLines.push("### " + oAction.sName, "");
+        aLines.push("- **Type:** " + oAction.sType);
+        if (oEntry.oNode.sConnector) {
+            aLines.push("- **Connector:** " + oEntry.oNode.sConnector);
+        }
+        const sOperation = getOperation(oAction);
+        if (sOperation) {
+            aLines.push("- **Operation:** " + toCode(sOperation));
+        }
+        const sRunAfter = describeRunAfter(oAction);
+        if (sRunAfter) {
+            aLines.push("- **Runs after:** " + sRunAfter);
+        }
+        if (oEntry.sInside) {
+            aLines.push("- **Inside:** " + oEntry.sInside);
+        }
+        const aInputs = getKeyInputs(oAction);
+        if (aInputs.length > 0) {
+            aLines.push("");
+            Array.prototype.push.apply(aLines, buildTable(["Input", "Value"], aInputs.map(function (oInput) {
+                return [escapeCell(oInput.sName), toCode(escapeCell(summarizeValue(oInput.vValue)))];
+            })));
+        }
+        aLines.push("");
+    });
+}
+
+/**
+ * Write the variables section
+ * @param {Object} oFlow
+ * @param {Array<string>} aLines
+ */
+function writeVariables(oFlow, aLines) {
+    const aVariables = collectVariables(oFlow);
+    if (aVariables.length === 0) {
+        return;
+    }
+    aLines.push("## Variables", "");
+    Array.prototype.push.apply(aLines, buildTable(["Variable", "Type", "Initial value", "Initialized in"], aVariables.map(function (oVariable) {
+        return [
+            escapeCell(oVariable.sName),
+            escapeCell(oVariable.sType),
+            toCode(escapeCell(summarizeValue(oVariable.vValue))),
+            escapeCell(oVariable.oAction.sName)
+        ];
+    })));
+    aLines.push("");
+}
+
+/**
+ * Write the environment variables section: parameters declared by the definition
+ * and parameters() used by expressions
+ * @param {Object} oFlow
+ * @param {Array<Object>} aExpressions - from collectFlowExpressions
+ * @param {Array<string>} aLines
+ */
+function writeParameters(oFlow, aExpressions, aLines) {
+    const oUses = collectParameterUses(aExpressions);
+    const oDeclared = getPropertyValue(oFlow.oDefinition, "parameters");
+    const aNames = [];
+    if (oDeclared && oDeclared.sType === "object") {
+        oDeclared.aProperties.forEach(function (oProperty) {
+            if (aPlatformParameters.indexOf(oProperty.sKey) === -1) {
+                aNames.push(oProperty.sKey);
+            }
+        });
+    }
+    oUses.forEach(function (aUsers, sName) {
+        if (aNames.indexOf(sName) === -1) {
+            aNames.push(sName);
+        }
+    });
+    if (aNames.length === 0) {
+        return;
+    }
+    aLines.push("## Environment Variables", "");
+    Array.prototype.push.apply(aLines, buildTable(["Parameter", "Type", "Schema name", "Default value", "Used by"], aNames.map(function (sName) {
+        const oDeclaration = getPropertyValue(oDeclared, sName);
+        const vDefault = toValue(getPropertyValue(oDeclaration, "defaultValue"));
+        return [
+            escapeCell(sName),
+            escapeCell(getStringProperty(oDeclaration, "type")),
+            escapeCell(getStringProperty(getPropertyValue(oDeclaration, "metadata"), "schemaName")),
+            vDefault === undefined ? "" : toCode(escapeCell(summarizeValue(vDefault))),
+            escapeCell((oUses.get(sName) || []).join(", "))
+        ];
+    })));
+    aLines.push("");
+}
+
+/**
+ * Write the connection references section
+ * @param {Object} oFlow
+ * @param {Array<string>} aLines
+ */
+function writeConnections(oFlow, aLines) {
+    const oReferences = getPropertyValue(getPropertyValue(oFlow.oRoot, "properties"), "connectionReferences");
+    if (!oReferences || oReferences.sType !== "object" || oReferences.aProperties.length === 0) {
+        return;
+    }
+    const aUsers = oFlow.aTriggers.concat(oFlow.aActions);
+    aLines.push("## Connection References", "");
+    Array.prototype.push.apply(aLines, buildTable(["Reference", "API", "Connection reference", "Used by"], oReferences.aProperties.map(function (oProperty) {
+        const oConnection = getPropertyValue(oProperty.oValueNode, "connection");
+        return [
+            escapeCell(oProperty.sKey),
+            escapeCell(getStringProperty(getPropertyValue(oProperty.oValueNode, "api"), "name")),
+            escapeCell(getStringProperty(oConnection, "connectionReferenceLogicalName") || getStringProperty(oConnection, "name")),
+            escapeCell(aUsers.filter(function (oAction) {
+                return getConnectionName(oAction) === oProperty.sKey;
+            }).map(function (oAction) {
+                return oAction.sName;
+            }).join(", "))
+        ];
+    })));
+    aLines.push("");
+}
+
+/**
+ * Write the expressions section
+ * @param {Array<Object>} aExpressions - from collectFlowExpressions
+ * @param {Array<string>} aLines
+ */
+function writeExpressions(aExpressions, aLines) {
+    if (aExpressions.length === 0) {
+        return;
+    }
+    aLines.push("## Expressions", "");
+    Array.prototype.push.apply(aLines, buildTable(["Action", "Property", "Expression"], aExpressions.map(function (oExpression) {
+        return [
+            escapeCell(oExpression.oOwner ? oExpression.oOwner.sName : ""),
+            escapeCell(oExpression.sPath),
+            toCode(escapeCell(oExpression.sValue))
+        ];
+    })));
+    aLines.push("");
+}
+
+/**
+ * Build Markdown documentation for a flow
+ * @param {string} sText - document text
+ * @param {Object} oFlow - from parseFlowDefinition(sText)
+ * @param {string} sTitle - heading, e.g. the file name
+ * @returns {string}
+ */
+function buildFlowDocumentation(sText, oFlow, sTitle) {
+    const aExpressions = collectFlowExpressions(sText, oFlow);
+    const aShownExpressions = aExpressions.filter(function (oExpression) {
+        return !isSecretExpression(oExpression);
+    });
+    const aLines = ["# " + sTitle, ""];
+    aLines.push(
+        "- **Triggers:** " + oFlow.aTriggers.length,
+        "- **Actions:** " + oFlow.aActions.length,
+        "- **Variables:** " + collectVariables(oFlow).length,
+        "- **Expressions:** " + aShownExpressions.length,
+        ""
+    );
+    writeTriggers(oFlow, aLines);
+    writeActions(oFlow, aLines);
+    writeVariables(oFlow, aLines);
+    writeParameters(oFlow, aExpressions, aLines);
+    writeConnections(oFlow, aLines);
+    writeExpressions(aShownExpressions, aLines);
+    return aLines.join("\n").replace(new RegExp("\\n+$", ""), "") + "\n";
+}
+
+module.exports = {
+    buildFlowDocumentation: buildFlowDocumentation,
+    // exported for unit testing
+    describeSchedule: describeSchedule
+};
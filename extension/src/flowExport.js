@@ -0,0 +1,253 @@
+const { getBlockRoots, getEdgeLabel, getEdgeStatus } = require("./flowGraph");
+
+/**
+ * Text exports of a flow graph (see buildFlowGraph) for design docs and wikis:
+ * Mermaid flowcharts and Graphviz DOT. Scopes, loops and branches become subgraphs;
+ * runAfter edges waiting on Failed, Skipped or TimedOut are dashed and labelled.
+ */
+
+/**
+ * Edge colours for non-success statuses
+ */
+const oStatusColours = {
+    failed: "#d13438",
+    timedout: "#d13438",
+    skipped: "#ca5010",
+    mixed: "#ca5010"
+};
+
+/**
+ * Check whether a container has any actions to draw inside it
+ * @param {Object} oNode
+ * @returns {boolean}
+ */
+function hasChildren(oNode) {
+    return oNode.aBranches.some(function (oBranch) {
+        return oBranch.aNodes.length > 0;
+    });
+}
+
+/**
+ * List every runAfter edge of a block and its nested blocks, plus trigger edges
+ * @param {Object} oGraph
+ * @returns {Array<{ sFrom: string, sTo: string, oFrom: Object, oTo: Object, sLabel: string, sStatus: string }>}
+ */
+function collectEdges(oGraph) {
+    const aEdges = [];
+    oGraph.aTriggers.forEach(function (oTrigger) {
+        getBlockRoots(oGraph.oBlock).forEach(function (oRoot) {
+            aEdges.push({ oFrom: oTrigger, oTo: oRoot, sLabel: "", sStatus: "succeeded" });
+        });
+    });
+
+    /**
+     * Add the edges of a block, recursively
+     * @param {Object} oBlock
+     */
+    function visit(oBlock) {
+        oBlock.aEdges.forEach(function (oEdge) {
+            aEdges.push({ oFrom: oEdge.oFrom, oTo: oEdge.oTo, sLabel: getEdgeLabel(oEdge.aStatuses), sStatus: getEdgeStatus(oEdge.aStatuses) });
+        });
+        oBlock.aNodes.forEach(function (oNode) {
+            oNode.aBranches.forEach(visit);
+        });
+    }
+    visit(oGraph.oBlock);
+    return aEdges;
+}
+
+/**
+ * Escape text for a quoted Mermaid label. # goes first as it starts the entity codes.
+ * @param {string} sText
+ * @returns {string}
+ */
+function escapeMermaid(sText) {
+    return sText.replace(new RegExp("#", "g"), "#35;")
+        .replace(new RegExp("\"", "g"), "#quot;")
+        .replace(new RegExp("<", "g"), "#lt;")
+        .replace(new RegExp(">", "g"), "#gt;");
+}
+
+/**
+ * Convert a flow graph to a Mermaid flowchart
+ * @param {Object} oGraph - from buildFlowGraph
+ * @returns {string}
+ */
+function toMermaid(oGraph) {
+    const aLines = ["flowchart TD"];
+
+    /**
+     * Write the nodes of a block
+     * @param {Object} oBlock
+     * @param {string} sIndent
+     */
+    function writeBlock(oBlock, sIndent) {
+        oBlock.aNodes.forEach(function (oNode) {
+            writeNode(oNode, sIndent);
+        });
+    }
+
+    /**
+     * Write a node; containers with actions become subgraphs
+     * @param {Object} oNode
+     * @param {string} sIndent
+     */
+    function writeNode(oNode, sIndent) {
+        if (oNode.sKind !== "container" || !hasChildren(oNode)) {
+            aLines.push(sIndent + oNode.sId + "[\"" + escapeMermaid(oNode.sName) + "\"]");
+            return;
+        }
+        aLines.push(sIndent + "subgraph " + oNode.sId + " [\"" + escapeMermaid(oNode.sName) + "\"]");
+        aLines.push(sIndent + "    direction TB");
+        oNode.aBranches.forEach(function (oBranch) {
+            if (oBranch.aNodes.length === 0) {
+                return;
+            }
+            if (!oBranch.sLabel) {
+                writeBlock(oBranch, sIndent + "    ");
+                return;
+            }
+            aLines.push(sIndent + "    subgraph " + oBranch.sId + " [\"" + escapeMermaid(oBranch.sLabel) + "\"]");
+            writeBlock(oBranch, sIndent + "        ");
+            aLines.push(sIndent + "    end");
+        });
+        aLines.push(sIndent + "end");
+    }
+
+    oGraph.aTriggers.forEach(function (oTrigger) {
+        aLines.push("    " + oTrigger.sId + "([\"" + escapeMermaid(oTrigger.sName) + "\"])");
+    });
+    writeBlock(oGraph.oBlock, "    ");
+
+    const aLinkStyles = [];
+    collectEdges(oGraph).forEach(function (oEdge, iIndex) {
+        if (!oEdge.sLabel) {
+            aLines.push("    " + oEdge.oFrom.sId + " --> " + oEdge.oTo.sId);
+            return;
+        }
+        aLines.push("    " + oEdge.oFrom.sId + " -.->|\"" + escapeMermaid(oEdge.sLabel) + "\"| " + oEdge.oTo.sId);
+        if (oStatusColours[oEdge.sStatus]) {
+            aLinkStyles.push("    linkStyle " + iIndex + " stroke:" + oStatusColours[oEdge.sStatus]);
+        }
+    });
+    return aLines.concat(aLinkStyles).join("\n") + "\n";
+}
+
+/**
+ * Escape text for a quoted DOT string
+ * @param {string} sText
+ * @returns {string}
+ */
+function escapeDot(sText) {
+    return sText.replace(new RegExp("\\\\", "g"), "\\\\").replace(new RegExp("\"", "g"), "\\\"");
+}
+
+/**
+ * Convert a flow graph to Graphviz DOT. Containers are clusters holding a header
+ * node (the container's type) that edges into and out of the container attach to.
+ * @param {Object} oGraph - from buildFlowGraph
+ * @returns {string}
+ */
+function toDot(oGraph) {
+    const aLines = [
+        "digraph flow {",
+        "    compound=true;",
+        "    rankdir=TB;",
+        "    node [shape=box, style=rounded];"
+    ];
+
+    /**
+     * Write a node; containers become clusters
+     * @param {Object} oNode
+     * @param {string} sIndent
+     */
+    function writeNode(oNode, sIndent) {
+        if (oNode.sKind !== "container") {
+            aLines.push(sIndent + oNode.sId + " [label=\"" + escapeDot(oNode.sName) + "\"];");
+            return;
+        }
+        const sType = oNode.sType.toLowerCase();
+        aLines.push(sIndent + "subgraph cluster_" + oNode.sId + " {");
+        aLines.push(sIndent + "    label=\"" + escapeDot(oNode.sName) + "\";");
+        aLines.push(sIndent + "    style=rounded;");
+        aLines.push(sIndent + "    " + oNode.sId + " [label=\"" + escapeDot(oNode.sType) + "\", shape=" + (sType === "if" || sType === "switch" ? "diamond" : "box") + "];");
+        oNode.aBranches.forEach(function (oBranch) {
+            if (oBranch.aNodes.length === 0) {
+                return;
+            }
+            let sBranchIndent = sIndent + "    ";
+            if (oBranch.sLabel) {
+                aLines.push(sBranchIndent + "subgraph cluster_" + oBranch.sId + " {");
+                aLines.push(sBranchIndent + "    label=\"" + escapeDot(oBranch.sLabel) + "\";");
+                aLines.push(sBranchIndent + "    style=dashed;");
+                sBranchIndent += "    ";
+            }
+            oBranch.aNodes.forEach(function (oChild) {
+                writeNode(oChild, sBranchIndent);
+            });
+            if (oBranch.sLabel) {
+                aLines.push(sIndent + "    }");
+            }
+        });
+        aLines.push(sIndent + "}");
+    }
+
+    /**
+     * Write the header-to-branch edges of the containers in a block, recursively
+     * @param {Object} oBlock
+     */
+    function writeBranchEdges(oBlock) {
+        oBlock.aNodes.forEach(function (oNode) {
+            oNode.aBranches.forEach(function (oBranch) {
+                getBlockRoots(oBranch).forEach(function (oRoot) {
+                    aLines.push("    " + oNode.sId + " -> " + oRoot.sId + getClusterAttributes(null, oRoot, []) + ";");
+                });
+                writeBranchEdges(oBranch);
+            });
+        });
+    }
+
+    /**
+     * Build the attribute list of an edge that may start or end at a container
+     * @param {Object|null} oFrom
+     * @param {Object} oTo
+     * @param {Array<string>} aAttributes - other attributes
+     * @returns {string}
+     */
+    function getClusterAttributes(oFrom, oTo, aAttributes) {
+        const aAll = aAttributes.slice();
+        if (oFrom && oFrom.sKind === "container") {
+            aAll.push("ltail=cluster_" + oFrom.sId);
+        }
+        if (oTo.sKind === "container") {
+            aAll.push("lhead=cluster_" + oTo.sId);
+        }
+        return aAll.length > 0 ? " [" + aAll.join(", ") + "]" : "";
+    }
+
+    oGraph.aTriggers.forEach(function (oTrigger) {
+        aLines.push("    " + oTrigger.sId + " [label=\"" + escapeDot(oTrigger.sName) + "\", shape=oval];");
+    });
+    oGraph.oBlock.aNodes.forEach(function (oNode) {
+        writeNode(oNode, "    ");
+    });
+
+    collectEdges(oGraph).forEach(function (oEdge) {
+        const aAttributes = [];
+        if (oEdge.sLabel) {
+            aAttributes.push("label=\"" + escapeDot(oEdge.sLabel) + "\"", "style=dashed");
+            if (oStatusColours[oEdge.sStatus]) {
+                aAttributes.push("color=\"" + oStatusColours[oEdge.sStatus] + "\"", "fontcolor=\"" + oStatusColours[oEdge.sStatus] + "\"");
+            }
+        }
+        aLines.push("    " + oEdge.oFrom.sId + " -> " + oEdge.oTo.sId + getClusterAttributes(oEdge.oFrom, oEdge.oTo, aAttributes) + ";");
+    });
+    writeBranchEdges(oGraph.oBlock);
+    aLines.push("}");
+    return aLines.join("\n") + "\n";
+}
+
+module.exports = {
+    toMermaid: toMermaid,
+    toDot: toDot
+};
@@ -0,0 +1,424 @@
+const { walkExpression, toDocumentOffset, toValueIndex, findExpressionAtOffset } = require("./expressionParser");
+const { getActionAtOffset, getEnclosingActions, toReferenceName } = require("./flowDefinition");
+const { getExecutionOrder, buildRunAfterEdit, readRunAfter, createRunAfter, detectIndentUnit } = require("./flowTree");
+const { getUniqueActionName, buildAddPropertyEdit } = require("./quickFixes");
+const { collectActionReferences } = require("./flowReferences");
+
+/**
+ * Extract a sub-expression that several actions repeat into a Compose action and
+ * replace each occurrence with outputs('Compose'). Occurrences are matched on the
+ * parsed expression, so spacing, quoting and function name casing do not matter.
+ */
+
+/**
+ * Node kinds that can be extracted (literals on their own are not worth a Compose)
+ */
+const aExtractableKinds = ["call", "index", "member"];
+
+/**
+ * Build a key that is equal for structurally identical expressions
+ * @param {Object} oNode - expression AST node
+ * @returns {string}
+ */
+function getExpressionKey(oNode) {
+    if (!oNode) {
+        return "";
+    }
+    if (oNode.sKind === "call") {
+        return oNode.sName.toLowerCase() + "(" + oNode.aArgs.map(getExpressionKey).join(",") + ")";
+    }
+    if (oNode.sKind === "index") {
+        return getExpressionKey(oNode.oTarget) + (oNode.bSafe ? "?" : "") + "[" + getExpressionKey(oNode.oIndex) + "]";
+    }
+    if (oNode.sKind === "member") {
+        return getExpressionKey(oNode.oTarget) + (oNode.bSafe ? "?" : "") + "[" + JSON.stringify(oNode.sName) + "]";
+    }
+    if (oNode.sKind === "string") {
+        return JSON.stringify(oNode.sValue);
+    }
+    if (oNode.sKind === "number") {
+        return String(oNode.nValue);
+    }
+    if (oNode.sKind === "boolean") {
+        return String(oNode.bValue);
+    }
+    return oNode.sKind;
+}
+
+/**
+ * Check whether an expression has a parse error anywhere inside it
+ * @param {Object} oNode
+ * @returns {boolean}
+ */
+function hasErrorNode(oNode) {
+    let bError = false;
+    walkExpression(oNode, function (oChild) {
+        bError = bError || oChild.sKind === "error";
+    });
+    return bError;
+}
+
+/**
+ * Find the sub-expression to extract: the smallest call or property access that
+ * covers the selection (or the cursor)
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {number} iStart - selection start offset
+ * @param {number} iEnd - selection end offset
+ * @returns {{ oEntry: Object, oNode: Object, iStart: number, iEnd: number, sExpression: string }|null}
+ */
+function findExtractTarget(aExpressions, iStart, iEnd) {
+    const oMatch = findExpressionAtOffset(aExpressions, iStart);
+    if (!oMatch || !oMatch.oSegment.oAst) {
+        return null;
+    }
+    const oEntry = oMatch.oEntry;
+    const iFrom = oMatch.iIndex;
+    const iTo = iEnd > iStart ? toValueIndex(oEntry, iEnd) : iFrom;
+    let oFound = null;
+    walkExpression(oMatch.oSegment.oAst, function (oNode) {
+        const bCovers = oNode.iStart <= iFrom && oNode.iEnd >= iTo;
+        if (bCovers && aExtractableKinds.indexOf(oNode.sKind) !== -1 && (!oFound || oNode.iEnd - oNode.iStart < oFound.iEnd - oFound.iStart)) {
+            oFound = oNode;
+        }
+    });
+    if (!oFound || hasErrorNode(oFound)) {
+        return null;
+    }
+    return {
+        oEntry: oEntry,
+        oNode: oFound,
+        iStart: toDocumentOffset(oEntry, oFound.iStart),
+        iEnd: toDocumentOffset(oEntry, oFound.iEnd),
+        sExpression: oEntry.sValue.substring(oFound.iStart, oFound.iEnd)
+    };
+}
+
+/**
+ * Check whether an expression reads the current Foreach item with item()
+ * @param {Object} oNode
+ * @returns {boolean}
+ */
+function usesCurrentItem(oNode) {
+    let bItem = false;
+    walkExpression(oNode, function (oChild) {
+        bItem = bItem || (oChild.sKind === "call" && oChild.sName.toLowerCase() === "item");
+    });
+    return bItem;
+}
+
+/**
+ * Find the innermost Foreach around an offset (what item() reads)
+ * @param {Object} oFlow
+ * @param {number} iOffset
+ * @returns {Object|null}
+ */
+function getItemLoop(oFlow, iOffset) {
+    return getEnclosingActions(oFlow, iOffset).filter(function (oAction) {
+        return oAction.sType.toLowerCase() === "foreach";
+    })[0] || null;
+}
+
+/**
+ * Find every occurrence of the target expression inside an action. Expressions using
+ * item() only match inside the same Foreach, where item() means the same thing.
+ * Occurrences: { iStart, iEnd, oAction } in document offsets.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {Object} oTarget - from findExtractTarget
+ * @returns {Array<Object>}
+ */
+function findOccurrences(oFlow, aExpressions, oTarget) {
+    const sKey = getExpressionKey(oTarget.oNode);
+    const bItem = usesCurrentItem(oTarget.oNode);
+    const oItemLoop = bItem ? getItemLoop(oFlow, oTarget.iStart) : null;
+    const aOccurrences = [];
+    aExpressions.forEach(function (oEntry) {
+        oEntry.aSegments.forEach(function (oSegment) {
+            walkExpression(oSegment.oAst, function (oNode) {
+                if (aExtractableKinds.indexOf(oNode.sKind) === -1 || getExpressionKey(oNode) !== sKey) {
+                    return;
+                }
+                const iStart = toDocumentOffset(oEntry, oNode.iStart);
+                const oAction = getActionAtOffset(oFlow, iStart);
+                if (!oAction || oAction.bTrigger || (bItem && getItemLoop(oFlow, iStart) !== oItemLoop)) {
+                    return;
+                }
+                aOccurrences.push({ iStart: iStart, iEnd: toDocumentOffset(oEntry, oNode.iEnd), oAction: oAction });
+            });
+        });
+    });
+    return aOccurrences;
+}
+
+/**
+ * Suggest a name for the Compose action from what the expression reads
+ * @param {Object} oFlow
+ * @param {Object} oTarget - from findExtractTarget
+ * @returns {string}
+ */
+function suggestComposeName(oFlow, oTarget) {
+    const oNode = oTarget.oNode;
+    let sWord = oNode.sKind === "call" ? oNode.sName : "";
+    if (oNode.sKind === "member") {
+        sWord = oNode.sName;
+    } else if (oNode.sKind === "index" && oNode.oIndex && oNode.oIndex.sKind === "string") {
+        sWord = oNode.oIndex.sValue;
+    }
+    sWord = sWord.replace(new RegExp("[^A-Za-z0-9_]", "g"), "_");
+    return getUniqueActionName(oFlow, "Extracted_" + (sWord || "value"));
+}
+
+/**
+ * Find the ancestor of an action (or the action itself) that sits in an actions block
+ * @param {Object} oAction
+ * @param {Object} oContainerNode - the block's "actions" object
+ * @returns {Object|null}
+ */
+function getAncestorIn(oAction, oContainerNode) {
+    let oCurrent = oAction;
+    while (oCurrent && oCurrent.oContainerNode !== oContainerNode) {
+        oCurrent = oCurrent.oParent;
+    }
+    return oCurrent;
+}
+
+/**
+ * Collect the names of the siblings an action runs after, directly or through other siblings
+ * @param {Object} oAction
+ * @param {Array<Object>} aSiblings - actions sharing its block
+ * @returns {Set<string>}
+ */
+function getUpstreamNames(oAction, aSiblings) {
+    const oUpstream = new Set();
+    const aPending = [oAction];
+    while (aPending.length > 0) {
+        Object.keys(readRunAfter(aPending.pop())).forEach(function (sKey) {
+            const oSibling = aSiblings.filter(function (oItem) {
+                return oItem.sName === sKey;
+            })[0];
+            if (oSibling && !oUpstream.has(sKey)) {
+                oUpstream.add(sKey);
+                aPending.push(oSibling);
+            }
+        });
+    }
+    return oUpstream;
+}
+
+/**
+ * Collect the names of the siblings that run (transitively) after any of the given actions,
+ * the actions themselves included
+ * @param {Array<Object>} aActions
+ * @param {Array<Object>} aSiblings - actions sharing their block
+ * @returns {Set<string>}
+ */
+function getDownstreamNames(aActions, aSiblings) {
+    const oDownstream = new Set(aActions.map(function (oAction) {
+        return oAction.sName;
+    }));
+    let bChanged = true;
+    while (bChanged) {
+        bChanged = false;
+        aSiblings.forEach(function (oSibling) {
+            const bAfter = Object.keys(readRunAfter(oSibling)).some(function (sKey) {
+                return oDownstream.has(sKey);
+            });
+            if (bAfter && !oDownstream.has(oSibling.sName)) {
+                oDownstream.add(oSibling.sName);
+                bChanged = true;
+            }
+        });
+    }
+    return oDownstream;
+}
+
+/**
+ * Check whether an action has always finished before another one starts: the block they
+ * share holds an ancestor of each, and the other's ancestor runs after the action's
+ * @param {Object} oFlow
+ * @param {Object} oAction - the action that must have run
+ * @param {Object} oLater - the action that must start after it
+ * @returns {boolean}
+ */
+function hasRunBefore(oFlow, oAction, oLater) {
+    for (let oCurrent = oLater; oCurrent; oCurrent = oCurrent.oParent) {
+        const oAncestor = getAncestorIn(oAction, oCurrent.oContainerNode);
+        if (oAncestor) {
+            const aSiblings = oFlow.aActions.filter(function (oItem) {
+                return oItem.oContainerNode === oCurrent.oContainerNode;
+            });
+            return oAncestor !== oCurrent && getUpstreamNames(oCurrent, aSiblings).has(oAncestor.sName);
+        }
+    }
+    return false;
+}
+
+/**
+ * Work out where the Compose goes. It sits in the innermost actions block holding every
+ * consumer, before the consumer that runs first there, and also waits for any sibling
+ * holding an action the expression reads (body(), outputs(), actions(), result()).
+ * Actions read from outside the block must have run before the block starts, and
+ * items() / iterationIndexes() loops must enclose it. Consumers that get the Compose in
+ * their runAfter must only run after their predecessors succeed.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {Object} oTarget - from findExtractTarget
+ * @returns {Object|null} { aOccurrences, oBlock, aSiblings, aConsumers, oFirst, aWaitFor, sProblem }, null without occurrences
+ */
+function planExtract(oFlow, aExpressions, oTarget) {
+    const aOccurrences = findOccurrences(oFlow, aExpressions, oTarget);
+    if (aOccurrences.length === 0) {
+        return null;
+    }
+
+    // The innermost block that every consumer sits in
+    const aChains = aOccurrences.map(function (oOccurrence) {
+        const aChain = [];
+        for (let oAction = oOccurrence.oAction; oAction; oAction = oAction.oParent) {
+            aChain.push(oAction.oContainerNode);
+        }
+        return aChain;
+    });
+    const oBlock = aChains[0].filter(function (oContainerNode) {
+        return aChains.every(function (aChain) {
+            return aChain.indexOf(oContainerNode) !== -1;
+        });
+    })[0];
+
+    const aSiblings = oFlow.aActions.filter(function (oAction) {
+        return oAction.oContainerNode === oBlock;
+    });
+    const aConsumers = [];
+    aOccurrences.forEach(function (oOccurrence) {
+        const oConsumer = getAncestorIn(oOccurrence.oAction, oBlock);
+        if (aConsumers.indexOf(oConsumer) === -1) {
+            aConsumers.push(oConsumer);
+        }
+    });
+    const oFirst = getExecutionOrder(aSiblings).filter(function (oAction) {
+        return aConsumers.indexOf(oAction) !== -1;
+    })[0];
+    const oPlan = { aOccurrences: aOccurrences, oBlock: oBlock, aSiblings: aSiblings, aConsumers: aConsumers, oFirst: oFirst, aWaitFor: [], sProblem: null };
+
+    // Every consumer runs after the Compose, so it cannot wait for them or anything after them
+    const oAfterConsumers = getDownstreamNames(aConsumers, aSiblings);
+    const oOwner = aSiblings[0].oParent;
+    const aReferences = collectActionReferences(oFlow, [oTarget.oEntry]).filter(function (oReference) {
+        return oReference.iStart >= oTarget.iStart && oReference.iEnd <= oTarget.iEnd && oReference.oAction && !oReference.oAction.bTrigger;
+    });
+    for (let i = 0; i < aReferences.length; i++) {
+        const oRead = aReferences[i].oAction;
+        const sFunction = aReferences[i].sFunction.toLowerCase();
+        const oSibling = getAncestorIn(oRead, oBlock);
+        let bReady = true;
+        if (sFunction === "items" || sFunction === "iterationindexes") {
+            bReady = !!oOwner && (oOwner === oRead || getAncestorIn(oOwner, oRead.oContainerNode) === oRead);
+        } else if (oSibling) {
+            bReady = !oAfterConsumers.has(oSibling.sName);
+            if (bReady && oPlan.aWaitFor.indexOf(oSibling) === -1) {
+                oPlan.aWaitFor.push(oSibling);
+            }
+        } else {
+            bReady = hasRunBefore(oFlow, oRead, oOwner);
+        }
+        if (!bReady) {
+            oPlan.sProblem = "The expression reads '" + oRead.sName + "', and no place in the flow runs after it and before every use of the expression";
+            break;
+        }
+    }
+
+    // The consumers given the Compose in their runAfter wait for it to succeed, which would
+    // stop a Catch or Finally action (runAfter Failed, Skipped, ...) from running
+    const oAfterFirst = getDownstreamNames([oFirst], aSiblings);
+    const oOnFailure = aConsumers.filter(function (oConsumer) {
+        return oConsumer === oFirst || !oAfterFirst.has(oConsumer.sName);
+    }).filter(function (oConsumer) {
+        const oRunAfter = readRunAfter(oConsumer);
+        return Object.keys(oRunAfter).some(function (sKey) {
+            return JSON.stringify(oRunAfter[sKey]) !== "[\"Succeeded\"]";
+        });
+    })[0];
+    if (!oPlan.sProblem && oOnFailure) {
+        oPlan.sProblem = "'" + oOnFailure.sName + "' does not only run after its predecessors succeed, and a Compose before it would change when it runs";
+    }
+    return oPlan;
+}
+
+/**
+ * Check whether the target can be extracted
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {Object} oTarget - from findExtractTarget
+ * @returns {string|null} why it cannot be extracted, or null when it can
+ */
+function checkExtractPlacement(oFlow, aExpressions, oTarget) {
+    const oPlan = planExtract(oFlow, aExpressions, oTarget);
+    if (!oPlan) {
+        return "Only expressions inside actions can be extracted into a Compose action";
+    }
+    return oPlan.sProblem;
+}
+
+/**
+ * Build the edits that extract the target into a new Compose action.
+ * The Compose takes the runAfter of the first consumer in its block (which then runs
+ * after the Compose) plus the siblings it has to wait for, and consumers running in
+ * parallel with it get the Compose added to their runAfter.
+ * @param {string} sText - document text
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {Object} oTarget - from findExtractTarget
+ * @param {string} sName - name of the new Compose action
+ * @returns {{ aEdits: Array<Object>, iOccurrences: number }|null} null when checkExtractPlacement reports a problem
+ */
+function buildExtractEdits(sText, oFlow, aExpressions, oTarget, sName) {
+    const oPlan = planExtract(oFlow, aExpressions, oTarget);
+    if (!oPlan || oPlan.sProblem) {
+        return null;
+    }
+    const oFirst = oPlan.oFirst;
+
+    // Siblings that already run (transitively) after the first consumer
+    const oAfterFirst = getDownstreamNames([oFirst], oPlan.aSiblings);
+
+    const sUnit = detectIndentUnit(sText);
+    const aEdits = [];
+    oPlan.aConsumers.forEach(function (oConsumer) {
+        if (oConsumer === oFirst) {
+            aEdits.push(buildRunAfterEdit(sText, oConsumer, createRunAfter(sName), sUnit));
+        } else if (!oAfterFirst.has(oConsumer.sName)) {
+            aEdits.push(buildRunAfterEdit(sText, oConsumer, Object.assign(readRunAfter(oConsumer), createRunAfter(sName)), sUnit));
+        }
+    });
+
+    const oRunAfter = readRunAfter(oFirst);
+    const oUpstream = getUpstreamNames(oFirst, oPlan.aSiblings);
+    oPlan.aWaitFor.forEach(function (oSibling) {
+        if (!oUpstream.has(oSibling.sName)) {
+            Object.assign(oRunAfter, createRunAfter(oSibling.sName));
+        }
+    });
+    const iIndex = oPlan.oBlock.aProperties.map(function (oProperty) {
+        return oProperty.oValueNode;
+    }).indexOf(oFirst.oValueNode);
+    aEdits.push(buildAddPropertyEdit(sText, oPlan.oBlock, sName, {
+        type: "Compose",
+        inputs: "@" + oTarget.sExpression,
+        runAfter: oRunAfter
+    }, iIndex, sUnit));
+
+    const sReference = JSON.stringify("outputs('" + toReferenceName(sName).replace(new RegExp("'", "g"), "''") + "')").slice(1, -1);
+    oPlan.aOccurrences.forEach(function (oOccurrence) {
+        aEdits.push({ iStart: oOccurrence.iStart, iEnd: oOccurrence.iEnd, sNewText: sReference });
+    });
+    return { aEdits: aEdits, iOccurrences: oPlan.aOccurrences.length };
+}
+
+module.exports = {
+    getExpressionKey: getExpressionKey,
+    findExtractTarget: findExtractTarget,
+    findOccurrences: findOccurrences,
+    suggestComposeName: suggestComposeName,
+    checkExtractPlacement: checkExtractPlacement,
+    buildExtractEdits: buildExtractEdits
+};
@@ -0,0 +1,415 @@
+const { getRunAfterEntries } = require("./flowReferences");
+const { getExecutionOrder } = require("./flowTree");
+
+/**
+ * The flow as a graph: triggers, then blocks of actions joined by runAfter edges.
+ * Scope, Foreach, Until, If and Switch actions hold one block per branch. Used by the
+ * diagram view (with layoutFlowGraph) and the Mermaid / DOT exports.
+ */
+
+/**
+ * Sizes used by layoutFlowGraph, in pixels
+ */
+const oLayout = {
+    iNodeWidth: 200,
+    iNodeHeight: 48,
+    iHeaderHeight: 40,
+    iBranchLabelHeight: 26,
+    iPadding: 16,
+    iGapX: 24,
+    iGapY: 40,
+    iEmptyWidth: 120,
+    iEmptyHeight: 28
+};
+
+/**
+ * Action types drawn as a box around their child actions (lower-cased)
+ */
+const aContainerTypes = ["scope", "foreach", "until", "if", "switch"];
+
+/**
+ * Get the label of a branch of a container action
+ * @param {string} sType - lower-cased container type
+ * @param {string} sBranch - "actions", "else", "default" or "case:<name>"
+ * @returns {string}
+ */
+function getBranchLabel(sType, sBranch) {
+    if (sType === "if") {
+        return sBranch === "else" ? "If no" : "If yes";
+    }
+    if (sBranch === "default") {
+        return "Default";
+    }
+    return sBranch.indexOf("case:") === 0 ? "Case " + sBranch.substring("case:".length) : "";
+}
+
+/**
+ * Build the graph of a flow.
+ * Nodes: { sId, sName, sType, sKind ("trigger" | "action" | "container"), oAction, aBranches }
+ * Blocks: { sId, sLabel, aNodes (execution order), aEdges: [{ oFrom, oTo, aStatuses }] }
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {{ aTriggers: Array<Object>, oBlock: Object }}
+ */
+function buildFlowGraph(oFlow) {
+    const oIds = new Map();
+    oFlow.aTriggers.forEach(function (oTrigger, iIndex) {
+        oIds.set(oTrigger, "t" + iIndex);
+    });
+    oFlow.aActions.forEach(function (oAction, iIndex) {
+        oIds.set(oAction, "a" + iIndex);
+    });
+    let iBlockCount = 0;
+
+    /**
+     * Build a graph node for an action
+     * @param {Object} oAction
+     * @returns {Object}
+     */
+    function buildNode(oAction) {
+        const sType = oAction.sType.toLowerCase();
+        const bContainer = !oAction.bTrigger && aContainerTypes.indexOf(sType) !== -1;
+        const oNode = {
+            sId: oIds.get(oAction),
+            sName: oAction.sName,
+            sType: oAction.sType,
+            sKind: oAction.bTrigger ? "trigger" : (bContainer ? "container" : "action"),
+            oAction: oAction,
+            aBranches: []
+        };
+        if (!bContainer) {
+            return oNode;
+        }
+
+        // If shows both branches and Switch its default even when they are missing or empty
+        const aContainers = oAction.aContainers.slice();
+        const sMissing = sType === "if" ? "else" : (sType === "switch" ? "default" : "");
+        if (sMissing && !aContainers.some(function (oContainer) {
+            return oContainer.sBranch === sMissing;
+        })) {
+            aContainers.push({ sBranch: sMissing, oNode: null });
+        }
+        for (let c = 0; c < aContainers.length; c++) {
+            const aChildren = oAction.aChildren.filter(function (oChild) {
+                return aContainers[c].oNode && oChild.oContainerNode === aContainers[c].oNode;
+            });
+            oNode.aBranches.push(buildBlock(aChildren, getBranchLabel(sType, aContainers[c].sBranch)));
+        }
+        return oNode;
+    }
+
+    /**
+     * Build a block from sibling actions
+     * @param {Array<Object>} aActions
+     * @param {string} sLabel
+     * @returns {Object}
+     */
+    function buildBlock(aActions, sLabel) {
+        const oBlock = { sId: "b" + iBlockCount++, sLabel: sLabel, aNodes: [], aEdges: [] };
+        const oNodes = new Map();
+        const aOrdered = getExecutionOrder(aActions);
+        for (let i = 0; i < aOrdered.length; i++) {
+            const oNode = buildNode(aOrdered[i]);
+            oNodes.set(aOrdered[i].sName, oNode);
+            oBlock.aNodes.push(oNode);
+        }
+        for (let i = 0; i < aOrdered.length; i++) {
+            const aEntries = getRunAfterEntries(aOrdered[i]);
+            for (let e = 0; e < aEntries.length; e++) {
+                const oFrom = oNodes.get(aEntries[e].sKey);
+                if (!oFrom) {
+                    continue;
+                }
+                const aStatuses = aEntries[e].oValueNode.sType === "array"
+                    ? aEntries[e].oValueNode.aItems.filter(function (oItem) {
+                        return oItem.sType === "string";
+                    }).map(function (oItem) {
+                        return oItem.vValue;
+                    })
+                    : [];
+                oBlock.aEdges.push({ oFrom: oFrom, oTo: oNodes.get(aOrdered[i].sName), aStatuses: aStatuses });
+            }
+        }
+        return oBlock;
+    }
+
+    return {
+        aTriggers: oFlow.aTriggers.map(buildNode),
+        oBlock: buildBlock(oFlow.aTopLevel, "")
+    };
+}
+
+/**
+ * Get the roots of a block: nodes with no incoming edge inside it
+ * @param {Object} oBlock
+ * @returns {Array<Object>}
+ */
+function getBlockRoots(oBlock) {
+    return oBlock.aNodes.filter(function (oNode) {
+        return !oBlock.aEdges.some(function (oEdge) {
+            return oEdge.oTo === oNode;
+        });
+    });
+}
+
+/**
+ * Describe the statuses of a runAfter edge: "" for plain success, otherwise the
+ * statuses joined, e.g. "Failed, TimedOut"
+ * @param {Array<string>} aStatuses
+ * @returns {string}
+ */
+function getEdgeLabel(aStatuses) {
+    return aStatuses.length === 1 && aStatuses[0].toLowerCase() === "succeeded" ? "" : aStatuses.join(", ");
+}
+
+/**
+ * Classify an edge for styling: "succeeded", "failed", "skipped", "timedout" or "mixed"
+ * @param {Array<string>} aStatuses
+ * @returns {string}
+ */
+function getEdgeStatus(aStatuses) {
+    const aLower = aStatuses.map(function (sStatus) {
+        return sStatus.toLowerCase();
+    });
+    if (aLower.length === 0 || (aLower.length === 1 && aLower[0] === "succeeded")) {
+        return "succeeded";
+    }
+    return aLower.length === 1 ? aLower[0] : "mixed";
+}
+
+/**
+ * Lay out a block: nodes in layers by runAfter depth, parallel branches side by side.
+ * Positions are relative to the block's top-left corner.
+ * @param {Object} oBlock
+ * @returns {{ iWidth: number, iHeight: number, aItems: Array<Object>, aEdges: Array<Object> }}
+ */
+function layoutBlock(oBlock) {
+    if (oBlock.aNodes.length === 0) {
+        return { iWidth: oLayout.iEmptyWidth, iHeight: oLayout.iEmptyHeight, aItems: [], aEdges: [] };
+    }
+
+    // Layer = longest runAfter chain from a root (nodes are in execution order)
+    const oLayers = new Map();
+    oBlock.aNodes.forEach(function (oNode) {
+        let iLayer = 0;
+        oBlock.aEdges.forEach(function (oEdge) {
+            if (oEdge.oTo === oNode && oLayers.has(oEdge.oFrom)) {
+                iLayer = Math.max(iLayer, oLayers.get(oEdge.oFrom) + 1);
+            }
+        });
+        oLayers.set(oNode, iLayer);
+    });
+
+    const aRows = [];
+    oBlock.aNodes.forEach(function (oNode) {
+        const iLayer = oLayers.get(oNode);
+        aRows[iLayer] = (aRows[iLayer] || []).concat([{ oNode: oNode, oSize: layoutNode(oNode) }]);
+    });
+
+    let iWidth = 0;
+    aRows.forEach(function (aRow) {
+        const iRowWidth = aRow.reduce(function (iSum, oEntry) {
+            return iSum + oEntry.oSize.iWidth;
+        }, 0) + oLayout.iGapX * (aRow.length - 1);
+        iWidth = Math.max(iWidth, iRowWidth);
+    });
+
+    const aItems = [];
+    const oPlaced = new Map();
+    let iY = 0;
+    aRows.forEach(function (aRow) {
+        const iRowWidth = aRow.reduce(function (iSum, oEntry) {
+            return iSum + oEntry.oSize.iWidth;
+        }, 0) + oLayout.iGapX * (aRow.length - 1);
+        const iRowHeight = Math.max.apply(null, aRow.map(function (oEntry) {
+            return oEntry.oSize.iHeight;
+        }));
+        let iX = (iWidth - iRowWidth) / 2;
+        aRow.forEach(function (oEntry) {
+            const oBox = { oNode: oEntry.oNode, iX: iX, iY: iY, iWidth: oEntry.oSize.iWidth, iHeight: oEntry.oSize.iHeight };
+            oPlaced.set(oEntry.oNode, oBox);
+            aItems.push({ oBox: oBox, oSize: oEntry.oSize });
+            iX += oEntry.oSize.iWidth + oLayout.iGapX;
+        });
+        iY += iRowHeight + oLayout.iGapY;
+    });
+
+    const aEdges = oBlock.aEdges.map(function (oEdge) {
+        const oFrom = oPlaced.get(oEdge.oFrom);
+        const oTo = oPlaced.get(oEdge.oTo);
+        return {
+            iX1: oFrom.iX + oFrom.iWidth / 2,
+            iY1: oFrom.iY + oFrom.iHeight,
+            iX2: oTo.iX + oTo.iWidth / 2,
+            iY2: oTo.iY,
+            sLabel: getEdgeLabel(oEdge.aStatuses),
+            sStatus: getEdgeStatus(oEdge.aStatuses)
+        };
+    });
+
+    return { iWidth: iWidth, iHeight: iY - oLayout.iGapY, aItems: aItems, aEdges: aEdges };
+}
+
+/**
+ * Work out the size of a node; containers lay out their branches side by side
+ * @param {Object} oNode
+ * @returns {{ iWidth: number, iHeight: number, aBranches: Array<Object> }}
+ */
+function layoutNode(oNode) {
+    if (oNode.sKind !== "container") {
+        return { iWidth: oLayout.iNodeWidth, iHeight: oLayout.iNodeHeight, aBranches: [] };
+    }
+    const bLabels = oNode.aBranches.some(function (oBranch) {
+        return oBranch.sLabel !== "";
+    });
+    const iLabelHeight = bLabels ? oLayout.iBranchLabelHeight : 0;
+    const aBranches = oNode.aBranches.map(function (oBranch) {
+        const oInner = layoutBlock(oBranch);
+        return {
+            oBlock: oBranch,
+            oInner: oInner,
+            iWidth: oInner.iWidth + (bLabels ? oLayout.iPadding * 2 : 0),
+            iHeight: oInner.iHeight + iLabelHeight + (bLabels ? oLayout.iPadding : 0)
+        };
+    });
+    const iInnerWidth = aBranches.reduce(function (iSum, oBranch) {
+        return iSum + oBranch.iWidth;
+    }, 0) + oLayout.iGapX * Math.max(0, aBranches.length - 1);
+    const iInnerHeight = Math.max.apply(null, [0].concat(aBranches.map(function (oBranch) {
+        return oBranch.iHeight;
+    })));
+    return {
+        iWidth: Math.max(oLayout.iNodeWidth, iInnerWidth + oLayout.iPadding * 2),
+        iHeight: oLayout.iHeaderHeight + iInnerHeight + oLayout.iPadding,
+        aBranches: aBranches
+    };
+}
+
+/**
+ * Build a box for the diagram
+ * @param {Object} oNode - graph node, or null for a branch
+ * @param {string} sKind
+ * @param {number} iX
+ * @param {number} iY
+ * @param {number} iWidth
+ * @param {number} iHeight
+ * @returns {Object}
+ */
+function createBox(oNode, sKind, iX, iY, iWidth, iHeight) {
+    const oAction = oNode ? oNode.oAction : null;
+    return {
+        sId: oNode ? oNode.sId : "",
+        sName: oNode ? oNode.sName : "",
+        sType: oNode ? oNode.sType : "",
+        sKind: sKind,
+        iX: iX,
+        iY: iY,
+        iWidth: iWidth,
+        iHeight: iHeight,
+        iSelectionStart: oAction ? oAction.oKeyNode.iStart : -1,
+        iSelectionEnd: oAction ? oAction.oKeyNode.iEnd : -1
+    };
+}
+
+/**
+ * Place a laid-out block at an absolute position, appending its boxes and edges
+ * @param {Object} oLaidOut - from layoutBlock
+ * @param {number} iOffsetX
+ * @param {number} iOffsetY
+ * @param {Array<Object>} aBoxes
+ * @param {Array<Object>} aEdges
+ */
+function placeBlock(oLaidOut, iOffsetX, iOffsetY, aBoxes, aEdges) {
+    oLaidOut.aItems.forEach(function (oItem) {
+        const oBox = oItem.oBox;
+        const iX = iOffsetX + oBox.iX;
+        const iY = iOffsetY + oBox.iY;
+        aBoxes.push(createBox(oBox.oNode, oBox.oNode.sKind, iX, iY, oBox.iWidth, oBox.iHeight));
+
+        // Branches sit side by side under the container's header, centred
+        const aBranches = oItem.oSize.aBranches;
+        const iInnerWidth = aBranches.reduce(function (iSum, oBranch) {
+            return iSum + oBranch.iWidth;
+        }, 0) + oLayout.iGapX * Math.max(0, aBranches.length - 1);
+        let iBranchX = iX + (oBox.iWidth - iInnerWidth) / 2;
+        aBranches.forEach(function (oBranch) {
+            const iBranchY = iY + oLayout.iHeaderHeight;
+            const bLabelled = oBranch.iWidth !== oBranch.oInner.iWidth;
+            if (bLabelled) {
+                const oBranchBox = createBox(null, "branch", iBranchX, iBranchY, oBranch.iWidth, oBranch.iHeight);
+                oBranchBox.sName = oBranch.oBlock.sLabel;
+                aBoxes.push(oBranchBox);
+            }
+            placeBlock(
+                oBranch.oInner,
+                iBranchX + (bLabelled ? oLayout.iPadding : 0),
+                iBranchY + (bLabelled ? oLayout.iBranchLabelHeight : 0),
+                aBoxes,
+                aEdges
+            );
+            iBranchX += oBranch.iWidth + oLayout.iGapX;
+        });
+    });
+    oLaidOut.aEdges.forEach(function (oEdge) {
+        aEdges.push({
+            iX1: oEdge.iX1 + iOffsetX,
+            iY1: oEdge.iY1 + iOffsetY,
+            iX2: oEdge.iX2 + iOffsetX,
+            iY2: oEdge.iY2 + iOffsetY,
+            sLabel: oEdge.sLabel,
+            sStatus: oEdge.sStatus
+        });
+    });
+}
+
+/**
+ * Lay out a flow graph for drawing: triggers on top, the actions below, containers as
+ * boxes around their branches. Boxes are listed outermost first so they can be drawn
+ * in order.
+ * @param {Object} oGraph - from buildFlowGraph
+ * @returns {{ iWidth: number, iHeight: number, aBoxes: Array<Object>, aEdges: Array<Object> }}
+ */
+function layoutFlowGraph(oGraph) {
+    const oMain = layoutBlock(oGraph.oBlock);
+    const iTriggerWidth = oGraph.aTriggers.length * oLayout.iNodeWidth + Math.max(0, oGraph.aTriggers.length - 1) * oLayout.iGapX;
+    const iWidth = Math.max(oMain.iWidth, iTriggerWidth) + oLayout.iPadding * 2;
+    const iMainY = oLayout.iPadding + (oGraph.aTriggers.length > 0 ? oLayout.iNodeHeight + oLayout.iGapY : 0);
+    const aBoxes = [];
+    const aEdges = [];
+
+    const aTriggerBoxes = oGraph.aTriggers.map(function (oTrigger, iIndex) {
+        const iX = (iWidth - iTriggerWidth) / 2 + iIndex * (oLayout.iNodeWidth + oLayout.iGapX);
+        return createBox(oTrigger, "trigger", iX, oLayout.iPadding, oLayout.iNodeWidth, oLayout.iNodeHeight);
+    });
+    Array.prototype.push.apply(aBoxes, aTriggerBoxes);
+
+    const iMainX = (iWidth - oMain.iWidth) / 2;
+    placeBlock(oMain, iMainX, iMainY, aBoxes, aEdges);
+
+    // Triggers start every top-level action with no runAfter
+    const aRoots = getBlockRoots(oGraph.oBlock);
+    aTriggerBoxes.forEach(function (oTriggerBox) {
+        aRoots.forEach(function (oRoot) {
+            const oRootBox = aBoxes.filter(function (oBox) {
+                return oBox.sId === oRoot.sId;
+            })[0];
+            aEdges.push({
+                iX1: oTriggerBox.iX + oTriggerBox.iWidth / 2,
+                iY1: oTriggerBox.iY + oTriggerBox.iHeight,
+                iX2: oRootBox.iX + oRootBox.iWidth / 2,
+                iY2: oRootBox.iY,
+                sLabel: "",
+                sStatus: "succeeded"
+            });
+        });
+    });
+
+    return { iWidth: iWidth, iHeight: iMainY + oMain.iHeight + oLayout.iPadding, aBoxes: aBoxes, aEdges: aEdges };
+}
+
+module.exports = {
+    buildFlowGraph: buildFlowGraph,
+    getBlockRoots: getBlockRoots,
+    getEdgeLabel: getEdgeLabel,
+    getEdgeStatus: getEdgeStatus,
+    layoutFlowGraph: layoutFlowGraph
+};
@@ -0,0 +1,369 @@
+const { getProperty, getPropertyValue, toValue } = require("./jsonDocument");
+const { getStringProperty, getEnclosingActions, isLoopAction } = require("./flowDefinition");
+const { getRunAfterEntries } = require("./flowReferences");
+const { collectDocumentExpressions, walkExpression, toDocumentOffset, resolveAccessPath } = require("./expressionParser");
+
+/**
+ * Lint rules for flow definitions: maintainability and security conventions rather
+ * than errors. Each rule has an id (the diagnostic code), a default severity that
+ * settings can override ("off" disables it) and can be suppressed inline with a
+ * "pa-lint-disable" note in an action's (or the definition's) description.
+ */
+
+/**
+ * Severities a rule can be set to
+ */
+const aLintSeverities = ["off", "error", "warning", "information", "hint"];
+
+/**
+ * Directive that suppresses lint rules, optionally followed by rule ids
+ */
+const sSuppressDirective = "pa-lint-disable";
+
+/**
+ * Names the designer gives new actions (lower-cased), optionally followed by _<n>
+ */
+const aDefaultActionNames = [
+    "compose", "apply_to_each", "for_each", "condition", "switch", "do_until", "scope",
+    "initialize_variable", "set_variable", "increment_variable", "decrement_variable",
+    "append_to_array_variable", "append_to_string_variable", "parse_json", "filter_array",
+    "select", "create_html_table", "create_csv_table", "join", "http", "delay", "delay_until",
+    "terminate", "response", "run_a_child_flow"
+];
+
+/**
+ * Input properties not scanned for hard-coded values: connection hosts and JSON schemas
+ */
+const aUnscannedInputKeys = ["host", "schema"];
+
+/**
+ * Functions returning run data whose properties may be missing (lower-cased)
+ */
+const aRunDataFunctions = ["triggerbody", "triggeroutputs", "trigger", "body", "outputs", "actions", "item", "items"];
+
+/**
+ * Minutes in each Wait interval unit
+ */
+const oMinutesPerUnit = {
+    second: 1 / 60,
+    minute: 1,
+    hour: 60,
+    day: 60 * 24,
+    week: 60 * 24 * 7,
+    month: 60 * 24 * 30
+};
+
+/**
+ * Build a lint finding covering a node
+ * @param {Object} oNode
+ * @param {string} sMessage
+ * @returns {{ iStart: number, iEnd: number, sMessage: string }}
+ */
+function createFinding(oNode, sMessage) {
+    return { iStart: oNode.iStart, iEnd: oNode.iEnd, sMessage: sMessage };
+}
+
+/**
+ * Find string values with a pattern in actions' inputs (see aUnscannedInputKeys).
+ * Findings cover the match itself, read from the raw document text.
+ * @param {Object} oContext - { oFlow, sText }
+ * @param {string} sPattern - RegExp source
+ * @param {function(string): string} fnMessage - builds the message for a match
+ * @returns {Array<Object>}
+ */
+function findInInputStrings(oContext, sPattern, fnMessage) {
+    const aFindings = [];
+
+    /**
+     * Scan a node and its children
+     * @param {Object} oNode
+     */
+    function visit(oNode) {
+        if (!oNode) {
+            return;
+        }
+        if (oNode.sType === "object") {
+            oNode.aProperties.forEach(function (oProperty) {
+                if (aUnscannedInputKeys.indexOf(oProperty.sKey) === -1) {
+                    visit(oProperty.oValueNode);
+                }
+            });
+        } else if (oNode.sType === "array") {
+            oNode.aItems.forEach(visit);
+        } else if (oNode.sType === "string") {
+            const sRaw = oContext.sText.substring(oNode.iStart, oNode.iEnd);
+            const oPattern = new RegExp(sPattern, "g");
+            let oMatch = oPattern.exec(sRaw);
+            while (oMatch) {
+                aFindings.push({
+                    iStart: oNode.iStart + oMatch.index,
+                    iEnd: oNode.iStart + oMatch.index + oMatch[0].length,
+                    sMessage: fnMessage(oMatch[0])
+                });
+                oMatch = oPattern.exec(sRaw);
+            }
+        }
+    }
+    oContext.oFlow.aActions.forEach(function (oAction) {
+        visit(getPropertyValue(oAction.oValueNode, "inputs"));
+    });
+    return aFindings;
+}
+
+/**
+ * The rules. fnCheck receives { oFlow, sText, aExpressions, iDelayThresholdMinutes } and returns
+ * findings { iStart, iEnd, sMessage }.
+ */
+const aLintRules = [
+    {
+        sId: "defaultActionName",
+        sDescription: "Actions still named by the designer, e.g. Compose_3",
+        sDefaultSeverity: "warning",
+        fnCheck: function (oContext) {
+            const oPattern = new RegExp("^(.+?)(_\\d+)?$", "");
+            return oContext.oFlow.aActions.filter(function (oAction) {
+                return aDefaultActionNames.indexOf(oPattern.exec(oAction.sName)[1].toLowerCase()) !== -1;
+            }).map(function (oAction) {
+                return createFinding(oAction.oKeyNode, "'" + oAction.sName + "' is a default action name; rename it to say what it does");
+            });
+        }
+    },
+    {
+        sId: "foreachConcurrency",
+        sDescription: "Apply to each loops without a concurrency setting",
+        sDefaultSeverity: "information",
+        fnCheck: function (oContext) {
+            return oContext.oFlow.aActions.filter(function (oAction) {
+                const oRuntime = getPropertyValue(oAction.oValueNode, "runtimeConfiguration");
+                return oAction.sType.toLowerCase() === "foreach" && !getProperty(getPropertyValue(oRuntime, "concurrency"), "repetitions");
+            }).map(function (oAction) {
+                return createFinding(oAction.oKeyNode, "Apply to each '" + oAction.sName + "' has no concurrency setting (runtimeConfiguration.concurrency.repetitions); set it so the degree of parallelism is deliberate");
+            });
+        }
+    },
+    {
+        sId: "missingTryCatch",
+        sDescription: "Flows without a Scope that runs after another Scope fails",
+        sDefaultSeverity: "information",
+        fnCheck: function (oContext) {
+            const oFlow = oContext.oFlow;
+            if (oFlow.aActions.length === 0) {
+                return [];
+            }
+            const bHasCatch = oFlow.aActions.some(function (oAction) {
+                return oAction.sType.toLowerCase() === "scope" && getRunAfterEntries(oAction).some(function (oEntry) {
+                    const oTarget = oFlow.aActions.filter(function (oCandidate) {
+                        return oCandidate.sName === oEntry.sKey;
+                    })[0];
+                    const vStatuses = toValue(oEntry.oValueNode);
+                    return oTarget && oTarget.sType.toLowerCase() === "scope" && Array.isArray(vStatuses) && vStatuses.some(function (sStatus) {
+                        return typeof sStatus === "string" && (sStatus.toLowerCase() === "failed" || sStatus.toLowerCase() === "timedout");
+                    });
+                });
+            });
+            const oActionsProperty = getProperty(oFlow.oDefinition, "actions");
+            return bHasCatch || !oActionsProperty ? [] : [
+                createFinding(oActionsProperty.oKeyNode, "No Try/Catch: wrap the actions in a Scope and add a Scope that runs after it has Failed or TimedOut to handle errors")
+            ];
+        }
+    },
+    {
+        sId: "hardCodedEmail",
+        sDescription: "Email addresses written into action inputs",
+        sDefaultSeverity: "warning",
+        fnCheck: function (oContext) {
+            return findInInputStrings(oContext, "[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}", function (sMatch) {
+                return "Hard-coded email address '" + sMatch + "'; use an environment variable or a lookup instead";
+            });
+        }
+    },
+    {
+        sId: "hardCodedUrl",
+        sDescription: "URLs written into action inputs",
+        sDefaultSeverity: "information",
+        fnCheck: function (oContext) {
+            return findInInputStrings(oContext, "https?://[^\\s\"'\\\\]+", function (sMatch) {
+                return "Hard-coded URL '" + sMatch + "'; use an environment variable so it can change between environments";
+            });
+        }
+    },
+    {
+        sId: "variableInLoop",
+        sDescription: "Initialize Variable actions inside Apply to each or Do until",
+        sDefaultSeverity: "error",
+        fnCheck: function (oContext) {
+            const aFindings = [];
+            oContext.oFlow.aActions.forEach(function (oAction) {
+                if (oAction.sType.toLowerCase() !== "initializevariable") {
+                    return;
+                }
+                const aLoops = getEnclosingActions(oContext.oFlow, oAction.oKeyNode.iStart).filter(isLoopAction);
+                if (aLoops.length > 0) {
+                    aFindings.push(createFinding(oAction.oKeyNode, "Initialize Variable '" + oAction.sName + "' is inside loop '" + aLoops[0].sName + "'; variables can only be initialized at the top level of the flow"));
+                }
+            });
+            return aFindings;
+        }
+    },
+    {
+        sId: "longDelay",
+        sDescription: "Delay actions longer than powerAutomateUtility.lint.delayThresholdMinutes",
+        sDefaultSeverity: "warning",
+        fnCheck: function (oContext) {
+            const aFindings = [];
+            oContext.oFlow.aActions.forEach(function (oAction) {
+                const oInterval = getPropertyValue(getPropertyValue(oAction.oValueNode, "inputs"), "interval");
+                const vCount = toValue(getPropertyValue(oInterval, "count"));
+                const nPerUnit = oMinutesPerUnit[getStringProperty(oInterval, "unit").toLowerCase()];
+                if (oAction.sType.toLowerCase() !== "wait" || typeof vCount !== "number" || !nPerUnit) {
+                    return;
+                }
+                const nMinutes = vCount * nPerUnit;
+                if (nMinutes > oContext.iDelayThresholdMinutes) {
+                    aFindings.push(createFinding(oAction.oKeyNode, "Delay '" + oAction.sName + "' waits " + vCount + " " + getStringProperty(oInterval, "unit") + "(s), more than " + oContext.iDelayThresholdMinutes + " minutes; long waits hold a run open and count towards its 30 day limit"));
+                }
+            });
+            return aFindings;
+        }
+    },
+    {
+        sId: "insecureHttpAuth",
+        sDescription: "HTTP actions sending an Authorization header without secure inputs and outputs",
+        sDefaultSeverity: "warning",
+        fnCheck: function (oContext) {
+            const aFindings = [];
+            oContext.oFlow.aActions.forEach(function (oAction) {
+                const oHeaders = getPropertyValue(getPropertyValue(oAction.oValueNode, "inputs"), "headers");
+                const bAuthorization = !!oHeaders && oHeaders.sType === "object" && oHeaders.aProperties.some(function (oProperty) {
+                    return oProperty.sKey.toLowerCase() === "authorization";
+                });
+                if (oAction.sType.toLowerCase() !== "http" || !bAuthorization) {
+                    return;
+                }
+                const vSecured = toValue(getPropertyValue(getPropertyValue(getPropertyValue(oAction.oValueNode, "runtimeConfiguration"), "secureData"), "properties"));
+                const aMissing = ["inputs", "outputs"].filter(function (sProperty) {
+                    return !Array.isArray(vSecured) || vSecured.indexOf(sProperty) === -1;
+                });
+                if (aMissing.length > 0) {
+                    aFindings.push(createFinding(oAction.oKeyNode, "HTTP action '" + oAction.sName + "' sends an Authorization header but does not secure its " + aMissing.join(" and ") + "; turn on Secure Inputs / Secure Outputs so the token is hidden from run history"));
+                }
+            });
+            return aFindings;
+        }
+    },
+    {
+        sId: "nullSafeAccess",
+        sDescription: "Property accesses on trigger or action outputs without ?[...] or ?.",
+        sDefaultSeverity: "hint",
+        fnCheck: function (oContext) {
+            const aFindings = [];
+            oContext.aExpressions.forEach(function (oEntry) {
+                oEntry.aSegments.forEach(function (oSegment) {
+                    walkExpression(oSegment.oAst, function (oNode) {
+                        if ((oNode.sKind !== "index" && oNode.sKind !== "member") || oNode.bSafe || !oNode.oTarget) {
+                            return;
+                        }
+                        const oPath = resolveAccessPath(oNode);
+                        if (!oPath || aRunDataFunctions.indexOf(oPath.oCall.sName.toLowerCase()) === -1) {
+                            return;
+                        }
+                        aFindings.push({
+                            iStart: toDocumentOffset(oEntry, oNode.oTarget.iEnd),
+                            iEnd: toDocumentOffset(oEntry, oNode.iEnd),
+                            sMessage: "The run fails if '" + oPath.aPath[oPath.aPath.length - 1] + "' is missing from " + oPath.oCall.sName + "(); add '?' to get null instead"
+                        });
+                    });
+                });
+            });
+            return aFindings;
+        }
+    }
+];
+
+/**
+ * Read the suppressions in action and definition descriptions, e.g.
+ * "pa-lint-disable" (every rule) or "pa-lint-disable hardCodedUrl, longDelay".
+ * A suppression covers the action (including nested actions) or the whole definition.
+ * @param {Object} oFlow
+ * @returns {Array<{ iStart: number, iEnd: number, aRules: Array<string>|null }>} aRules null = all
+ */
+function getSuppressions(oFlow) {
+    const aSuppressions = [];
+    const oPattern = new RegExp(sSuppressDirective + "(?![\\w-])([ \\t]+[\\w ,\\t]+)?", "i");
+    const aOwners = [{ oNode: oFlow.oDefinition, iStart: oFlow.oRoot.iStart, iEnd: oFlow.oRoot.iEnd }].concat(oFlow.aActions.map(function (oAction) {
+        return { oNode: oAction.oValueNode, iStart: oAction.oKeyNode.iStart, iEnd: oAction.oValueNode.iEnd };
+    }));
+    aOwners.forEach(function (oOwner) {
+        const oMatch = oPattern.exec(getStringProperty(oOwner.oNode, "description"));
+        if (!oMatch) {
+            return;
+        }
+        const aRules = (oMatch[1] || "").split(new RegExp("[\\s,]+", "")).filter(function (sRule) {
+            return sRule !== "";
+        });
+        aSuppressions.push({ iStart: oOwner.iStart, iEnd: oOwner.iEnd, aRules: aRules.length > 0 ? aRules : null });
+    });
+    return aSuppressions;
+}
+
+/**
+ * Check whether a finding is suppressed
+ * @param {Array<Object>} aSuppressions - from getSuppressions
+ * @param {string} sRuleId
+ * @param {Object} oFinding
+ * @returns {boolean}
+ */
+function isSuppressed(aSuppressions, sRuleId, oFinding) {
+    return aSuppressions.some(function (oSuppression) {
+        const bCovers = oFinding.iStart >= oSuppression.iStart && oFinding.iEnd <= oSuppression.iEnd;
+        return bCovers && (!oSuppression.aRules || oSuppression.aRules.some(function (sRule) {
+            return sRule.toLowerCase() === sRuleId.toLowerCase();
+        }));
+    });
+}
+
+/**
+ * Run the lint rules over a flow.
+ * Issues: { iStart, iEnd, sMessage, sSeverity, sCode } with the rule id as code.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {string} sText - document text
+ * @param {Object} [oOptions] - { oSeverities: { ruleId: severity }, aExpressions, iDelayThresholdMinutes };
+ *     aExpressions are the document's expressions, collected here when not given
+ * @returns {Array<Object>}
+ */
+function runLintRules(oFlow, sText, oOptions) {
+    const oSeverities = (oOptions && oOptions.oSeverities) || {};
+    const oContext = {
+        oFlow: oFlow,
+        sText: sText,
+        aExpressions: (oOptions && oOptions.aExpressions) || collectDocumentExpressions(sText, "json"),
+        iDelayThresholdMinutes: oOptions && typeof oOptions.iDelayThresholdMinutes === "number" ? oOptions.iDelayThresholdMinutes : 60
+    };
+    const aSuppressions = getSuppressions(oFlow);
+    const aIssues = [];
+    aLintRules.forEach(function (oRule) {
+        const sSeverity = aLintSeverities.indexOf(oSeverities[oRule.sId]) !== -1 ? oSeverities[oRule.sId] : oRule.sDefaultSeverity;
+        if (sSeverity === "off") {
+            return;
+        }
+        oRule.fnCheck(oContext).forEach(function (oFinding) {
+            if (isSuppressed(aSuppressions, oRule.sId, oFinding)) {
+                return;
+            }
+            aIssues.push({
+                iStart: oFinding.iStart,
+                iEnd: oFinding.iEnd,
+                sMessage: oFinding.sMessage,
+                sSeverity: sSeverity,
+                sCode: oRule.sId
+            });
+        });
+    });
+    return aIssues;
+}
+
+module.exports = {
+    aLintRules: aLintRules,
+    sSuppressDirective: sSuppressDirective,
+    runLintRules: runLintRules
+};
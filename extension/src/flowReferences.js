@@ -0,0 +1,212 @@
+const { walkExpression, toDocumentOffset } = require("./expressionParser");
+const { findAction, toReferenceName } = require("./flowDefinition");
+
+/**
+ * Where actions are referred to in a flow: action-name arguments of body(),
+ * outputs(), actions(), result(), items() and iterationIndexes(), and runAfter keys.
+ */
+
+/**
+ * Functions whose first argument is an action name
+ */
+const aActionFunctions = ["actions", "body", "outputs", "result", "items", "iterationindexes"];
+
+/**
+ * Longest action name the designer accepts
+ */
+const iMaxActionNameLength = 80;
+
+/**
+ * Collect every reference to an action in the document.
+ * References: { sName, oAction, iStart, iEnd, sKind, sFunction, oOwner } where iStart/iEnd
+ * cover the name without its quotes, sKind is "expression" or "runAfter", oAction is the
+ * referenced action (null when it does not exist) and oOwner the action that contains
+ * the reference.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @returns {Array<Object>}
+ */
+function collectActionReferences(oFlow, aExpressions) {
+    const aReferences = [];
+    const aOwners = oFlow.aTriggers.concat(oFlow.aActions);
+
+    /**
+     * Find the innermost action whose definition contains an offset
+     * @param {number} iOffset
+     * @returns {Object|null}
+     */
+    function findOwner(iOffset) {
+        let oOwner = null;
+        for (let i = 0; i < aOwners.length; i++) {
+            const oValueNode = aOwners[i].oValueNode;
+            if (oValueNode && iOffset >= oValueNode.iStart && iOffset <= oValueNode.iEnd) {
+                oOwner = !oOwner || oValueNode.iStart >= oOwner.oValueNode.iStart ? aOwners[i] : oOwner;
+            }
+        }
+        return oOwner;
+    }
+
+    for (let i = 0; i < aExpressions.length; i++) {
+        const oEntry = aExpressions[i];
+        for (let s = 0; s < oEntry.aSegments.length; s++) {
+            walkExpression(oEntry.aSegments[s].oAst, function (oNode) {
+                if (oNode.sKind !== "call" || aActionFunctions.indexOf(oNode.sName.toLowerCase()) === -1) {
+                    return;
+                }
+                const oArg = oNode.aArgs[0];
+                if (!oArg || oArg.sKind !== "string") {
+                    return;
+                }
+                const iStart = toDocumentOffset(oEntry, oArg.iStart + 1);
+                aReferences.push({
+                    sName: oArg.sValue,
+                    oAction: findAction(oFlow, oArg.sValue),
+                    iStart: iStart,
+                    iEnd: toDocumentOffset(oEntry, Math.max(oArg.iStart + 1, oArg.iEnd - 1)),
+                    sKind: "expression",
+                    sFunction: oNode.sName,
+                    oOwner: findOwner(iStart)
+                });
+            });
+        }
+    }
+
+    for (let i = 0; i < oFlow.aActions.length; i++) {
+        const oAction = oFlow.aActions[i];
+        const aRunAfter = getRunAfterEntries(oAction);
+        for (let r = 0; r < aRunAfter.length; r++) {
+            const oKeyNode = aRunAfter[r].oKeyNode;
+            aReferences.push({
+                sName: aRunAfter[r].sKey,
+                oAction: findAction(oFlow, aRunAfter[r].sKey),
+                iStart: oKeyNode.iStart + 1,
+                iEnd: Math.max(oKeyNode.iStart + 1, oKeyNode.iEnd - 1),
+                sKind: "runAfter",
+                sFunction: "",
+                oOwner: oAction
+            });
+        }
+    }
+
+    aReferences.sort(function (oLeft, oRight) {
+        return oLeft.iStart - oRight.iStart;
+    });
+    return aReferences;
+}
+
+/**
+ * Get the runAfter properties of an action ({ sKey, oKeyNode, oValueNode })
+ * @param {Object} oAction - action entry from parseFlowDefinition
+ * @returns {Array<Object>}
+ */
+function getRunAfterEntries(oAction) {
+    if (!oAction.oValueNode || oAction.oValueNode.sType !== "object") {
+        return [];
+    }
+    for (let i = 0; i < oAction.oValueNode.aProperties.length; i++) {
+        const oProperty = oAction.oValueNode.aProperties[i];
+        if (oProperty.sKey === "runAfter" && oProperty.oValueNode.sType === "object") {
+            return oProperty.oValueNode.aProperties;
+        }
+    }
+    return [];
+}
+
+/**
+ * Work out which action the cursor refers to: a reference to it, or its own key
+ * @param {Object} oFlow
+ * @param {Array<Object>} aReferences - from collectActionReferences
+ * @param {number} iOffset
+ * @returns {{ oAction: Object, oReference: Object|null }|null}
+ */
+function findActionAtOffset(oFlow, aReferences, iOffset) {
+    for (let i = 0; i < aReferences.length; i++) {
+        const oReference = aReferences[i];
+        if (iOffset >= oReference.iStart && iOffset <= oReference.iEnd) {
+            return oReference.oAction ? { oAction: oReference.oAction, oReference: oReference } : null;
+        }
+    }
+
+    const aAll = oFlow.aTriggers.concat(oFlow.aActions);
+    for (let i = 0; i < aAll.length; i++) {
+        const oKeyNode = aAll[i].oKeyNode;
+        if (iOffset >= oKeyNode.iStart && iOffset <= oKeyNode.iEnd) {
+            return { oAction: aAll[i], oReference: null };
+        }
+    }
+    return null;
+}
+
+/**
+ * List the references to one action
+ * @param {Array<Object>} aReferences - from collectActionReferences
+ * @param {Object} oAction
+ * @returns {Array<Object>}
+ */
+function getReferencesTo(aReferences, oAction) {
+    return aReferences.filter(function (oReference) {
+        return oReference.oAction === oAction;
+    });
+}
+
+/**
+ * Check a new action name against the designer's naming rules and the other
+ * actions in the flow. Spaces are stored as underscores, so "Get items" and
+ * "Get_items" are the same name.
+ * @param {Object} oFlow
+ * @param {Object} oAction - the action being renamed
+ * @param {string} sNewName
+ * @returns {string|null} error message, or null when the name is valid
+ */
+function validateActionName(oFlow, oAction, sNewName) {
+    const sName = toReferenceName(sNewName.trim());
+    if (sName.length === 0) {
+        return "An action name cannot be empty";
+    }
+    if (sName.length > iMaxActionNameLength) {
+        return "An action name cannot be longer than " + iMaxActionNameLength + " characters";
+    }
+    if (new RegExp("[<>%&\\\\?/\"\\u0000-\\u001f]", "").test(sName)) {
+        return "An action name cannot contain < > % & \\ ? / \" or control characters";
+    }
+    const oExisting = findAction(oFlow, sName);
+    if (oExisting && oExisting !== oAction) {
+        return "'" + oExisting.sName + "' already exists in this flow";
+    }
+    return null;
+}
+
+/**
+ * Build the text edits that rename an action: its key, every runAfter entry and
+ * every expression reference. The new name is written with underscores for spaces;
+ * quotes are doubled inside expressions.
+ * @param {Array<Object>} aReferences - from collectActionReferences
+ * @param {Object} oAction
+ * @param {string} sNewName
+ * @returns {Array<{ iStart: number, iEnd: number, sNewText: string }>}
+ */
+function buildRenameEdits(aReferences, oAction, sNewName) {
+    const sName = toReferenceName(sNewName.trim());
+    const sKeyText = JSON.stringify(sName).slice(1, -1);
+    const sExpressionText = JSON.stringify(sName.replace(new RegExp("'", "g"), "''")).slice(1, -1);
+    const aEdits = [{ iStart: oAction.oKeyNode.iStart + 1, iEnd: oAction.oKeyNode.iEnd - 1, sNewText: sKeyText }];
+
+    const aTargets = getReferencesTo(aReferences, oAction);
+    for (let i = 0; i < aTargets.length; i++) {
+        aEdits.push({
+            iStart: aTargets[i].iStart,
+            iEnd: aTargets[i].iEnd,
+            sNewText: aTargets[i].sKind === "runAfter" ? sKeyText : sExpressionText
+        });
+    }
+    return aEdits;
+}
+
+module.exports = {
+    collectActionReferences: collectActionReferences,
+    validateActionName: validateActionName,
+    buildRenameEdits: buildRenameEdits,
+    getRunAfterEntries: getRunAfterEntries,
+    findActionAtOffset: findActionAtOffset,
+    getReferencesTo: getReferencesTo
+};
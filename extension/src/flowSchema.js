@@ -0,0 +1,256 @@
+const { getPropertyValue, toValue } = require("./jsonDocument");
+const { parseStringValue, resolveAccessPath } = require("./expressionParser");
+const { findAction } = require("./flowDefinition");
+
+/**
+ * JSON schemas that describe the values expressions read: the trigger's
+ * inputs.schema for triggerBody() / triggerOutputs(), a Parse JSON action's
+ * inputs.schema for body() / outputs(), and the item schema of a Foreach loop
+ * over either of those for items().
+ */
+
+// Guards against loops whose foreach refers back to themselves
+const iMaxResolveDepth = 10;
+
+/**
+ * Get the JSON schema of the flow's trigger (Request, Button and PowerApps V2
+ * triggers keep it in inputs.schema)
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {Object|null} plain schema object
+ */
+function getTriggerSchema(oFlow) {
+    for (let i = 0; i < oFlow.aTriggers.length; i++) {
+        const oSchemaNode = getPropertyValue(getPropertyValue(oFlow.aTriggers[i].oValueNode, "inputs"), "schema");
+        if (oSchemaNode && oSchemaNode.sType === "object") {
+            return toValue(oSchemaNode);
+        }
+    }
+    return null;
+}
+
+/**
+ * Get a schema's property definitions, or null when it declares none
+ * @param {Object} oSchema
+ * @returns {Object|null}
+ */
+function getSchemaProperties(oSchema) {
+    if (!oSchema || typeof oSchema.properties !== "object" || oSchema.properties === null) {
+        return null;
+    }
+    return oSchema.properties;
+}
+
+/**
+ * Follow a property path through a schema. Numeric steps (and any step into an
+ * array schema) go to "items"; property names fall back to a case-insensitive match.
+ * @param {Object} oSchema
+ * @param {Array<string|number>} aPath
+ * @returns {Object|null}
+ */
+function getSchemaAtPath(oSchema, aPath) {
+    let oCurrent = oSchema;
+    for (let i = 0; i < aPath.length && oCurrent; i++) {
+        const vStep = aPath[i];
+        if (typeof vStep === "number" || oCurrent.type === "array") {
+            oCurrent = oCurrent.items && typeof oCurrent.items === "object" ? oCurrent.items : null;
+            continue;
+        }
+        const oProperties = getSchemaProperties(oCurrent);
+        if (!oProperties) {
+            return null;
+        }
+        if (Object.prototype.hasOwnProperty.call(oProperties, vStep)) {
+            oCurrent = oProperties[vStep];
+            continue;
+        }
+        const sWanted = String(vStep).toLowerCase();
+        const aKeys = Object.keys(oProperties).filter(function (sKey) {
+            return sKey.toLowerCase() === sWanted;
+        });
+        oCurrent = aKeys.length > 0 ? oProperties[aKeys[0]] : null;
+    }
+    return oCurrent || null;
+}
+
+/**
+ * List the properties a schema declares
+ * @param {Object} oSchema
+ * @returns {Array<{ sName: string, oSchema: Object, bRequired: boolean }>}
+ */
+function listSchemaProperties(oSchema) {
+    const oProperties = getSchemaProperties(oSchema);
+    if (!oProperties) {
+        return [];
+    }
+    const aRequired = Array.isArray(oSchema.required) ? oSchema.required : [];
+    return Object.keys(oProperties).map(function (sName) {
+        return { sName: sName, oSchema: oProperties[sName] || {}, bRequired: aRequired.indexOf(sName) !== -1 };
+    });
+}
+
+/**
+ * Format a schema's type for display, e.g. "string", "array of object"
+ * @param {Object} oSchema
+ * @returns {string}
+ */
+function formatSchemaType(oSchema) {
+    if (!oSchema || oSchema.type === undefined) {
+        return "any";
+    }
+    const sType = Array.isArray(oSchema.type) ? oSchema.type.join(" | ") : String(oSchema.type);
+    if (sType === "array" && oSchema.items && oSchema.items.type) {
+        return "array of " + formatSchemaType(oSchema.items);
+    }
+    return sType + (oSchema.format ? " (" + oSchema.format + ")" : "");
+}
+
+/**
+ * Get the inputs.schema of a Parse JSON action
+ * @param {Object} oFlow
+ * @param {string} sActionName
+ * @returns {Object|null}
+ */
+function getParseJsonSchema(oFlow, sActionName) {
+    const oAction = findAction(oFlow, sActionName);
+    if (!oAction || oAction.sType.toLowerCase() !== "parsejson") {
+        return null;
+    }
+    const oSchemaNode = getPropertyValue(getPropertyValue(oAction.oValueNode, "inputs"), "schema");
+    return oSchemaNode && oSchemaNode.sType === "object" ? toValue(oSchemaNode) : null;
+}
+
+/**
+ * Get the schema of one item of a Foreach loop, from the schema of the array
+ * its foreach expression reads
+ * @param {Object} oFlow
+ * @param {string} sLoopName
+ * @param {number} iDepth
+ * @returns {Object|null}
+ */
+function getLoopItemSchema(oFlow, sLoopName, iDepth) {
+    const oLoop = findAction(oFlow, sLoopName);
+    const oForeach = oLoop ? getPropertyValue(oLoop.oValueNode, "foreach") : null;
+    if (!oForeach || oForeach.sType !== "string") {
+        return null;
+    }
+    const aSegments = parseStringValue(oForeach.vValue).aSegments;
+    if (aSegments.length !== 1 || !aSegments[0].oAst) {
+        return null;
+    }
+    const oPath = resolveAccessPath(aSegments[0].oAst);
+    if (!oPath) {
+        return null;
+    }
+    const oArraySchema = resolveSchema(oFlow, oPath.oCall.sName, getFirstStringArg(oPath.oCall), oPath.aPath, iDepth + 1);
+    return oArraySchema && oArraySchema.items && typeof oArraySchema.items === "object" ? oArraySchema.items : null;
+}
+
+/**
+ * Get the first argument of a call node when it is a string literal
+ * @param {Object} oCall
+ * @returns {string}
+ */
+function getFirstStringArg(oCall) {
+    const oArg = oCall.aArgs[0];
+    return oArg && oArg.sKind === "string" ? oArg.sValue : "";
+}
+
+/**
+ * Wrap a body schema the way outputs() / triggerOutputs() return it
+ * @param {Object|null} oBody
+ * @param {string} sHeadersDescription
+ * @returns {Object|null}
+ */
+function wrapOutputsSchema(oBody, sHeadersDescription) {
+    if (!oBody) {
+        return null;
+    }
+    return {
+        type: "object",
+        properties: {
+            headers: { type: "object", description: sHeadersDescription },
+            body: oBody
+        }
+    };
+}
+
+/**
+ * Work out the schema of the value a call returns, when the flow describes it
+ * @param {Object} oFlow
+ * @param {string} sFunction - e.g. "triggerBody", "body"
+ * @param {string} sFirstArg - action name for body() / outputs() / items()
+ * @param {number} iDepth
+ * @returns {Object|null}
+ */
+function getCallSchema(oFlow, sFunction, sFirstArg, iDepth) {
+    const sName = sFunction.toLowerCase();
+    if (iDepth > iMaxResolveDepth) {
+        return null;
+    }
+    if (sName === "triggerbody") {
+        return getTriggerSchema(oFlow);
+    }
+    if (sName === "triggeroutputs") {
+        return wrapOutputsSchema(getTriggerSchema(oFlow), "Headers of the request that started the flow");
+    }
+    if (sName === "body" && sFirstArg) {
+        return getParseJsonSchema(oFlow, sFirstArg);
+    }
+    if (sName === "outputs" && sFirstArg) {
+        return wrapOutputsSchema(getParseJsonSchema(oFlow, sFirstArg), "Headers of the action's response");
+    }
+    if (sName === "items" && sFirstArg) {
+        return getLoopItemSchema(oFlow, sFirstArg, iDepth);
+    }
+    return null;
+}
+
+/**
+ * Resolve a schema for a call and property path
+ * @param {Object} oFlow
+ * @param {string} sFunction
+ * @param {string} sFirstArg
+ * @param {Array<string|number>} aPath
+ * @param {number} iDepth
+ * @returns {Object|null}
+ */
+function resolveSchema(oFlow, sFunction, sFirstArg, aPath, iDepth) {
+    const oSchema = getCallSchema(oFlow, sFunction, sFirstArg, iDepth);
+    return oSchema ? getSchemaAtPath(oSchema, aPath) : null;
+}
+
+/**
+ * Resolve the schema for a property access such as body('Parse_JSON')?['customer']?['name']
+ * @param {Object} oFlow
+ * @param {string} sFunction - the call the access starts from
+ * @param {string} sFirstArg - the call's first argument when it is a string literal
+ * @param {Array<string|number>} aPath
+ * @returns {Object|null}
+ */
+function resolveAccessSchema(oFlow, sFunction, sFirstArg, aPath) {
+    return resolveSchema(oFlow, sFunction, sFirstArg, aPath, 0);
+}
+
+/**
+ * Find a property declared by a schema, matching the name case-insensitively
+ * @param {Object} oSchema
+ * @param {string} sName
+ * @returns {boolean}
+ */
+function hasSchemaProperty(oSchema, sName) {
+    const oProperties = getSchemaProperties(oSchema);
+    const sWanted = sName.toLowerCase();
+    return !!oProperties && Object.keys(oProperties).some(function (sKey) {
+        return sKey.toLowerCase() === sWanted;
+    });
+}
+
+module.exports = {
+    getTriggerSchema: getTriggerSchema,
+    getSchemaAtPath: getSchemaAtPath,
+    listSchemaProperties: listSchemaProperties,
+    formatSchemaType: formatSchemaType,
+    resolveAccessSchema: resolveAccessSchema,
+    hasSchemaProperty: hasSchemaProperty,
+    getFirstStringArg: getFirstStringArg
+};
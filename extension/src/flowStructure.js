@@ -0,0 +1,356 @@
+const { getProperty, getPropertyValue } = require("./jsonDocument");
+const { getOwningProperty } = require("./flowDefinition");
+
+/**
+ * Structural checks for a flow's clientdata: the Power Automate wrapper
+ * ({ properties: { connectionReferences, definition }, schemaVersion }), the
+ * Logic Apps 2016-06-01 workflow definition, and the properties each action type needs.
+ * Issues use document offsets: { iStart, iEnd, sMessage, sSeverity, sCode }.
+ */
+
+const sWorkflowSchemaUrl = "https://schema.management.azure.com/providers/Microsoft.Logic/schemas/2016-06-01/workflowdefinition.json#";
+
+/**
+ * Top-level definition properties and their JSON types
+ */
+const oDefinitionProperties = {
+    "$schema": ["string"],
+    "contentVersion": ["string"],
+    "parameters": ["object"],
+    "triggers": ["object"],
+    "actions": ["object"],
+    "outputs": ["object"],
+    "staticResults": ["object"],
+    "description": ["string"],
+    "metadata": ["object"]
+};
+
+/**
+ * Properties an action may have, and their JSON types (null = any)
+ */
+const oActionProperties = {
+    "type": ["string"],
+    "kind": ["string"],
+    "inputs": null,
+    "runAfter": ["object"],
+    "runtimeConfiguration": ["object"],
+    "operationOptions": ["string"],
+    "metadata": ["object"],
+    "description": ["string"],
+    "trackedProperties": ["object"],
+    "foreach": ["string", "array"],
+    "actions": ["object"],
+    "else": ["object"],
+    "expression": ["string", "object", "boolean"],
+    "cases": ["object"],
+    "default": ["object"],
+    "limit": ["object"]
+};
+
+/**
+ * Properties a trigger may have, and their JSON types (null = any)
+ */
+const oTriggerProperties = {
+    "type": ["string"],
+    "kind": ["string"],
+    "inputs": null,
+    "recurrence": ["object"],
+    "evaluatedRecurrence": ["object"],
+    "splitOn": ["string"],
+    "conditions": ["array"],
+    "correlation": ["object"],
+    "runtimeConfiguration": ["object"],
+    "operationOptions": ["string"],
+    "metadata": ["object"],
+    "description": ["string"],
+    "trackedProperties": ["object"]
+};
+
+/**
+ * Action properties that only some action types use (lower-cased type names)
+ */
+const oContainerProperties = {
+    "foreach": ["foreach"],
+    "actions": ["foreach", "if", "until", "scope"],
+    "else": ["if"],
+    "expression": ["if", "switch", "until"],
+    "cases": ["switch"],
+    "default": ["switch"]
+};
+
+/**
+ * Per-type rules keyed by lower-cased type.
+ * aRequired: dotted paths that must exist (an array entry means any one of them);
+ * oTypes: JSON types for a path; oValues: allowed literal values for a path.
+ */
+const oTypeRules = {
+    "foreach": { aRequired: ["foreach", "actions"] },
+    "if": { aRequired: ["expression", "actions"] },
+    "switch": { aRequired: ["expression", "cases"] },
+    "until": { aRequired: ["expression", "actions"] },
+    "scope": { aRequired: ["actions"] },
+    "openapiconnection": { aRequired: ["inputs.host.operationId", "inputs.host.connectionName"] },
+    "openapiconnectionwebhook": { aRequired: ["inputs.host.operationId", "inputs.host.connectionName"] },
+    "openapiconnectionnotification": { aRequired: ["inputs.host.operationId", "inputs.host.connectionName"] },
+    "apiconnection": { aRequired: ["inputs.host.connection.name", "inputs.method", "inputs.path"] },
+    "apiconnectionwebhook": { aRequired: ["inputs.host.connection.name", "inputs.path"] },
+    "http": { aRequired: ["inputs.method", "inputs.uri"] },
+    "compose": { aRequired: ["inputs"] },
+    "initializevariable": { aRequired: ["inputs.variables"], oTypes: { "inputs.variables": ["array"] } },
+    "setvariable": { aRequired: ["inputs.name", "inputs.value"] },
+    "incrementvariable": { aRequired: ["inputs.name"] },
+    "decrementvariable": { aRequired: ["inputs.name"] },
+    "appendtoarrayvariable": { aRequired: ["inputs.name", "inputs.value"] },
+    "appendtostringvariable": { aRequired: ["inputs.name", "inputs.value"] },
+    "parsejson": { aRequired: ["inputs.content", "inputs.schema"], oTypes: { "inputs.schema": ["object"] } },
+    "query": { aRequired: ["inputs.from", "inputs.where"] },
+    "select": { aRequired: ["inputs.from", "inputs.select"] },
+    "table": { aRequired: ["inputs.from", "inputs.format"], oValues: { "inputs.format": ["CSV", "HTML"] } },
+    "join": { aRequired: ["inputs.from", "inputs.joinWith"] },
+    "terminate": { aRequired: ["inputs.runStatus"], oValues: { "inputs.runStatus": ["Succeeded", "Failed", "Cancelled"] } },
+    "response": { aRequired: ["inputs.statusCode"] },
+    "workflow": { aRequired: ["inputs.host.workflowReferenceName"] },
+    "wait": { aRequired: [["inputs.interval", "inputs.until"]] },
+    "recurrence": {
+        aRequired: ["recurrence.frequency", "recurrence.interval"],
+        oValues: { "recurrence.frequency": ["Second", "Minute", "Hour", "Day", "Week", "Month"] }
+    }
+};
+
+/**
+ * Build an issue covering a JSON node
+ * @param {Object} oNode
+ * @param {string} sMessage
+ * @param {string} sSeverity
+ * @param {string} sCode
+ * @returns {Object}
+ */
+function createIssue(oNode, sMessage, sSeverity, sCode) {
+    return { iStart: oNode.iStart, iEnd: oNode.iEnd, sMessage: sMessage, sSeverity: sSeverity, sCode: sCode };
+}
+
+/**
+ * Follow a dotted path of property names
+ * @param {Object} oNode - object node
+ * @param {string} sPath - e.g. "inputs.host.operationId"
+ * @returns {Object|null}
+ */
+function getNodeAtPath(oNode, sPath) {
+    const aSteps = sPath.split(".");
+    let oCurrent = oNode;
+    for (let i = 0; i < aSteps.length && oCurrent; i++) {
+        oCurrent = getPropertyValue(oCurrent, aSteps[i]);
+    }
+    return oCurrent || null;
+}
+
+/**
+ * Check the JSON types of an object's properties, and optionally flag unknown ones
+ * @param {Object} oNode - object node
+ * @param {Object} oProperties - property name -> allowed types (null = any)
+ * @param {string} sOwner - description used in messages
+ * @param {boolean} bFlagUnknown
+ * @param {Array<Object>} aIssues
+ */
+function checkPropertyTypes(oNode, oProperties, sOwner, bFlagUnknown, aIssues) {
+    for (let i = 0; i < oNode.aProperties.length; i++) {
+        const oProperty = oNode.aProperties[i];
+        if (!Object.prototype.hasOwnProperty.call(oProperties, oProperty.sKey)) {
+            if (bFlagUnknown) {
+                aIssues.push(createIssue(oProperty.oKeyNode, "'" + oProperty.sKey + "' is not a property of " + sOwner, "warning", "unexpectedProperty"));
+            }
+            continue;
+        }
+        const aTypes = oProperties[oProperty.sKey];
+        if (aTypes && aTypes.indexOf(oProperty.oValueNode.sType) === -1) {
+            aIssues.push(createIssue(oProperty.oValueNode, "'" + oProperty.sKey + "' of " + sOwner + " must be " + aTypes.join(" or ") + ", not " + oProperty.oValueNode.sType, "error", "invalidPropertyType"));
+        }
+    }
+}
+
+/**
+ * Check the clientdata wrapper around the definition, when there is one
+ * @param {Object} oRoot - document root node
+ * @param {Array<Object>} aIssues
+ * @returns {Object|null} the connectionReferences node, when present
+ */
+function checkWrapper(oRoot, aIssues) {
+    const oProperties = getPropertyValue(oRoot, "properties");
+    if (!oProperties || oProperties.sType !== "object" || !getPropertyValue(oProperties, "definition")) {
+        return null;
+    }
+
+    const oConnectionsEntry = getProperty(oProperties, "connectionReferences");
+    if (!oConnectionsEntry) {
+        aIssues.push(createIssue(getProperty(oRoot, "properties").oKeyNode, "properties is missing 'connectionReferences'", "warning", "missingProperty"));
+    } else if (oConnectionsEntry.oValueNode.sType !== "object") {
+        aIssues.push(createIssue(oConnectionsEntry.oValueNode, "'connectionReferences' must be an object", "error", "invalidPropertyType"));
+    }
+
+    const oVersion = getPropertyValue(oRoot, "schemaVersion") || getPropertyValue(oProperties, "schemaVersion");
+    if (oVersion && oVersion.sType !== "string") {
+        aIssues.push(createIssue(oVersion, "'schemaVersion' must be a string such as \"1.0.0.0\"", "error", "invalidPropertyType"));
+    }
+
+    return oConnectionsEntry && oConnectionsEntry.oValueNode.sType === "object" ? oConnectionsEntry.oValueNode : null;
+}
+
+/**
+ * Check the definition object itself
+ * @param {Object} oFlow
+ * @param {Array<Object>} aIssues
+ */
+function checkDefinition(oFlow, aIssues) {
+    const oDefinition = oFlow.oDefinition;
+    const oDefinitionEntry = getOwningProperty(oDefinition);
+    const oAnchor = oDefinitionEntry ? oDefinitionEntry.oKeyNode : oDefinition;
+
+    checkPropertyTypes(oDefinition, oDefinitionProperties, "the workflow definition", false, aIssues);
+    const aRequired = ["$schema", "triggers", "actions"];
+    for (let i = 0; i < aRequired.length; i++) {
+        if (!getProperty(oDefinition, aRequired[i])) {
+            aIssues.push(createIssue(oAnchor, "The workflow definition is missing '" + aRequired[i] + "'", "error", "missingProperty"));
+        }
+    }
+
+    const oSchema = getPropertyValue(oDefinition, "$schema");
+    if (oSchema && oSchema.sType === "string" && oSchema.vValue !== sWorkflowSchemaUrl) {
+        aIssues.push(createIssue(oSchema, "Power Automate expects the 2016-06-01 workflow definition schema: " + sWorkflowSchemaUrl, "warning", "invalidValue"));
+    }
+
+    const oTriggers = getPropertyValue(oDefinition, "triggers");
+    if (oTriggers && oTriggers.sType === "object" && oTriggers.aProperties.length !== 1) {
+        aIssues.push(createIssue(getProperty(oDefinition, "triggers").oKeyNode, "A flow must have exactly one trigger, found " + oTriggers.aProperties.length, "warning", "triggerCount"));
+    }
+}
+
+/**
+ * Check one action or trigger against the common properties and its type's rules
+ * @param {Object} oAction - action entry from parseFlowDefinition
+ * @param {Object|null} oConnections - connectionReferences node
+ * @param {Array<Object>} aIssues
+ */
+function checkAction(oAction, oConnections, aIssues) {
+    const oNode = oAction.oValueNode;
+    const sKind = oAction.bTrigger ? "Trigger" : "Action";
+    if (oNode.sType !== "object") {
+        aIssues.push(createIssue(oNode, sKind + " '" + oAction.sName + "' must be an object", "error", "invalidPropertyType"));
+        return;
+    }
+
+    const sOwner = (oAction.bTrigger ? "trigger" : "action") + " '" + oAction.sName + "'";
+    checkPropertyTypes(oNode, oAction.bTrigger ? oTriggerProperties : oActionProperties, sOwner, true, aIssues);
+    if (!getProperty(oNode, "type")) {
+        aIssues.push(createIssue(oAction.oKeyNode, sKind + " '" + oAction.sName + "' is missing 'type'", "error", "missingProperty"));
+        return;
+    }
+
+    const sType = oAction.sType.toLowerCase();
+    if (!oAction.bTrigger) {
+        for (let i = 0; i < oNode.aProperties.length; i++) {
+            const aUsedBy = oContainerProperties[oNode.aProperties[i].sKey];
+            if (aUsedBy && aUsedBy.indexOf(sType) === -1) {
+                aIssues.push(createIssue(oNode.aProperties[i].oKeyNode, "'" + oNode.aProperties[i].sKey + "' is not used by " + oAction.sType + " actions", "warning", "unexpectedProperty"));
+            }
+        }
+        // limit.timeout applies to any action, limit.count only to Until loops
+        const oCount = getNodeAtPath(oNode, "limit.count");
+        if (oCount && sType !== "until") {
+            aIssues.push(createIssue(getOwningProperty(oCount).oKeyNode, "'limit.count' is not used by " + oAction.sType + " actions", "warning", "unexpectedProperty"));
+        }
+    }
+
+    const oRules = Object.prototype.hasOwnProperty.call(oTypeRules, sType) ? oTypeRules[sType] : null;
+    if (!oRules) {
+        return;
+    }
+    for (let i = 0; i < oRules.aRequired.length; i++) {
+        const aAlternatives = [].concat(oRules.aRequired[i]);
+        const bFound = aAlternatives.some(function (sPath) {
+            return getNodeAtPath(oNode, sPath) !== null;
+        });
+        if (!bFound) {
+            aIssues.push(createIssue(oAction.oKeyNode, oAction.sType + " '" + oAction.sName + "' is missing '" + aAlternatives.join("' or '") + "'", "error", "missingProperty"));
+        }
+    }
+
+    const oTypes = oRules.oTypes || {};
+    Object.keys(oTypes).forEach(function (sPath) {
+        const oValue = getNodeAtPath(oNode, sPath);
+        if (oValue && oTypes[sPath].indexOf(oValue.sType) === -1) {
+            aIssues.push(createIssue(oValue, "'" + sPath + "' of " + sOwner + " must be " + oTypes[sPath].join(" or ") + ", not " + oValue.sType, "error", "invalidPropertyType"));
+        }
+    });
+
+    const oValues = oRules.oValues || {};
+    Object.keys(oValues).forEach(function (sPath) {
+        const oValue = getNodeAtPath(oNode, sPath);
+        if (oValue && oValue.sType === "string" && oValue.vValue[0] !== "@" && oValues[sPath].indexOf(oValue.vValue) === -1) {
+            aIssues.push(createIssue(oValue, "'" + oValue.vValue + "' is not a valid '" + sPath + "'; use " + oValues[sPath].join(", "), "error", "invalidValue"));
+        }
+    });
+
+    checkBranches(oAction, sType, aIssues);
+
+    const oConnectionName = getNodeAtPath(oNode, "inputs.host.connectionName");
+    if (oConnections && oConnectionName && oConnectionName.sType === "string" && oConnectionName.vValue[0] !== "@" && sType.indexOf("openapiconnection") === 0 && !getProperty(oConnections, oConnectionName.vValue)) {
+        aIssues.push(createIssue(oConnectionName, "Connection '" + oConnectionName.vValue + "' is not in properties.connectionReferences", "error", "unknownConnection"));
+    }
+}
+
+/**
+ * Check the else branch of an If and the cases and default of a Switch
+ * @param {Object} oAction
+ * @param {string} sType - lower-cased action type
+ * @param {Array<Object>} aIssues
+ */
+function checkBranches(oAction, sType, aIssues) {
+    const aBranches = [];
+    if (sType === "if" || sType === "switch") {
+        const oBranch = getProperty(oAction.oValueNode, sType === "if" ? "else" : "default");
+        if (oBranch && oBranch.oValueNode.sType === "object") {
+            aBranches.push({ oEntry: oBranch, aRequired: ["actions"] });
+        }
+    }
+    const oCases = sType === "switch" ? getPropertyValue(oAction.oValueNode, "cases") : null;
+    if (oCases && oCases.sType === "object") {
+        for (let i = 0; i < oCases.aProperties.length; i++) {
+            aBranches.push({ oEntry: oCases.aProperties[i], aRequired: ["case", "actions"] });
+        }
+    }
+
+    for (let i = 0; i < aBranches.length; i++) {
+        const oEntry = aBranches[i].oEntry;
+        if (oEntry.oValueNode.sType !== "object") {
+            aIssues.push(createIssue(oEntry.oValueNode, "'" + oEntry.sKey + "' of '" + oAction.sName + "' must be an object", "error", "invalidPropertyType"));
+            continue;
+        }
+        for (let r = 0; r < aBranches[i].aRequired.length; r++) {
+            if (!getProperty(oEntry.oValueNode, aBranches[i].aRequired[r])) {
+                aIssues.push(createIssue(oEntry.oKeyNode, "'" + oEntry.sKey + "' of '" + oAction.sName + "' is missing '" + aBranches[i].aRequired[r] + "'", "error", "missingProperty"));
+            }
+        }
+    }
+}
+
+/**
+ * Check a flow's clientdata wrapper, workflow definition and actions
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {Array<Object>}
+ */
+function checkFlowStructure(oFlow) {
+    const aIssues = [];
+    const oConnections = checkWrapper(oFlow.oRoot, aIssues);
+    checkDefinition(oFlow, aIssues);
+
+    const aAll = oFlow.aTriggers.concat(oFlow.aActions);
+    for (let i = 0; i < aAll.length; i++) {
+        checkAction(aAll[i], oConnections, aIssues);
+    }
+    return aIssues;
+}
+
+module.exports = {
+    sWorkflowSchemaUrl: sWorkflowSchemaUrl,
+    checkFlowStructure: checkFlowStructure
+};
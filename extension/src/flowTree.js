@@ -0,0 +1,327 @@
+const { getProperty, getPropertyValue, toValue } = require("./jsonDocument");
+const { buildFlowOutline, getStringProperty } = require("./flowDefinition");
+const { getRunAfterEntries } = require("./flowReferences");
+
+/**
+ * The flow as a tree in execution order (runAfter) rather than JSON key order, plus
+ * the runAfter rewrites needed to move an action within its actions block.
+ */
+
+/**
+ * Sort sibling actions so each comes after everything it runs after. Ties keep
+ * document order; actions caught in cycles are appended in document order.
+ * @param {Array<Object>} aActions - actions sharing an actions block
+ * @returns {Array<Object>}
+ */
+function getExecutionOrder(aActions) {
+    const oNames = new Set(aActions.map(function (oAction) {
+        return oAction.sName;
+    }));
+    const oPlaced = new Set();
+    const aOrder = [];
+    let bProgress = true;
+    while (bProgress) {
+        bProgress = false;
+        for (let i = 0; i < aActions.length; i++) {
+            const oAction = aActions[i];
+            if (oPlaced.has(oAction.sName)) {
+                continue;
+            }
+            const bReady = getRunAfterEntries(oAction).every(function (oEntry) {
+                return !oNames.has(oEntry.sKey) || oPlaced.has(oEntry.sKey);
+            });
+            if (bReady) {
+                oPlaced.add(oAction.sName);
+                aOrder.push(oAction);
+                bProgress = true;
+                break;
+            }
+        }
+    }
+    return aOrder.concat(aActions.filter(function (oAction) {
+        return !oPlaced.has(oAction.sName);
+    }));
+}
+
+/**
+ * Shorten a connector id such as "shared_sharepointonline" or "shared_office365_1"
+ * @param {string} sId
+ * @returns {string}
+ */
+function toConnectorName(sId) {
+    return sId.replace(new RegExp("^shared_", ""), "").replace(new RegExp("_\\d+$", ""), "");
+}
+
+/**
+ * Get the connection an action uses: the connectionReferences key of an
+ * OpenApiConnection host, or the $connections key of an ApiConnection host
+ * @param {Object} oAction
+ * @returns {string} "" when the action uses no connection
+ */
+function getConnectionName(oAction) {
+    const oHost = getPropertyValue(getPropertyValue(oAction.oValueNode, "inputs"), "host");
+    const sConnectionName = getStringProperty(oHost, "connectionName");
+    if (sConnectionName) {
+        return sConnectionName;
+    }
+    const oMatch = new RegExp("\\['([^']+)'\\]", "").exec(getStringProperty(getPropertyValue(oHost, "connection"), "name"));
+    return oMatch ? oMatch[1] : "";
+}
+
+/**
+ * Get the connector an action calls, e.g. "sharepointonline", or "" for built-in actions
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Object} oAction
+ * @returns {string}
+ */
+function getConnectorName(oFlow, oAction) {
+    const oHost = getPropertyValue(getPropertyValue(oAction.oValueNode, "inputs"), "host");
+    if (!oHost) {
+        return "";
+    }
+    const sApiId = getStringProperty(oHost, "apiId");
+    if (sApiId) {
+        return toConnectorName(sApiId.split("/").pop());
+    }
+    const sConnectionName = getConnectionName(oAction);
+    if (!sConnectionName) {
+        return "";
+    }
+    const oReference = getPropertyValue(getPropertyValue(getPropertyValue(oFlow.oRoot, "properties"), "connectionReferences"), sConnectionName);
+    const sApiName = getStringProperty(getPropertyValue(oReference, "api"), "name");
+    return toConnectorName(sApiName || sConnectionName);
+}
+
+/**
+ * Build the flow tree: triggers, then actions in execution order, nested under their
+ * scopes, loops and branches. Nodes are outline nodes (see buildFlowOutline) with
+ * sConnector and aRunAfter (names the action waits on) added to actions.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {Array<Object>}
+ */
+function buildFlowTree(oFlow) {
+    /**
+     * Reorder a list of sibling nodes and decorate them, recursively
+     * @param {Array<Object>} aNodes
+     * @returns {Array<Object>}
+     */
+    function arrange(aNodes) {
+        const aActionNodes = aNodes.filter(function (oNode) {
+            return oNode.sKind === "action";
+        });
+        const aOrdered = getExecutionOrder(aActionNodes.map(function (oNode) {
+            return oNode.oAction;
+        }));
+        const aSorted = aNodes.filter(function (oNode) {
+            return oNode.sKind !== "action";
+        }).concat(aOrdered.map(function (oAction) {
+            return aActionNodes.filter(function (oNode) {
+                return oNode.oAction === oAction;
+            })[0];
+        }));
+        for (let i = 0; i < aSorted.length; i++) {
+            const oNode = aSorted[i];
+            oNode.sConnector = oNode.oAction ? getConnectorName(oFlow, oNode.oAction) : "";
+            oNode.aRunAfter = oNode.oAction ? getRunAfterEntries(oNode.oAction).map(function (oEntry) {
+                return oEntry.sKey;
+            }) : [];
+            oNode.aChildren = arrange(oNode.aChildren);
+        }
+        return aSorted;
+    }
+    return arrange(buildFlowOutline(oFlow));
+}
+
+/**
+ * Read an action's runAfter as a plain object
+ * @param {Object} oAction
+ * @returns {Object}
+ */
+function readRunAfter(oAction) {
+    const oValue = {};
+    const aEntries = getRunAfterEntries(oAction);
+    for (let i = 0; i < aEntries.length; i++) {
+        oValue[aEntries[i].sKey] = toValue(aEntries[i].oValueNode);
+    }
+    return oValue;
+}
+
+/**
+ * Build a runAfter value that waits for one action, by default to succeed
+ * @param {string} sName
+ * @param {Array<string>} [aStatuses]
+ * @returns {Object}
+ */
+function createRunAfter(sName, aStatuses) {
+    const oValue = {};
+    oValue[sName] = aStatuses ? aStatuses.slice() : ["Succeeded"];
+    return oValue;
+}
+
+/**
+ * Get the statuses a runAfter value waits for when every entry waits for the same ones
+ * @param {Object} oValue - from readRunAfter
+ * @returns {Array<string>|null} null when there are no entries or they differ
+ */
+function getSharedStatuses(oValue) {
+    const aKeys = Object.keys(oValue);
+    if (aKeys.length === 0) {
+        return null;
+    }
+    const sFirst = JSON.stringify(oValue[aKeys[0]]);
+    const bShared = aKeys.every(function (sKey) {
+        return JSON.stringify(oValue[sKey]) === sFirst;
+    });
+    return bShared && Array.isArray(oValue[aKeys[0]]) ? oValue[aKeys[0]] : null;
+}
+
+/**
+ * Replace a key of a plain object without changing the order of the others
+ * @param {Object} oValue
+ * @param {string} sOld
+ * @param {string} sNew
+ * @param {*} vNewValue
+ * @returns {Object}
+ */
+function replaceKey(oValue, sOld, sNew, vNewValue) {
+    const oResult = {};
+    Object.keys(oValue).forEach(function (sKey) {
+        if (sKey === sOld) {
+            oResult[sNew] = vNewValue;
+        } else if (sKey !== sNew) {
+            oResult[sKey] = oValue[sKey];
+        }
+    });
+    return oResult;
+}
+
+/**
+ * Get the leading whitespace of the line containing an offset
+ * @param {string} sText
+ * @param {number} iOffset
+ * @returns {string}
+ */
+function getLineIndent(sText, iOffset) {
+    const iLineStart = sText.lastIndexOf("\n", iOffset - 1) + 1;
+    return new RegExp("^[ \\t]*", "").exec(sText.substring(iLineStart))[0];
+}
+
+/**
+ * Guess the document's indent unit from its first indented line
+ * @param {string} sText
+ * @returns {string}
+ */
+function detectIndentUnit(sText) {
+    const oMatch = new RegExp("\\n([ \\t]+)\\S", "").exec(sText);
+    return oMatch ? oMatch[1] : "    ";
+}
+
+/**
+ * Build the text edits that move an action within its actions block so that it runs
+ * right after another action, or first when oTarget is null. Actions that ran after
+ * the moved action now run after its old predecessors, and actions that ran after
+ * the target now run after the moved action. Each runAfter entry keeps the statuses of
+ * the one it replaces, so Catch and Finally scopes still run on failure.
+ * @param {string} sText - document text
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Object} oAction - the action being moved
+ * @param {Object|null} oTarget - sibling to run after, or null to run first
+ * @returns {Array<{ iStart: number, iEnd: number, sNewText: string }>|null} null when the move is not possible
+ */
+function buildMoveEdits(sText, oFlow, oAction, oTarget) {
+    if (oAction.bTrigger || oTarget === oAction || (oTarget && oTarget.oContainerNode !== oAction.oContainerNode)) {
+        return null;
+    }
+    const aSiblings = oFlow.aActions.filter(function (oSibling) {
+        return oSibling.oContainerNode === oAction.oContainerNode;
+    });
+    const oRunAfter = new Map();
+    aSiblings.forEach(function (oSibling) {
+        oRunAfter.set(oSibling, readRunAfter(oSibling));
+    });
+
+    // Take the action out: its dependants inherit its own runAfter entries, keeping the
+    // statuses they waited for (a Catch scope still runs on Failed)
+    const oOwnEntries = oRunAfter.get(oAction);
+    aSiblings.forEach(function (oSibling) {
+        const oValue = oRunAfter.get(oSibling);
+        if (oSibling === oAction || !Object.prototype.hasOwnProperty.call(oValue, oAction.sName)) {
+            return;
+        }
+        const oUpdated = Object.assign({}, oValue);
+        delete oUpdated[oAction.sName];
+        Object.keys(oOwnEntries).forEach(function (sKey) {
+            if (!Object.prototype.hasOwnProperty.call(oUpdated, sKey)) {
+                oUpdated[sKey] = oValue[oAction.sName];
+            }
+        });
+        oRunAfter.set(oSibling, oUpdated);
+    });
+
+    // Put it back after the target (or first), taking over the target's dependants
+    aSiblings.forEach(function (oSibling) {
+        const oValue = oRunAfter.get(oSibling);
+        if (oSibling === oAction) {
+            return;
+        }
+        if (oTarget && Object.prototype.hasOwnProperty.call(oValue, oTarget.sName)) {
+            oRunAfter.set(oSibling, replaceKey(oValue, oTarget.sName, oAction.sName, oValue[oTarget.sName]));
+        } else if (!oTarget && Object.keys(oValue).length === 0) {
+            oRunAfter.set(oSibling, createRunAfter(oAction.sName));
+        }
+    });
+    oRunAfter.set(oAction, oTarget ? createRunAfter(oTarget.sName, getSharedStatuses(oOwnEntries)) : {});
+
+    const sUnit = detectIndentUnit(sText);
+    const aEdits = [];
+    aSiblings.forEach(function (oSibling) {
+        const oValue = oRunAfter.get(oSibling);
+        if (JSON.stringify(oValue) !== JSON.stringify(readRunAfter(oSibling))) {
+            aEdits.push(buildRunAfterEdit(sText, oSibling, oValue, sUnit));
+        }
+    });
+    return aEdits;
+}
+
+/**
+ * Build the text edit that sets an action's runAfter, replacing the existing value or
+ * adding the property first in the action
+ * @param {string} sText - document text
+ * @param {Object} oAction
+ * @param {Object} oValue - new runAfter value
+ * @param {string} sUnit - indent unit, from detectIndentUnit
+ * @returns {{ iStart: number, iEnd: number, sNewText: string }}
+ */
+function buildRunAfterEdit(sText, oAction, oValue, sUnit) {
+    const sIndent = getLineIndent(sText, oAction.oKeyNode.iStart);
+    const oProperty = getProperty(oAction.oValueNode, "runAfter");
+    if (oProperty) {
+        const sPropertyIndent = getLineIndent(sText, oProperty.oKeyNode.iStart);
+        return {
+            iStart: oProperty.oValueNode.iStart,
+            iEnd: oProperty.oValueNode.iEnd,
+            sNewText: JSON.stringify(oValue, null, sUnit).split("\n").join("\n" + sPropertyIndent)
+        };
+    }
+    const sPropertyText = "\"runAfter\": " + JSON.stringify(oValue, null, sUnit).split("\n").join("\n" + sIndent + sUnit);
+    const bEmpty = oAction.oValueNode.aProperties.length === 0;
+    return {
+        iStart: oAction.oValueNode.iStart + 1,
+        iEnd: bEmpty ? oAction.oValueNode.iEnd - 1 : oAction.oValueNode.iStart + 1,
+        sNewText: "\n" + sIndent + sUnit + sPropertyText + (bEmpty ? "\n" + sIndent : ",")
+    };
+}
+
+module.exports = {
+    getExecutionOrder: getExecutionOrder,
+    getConnectionName: getConnectionName,
+    getConnectorName: getConnectorName,
+    buildFlowTree: buildFlowTree,
+    buildMoveEdits: buildMoveEdits,
+    buildRunAfterEdit: buildRunAfterEdit,
+    readRunAfter: readRunAfter,
+    createRunAfter: createRunAfter,
+    replaceKey: replaceKey,
+    getLineIndent: getLineIndent,
+    detectIndentUnit: detectIndentUnit
+};
@@ -0,0 +1,252 @@
+const vscode = require("vscode");
+const { parseFlowDefinition } = require("./flowDefinition");
+const { buildFlowTree, buildMoveEdits } = require("./flowTree");
+
+/**
+ * Mime type used when dragging actions inside the flow tree
+ */
+const sDragMimeType = "application/vnd.code.tree.powerautomateutility.flowtree";
+
+/**
+ * Codicons for action types (lower-cased); anything else uses a plain circle
+ */
+const oTypeIcons = {
+    "foreach": "sync",
+    "until": "debug-restart",
+    "if": "git-compare",
+    "switch": "list-selection",
+    "scope": "symbol-namespace",
+    "initializevariable": "symbol-variable",
+    "setvariable": "symbol-variable",
+    "incrementvariable": "symbol-variable",
+    "decrementvariable": "symbol-variable",
+    "appendtoarrayvariable": "symbol-variable",
+    "appendtostringvariable": "symbol-variable",
+    "compose": "symbol-constant",
+    "parsejson": "json",
+    "query": "filter",
+    "select": "list-flat",
+    "table": "table",
+    "join": "combine",
+    "http": "globe",
+    "openapiconnection": "plug",
+    "openapiconnectionwebhook": "plug",
+    "apiconnection": "plug",
+    "apiconnectionwebhook": "plug",
+    "response": "reply",
+    "terminate": "debug-stop",
+    "wait": "watch",
+    "workflow": "type-hierarchy"
+};
+
+/**
+ * Pick the icon for a tree node
+ * @param {Object} oNode - from buildFlowTree
+ * @returns {vscode.ThemeIcon}
+ */
+function getNodeIcon(oNode) {
+    if (oNode.sKind === "trigger") {
+        return new vscode.ThemeIcon("zap");
+    }
+    if (oNode.sKind === "branch") {
+        return new vscode.ThemeIcon("git-branch");
+    }
+    return new vscode.ThemeIcon(oTypeIcons[oNode.sDetail.toLowerCase()] || "circle-outline");
+}
+
+/**
+ * Register the Flow Actions tree view: the open flow in runAfter execution order,
+ * with click-to-reveal, refresh on edit and drag-and-drop reordering.
+ * @returns {Array<vscode.Disposable>}
+ */
+function registerFlowTreeView() {
+    const aDisposables = [];
+    const oChangeEmitter = new vscode.EventEmitter();
+    let oDocument = null;
+    let aRoots = [];
+    let oRefreshTimer = null;
+
+    /**
+     * Rebuild the tree from the tracked document
+     */
+    function refresh() {
+        const oFlow = oDocument ? parseFlowDefinition(oDocument.getText(), oDocument.languageId) : null;
+        // Keep showing the last tree while the document is half-typed
+        if (oFlow || !oDocument) {
+            aRoots = oFlow ? buildFlowTree(oFlow) : [];
+        }
+        oTreeView.message = aRoots.length === 0 ? "Open a flow definition (.json) to see its actions." : undefined;
+        oChangeEmitter.fire();
+    }
+
+    /**
+     * Follow the active editor when it shows a flow definition
+     * @param {vscode.TextEditor|undefined} oEditor
+     */
+    function trackEditor(oEditor) {
+        const bJson = oEditor && (oEditor.document.languageId === "json" || oEditor.document.languageId === "jsonc");
+        if (bJson && parseFlowDefinition(oEditor.document.getText(), oEditor.document.languageId)) {
+            oDocument = oEditor.document;
+            refresh();
+        }
+    }
+
+    const oTreeDataProvider = {
+        onDidChangeTreeData: oChangeEmitter.event,
+
+        getChildren: function (oNode) {
+            return oNode ? oNode.aChildren : aRoots;
+        },
+
+        getTreeItem: function (oNode) {
+            const oItem = new vscode.TreeItem(
+                oNode.sName,
+                oNode.aChildren.length > 0 ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None
+            );
+            oItem.description = oNode.sKind === "branch" ? oNode.sDetail : (oNode.sConnector || oNode.sDetail);
+            oItem.iconPath = getNodeIcon(oNode);
+            oItem.contextValue = oNode.sKind;
+
+            const oTooltip = new vscode.MarkdownString();
+            oTooltip.appendMarkdown("**" + oNode.sName + "**" + (oNode.sDetail ? " `" + oNode.sDetail + "`" : "") + "\n\n");
+            if (oNode.sConnector) {
+                oTooltip.appendMarkdown("Connector: " + oNode.sConnector + "\n\n");
+            }
+            if (oNode.aRunAfter && oNode.aRunAfter.length > 0) {
+                oTooltip.appendMarkdown("Runs after: " + oNode.aRunAfter.join(", ") + "\n\n");
+            }
+            oItem.tooltip = oTooltip;
+            oItem.command = {
+                command: "powerAutomateUtility.revealFlowAction",
+                title: "Reveal in Editor",
+                arguments: [oNode]
+            };
+            return oItem;
+        }
+    };
+
+    const oDragAndDropController = {
+        dragMimeTypes: [sDragMimeType],
+        dropMimeTypes: [sDragMimeType],
+
+        handleDrag: function (aSources, oDataTransfer) {
+            const aActions = aSources.filter(function (oNode) {
+                return oNode.sKind === "action";
+            });
+            if (aActions.length === 1) {
+                oDataTransfer.set(sDragMimeType, new vscode.DataTransferItem(aActions));
+            }
+        },
+
+        handleDrop: function (oTarget, oDataTransfer) {
+            const oTransferItem = oDataTransfer.get(sDragMimeType);
+            if (!oTransferItem || !oDocument || !oTarget) {
+                return;
+            }
+            const oSource = oTransferItem.value[0];
+            const oFlow = parseFlowDefinition(oDocument.getText(), oDocument.languageId);
+            const oAction = oFlow ? findMatchingAction(oFlow, oSource.oAction) : null;
+            if (!oAction) {
+                return;
+            }
+
+            // Dropping on a sibling runs the action after it; dropping on the scope, loop,
+            // branch (or, for top-level actions, the trigger) that holds it runs it first
+            const oTargetAction = oTarget.sKind === "action" ? findMatchingAction(oFlow, oTarget.oAction) : null;
+            const bOwnBlock = oTarget.sKind === "trigger"
+                ? !oAction.oParent
+                : oTarget.sKind === "branch"
+                    ? oTarget.oContainerNode.iStart === oAction.oContainerNode.iStart
+                    : !!oTargetAction && oTargetAction.aContainers.length === 1 && oTargetAction.aContainers[0].oNode === oAction.oContainerNode;
+            const bSibling = !!oTargetAction && oTargetAction.oContainerNode === oAction.oContainerNode;
+            if (!bSibling && !bOwnBlock) {
+                vscode.window.showWarningMessage("Actions can only be reordered within the same scope or branch.");
+                return;
+            }
+
+            const sText = oDocument.getText();
+            const aEdits = buildMoveEdits(sText, oFlow, oAction, bSibling ? oTargetAction : null);
+            if (!aEdits || aEdits.length === 0) {
+                return;
+            }
+            const oEdit = new vscode.WorkspaceEdit();
+            for (let i = 0; i < aEdits.length; i++) {
+                oEdit.replace(
+                    oDocument.uri,
+                    new vscode.Range(oDocument.positionAt(aEdits[i].iStart), oDocument.positionAt(aEdits[i].iEnd)),
+                    aEdits[i].sNewText
+                );
+            }
+            return vscode.workspace.applyEdit(oEdit);
+        }
+    };
+
+    const oTreeView = vscode.window.createTreeView("powerAutomateUtility.flowTree", {
+        treeDataProvider: oTreeDataProvider,
+        dragAndDropController: oDragAndDropController,
+        showCollapseAll: true
+    });
+    aDisposables.push(oTreeView);
+    aDisposables.push(oChangeEmitter);
+
+    // ----------------------------------------------------------------
+    // Command: Reveal Flow Action
+    // ----------------------------------------------------------------
+    aDisposables.push(vscode.commands.registerCommand("powerAutomateUtility.revealFlowAction", function (oNode) {
+        if (!oDocument || !oNode) {
+            return;
+        }
+        vscode.window.showTextDocument(oDocument, { preserveFocus: false }).then(function (oEditor) {
+            const oRange = new vscode.Range(oDocument.positionAt(oNode.iSelectionStart), oDocument.positionAt(oNode.iSelectionEnd));
+            oEditor.selection = new vscode.Selection(oRange.start, oRange.end);
+            oEditor.revealRange(oRange, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        });
+    }));
+
+    // ----------------------------------------------------------------
+    // Command: Refresh Flow Tree
+    // ----------------------------------------------------------------
+    aDisposables.push(vscode.commands.registerCommand("powerAutomateUtility.refreshFlowTree", function () {
+        trackEditor(vscode.window.activeTextEditor);
+        refresh();
+    }));
+
+    aDisposables.push(vscode.window.onDidChangeActiveTextEditor(trackEditor));
+    aDisposables.push(vscode.workspace.onDidChangeTextDocument(function (oEvent) {
+        if (oEvent.document !== oDocument) {
+            return;
+        }
+        clearTimeout(oRefreshTimer);
+        oRefreshTimer = setTimeout(refresh, 300);
+    }));
+    aDisposables.push(vscode.workspace.onDidCloseTextDocument(function (oClosed) {
+        if (oClosed === oDocument) {
+            oDocument = null;
+            refresh();
+        }
+    }));
+    aDisposables.push({
+        dispose: function () {
+            clearTimeout(oRefreshTimer);
+        }
+    });
+
+    trackEditor(vscode.window.activeTextEditor);
+    refresh();
+    return aDisposables;
+}
+
+/**
+ * Find the action in a freshly parsed flow that matches one from an earlier parse
+ * @param {Object} oFlow
+ * @param {Object} oAction
+ * @returns {Object|null}
+ */
+function findMatchingAction(oFlow, oAction) {
+    const aMatches = oFlow.aActions.filter(function (oCandidate) {
+        return oCandidate.sName === oAction.sName && oCandidate.oKeyNode.iStart === oAction.oKeyNode.iStart;
+    });
+    return aMatches.length > 0 ? aMatches[0] : null;
+}
+
+module.exports = { registerFlowTreeView };
@@ -0,0 +1,461 @@
+const { parseStringValue, walkExpression, toDocumentOffset, resolveAccessPath } = require("./expressionParser");
+const { getPropertyValue } = require("./jsonDocument");
+const { collectVariables, findVariable, findAction, toReferenceName } = require("./flowDefinition");
+const { getRunAfterEntries, collectActionReferences } = require("./flowReferences");
+const { findClosestNames } = require("./expressionValidator");
+const { inferTypes, isAssignable, formatType } = require("./expressionTypes");
+const { resolveAccessSchema, hasSchemaProperty, getFirstStringArg } = require("./flowSchema");
+
+/**
+ * Checks that need the whole workflow definition rather than a single expression.
+ * Issues use document offsets: { iStart, iEnd, sMessage, sSeverity, sCode }.
+ */
+
+/**
+ * Actions that change a variable, and the variable types they work on (null = any)
+ */
+const oVariableActions = {
+    "setvariable": null,
+    "incrementvariable": ["Integer", "Float"],
+    "decrementvariable": ["Integer", "Float"],
+    "appendtoarrayvariable": ["Array"],
+    "appendtostringvariable": ["String"]
+};
+
+/**
+ * Statuses a runAfter entry can wait for
+ */
+const aRunAfterStatuses = ["Succeeded", "Failed", "Skipped", "TimedOut"];
+
+/**
+ * Build the lower-cased variable name -> type list map used by inferTypes
+ * @param {Array<Object>} aVariables - from collectVariables
+ * @returns {Object}
+ */
+function getVariableTypeMap(aVariables) {
+    const oTypes = Object.create(null);
+    for (let i = 0; i < aVariables.length; i++) {
+        oTypes[aVariables[i].sName.toLowerCase()] = aVariables[i].aTypes;
+    }
+    return oTypes;
+}
+
+/**
+ * Work out the type of a JSON value as the workflow engine sees it:
+ * "@expr" values take the expression's type and "...@{...}..." values are strings.
+ * @param {Object} oNode - JSON value node
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @param {Object} oVariableTypes - from getVariableTypeMap
+ * @returns {Array<string>}
+ */
+function getJsonValueType(oNode, oFuncMap, oVariableTypes) {
+    if (!oNode) {
+        return ["Any"];
+    }
+    if (oNode.sType === "string") {
+        if (oNode.vValue[0] !== "@" || oNode.vValue[1] === "@") {
+            return ["String"];
+        }
+        const aSegments = parseStringValue(oNode.vValue).aSegments;
+        if (aSegments.length === 1 && !aSegments[0].bInterpolated && aSegments[0].oAst) {
+            return inferTypes(aSegments[0].oAst, oFuncMap, oVariableTypes).oTypes.get(aSegments[0].oAst);
+        }
+        return aSegments.length === 1 && !aSegments[0].oAst ? ["Any"] : ["String"];
+    }
+    if (oNode.sType === "number") {
+        return Number.isInteger(oNode.vValue) ? ["Integer"] : ["Float"];
+    }
+    const oTypes = { "boolean": ["Boolean"], "null": ["Null"], "object": ["Object"], "array": ["Array"] };
+    return oTypes[oNode.sType];
+}
+
+/**
+ * Check InitializeVariable, SetVariable, IncrementVariable and AppendTo...Variable actions
+ * and every variables('...') reference against the declared variables.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @returns {Array<Object>}
+ */
+function checkVariables(oFlow, aExpressions, oFuncMap) {
+    const aIssues = [];
+    const aVariables = collectVariables(oFlow);
+    const oVariableTypes = getVariableTypeMap(aVariables);
+
+    // Initial values must match the declared type
+    for (let i = 0; i < aVariables.length; i++) {
+        const oVariable = aVariables[i];
+        const aValueType = getJsonValueType(oVariable.oValueNode, oFuncMap, oVariableTypes);
+        if (oVariable.oValueNode && !isAssignable(aValueType, oVariable.aTypes)) {
+            aIssues.push({
+                iStart: oVariable.oValueNode.iStart,
+                iEnd: oVariable.oValueNode.iEnd,
+                sMessage: "Variable '" + oVariable.sName + "' is declared as " + oVariable.sType + " but its initial value is " + formatType(aValueType),
+                sSeverity: "warning",
+                sCode: "variableTypeMismatch"
+            });
+        }
+    }
+
+    // Actions that change a variable need it to exist and to have a suitable type
+    for (let i = 0; i < oFlow.aActions.length; i++) {
+        const oAction = oFlow.aActions[i];
+        const sActionType = oAction.sType.toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(oVariableActions, sActionType)) {
+            continue;
+        }
+        const oInputs = getPropertyValue(oAction.oValueNode, "inputs");
+        const oNameNode = getPropertyValue(oInputs, "name");
+        if (!oNameNode || oNameNode.sType !== "string") {
+            continue;
+        }
+
+        const oVariable = findVariable(aVariables, oNameNode.vValue);
+        if (!oVariable) {
+            aIssues.push({
+                iStart: oNameNode.iStart,
+                iEnd: oNameNode.iEnd,
+                sMessage: oAction.sType + " '" + oAction.sName + "' targets variable '" + oNameNode.vValue + "', which is never initialized",
+                sSeverity: "warning",
+                sCode: "unknownVariable"
+            });
+            continue;
+        }
+
+        const aAllowed = oVariableActions[sActionType];
+        if (aAllowed && !isAssignable(oVariable.aTypes, aAllowed)) {
+            aIssues.push({
+                iStart: oNameNode.iStart,
+                iEnd: oNameNode.iEnd,
+                sMessage: oAction.sType + " cannot be used on " + oVariable.sType + " variable '" + oVariable.sName + "'; it needs " + formatType(aAllowed),
+                sSeverity: "warning",
+                sCode: "variableTypeMismatch"
+            });
+        }
+
+        const oValueNode = getPropertyValue(oInputs, "value");
+        const aValueType = getJsonValueType(oValueNode, oFuncMap, oVariableTypes);
+        if (sActionType === "setvariable" && oValueNode && !isAssignable(aValueType, oVariable.aTypes)) {
+            aIssues.push({
+                iStart: oValueNode.iStart,
+                iEnd: oValueNode.iEnd,
+                sMessage: "Variable '" + oVariable.sName + "' is " + oVariable.sType + " but is set to a value of type " + formatType(aValueType),
+                sSeverity: "warning",
+                sCode: "variableTypeMismatch"
+            });
+        }
+    }
+
+    // variables('name') references
+    for (let i = 0; i < aExpressions.length; i++) {
+        const oEntry = aExpressions[i];
+        for (let s = 0; s < oEntry.aSegments.length; s++) {
+            walkExpression(oEntry.aSegments[s].oAst, function (oNode) {
+                if (oNode.sKind !== "call" || oNode.sName.toLowerCase() !== "variables") {
+                    return;
+                }
+                const oArg = oNode.aArgs[0];
+                if (oArg && oArg.sKind === "string" && !findVariable(aVariables, oArg.sValue)) {
+                    aIssues.push({
+                        iStart: toDocumentOffset(oEntry, oArg.iStart),
+                        iEnd: toDocumentOffset(oEntry, oArg.iEnd),
+                        sMessage: "Variable '" + oArg.sValue + "' is never initialized",
+                        sSeverity: "warning",
+                        sCode: "unknownVariable"
+                    });
+                }
+            });
+        }
+    }
+
+    return aIssues;
+}
+
+/**
+ * Check ['key'] and .key accesses on values described by a schema (trigger body,
+ * Parse JSON output, Foreach items) against the properties the schema declares.
+ * Schemas that allow additionalProperties are not checked.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @returns {Array<Object>}
+ */
+function checkPropertyAccess(oFlow, aExpressions) {
+    const aIssues = [];
+    for (let i = 0; i < aExpressions.length; i++) {
+        const oEntry = aExpressions[i];
+        for (let s = 0; s < oEntry.aSegments.length; s++) {
+            walkExpression(oEntry.aSegments[s].oAst, function (oNode) {
+                let oKeyRange = null;
+                if (oNode.sKind === "index" && oNode.oIndex && oNode.oIndex.sKind === "string") {
+                    oKeyRange = { iStart: oNode.oIndex.iStart, iEnd: oNode.oIndex.iEnd };
+                } else if (oNode.sKind === "member") {
+                    oKeyRange = { iStart: oNode.iNameStart, iEnd: oNode.iNameEnd };
+                }
+                const oPath = oKeyRange ? resolveAccessPath(oNode) : null;
+                if (!oPath) {
+                    return;
+                }
+
+                const sKey = oPath.aPath[oPath.aPath.length - 1];
+                const sFirstArg = getFirstStringArg(oPath.oCall);
+                const oParentSchema = resolveAccessSchema(oFlow, oPath.oCall.sName, sFirstArg, oPath.aPath.slice(0, oPath.aPath.length - 1));
+                if (!oParentSchema || !oParentSchema.properties || oParentSchema.type === "array" || oParentSchema.additionalProperties) {
+                    return;
+                }
+                if (!hasSchemaProperty(oParentSchema, sKey)) {
+                    const sSource = oPath.oCall.sName + "(" + (sFirstArg ? "'" + sFirstArg + "'" : "") + ")";
+                    aIssues.push({
+                        iStart: toDocumentOffset(oEntry, oKeyRange.iStart),
+                        iEnd: toDocumentOffset(oEntry, oKeyRange.iEnd),
+                        sMessage: "Property '" + sKey + "' is not defined in the schema of " + sSource,
+                        sSeverity: "warning",
+                        sCode: "unknownProperty"
+                    });
+                }
+            });
+        }
+    }
+    return aIssues;
+}
+
+/**
+ * Suggest existing actions for a misspelled action name, closest first
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {string} sName - name as written in the expression
+ * @returns {Array<string>} reference names (spaces as underscores)
+ */
+function suggestActionNames(oFlow, sName) {
+    return findClosestNames(sName, oFlow.aActions.map(function (oAction) {
+        return toReferenceName(oAction.sName);
+    }));
+}
+
+/**
+ * Check that body('X'), outputs('X'), actions('X'), result('X'), items('X') and
+ * iterationIndexes('X') name an action that exists. Issues cover the name without
+ * its quotes so a fix can replace it.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @returns {Array<Object>}
+ */
+function checkActionReferences(oFlow, aExpressions) {
+    return collectActionReferences(oFlow, aExpressions).filter(function (oReference) {
+        return oReference.sKind === "expression" && !oReference.oAction;
+    }).map(function (oReference) {
+        const aSuggestions = suggestActionNames(oFlow, oReference.sName);
+        let sMessage = oReference.sFunction + "() refers to action '" + oReference.sName + "', which does not exist";
+        if (aSuggestions.length > 0) {
+            sMessage = sMessage + ". Did you mean " + aSuggestions.map(function (s) { return "'" + s + "'"; }).join(", ") + "?";
+        }
+        return {
+            iStart: oReference.iStart,
+            iEnd: oReference.iEnd,
+            sMessage: sMessage,
+            sSeverity: "warning",
+            sCode: "unknownAction"
+        };
+    });
+}
+
+/**
+ * Describe where an action lives, for messages
+ * @param {Object} oAction
+ * @returns {string}
+ */
+function describeScope(oAction) {
+    if (oAction.bTrigger) {
+        return "is a trigger";
+    }
+    return oAction.oParent ? "is inside '" + oAction.oParent.sName + "'" : "is at the top level";
+}
+
+/**
+ * Check the runAfter entries of every actions block: targets must be siblings in
+ * the same block, statuses must be Succeeded, Failed, Skipped or TimedOut, the
+ * dependencies must not form a cycle and every action must be reachable from an
+ * action with an empty runAfter.
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {Array<Object>}
+ */
+function checkRunAfter(oFlow) {
+    const aIssues = [];
+    const aBlocks = [];
+    for (let i = 0; i < oFlow.aActions.length; i++) {
+        const oAction = oFlow.aActions[i];
+        let aBlock = null;
+        for (let b = 0; b < aBlocks.length && !aBlock; b++) {
+            aBlock = aBlocks[b][0].oContainerNode === oAction.oContainerNode ? aBlocks[b] : null;
+        }
+        if (aBlock) {
+            aBlock.push(oAction);
+        } else {
+            aBlocks.push([oAction]);
+        }
+    }
+    for (let b = 0; b < aBlocks.length; b++) {
+        checkRunAfterBlock(oFlow, aBlocks[b], aIssues);
+    }
+    return aIssues;
+}
+
+/**
+ * Check the runAfter entries of the actions in one actions block
+ * @param {Object} oFlow
+ * @param {Array<Object>} aBlock - actions sharing an actions object
+ * @param {Array<Object>} aIssues - issues are appended here
+ */
+function checkRunAfterBlock(oFlow, aBlock, aIssues) {
+    const oSiblings = Object.create(null);
+    for (let i = 0; i < aBlock.length; i++) {
+        oSiblings[aBlock[i].sName] = aBlock[i];
+    }
+
+    // Resolve each action's runAfter targets; broken actions already have an issue
+    const oDependencies = new Map();
+    const oReported = new Set();
+    for (let i = 0; i < aBlock.length; i++) {
+        const oAction = aBlock[i];
+        const aTargets = [];
+        const aEntries = getRunAfterEntries(oAction);
+        for (let e = 0; e < aEntries.length; e++) {
+            const oEntry = aEntries[e];
+            const oTarget = Object.prototype.hasOwnProperty.call(oSiblings, oEntry.sKey) ? oSiblings[oEntry.sKey] : null;
+            if (oTarget) {
+                aTargets.push({ oTarget: oTarget, oEntry: oEntry });
+            } else {
+                const oElsewhere = findAction(oFlow, oEntry.sKey);
+                aIssues.push({
+                    iStart: oEntry.oKeyNode.iStart,
+                    iEnd: oEntry.oKeyNode.iEnd,
+                    sMessage: oElsewhere
+                        ? "'" + oAction.sName + "' runs after '" + oEntry.sKey + "', which " + describeScope(oElsewhere) + "; runAfter can only name actions in the same actions block"
+                        : "'" + oAction.sName + "' runs after '" + oEntry.sKey + "', which does not exist",
+                    sSeverity: "error",
+                    sCode: oElsewhere ? "runAfterScope" : "runAfterMissing"
+                });
+                oReported.add(oAction);
+            }
+            checkRunAfterStatuses(oEntry, aIssues);
+        }
+        oDependencies.set(oAction, { aTargets: aTargets, bRoot: aEntries.length === 0 });
+    }
+
+    // Cycles: a runAfter entry that leads back to an action still being visited
+    const oState = new Map();
+    const aPath = [];
+
+    /**
+     * Depth-first walk along runAfter targets
+     * @param {Object} oAction
+     */
+    function visit(oAction) {
+        oState.set(oAction, "visiting");
+        aPath.push(oAction);
+        const aTargets = oDependencies.get(oAction).aTargets;
+        for (let t = 0; t < aTargets.length; t++) {
+            const oTarget = aTargets[t].oTarget;
+            if (oState.get(oTarget) === "visiting") {
+                const aCycle = aPath.slice(aPath.indexOf(oTarget)).concat([oTarget]);
+                aIssues.push({
+                    iStart: aTargets[t].oEntry.oKeyNode.iStart,
+                    iEnd: aTargets[t].oEntry.oKeyNode.iEnd,
+                    sMessage: "runAfter cycle: '" + aCycle[0].sName + "' waits on " + aCycle.slice(1).map(function (oItem) {
+                        return "'" + oItem.sName + "'";
+                    }).join(", which waits on "),
+                    sSeverity: "error",
+                    sCode: "runAfterCycle"
+                });
+                aCycle.forEach(function (oItem) {
+                    oReported.add(oItem);
+                });
+            } else if (!oState.has(oTarget)) {
+                visit(oTarget);
+            }
+        }
+        aPath.pop();
+        oState.set(oAction, "done");
+    }
+    for (let i = 0; i < aBlock.length; i++) {
+        if (!oState.has(aBlock[i])) {
+            visit(aBlock[i]);
+        }
+    }
+
+    // Reachability: an action runs once everything it waits on can run
+    const oReachable = new Set();
+    let bChanged = true;
+    while (bChanged) {
+        bChanged = false;
+        for (let i = 0; i < aBlock.length; i++) {
+            const oAction = aBlock[i];
+            const oInfo = oDependencies.get(oAction);
+            const bReady = oInfo.bRoot || (oInfo.aTargets.length > 0 && !oReported.has(oAction) && oInfo.aTargets.every(function (oItem) {
+                return oReachable.has(oItem.oTarget);
+            }));
+            if (!oReachable.has(oAction) && bReady) {
+                oReachable.add(oAction);
+                bChanged = true;
+            }
+        }
+    }
+    for (let i = 0; i < aBlock.length; i++) {
+        const oAction = aBlock[i];
+        if (oReachable.has(oAction) || oReported.has(oAction)) {
+            continue;
+        }
+        const oBlocker = oDependencies.get(oAction).aTargets.filter(function (oItem) {
+            return !oReachable.has(oItem.oTarget);
+        })[0];
+        aIssues.push({
+            iStart: oAction.oKeyNode.iStart,
+            iEnd: oAction.oKeyNode.iEnd,
+            sMessage: "'" + oAction.sName + "' can never run" + (oBlocker ? ": it waits on '" + oBlocker.oTarget.sName + "', which never runs" : ""),
+            sSeverity: "warning",
+            sCode: "unreachableAction"
+        });
+    }
+}
+
+/**
+ * Check the status list of one runAfter entry
+ * @param {Object} oEntry - runAfter property { sKey, oKeyNode, oValueNode }
+ * @param {Array<Object>} aIssues - issues are appended here
+ */
+function checkRunAfterStatuses(oEntry, aIssues) {
+    const oValueNode = oEntry.oValueNode;
+    if (oValueNode.sType !== "array") {
+        aIssues.push({
+            iStart: oValueNode.iStart,
+            iEnd: oValueNode.iEnd,
+            sMessage: "runAfter '" + oEntry.sKey + "' must be an array of statuses, e.g. [\"Succeeded\"]",
+            sSeverity: "error",
+            sCode: "runAfterStatus"
+        });
+        return;
+    }
+    const aAllowed = aRunAfterStatuses.map(function (sStatus) {
+        return sStatus.toLowerCase();
+    });
+    for (let i = 0; i < oValueNode.aItems.length; i++) {
+        const oItem = oValueNode.aItems[i];
+        if (oItem.sType !== "string" || aAllowed.indexOf(oItem.vValue.toLowerCase()) === -1) {
+            aIssues.push({
+                iStart: oItem.iStart,
+                iEnd: oItem.iEnd,
+                sMessage: (oItem.sType === "string" ? "'" + oItem.vValue + "'" : "This value") + " is not a runAfter status; use " + aRunAfterStatuses.join(", "),
+                sSeverity: "error",
+                sCode: "runAfterStatus"
+            });
+        }
+    }
+}
+
+module.exports = {
+    checkPropertyAccess: checkPropertyAccess,
+    checkActionReferences: checkActionReferences,
+    suggestActionNames: suggestActionNames,
+    checkRunAfter: checkRunAfter,
+    getVariableTypeMap: getVariableTypeMap,
+    getJsonValueType: getJsonValueType,
+    checkVariables: checkVariables
+};
@@ -0,0 +1,33 @@
+const vscode = require("vscode");
+const { formatPlainTextBlocks } = require("./expressionFormatter");
+
+/**
+ * Build a DocumentRangeFormattingEditProvider that pretty-prints the
+ * plain text / paexpr expression blocks inside the selected range.
+ * @returns {vscode.DocumentRangeFormattingEditProvider}
+ */
+function createExpressionFormattingProvider() {
+    return {
+        provideDocumentRangeFormattingEdits: function (oDocument, oRange, oOptions) {
+            const sIndent = oOptions.insertSpaces ? " ".repeat(oOptions.tabSize) : "\t";
+            const aEdits = formatPlainTextBlocks(
+                oDocument.getText(),
+                oDocument.offsetAt(oRange.start),
+                oDocument.offsetAt(oRange.end),
+                { sIndent: sIndent },
+                oDocument.languageId
+            );
+
+            return aEdits.map(function (oEdit) {
+                return vscode.TextEdit.replace(
+                    new vscode.Range(oDocument.positionAt(oEdit.iStart), oDocument.positionAt(oEdit.iEnd)),
+                    oEdit.sNewText
+                );
+            });
+        }
+    };
+}
+
+module.exports = {
+    createExpressionFormattingProvider: createExpressionFormattingProvider
+};
@@ -1,29 +1,47 @@
 const vscode = require("vscode");
+const { getOpenContext, getCurrentValueText, collectDocumentExpressions, findExpressionAtOffset, findNodeAt, toDocumentOffset, walkExpression, resolveAccessPath } = require("./expressionParser");
+const { buildFunctionMap } = require("./expressionValidator");
+const { inferTypes, formatType } = require("./expressionTypes");
+const { createFlowCache, collectVariables } = require("./flowDefinition");
+const { getVariableTypeMap } = require("./flowValidator");
+const { resolveAccessSchema, getFirstStringArg } = require("./flowSchema");
+const { buildSchemaMarkdown } = require("./schemaCompletionProvider");
 
 /**
  * Build a HoverProvider for Logic App expression functions.
- * Shows documentation when hovering over a function name.
+ * Shows documentation when hovering over a function name, the schema title and
+ * description of properties such as triggerBody()?['text'], and otherwise the
+ * inferred type of the sub-expression under the cursor.
  * @param {Array<Object>} aFunctions - parsed function definitions
  * @returns {vscode.HoverProvider}
  */
 function createHoverProvider(aFunctions) {
     // Build a lookup map for fast access
-    const oFuncMap = {};
-    for (let i = 0; i < aFunctions.length; i++) {
-        oFuncMap[aFunctions[i].sName.toLowerCase()] = aFunctions[i];
-    }
+    const oFuncMap = buildFunctionMap(aFunctions);
+    const fnGetFlow = createFlowCache();
 
     return {
         provideHover: function (oDocument, oPosition, oToken) {
-            const oWordRange = oDocument.getWordRangeAtPosition(oPosition, new RegExp("[a-zA-Z][a-zA-Z0-9]*", ""));
-            if (!oWordRange) {
-                return null;
+            const bJson = oDocument.languageId === "json" || oDocument.languageId === "jsonc";
+            const oFlow = bJson ? fnGetFlow(oDocument.uri.toString(), oDocument.getText(), oDocument.languageId) : null;
+            const oPropertyInfo = oFlow ? findSchemaPropertyAtPosition(oDocument, oPosition, oFlow) : null;
+            if (oPropertyInfo) {
+                return new vscode.Hover(buildSchemaMarkdown(oPropertyInfo.sName, oPropertyInfo.oSchema, oPropertyInfo.bRequired), oPropertyInfo.oRange);
             }
 
-            const sWord = oDocument.getText(oWordRange);
-            const oFunc = oFuncMap[sWord.toLowerCase()];
+            const oTypeInfo = findTypeAtPosition(oDocument, oPosition, oFuncMap, oFlow ? getVariableTypeMap(collectVariables(oFlow)) : null);
+            const oWordRange = oDocument.getWordRangeAtPosition(oPosition, new RegExp("[a-zA-Z][a-zA-Z0-9]*", ""));
+            const oFunc = oWordRange ? oFuncMap[oDocument.getText(oWordRange).toLowerCase()] : null;
+
             if (!oFunc) {
-                return null;
+                return oTypeInfo ? new vscode.Hover(buildTypeMarkdown(oTypeInfo), oTypeInfo.oRange) : null;
+            }
+
+            // Over a function name the call's result type is appended to the documentation
+            if (oTypeInfo && oTypeInfo.oNode.sKind === "call") {
+                const oMd = buildHoverMarkdown(oFunc);
+                oMd.appendMarkdown("\n**Inferred type:** `" + oTypeInfo.sType + "`\n");
+                return new vscode.Hover(oMd, oWordRange);
             }
 
             // Verify it's likely a function call context - check for @ or ( nearby
@@ -101,6 +119,101 @@ function buildHoverMarkdown(oFunc) {
     return oMd;
 }
 
+/**
+ * Find the innermost sub-expression at a position and infer its type
+ * @param {vscode.TextDocument} oDocument
+ * @param {vscode.Position} oPosition
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @param {Object} [oVariableTypes] - from getVariableTypeMap, for variables('...')
+ * @returns {{ oNode: Object, sText: string, sType: string, oRange: vscode.Range }|null}
+ */
+function findTypeAtPosition(oDocument, oPosition, oFuncMap, oVariableTypes) {
+    const aEntries = collectDocumentExpressions(oDocument.getText(), oDocument.languageId);
+    const oMatch = findExpressionAtOffset(aEntries, oDocument.offsetAt(oPosition));
+    if (!oMatch || !oMatch.oSegment.oAst) {
+        return null;
+    }
+
+    const oNode = findNodeAt(oMatch.oSegment.oAst, oMatch.iIndex);
+    if (!oNode || oNode.sKind === "error") {
+        return null;
+    }
+
+    const oTypes = inferTypes(oMatch.oSegment.oAst, oFuncMap, oVariableTypes).oTypes;
+    return {
+        oNode: oNode,
+        sText: oMatch.oEntry.sValue.substring(oNode.iStart, oNode.iEnd),
+        sType: formatType(oTypes.get(oNode)),
+        oRange: new vscode.Range(
+            oDocument.positionAt(toDocumentOffset(oMatch.oEntry, oNode.iStart)),
+            oDocument.positionAt(toDocumentOffset(oMatch.oEntry, oNode.iEnd))
+        )
+    };
+}
+
+/**
+ * Find a property key under the cursor, such as 'text' in triggerBody()?['text'],
+ * whose definition comes from a schema in the flow
+ * @param {vscode.TextDocument} oDocument
+ * @param {vscode.Position} oPosition
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @returns {{ sName: string, oSchema: Object, bRequired: boolean, oRange: vscode.Range }|null}
+ */
+function findSchemaPropertyAtPosition(oDocument, oPosition, oFlow) {
+    const aEntries = collectDocumentExpressions(oDocument.getText(), oDocument.languageId);
+    const oMatch = findExpressionAtOffset(aEntries, oDocument.offsetAt(oPosition));
+    if (!oMatch || !oMatch.oSegment.oAst) {
+        return null;
+    }
+
+    // The access node whose key contains the cursor
+    let oAccess = null;
+    let oKeyRange = null;
+    walkExpression(oMatch.oSegment.oAst, function (oNode) {
+        if (oNode.sKind === "index" && oNode.oIndex && oNode.oIndex.sKind === "string"
+            && oMatch.iIndex >= oNode.oIndex.iStart && oMatch.iIndex <= oNode.oIndex.iEnd) {
+            oAccess = oNode;
+            oKeyRange = { iStart: oNode.oIndex.iStart, iEnd: oNode.oIndex.iEnd };
+        } else if (oNode.sKind === "member" && oMatch.iIndex >= oNode.iNameStart && oMatch.iIndex <= oNode.iNameEnd) {
+            oAccess = oNode;
+            oKeyRange = { iStart: oNode.iNameStart, iEnd: oNode.iNameEnd };
+        }
+    });
+    const oPath = oAccess ? resolveAccessPath(oAccess) : null;
+    if (!oPath) {
+        return null;
+    }
+
+    const sFirstArg = getFirstStringArg(oPath.oCall);
+    const oSchema = resolveAccessSchema(oFlow, oPath.oCall.sName, sFirstArg, oPath.aPath);
+    if (!oSchema) {
+        return null;
+    }
+    const oParentSchema = resolveAccessSchema(oFlow, oPath.oCall.sName, sFirstArg, oPath.aPath.slice(0, oPath.aPath.length - 1));
+    const sName = String(oPath.aPath[oPath.aPath.length - 1]);
+    return {
+        sName: sName,
+        oSchema: oSchema,
+        bRequired: !!oParentSchema && Array.isArray(oParentSchema.required) && oParentSchema.required.indexOf(sName) !== -1,
+        oRange: new vscode.Range(
+            oDocument.positionAt(toDocumentOffset(oMatch.oEntry, oKeyRange.iStart)),
+            oDocument.positionAt(toDocumentOffset(oMatch.oEntry, oKeyRange.iEnd))
+        )
+    };
+}
+
+/**
+ * Build the markdown for a sub-expression type hover
+ * @param {Object} oTypeInfo - from findTypeAtPosition
+ * @returns {vscode.MarkdownString}
+ */
+function buildTypeMarkdown(oTypeInfo) {
+    const oMd = new vscode.MarkdownString();
+    oMd.appendCodeblock(oTypeInfo.sText, "plaintext");
+    oMd.appendMarkdown("**Inferred type:** `" + oTypeInfo.sType + "`\n");
+    return oMd;
+}
+
 /**
  * Basic check if a position is inside a string in a line
  * @param {string} sLineText
@@ -124,16 +237,12 @@ function isInString(sLineText, iPos) {
  * @returns {boolean}
  */
 function isInsideAtBraceBlock(sLineText, iPos) {
-    // Walk backwards from iPos to find @{ without a closing }
-    let i = iPos - 1;
-    while (i >= 0) {
-        if (sLineText[i] === "}" ) {
-            return false;
-        }
-        if (sLineText[i] === "{" && i > 0 && sLineText[i - 1] === "@") {
+    const oValueText = getCurrentValueText(sLineText.substring(0, iPos));
+    const aFrames = getOpenContext(oValueText.sText).aFrames;
+    for (let i = 0; i < aFrames.length; i++) {
+        if (aFrames[i].sKind === "interpolation") {
             return true;
         }
-        i--;
     }
     return false;
 }
@@ -0,0 +1,421 @@
+/**
+ * Position-aware JSON reader used by the expression and flow definition features.
+ * Unlike JSON.parse it keeps the source offsets of every key and value so that
+ * diagnostics, navigation and edits can point back into the document text.
+ * Comments (// and /* *\/) are skipped so jsonc documents are supported too, and
+ * trailing commas are accepted when the document's language is jsonc.
+ */
+
+/**
+ * Characters of a bare word (true, false, null or an invalid token)
+ */
+const oWordCharRegex = new RegExp("[A-Za-z0-9_$]", "");
+
+/**
+ * Check if a character is JSON whitespace
+ * @param {string} sChar
+ * @returns {boolean}
+ */
+function isWhitespace(sChar) {
+    return sChar === " " || sChar === "\t" || sChar === "\n" || sChar === "\r";
+}
+
+/**
+ * Skip whitespace and comments starting at iPos
+ * @param {string} sText
+ * @param {number} iPos
+ * @returns {number} offset of the next significant character
+ */
+function skipTrivia(sText, iPos) {
+    let i = iPos;
+    while (i < sText.length) {
+        if (isWhitespace(sText[i])) {
+            i++;
+        } else if (sText[i] === "/" && sText[i + 1] === "/") {
+            while (i < sText.length && sText[i] !== "\n") {
+                i++;
+            }
+        } else if (sText[i] === "/" && sText[i + 1] === "*") {
+            const iClose = sText.indexOf("*/", i + 2);
+            i = iClose === -1 ? sText.length : iClose + 2;
+        } else {
+            break;
+        }
+    }
+    return i;
+}
+
+/**
+ * Read a JSON string token starting at the opening quote.
+ * aOffsets is only built when the string contains escapes, otherwise the
+ * decoded index maps directly onto the raw text.
+ * @param {string} sText
+ * @param {number} iStart - offset of the opening quote
+ * @returns {Object} string token
+ */
+function readString(sText, iStart) {
+    let i = iStart + 1;
+    let sValue = "";
+    let aOffsets = null;
+    let bUnterminated = true;
+
+    while (i < sText.length) {
+        const sChar = sText[i];
+        if (sChar === "\"") {
+            bUnterminated = false;
+            break;
+        }
+        if (sChar === "\n") {
+            break;
+        }
+        if (sChar === "\\") {
+            if (!aOffsets) {
+                aOffsets = [];
+                for (let o = 0; o < sValue.length; o++) {
+                    aOffsets.push(iStart + 1 + o);
+                }
+            }
+            const sNext = sText[i + 1];
+            let sDecoded = sNext;
+            let iLength = 2;
+            if (sNext === "n") {
+                sDecoded = "\n";
+            } else if (sNext === "t") {
+                sDecoded = "\t";
+            } else if (sNext === "r") {
+                sDecoded = "\r";
+            } else if (sNext === "b") {
+                sDecoded = "\b";
+            } else if (sNext === "f") {
+                sDecoded = "\f";
+            } else if (sNext === "u") {
+                const sHex = sText.substring(i + 2, i + 6);
+                sDecoded = String.fromCharCode(parseInt(sHex, 16) || 0);
+                iLength = 6;
+            } else if (sNext === undefined) {
+                sDecoded = "";
+                iLength = 1;
+            }
+            aOffsets.push(i);
+            sValue = sValue + sDecoded;
+            i += iLength;
+            continue;
+        }
+        if (aOffsets) {
+            aOffsets.push(i);
+        }
+        sValue = sValue + sChar;
+        i++;
+    }
+
+    if (aOffsets) {
+        aOffsets.push(i);
+    }
+
+    return {
+        sType: "string",
+        iStart: iStart,
+        iEnd: bUnterminated ? i : i + 1,
+        sValue: sValue,
+        aOffsets: aOffsets,
+        bUnterminated: bUnterminated
+    };
+}
+
+/**
+ * Split JSON text into tokens. Never throws; unknown characters become
+ * "invalid" tokens so a half-typed document still yields its strings.
+ * @param {string} sText
+ * @returns {Array<Object>} tokens with sType, iStart, iEnd
+ */
+function tokenizeJson(sText) {
+    const aTokens = [];
+    let i = skipTrivia(sText, 0);
+
+    while (i < sText.length) {
+        const sChar = sText[i];
+        let oToken;
+
+        if (sChar === "\"") {
+            oToken = readString(sText, i);
+        } else if ("{}[]:,".indexOf(sChar) !== -1) {
+            oToken = { sType: "punct", iStart: i, iEnd: i + 1, sValue: sChar };
+        } else if (sChar === "-" || (sChar >= "0" && sChar <= "9")) {
+            const oMatch = new RegExp("-?\\d+(\\.\\d+)?([eE][+-]?\\d+)?", "y");
+            oMatch.lastIndex = i;
+            const aMatch = oMatch.exec(sText);
+            const iLength = aMatch ? aMatch[0].length : 1;
+            oToken = { sType: "number", iStart: i, iEnd: i + iLength, sValue: sText.substr(i, iLength) };
+        } else {
+            let iEnd = i;
+            while (iEnd < sText.length && oWordCharRegex.test(sText[iEnd])) {
+                iEnd++;
+            }
+            if (iEnd === i) {
+                iEnd = i + 1;
+            }
+            const sWord = sText.substring(i, iEnd);
+            const bLiteral = sWord === "true" || sWord === "false" || sWord === "null";
+            oToken = { sType: bLiteral ? "literal" : "invalid", iStart: i, iEnd: iEnd, sValue: sWord };
+        }
+
+        aTokens.push(oToken);
+        i = skipTrivia(sText, oToken.iEnd);
+    }
+
+    // Mark strings that are object keys (followed by a colon)
+    for (let t = 0; t < aTokens.length - 1; t++) {
+        if (aTokens[t].sType === "string" && aTokens[t + 1].sType === "punct" && aTokens[t + 1].sValue === ":") {
+            aTokens[t].bIsKey = true;
+        }
+    }
+
+    return aTokens;
+}
+
+/**
+ * Check if a token is the given punctuation character
+ * @param {Object|undefined} oToken
+ * @param {string} sChar
+ * @returns {boolean}
+ */
+function isPunct(oToken, sChar) {
+    return !!oToken && oToken.sType === "punct" && oToken.sValue === sChar;
+}
+
+/**
+ * Parse JSON text into a node tree that keeps source offsets.
+ * Parsing stops at the first structural error, in which case oRoot is null.
+ * Nodes: { sType, iStart, iEnd, oParent, vValue | aProperties | aItems }
+ * Object properties: { sKey, oKeyNode, oValueNode, oParent }
+ * @param {string} sText
+ * @param {string} [sLanguageId] - "jsonc" allows trailing commas
+ * @returns {{ oRoot: Object|null, aErrors: Array<Object> }}
+ */
+function parseJsonDocument(sText, sLanguageId) {
+    const aTokens = tokenizeJson(sText);
+    const bTrailingCommas = sLanguageId === "jsonc";
+    const aErrors = [];
+    let iIndex = 0;
+
+    function fail(oToken, sMessage) {
+        const iAt = oToken ? oToken.iStart : sText.length;
+        aErrors.push({ sMessage: sMessage, iStart: iAt, iEnd: oToken ? oToken.iEnd : iAt });
+        throw aErrors[aErrors.length - 1];
+    }
+
+    function parseValue(oParent) {
+        const oToken = aTokens[iIndex];
+        if (!oToken) {
+            fail(null, "Unexpected end of JSON");
+        }
+
+        if (oToken.sType === "punct" && oToken.sValue === "{") {
+            return parseObject(oParent);
+        }
+        if (oToken.sType === "punct" && oToken.sValue === "[") {
+            return parseArray(oParent);
+        }
+
+        iIndex++;
+        if (oToken.sType === "string") {
+            return {
+                sType: "string",
+                iStart: oToken.iStart,
+                iEnd: oToken.iEnd,
+                vValue: oToken.sValue,
+                aOffsets: oToken.aOffsets,
+                oParent: oParent
+            };
+        }
+        if (oToken.sType === "number") {
+            return { sType: "number", iStart: oToken.iStart, iEnd: oToken.iEnd, vValue: Number(oToken.sValue), oParent: oParent };
+        }
+        if (oToken.sType === "literal") {
+            const vValue = oToken.sValue === "null" ? null : oToken.sValue === "true";
+            return { sType: oToken.sValue === "null" ? "null" : "boolean", iStart: oToken.iStart, iEnd: oToken.iEnd, vValue: vValue, oParent: oParent };
+        }
+        return fail(oToken, "Unexpected token '" + oToken.sValue + "'");
+    }
+
+    function parseObject(oParent) {
+        const oNode = { sType: "object", iStart: aTokens[iIndex].iStart, iEnd: -1, aProperties: [], oParent: oParent };
+        iIndex++;
+
+        while (iIndex < aTokens.length) {
+            const oToken = aTokens[iIndex];
+            if (oToken.sType === "punct" && oToken.sValue === "}") {
+                oNode.iEnd = oToken.iEnd;
+                iIndex++;
+                return oNode;
+            }
+            if (oNode.aProperties.length > 0) {
+                if (!(oToken.sType === "punct" && oToken.sValue === ",")) {
+                    fail(oToken, "Expected ',' or '}'");
+                }
+                iIndex++;
+                if (bTrailingCommas && isPunct(aTokens[iIndex], "}")) {
+                    continue;
+                }
+            }
+
+            const oKeyToken = aTokens[iIndex];
+            if (!oKeyToken || oKeyToken.sType !== "string") {
+                fail(oKeyToken, "Expected property name");
+            }
+            iIndex++;
+            const oColon = aTokens[iIndex];
+            if (!oColon || oColon.sType !== "punct" || oColon.sValue !== ":") {
+                fail(oColon, "Expected ':'");
+            }
+            iIndex++;
+
+            const oProperty = {
+                sKey: oKeyToken.sValue,
+                oKeyNode: { sType: "string", iStart: oKeyToken.iStart, iEnd: oKeyToken.iEnd, vValue: oKeyToken.sValue, aOffsets: oKeyToken.aOffsets, bIsKey: true },
+                oValueNode: null,
+                oParent: oNode
+            };
+            oProperty.oKeyNode.oParent = oNode;
+            oNode.aProperties.push(oProperty);
+            oProperty.oValueNode = parseValue(oNode);
+            oProperty.oValueNode.oProperty = oProperty;
+        }
+
+        return fail(null, "Expected '}'");
+    }
+
+    function parseArray(oParent) {
+        const oNode = { sType: "array", iStart: aTokens[iIndex].iStart, iEnd: -1, aItems: [], oParent: oParent };
+        iIndex++;
+
+        while (iIndex < aTokens.length) {
+            const oToken = aTokens[iIndex];
+            if (oToken.sType === "punct" && oToken.sValue === "]") {
+                oNode.iEnd = oToken.iEnd;
+                iIndex++;
+                return oNode;
+            }
+            if (oNode.aItems.length > 0) {
+                if (!(oToken.sType === "punct" && oToken.sValue === ",")) {
+                    fail(oToken, "Expected ',' or ']'");
+                }
+                iIndex++;
+                if (bTrailingCommas && isPunct(aTokens[iIndex], "]")) {
+                    continue;
+                }
+            }
+            oNode.aItems.push(parseValue(oNode));
+        }
+
+        return fail(null, "Expected ']'");
+    }
+
+    let oRoot = null;
+    try {
+        oRoot = parseValue(null);
+        if (iIndex < aTokens.length) {
+            fail(aTokens[iIndex], "Unexpected content after JSON value");
+        }
+    } catch (oError) {
+        if (!oError || oError.sMessage === undefined) {
+            throw oError;
+        }
+        oRoot = null;
+    }
+
+    return { oRoot: oRoot, aErrors: aErrors };
+}
+
+/**
+ * Get the property entry for a key in an object node
+ * @param {Object} oNode - object node
+ * @param {string} sKey
+ * @returns {Object|null} property entry { sKey, oKeyNode, oValueNode }
+ */
+function getProperty(oNode, sKey) {
+    if (!oNode || oNode.sType !== "object") {
+        return null;
+    }
+    for (let i = 0; i < oNode.aProperties.length; i++) {
+        if (oNode.aProperties[i].sKey === sKey) {
+            return oNode.aProperties[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the value node for a key in an object node
+ * @param {Object} oNode - object node
+ * @param {string} sKey
+ * @returns {Object|null}
+ */
+function getPropertyValue(oNode, sKey) {
+    const oProperty = getProperty(oNode, sKey);
+    return oProperty ? oProperty.oValueNode : null;
+}
+
+/**
+ * Convert a node back into a plain JavaScript value
+ * @param {Object} oNode
+ * @returns {*}
+ */
+function toValue(oNode) {
+    if (!oNode) {
+        return undefined;
+    }
+    if (oNode.sType === "object") {
+        const oResult = {};
+        for (let i = 0; i < oNode.aProperties.length; i++) {
+            oResult[oNode.aProperties[i].sKey] = toValue(oNode.aProperties[i].oValueNode);
+        }
+        return oResult;
+    }
+    if (oNode.sType === "array") {
+        return oNode.aItems.map(toValue);
+    }
+    return oNode.vValue;
+}
+
+/**
+ * Find the deepest node whose range contains the offset.
+ * Keys are returned as their key node (bIsKey = true).
+ * @param {Object} oRoot
+ * @param {number} iOffset
+ * @returns {Object|null}
+ */
+function findNodeAtOffset(oRoot, iOffset) {
+    if (!oRoot || iOffset < oRoot.iStart || iOffset > oRoot.iEnd) {
+        return null;
+    }
+    if (oRoot.sType === "object") {
+        for (let i = 0; i < oRoot.aProperties.length; i++) {
+            const oProperty = oRoot.aProperties[i];
+            if (iOffset >= oProperty.oKeyNode.iStart && iOffset <= oProperty.oKeyNode.iEnd) {
+                return oProperty.oKeyNode;
+            }
+            const oFound = findNodeAtOffset(oProperty.oValueNode, iOffset);
+            if (oFound) {
+                return oFound;
+            }
+        }
+    } else if (oRoot.sType === "array") {
+        for (let i = 0; i < oRoot.aItems.length; i++) {
+            const oFound = findNodeAtOffset(oRoot.aItems[i], iOffset);
+            if (oFound) {
+                return oFound;
+            }
+        }
+    }
+    return oRoot;
+}
+
+module.exports = {
+    tokenizeJson: tokenizeJson,
+    parseJsonDocument: parseJsonDocument,
+    getProperty: getProperty,
+    getPropertyValue: getPropertyValue,
+    toValue: toValue,
+    findNodeAtOffset: findNodeAtOffset
+};
@@ -0,0 +1,143 @@
+const vscode = require("vscode");
+const { collectDocumentExpressions } = require("./expressionParser");
+const { parseFlowDefinition } = require("./flowDefinition");
+const { collectActionReferences, findActionAtOffset, getReferencesTo, validateActionName, buildRenameEdits } = require("./flowReferences");
+
+/**
+ * Parse the document's flow and its action references. Locations must match the
+ * current text, so unlike completion this does not fall back to the last valid model.
+ * @param {vscode.TextDocument} oDocument
+ * @returns {{ oFlow: Object, aReferences: Array<Object> }|null}
+ */
+function analyzeReferences(oDocument) {
+    const sText = oDocument.getText();
+    const oFlow = parseFlowDefinition(sText, oDocument.languageId);
+    if (!oFlow) {
+        return null;
+    }
+    return {
+        oFlow: oFlow,
+        aReferences: collectActionReferences(oFlow, collectDocumentExpressions(sText, oDocument.languageId))
+    };
+}
+
+/**
+ * Build a Location for a document offset range
+ * @param {vscode.TextDocument} oDocument
+ * @param {number} iStart
+ * @param {number} iEnd
+ * @returns {vscode.Location}
+ */
+function toLocation(oDocument, iStart, iEnd) {
+    return new vscode.Location(oDocument.uri, new vscode.Range(oDocument.positionAt(iStart), oDocument.positionAt(iEnd)));
+}
+
+/**
+ * Build a DefinitionProvider that jumps from body('X'), outputs('X'), actions('X'),
+ * result('X'), items('X'), iterationIndexes('X') or a runAfter key to the action's key.
+ * @returns {vscode.DefinitionProvider}
+ */
+function createDefinitionProvider() {
+    return {
+        provideDefinition: function (oDocument, oPosition) {
+            const oAnalysis = analyzeReferences(oDocument);
+            const oMatch = oAnalysis ? findActionAtOffset(oAnalysis.oFlow, oAnalysis.aReferences, oDocument.offsetAt(oPosition)) : null;
+            if (!oMatch || !oMatch.oReference) {
+                return null;
+            }
+            const oKeyNode = oMatch.oAction.oKeyNode;
+            return toLocation(oDocument, oKeyNode.iStart, oKeyNode.iEnd);
+        }
+    };
+}
+
+/**
+ * Build a ReferenceProvider that lists every expression and runAfter entry that
+ * depends on the action under the cursor (its key or any reference to it).
+ * @returns {vscode.ReferenceProvider}
+ */
+function createReferenceProvider() {
+    return {
+        provideReferences: function (oDocument, oPosition, oReferenceContext) {
+            const oAnalysis = analyzeReferences(oDocument);
+            const oMatch = oAnalysis ? findActionAtOffset(oAnalysis.oFlow, oAnalysis.aReferences, oDocument.offsetAt(oPosition)) : null;
+            if (!oMatch) {
+                return [];
+            }
+
+            const aLocations = [];
+            if (oReferenceContext && oReferenceContext.includeDeclaration) {
+                const oKeyNode = oMatch.oAction.oKeyNode;
+                aLocations.push(toLocation(oDocument, oKeyNode.iStart, oKeyNode.iEnd));
+            }
+            const aReferences = getReferencesTo(oAnalysis.aReferences, oMatch.oAction);
+            for (let i = 0; i < aReferences.length; i++) {
+                aLocations.push(toLocation(oDocument, aReferences[i].iStart, aReferences[i].iEnd));
+            }
+            return aLocations;
+        }
+    };
+}
+
+/**
+ * Build a RenameProvider for actions. Renaming from the action's key or any reference
+ * rewrites the key, every runAfter entry and every expression reference in one edit.
+ * @returns {vscode.RenameProvider}
+ */
+function createRenameProvider() {
+    /**
+     * Find the action to rename at a position, or throw a message VS Code shows to the user
+     * @param {vscode.TextDocument} oDocument
+     * @param {vscode.Position} oPosition
+     * @returns {{ oAnalysis: Object, oAction: Object, oReference: Object|null }}
+     */
+    function findRenameTarget(oDocument, oPosition) {
+        const oAnalysis = analyzeReferences(oDocument);
+        if (!oAnalysis) {
+            throw new Error("The flow definition must be valid JSON to rename an action");
+        }
+        const oMatch = findActionAtOffset(oAnalysis.oFlow, oAnalysis.aReferences, oDocument.offsetAt(oPosition));
+        if (!oMatch) {
+            throw new Error("Place the cursor on an action name or a reference to one");
+        }
+        return { oAnalysis: oAnalysis, oAction: oMatch.oAction, oReference: oMatch.oReference };
+    }
+
+    return {
+        prepareRename: function (oDocument, oPosition) {
+            const oTarget = findRenameTarget(oDocument, oPosition);
+            const oRange = oTarget.oReference
+                ? { iStart: oTarget.oReference.iStart, iEnd: oTarget.oReference.iEnd }
+                : { iStart: oTarget.oAction.oKeyNode.iStart + 1, iEnd: oTarget.oAction.oKeyNode.iEnd - 1 };
+            return {
+                range: new vscode.Range(oDocument.positionAt(oRange.iStart), oDocument.positionAt(oRange.iEnd)),
+                placeholder: oTarget.oAction.sName
+            };
+        },
+
+        provideRenameEdits: function (oDocument, oPosition, sNewName) {
+            const oTarget = findRenameTarget(oDocument, oPosition);
+            const sError = validateActionName(oTarget.oAnalysis.oFlow, oTarget.oAction, sNewName);
+            if (sError) {
+                throw new Error(sError);
+            }
+
+            const oEdit = new vscode.WorkspaceEdit();
+            const aEdits = buildRenameEdits(oTarget.oAnalysis.aReferences, oTarget.oAction, sNewName);
+            for (let i = 0; i < aEdits.length; i++) {
+                oEdit.replace(
+                    oDocument.uri,
+                    new vscode.Range(oDocument.positionAt(aEdits[i].iStart), oDocument.positionAt(aEdits[i].iEnd)),
+                    aEdits[i].sNewText
+                );
+            }
+            return oEdit;
+        }
+    };
+}
+
+module.exports = {
+    createDefinitionProvider: createDefinitionProvider,
+    createReferenceProvider: createReferenceProvider,
+    createRenameProvider: createRenameProvider
+};
@@ -3,7 +3,8 @@ const path = require("path");
 
 /**
  * Parse the expression-functions-reference.md and extract function definitions.
- * Returns an array of function objects with name, description, syntax, parameters, returnType, returnDescription, category, and examples.
+ * Returns an array of function objects with name, description, syntax, parameters, returnType, returnDescription, category, examples,
+ * and for deprecated functions the name of the replacement function.
  * @param {string} sFilePath - path to the markdown file
  * @returns {Array<Object>} array of function definition objects
  */
@@ -63,17 +64,17 @@ function findAlphabeticalListStart(aLines) {
  * @returns {Object|null}
  */
 function matchFunctionHeading(sLine) {
+    // Check "### functionName (deprecated)" first, the generic pattern below also accepts a (...) suffix
+    const oDeprecatedRegex = new RegExp("^### ([a-zA-Z][a-zA-Z0-9]*)\\s+\\(deprecated\\)", "i");
+    const oDeprecatedMatch = sLine.match(oDeprecatedRegex);
+    if (oDeprecatedMatch) {
+        return { sName: oDeprecatedMatch[1], bDeprecated: true };
+    }
     const oRegex = new RegExp("^### ([a-zA-Z][a-zA-Z0-9]*)\\s*(?:\\(.*\\))?\\s*$", "");
     const oMatch = sLine.match(oRegex);
     if (oMatch) {
         return { sName: oMatch[1] };
     }
-    // Also match "### functionName (deprecated)" style  
-    const oRegex2 = new RegExp("^### ([a-zA-Z][a-zA-Z0-9]*)\\s+\\(deprecated\\)", "i");
-    const oMatch2 = sLine.match(oRegex2);
-    if (oMatch2) {
-        return { sName: oMatch2[1], bDeprecated: true };
-    }
     return null;
 }
 
@@ -115,6 +116,7 @@ function extractFunctionBlock(aLines, iStartIndex, iLineCount, oCategoryMap) {
     const sSyntax = extractSyntax(aBlock);
     const aParameters = extractParameters(aBlock);
     const oReturnInfo = extractReturnInfo(aBlock);
+    const sReplacement = bDeprecated ? extractReplacement(sDescription) : "";
     const aExamples = extractExamples(aBlock);
     const sCategory = oCategoryMap[sName] || "Other";
 
@@ -127,7 +129,8 @@ function extractFunctionBlock(aLines, iStartIndex, iLineCount, oCategoryMap) {
         sReturnDescription: oReturnInfo.sDescription,
         sCategory: sCategory,
         aExamples: aExamples,
-        bDeprecated: bDeprecated
+        bDeprecated: bDeprecated,
+        sReplacement: sReplacement
     };
 
     return { oFunc: oFunc, iNextIndex: iEndIndex };
@@ -322,8 +325,8 @@ function extractParameters(aBlock) {
         }
 
         if (bInParamTable) {
-            // Skip the separator row (| --- | --- | ...)
-            if (sLine.indexOf("| ---") !== -1) {
+            // Skip the separator row (| --- | --- | ... or |-----|-----|)
+            if (isTableSeparator(sLine)) {
                 iHeaderRowsSeen++;
                 continue;
             }
@@ -357,17 +360,19 @@ function extractParameters(aBlock) {
 
 /**
  * Parse a markdown table row into one or more parameter objects.
- * Some rows combine multiple params like "<*summand_1*>, <*summand_2*>"
+ * Some rows combine multiple params like "<*summand_1*>, <*summand_2*>".
+ * A few rows leave out the type cell (chunk's length); their type is left empty.
  * @param {string} sRow
  * @returns {Object|Array<Object>|null}
  */
 function parseTableRow(sRow) {
     const aCells = sRow.split("|").filter(function (s) { return s.trim() !== ""; });
-    if (aCells.length >= 4) {
+    if (aCells.length >= 3) {
+        const bHasType = aCells.length >= 4;
         const sRawName = aCells[0].trim();
         const sRequired = aCells[1].trim();
-        const sType = aCells[2].trim();
-        const sDescription = cleanMarkdown(aCells[3].trim());
+        const sType = bHasType ? aCells[2].trim() : "";
+        const sDescription = cleanMarkdown(aCells[bHasType ? 3 : 2].trim());
 
         // Clean the parameter name: remove <*...*>, angle brackets, etc.
         const sCleanName = sRawName
@@ -406,6 +411,26 @@ function parseTableRow(sRow) {
     return null;
 }
 
+/**
+ * Check if a table row is the header separator (| --- | or |-----|)
+ * @param {string} sLine
+ * @returns {boolean}
+ */
+function isTableSeparator(sLine) {
+    return new RegExp("^\\|\\s*:?-{3,}", "").test(sLine);
+}
+
+/**
+ * Find the function a deprecated function should be replaced with,
+ * e.g. "This function is deprecated, so use base64ToString() instead."
+ * @param {string} sDescription
+ * @returns {string}
+ */
+function extractReplacement(sDescription) {
+    const oMatch = sDescription.match(new RegExp("use ([a-zA-Z][a-zA-Z0-9]*)\\(\\) instead", "i"));
+    return oMatch ? oMatch[1] : "";
+}
+
 /**
  * Extract return value info from the return value table
  * @param {Array<string>} aBlock
@@ -423,7 +448,7 @@ function extractReturnInfo(aBlock) {
         }
 
         if (bInReturnTable) {
-            if (sLine.indexOf("| ---") !== -1) {
+            if (isTableSeparator(sLine)) {
                 continue;
             }
             if (sLine.indexOf("|") !== -1) {
@@ -0,0 +1,363 @@
+const { getProperty, getPropertyValue, toValue } = require("./jsonDocument");
+const { findAction, getStringProperty } = require("./flowDefinition");
+const { getExecutionOrder, buildRunAfterEdit, readRunAfter, createRunAfter, replaceKey, getLineIndent, detectIndentUnit } = require("./flowTree");
+const { suggestActionNames } = require("./flowValidator");
+const { concatToInterpolation, interpolationToConcat } = require("./expressionFormatter");
+
+/**
+ * Fixes for problems the diagnostics report. Each fix is a list of text edits
+ * { iStart, iEnd, sNewText } in document offsets, applied together as one edit.
+ */
+
+/**
+ * Conversions offered on any expression value: { sTitle, fnConvert }
+ */
+const aConversions = [
+    { sTitle: "Convert concat() to string interpolation", fnConvert: concatToInterpolation },
+    { sTitle: "Convert string interpolation to concat()", fnConvert: interpolationToConcat }
+];
+
+/**
+ * Variable types implied by the actions that change a variable (lower-cased action type)
+ */
+const oImpliedVariableTypes = {
+    "incrementvariable": "integer",
+    "decrementvariable": "integer",
+    "appendtoarrayvariable": "array",
+    "appendtostringvariable": "string"
+};
+
+/**
+ * Initial value for a new variable of each type
+ */
+const oDefaultVariableValues = {
+    "string": "",
+    "integer": 0,
+    "float": 0,
+    "boolean": false,
+    "array": [],
+    "object": {}
+};
+
+/**
+ * Serialize a value at the indentation of the line it is written on
+ * @param {*} vValue
+ * @param {string} sIndent - indent of the line the value starts on
+ * @param {string} sUnit - indent unit, from detectIndentUnit
+ * @returns {string}
+ */
+function stringifyAt(vValue, sIndent, sUnit) {
+    return JSON.stringify(vValue, null, sUnit).split("\n").join("\n" + sIndent);
+}
+
+/**
+ * Build the edit that adds a property to an object node
+ * @param {string} sText - document text
+ * @param {Object} oObjectNode
+ * @param {string} sKey
+ * @param {*} vValue
+ * @param {number} iIndex - position among the existing properties
+ * @param {string} sUnit - indent unit
+ * @returns {{ iStart: number, iEnd: number, sNewText: string }}
+ */
+function buildAddPropertyEdit(sText, oObjectNode, sKey, vValue, iIndex, sUnit) {
+    const aProperties = oObjectNode.aProperties;
+    if (aProperties.length === 0) {
+        const sIndent = getLineIndent(sText, oObjectNode.iStart);
+        return {
+            iStart: oObjectNode.iStart + 1,
+            iEnd: oObjectNode.iEnd - 1,
+            sNewText: "\n" + sIndent + sUnit + JSON.stringify(sKey) + ": " + stringifyAt(vValue, sIndent + sUnit, sUnit) + "\n" + sIndent
+        };
+    }
+    if (iIndex >= aProperties.length) {
+        const oLast = aProperties[aProperties.length - 1];
+        const sLastIndent = getLineIndent(sText, oLast.oKeyNode.iStart);
+        return {
+            iStart: oLast.oValueNode.iEnd,
+            iEnd: oLast.oValueNode.iEnd,
+            sNewText: ",\n" + sLastIndent + JSON.stringify(sKey) + ": " + stringifyAt(vValue, sLastIndent, sUnit)
+        };
+    }
+    const oNext = aProperties[iIndex];
+    const sIndent = getLineIndent(sText, oNext.oKeyNode.iStart);
+    return {
+        iStart: oNext.oKeyNode.iStart,
+        iEnd: oNext.oKeyNode.iStart,
+        sNewText: JSON.stringify(sKey) + ": " + stringifyAt(vValue, sIndent, sUnit) + ",\n" + sIndent
+    };
+}
+
+/**
+ * Build the edit that sets a nested property, creating the objects on the way that
+ * do not exist yet, e.g. ["runtimeConfiguration", "secureData", "properties"]
+ * @param {string} sText - document text
+ * @param {Object} oObjectNode
+ * @param {Array<string>} aPath
+ * @param {*} vValue
+ * @param {string} sUnit - indent unit
+ * @returns {{ iStart: number, iEnd: number, sNewText: string }}
+ */
+function buildSetPathEdit(sText, oObjectNode, aPath, vValue, sUnit) {
+    let oNode = oObjectNode;
+    for (let i = 0; i < aPath.length; i++) {
+        let vRest = vValue;
+        for (let r = aPath.length - 1; r > i; r--) {
+            const oWrapper = {};
+            oWrapper[aPath[r]] = vRest;
+            vRest = oWrapper;
+        }
+        const oProperty = getProperty(oNode, aPath[i]);
+        if (!oProperty) {
+            return buildAddPropertyEdit(sText, oNode, aPath[i], vRest, oNode.aProperties.length, sUnit);
+        }
+        if (i === aPath.length - 1 || oProperty.oValueNode.sType !== "object") {
+            return {
+                iStart: oProperty.oValueNode.iStart,
+                iEnd: oProperty.oValueNode.iEnd,
+                sNewText: stringifyAt(vRest, getLineIndent(sText, oProperty.oKeyNode.iStart), sUnit)
+            };
+        }
+        oNode = oProperty.oValueNode;
+    }
+    return null;
+}
+
+/**
+ * Guess a missing variable's type from the actions that change it, e.g. Increment
+ * Variable means integer; string when nothing says otherwise
+ * @param {Object} oFlow
+ * @param {string} sName
+ * @returns {string}
+ */
+function guessVariableType(oFlow, sName) {
+    const oValueTypes = { "number": "integer", "boolean": "boolean", "array": "array", "object": "object" };
+    for (let i = 0; i < oFlow.aActions.length; i++) {
+        const oAction = oFlow.aActions[i];
+        const oInputs = getPropertyValue(oAction.oValueNode, "inputs");
+        const sActionType = oAction.sType.toLowerCase();
+        if (getStringProperty(oInputs, "name").toLowerCase() !== sName.toLowerCase()) {
+            continue;
+        }
+        if (oImpliedVariableTypes[sActionType]) {
+            return oImpliedVariableTypes[sActionType];
+        }
+        const oValueNode = getPropertyValue(oInputs, "value");
+        if (sActionType === "setvariable" && oValueNode && oValueTypes[oValueNode.sType]) {
+            return oValueNode.sType === "number" && !Number.isInteger(oValueNode.vValue) ? "float" : oValueTypes[oValueNode.sType];
+        }
+    }
+    return "string";
+}
+
+/**
+ * Make an action name unique by appending _2, _3, ...
+ * @param {Object} oFlow
+ * @param {string} sBase
+ * @returns {string}
+ */
+function getUniqueActionName(oFlow, sBase) {
+    let sName = sBase;
+    for (let i = 2; findAction(oFlow, sName); i++) {
+        sName = sBase + "_" + i;
+    }
+    return sName;
+}
+
+/**
+ * Build the edits that add an Initialize Variable action for a variable. It goes at
+ * the top level after the last Initialize Variable (or first when there is none), and
+ * the actions that ran after that point now run after the new action.
+ * @param {string} sText - document text
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {string} sName - variable name
+ * @returns {Array<{ iStart: number, iEnd: number, sNewText: string }>|null} null when the flow has no actions object
+ */
+function buildInitializeVariableEdits(sText, oFlow, sName) {
+    const oActions = getPropertyValue(oFlow.oDefinition, "actions");
+    if (!oActions || oActions.sType !== "object") {
+        return null;
+    }
+    const aInitializers = getExecutionOrder(oFlow.aTopLevel).filter(function (oAction) {
+        return oAction.sType.toLowerCase() === "initializevariable";
+    });
+    const oTarget = aInitializers.length > 0 ? aInitializers[aInitializers.length - 1] : null;
+    const sActionName = getUniqueActionName(oFlow, "Initialize_" + sName.replace(new RegExp("[^A-Za-z0-9_]", "g"), "_"));
+    const sType = guessVariableType(oFlow, sName);
+    const sUnit = detectIndentUnit(sText);
+
+    const aEdits = [];
+    oFlow.aTopLevel.forEach(function (oSibling) {
+        const oValue = readRunAfter(oSibling);
+        if (oTarget && Object.prototype.hasOwnProperty.call(oValue, oTarget.sName)) {
+            aEdits.push(buildRunAfterEdit(sText, oSibling, replaceKey(oValue, oTarget.sName, sActionName, oValue[oTarget.sName]), sUnit));
+        } else if (!oTarget && Object.keys(oValue).length === 0) {
+            aEdits.push(buildRunAfterEdit(sText, oSibling, createRunAfter(sActionName), sUnit));
+        }
+    });
+
+    const iIndex = oTarget ? oActions.aProperties.map(function (oProperty) {
+        return oProperty.oValueNode;
+    }).indexOf(oTarget.oValueNode) + 1 : 0;
+    aEdits.push(buildAddPropertyEdit(sText, oActions, sActionName, {
+        type: "InitializeVariable",
+        inputs: {
+            variables: [{ name: sName, type: sType, value: oDefaultVariableValues[sType] }]
+        },
+        runAfter: oTarget ? createRunAfter(oTarget.sName) : {}
+    }, iIndex, sUnit));
+    return aEdits;
+}
+
+/**
+ * Build the edit that turns on Secure Inputs and Secure Outputs for an action
+ * (runtimeConfiguration.secureData.properties), keeping anything already listed
+ * @param {string} sText - document text
+ * @param {Object} oAction
+ * @returns {Array<{ iStart: number, iEnd: number, sNewText: string }>|null} null when both are already on
+ */
+function buildSecureDataEdits(sText, oAction) {
+    const aPath = ["runtimeConfiguration", "secureData", "properties"];
+    let oNode = oAction.oValueNode;
+    for (let i = 0; i < aPath.length; i++) {
+        oNode = getPropertyValue(oNode, aPath[i]);
+    }
+    const vCurrent = toValue(oNode);
+    const aProperties = Array.isArray(vCurrent) ? vCurrent.slice() : [];
+    ["inputs", "outputs"].forEach(function (sProperty) {
+        if (aProperties.indexOf(sProperty) === -1) {
+            aProperties.push(sProperty);
+        }
+    });
+    if (Array.isArray(vCurrent) && aProperties.length === vCurrent.length) {
+        return null;
+    }
+    return [buildSetPathEdit(sText, oAction.oValueNode, aPath, aProperties, detectIndentUnit(sText))];
+}
+
+/**
+ * Read the name a diagnostic points at, without its JSON or expression quotes
+ * @param {string} sText
+ * @param {Object} oIssue - { iStart, iEnd }
+ * @returns {string}
+ */
+function readQuotedName(sText, oIssue) {
+    return sText.substring(oIssue.iStart, oIssue.iEnd)
+        .replace(new RegExp("^[\"']|[\"']$", "g"), "")
+        .replace(new RegExp("''", "g"), "'");
+}
+
+/**
+ * Find the action whose key contains an offset
+ * @param {Object} oFlow
+ * @param {number} iOffset
+ * @returns {Object|null}
+ */
+function getActionByKeyOffset(oFlow, iOffset) {
+    return oFlow.aActions.filter(function (oAction) {
+        return iOffset >= oAction.oKeyNode.iStart && iOffset <= oAction.oKeyNode.iEnd;
+    })[0] || null;
+}
+
+/**
+ * Get the fixes for a diagnostic.
+ * Fixes: { sTitle, aEdits, bPreferred } where aEdits is one undoable change.
+ * @param {string} sText - document text
+ * @param {Object|null} oFlow - from parseFlowDefinition (null outside flow definitions)
+ * @param {Object} oIssue - { iStart, iEnd, sCode } as reported by the diagnostics
+ * @param {Object} oFuncMap - from buildFunctionMap
+ * @returns {Array<Object>}
+ */
+function getQuickFixes(sText, oFlow, oIssue, oFuncMap) {
+    const aFixes = [];
+    if (oIssue.sCode === "nullSafeAccess") {
+        aFixes.push({
+            sTitle: "Add '?' for null-safe access",
+            aEdits: [{ iStart: oIssue.iStart, iEnd: oIssue.iStart, sNewText: "?" }],
+            bPreferred: true
+        });
+    } else if (oIssue.sCode === "deprecatedFunction") {
+        const sName = sText.substring(oIssue.iStart, oIssue.iEnd);
+        const oFunc = oFuncMap[sName.toLowerCase()];
+        if (oFunc && oFunc.sReplacement) {
+            aFixes.push({
+                sTitle: "Replace '" + sName + "' with '" + oFunc.sReplacement + "'",
+                aEdits: [{ iStart: oIssue.iStart, iEnd: oIssue.iEnd, sNewText: oFunc.sReplacement }],
+                bPreferred: true
+            });
+        }
+    } else if (oIssue.sCode === "unknownVariable" && oFlow) {
+        const sName = readQuotedName(sText, oIssue);
+        const aEdits = buildInitializeVariableEdits(sText, oFlow, sName);
+        if (aEdits) {
+            aFixes.push({ sTitle: "Add Initialize Variable for '" + sName + "'", aEdits: aEdits, bPreferred: true });
+        }
+    } else if (oIssue.sCode === "unknownAction" && oFlow) {
+        suggestActionNames(oFlow, sText.substring(oIssue.iStart, oIssue.iEnd)).forEach(function (sSuggestion, iIndex) {
+            aFixes.push({
+                sTitle: "Change to '" + sSuggestion + "'",
+                aEdits: [{ iStart: oIssue.iStart, iEnd: oIssue.iEnd, sNewText: sSuggestion }],
+                bPreferred: iIndex === 0
+            });
+        });
+    } else if (oIssue.sCode === "insecureHttpAuth" && oFlow) {
+        const oAction = getActionByKeyOffset(oFlow, oIssue.iStart);
+        const aEdits = oAction ? buildSecureDataEdits(sText, oAction) : null;
+        if (aEdits) {
+            aFixes.push({ sTitle: "Turn on Secure Inputs and Outputs for '" + oAction.sName + "'", aEdits: aEdits, bPreferred: true });
+        }
+    }
+    return aFixes;
+}
+
+/**
+ * Get the fixes offered on an action's key without a diagnostic: turning on
+ * Secure Inputs and Outputs
+ * @param {string} sText - document text
+ * @param {Object} oFlow - from parseFlowDefinition
+ * @param {number} iOffset - cursor offset
+ * @returns {Array<Object>} fixes as from getQuickFixes
+ */
+function getActionFixes(sText, oFlow, iOffset) {
+    const oAction = getActionByKeyOffset(oFlow, iOffset);
+    const aEdits = oAction ? buildSecureDataEdits(sText, oAction) : null;
+    return aEdits ? [{ sTitle: "Turn on Secure Inputs and Outputs for '" + oAction.sName + "'", aEdits: aEdits, bPreferred: false }] : [];
+}
+
+/**
+ * Get the concat() / interpolation conversions for the string value at an offset
+ * @param {Array<Object>} aExpressions - entries from collectDocumentExpressions
+ * @param {number} iOffset
+ * @param {boolean} bJson - whether values are JSON strings that need quoting
+ * @returns {Array<Object>} fixes as from getQuickFixes
+ */
+function getConversionFixes(aExpressions, iOffset, bJson) {
+    const oEntry = aExpressions.filter(function (oItem) {
+        return iOffset >= oItem.iStart && iOffset <= oItem.iEnd;
+    })[0];
+    if (!oEntry) {
+        return [];
+    }
+    const aFixes = [];
+    aConversions.forEach(function (oConversion) {
+        const sConverted = oConversion.fnConvert(oEntry.sValue);
+        if (sConverted !== null) {
+            aFixes.push({
+                sTitle: oConversion.sTitle,
+                aEdits: [{ iStart: oEntry.iStart, iEnd: oEntry.iEnd, sNewText: bJson ? JSON.stringify(sConverted) : sConverted }],
+                bPreferred: false
+            });
+        }
+    });
+    return aFixes;
+}
+
+module.exports = {
+    getQuickFixes: getQuickFixes,
+    getActionFixes: getActionFixes,
+    getConversionFixes: getConversionFixes,
+    buildInitializeVariableEdits: buildInitializeVariableEdits,
+    buildSecureDataEdits: buildSecureDataEdits,
+    buildAddPropertyEdit: buildAddPropertyEdit,
+    getUniqueActionName: getUniqueActionName
+};
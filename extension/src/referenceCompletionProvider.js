@@ -0,0 +1,152 @@
+let vscode;
+try {
+    vscode = require("vscode");
+} catch (e) {
+    // Running in test/node environment where 'vscode' is not available
+    vscode = null;
+}
+const { getCurrentValueText, getStringArgumentContext } = require("./expressionParser");
+const { createFlowCache, getReferenceableActions, collectVariables, toReferenceName } = require("./flowDefinition");
+
+/**
+ * Build a CompletionItemProvider for action names inside body('...'), outputs('...'),
+ * actions('...'), result('...'), items('...') and iterationIndexes('...'), and for
+ * variable names inside variables('...').
+ * Names come from the workflow definition in the current document.
+ * @returns {vscode.CompletionItemProvider}
+ */
+function createReferenceCompletionProvider() {
+    const fnGetFlow = createFlowCache();
+
+    return {
+        provideCompletionItems: function (oDocument, oPosition) {
+            const sLineText = oDocument.lineAt(oPosition).text;
+            const oValueText = getCurrentValueText(sLineText.substring(0, oPosition.character));
+            const oArgument = getStringArgumentContext(oValueText.sText);
+            if (!oArgument || oArgument.iArgIndex !== 0) {
+                return [];
+            }
+
+            const oFlow = fnGetFlow(oDocument.uri.toString(), oDocument.getText(), oDocument.languageId);
+            if (!oFlow) {
+                return [];
+            }
+
+            const bVariables = oArgument.sFunction.toLowerCase() === "variables";
+            const aTargets = bVariables
+                ? collectVariables(oFlow)
+                : getReferenceableActions(oFlow, oArgument.sFunction, oDocument.offsetAt(oPosition));
+            if (aTargets.length === 0) {
+                return [];
+            }
+
+            // Replace from the opening quote through any name and quote already after the cursor
+            const sTextAfter = sLineText.substring(oPosition.character);
+            const oRest = new RegExp("^[^'\"()]*'?").exec(sTextAfter);
+            const iEndChar = oPosition.character + (oArgument.bInString ? oRest[0].length : 0);
+            const bHasClose = sLineText.charAt(iEndChar) === ")";
+            const oRange = new vscode.Range(
+                new vscode.Position(oPosition.line, oValueText.iOffset + oArgument.iPrefixStart),
+                new vscode.Position(oPosition.line, iEndChar)
+            );
+
+            const aItems = [];
+            for (let i = 0; i < aTargets.length; i++) {
+                if (bVariables) {
+                    aItems.push(buildVariableCompletionItem(aTargets[i], oRange, bHasClose, i));
+                } else {
+                    aItems.push(buildReferenceCompletionItem(aTargets[i], oArgument.sFunction, oRange, bHasClose, i));
+                }
+            }
+            return aItems;
+        }
+    };
+}
+
+/**
+ * Quote a name as an expression string literal, doubling any ' inside it
+ * @param {string} sName
+ * @returns {string}
+ */
+function toNameLiteral(sName) {
+    return "'" + sName.replace(new RegExp("'", "g"), "''") + "'";
+}
+
+/**
+ * Build the text a completion inserts: the quoted name and, unless one follows, the ")"
+ * @param {string} sName
+ * @param {boolean} bHasClose - whether a ")" already follows the range
+ * @returns {string}
+ */
+function buildNameInsertText(sName, bHasClose) {
+    return toNameLiteral(sName) + (bHasClose ? "" : ")");
+}
+
+/**
+ * Build a CompletionItem for one action or trigger
+ * @param {Object} oAction - action entry from parseFlowDefinition
+ * @param {string} sFunction - the reference function being completed
+ * @param {vscode.Range} oRange - range to replace, starting at the opening quote
+ * @param {boolean} bHasClose - whether a ")" already follows the range
+ * @param {number} iIndex - position in document order, used for sorting
+ * @returns {vscode.CompletionItem}
+ */
+function buildReferenceCompletionItem(oAction, sFunction, oRange, bHasClose, iIndex) {
+    const sName = toReferenceName(oAction.sName);
+    const oItem = new vscode.CompletionItem(
+        sName,
+        oAction.bTrigger ? vscode.CompletionItemKind.Event : vscode.CompletionItemKind.Reference
+    );
+
+    oItem.detail = "[" + (oAction.sType || (oAction.bTrigger ? "Trigger" : "Action")) + "] " + sName.replace(new RegExp("_", "g"), " ");
+    const sLiteral = toNameLiteral(sName);
+    oItem.insertText = buildNameInsertText(sName, bHasClose);
+    oItem.filterText = sLiteral.slice(0, -1);
+    oItem.range = oRange;
+    oItem.sortText = ("0000" + iIndex).slice(-5);
+
+    const oMd = new vscode.MarkdownString();
+    oMd.appendMarkdown("**" + oAction.sName + "**" + (oAction.bTrigger ? " _(trigger)_" : "") + "\n\n");
+    if (oAction.oParent) {
+        oMd.appendMarkdown("Inside `" + oAction.oParent.sName + "`" + (oAction.sBranch !== "actions" ? " (" + oAction.sBranch + ")" : "") + "\n\n");
+    }
+    oMd.appendCodeblock(sFunction + "(" + sLiteral + ")", "plaintext");
+    oItem.documentation = oMd;
+
+    return oItem;
+}
+
+/**
+ * Build a CompletionItem for a variable declared by an InitializeVariable action
+ * @param {Object} oVariable - from collectVariables
+ * @param {vscode.Range} oRange - range to replace, starting at the opening quote
+ * @param {boolean} bHasClose - whether a ")" already follows the range
+ * @param {number} iIndex - position in document order, used for sorting
+ * @returns {vscode.CompletionItem}
+ */
+function buildVariableCompletionItem(oVariable, oRange, bHasClose, iIndex) {
+    const oItem = new vscode.CompletionItem(oVariable.sName, vscode.CompletionItemKind.Variable);
+    oItem.detail = "[" + (oVariable.sType || "Variable") + "] " + oVariable.sName;
+    oItem.insertText = buildNameInsertText(oVariable.sName, bHasClose);
+    oItem.filterText = toNameLiteral(oVariable.sName).slice(0, -1);
+    oItem.range = oRange;
+    oItem.sortText = ("0000" + iIndex).slice(-5);
+
+    const oMd = new vscode.MarkdownString();
+    oMd.appendMarkdown("**" + oVariable.sName + "**\n\n");
+    oMd.appendMarkdown("Type: `" + (oVariable.sType || "unknown") + "`\n\n");
+    oMd.appendMarkdown("Initialized by `" + oVariable.oAction.sName + "`\n\n");
+    if (oVariable.vValue !== undefined) {
+        oMd.appendMarkdown("**Initial value:**\n");
+        oMd.appendCodeblock(JSON.stringify(oVariable.vValue, null, 2), "json");
+    }
+    oItem.documentation = oMd;
+
+    return oItem;
+}
+
+module.exports = {
+    createReferenceCompletionProvider: createReferenceCompletionProvider,
+    // exported for unit testing
+    buildNameInsertText: buildNameInsertText
+};
@@ -0,0 +1,104 @@
+const vscode = require("vscode");
+const { getCurrentValueText, getIndexPathContext } = require("./expressionParser");
+const { createFlowCache } = require("./flowDefinition");
+const { resolveAccessSchema, listSchemaProperties, formatSchemaType } = require("./flowSchema");
+
+/**
+ * Build a CompletionItemProvider for property names inside ['...'] accesses whose
+ * shape is described by a schema in the flow, e.g. triggerBody()?['text'] or
+ * body('Parse_JSON')?['customer'].
+ * @returns {vscode.CompletionItemProvider}
+ */
+function createSchemaCompletionProvider() {
+    const fnGetFlow = createFlowCache();
+
+    return {
+        provideCompletionItems: function (oDocument, oPosition) {
+            const sLineText = oDocument.lineAt(oPosition).text;
+            const oValueText = getCurrentValueText(sLineText.substring(0, oPosition.character));
+            const oAccess = getIndexPathContext(oValueText.sText);
+            if (!oAccess) {
+                return [];
+            }
+
+            const oFlow = fnGetFlow(oDocument.uri.toString(), oDocument.getText(), oDocument.languageId);
+            if (!oFlow) {
+                return [];
+            }
+
+            const aProperties = listSchemaProperties(resolveAccessSchema(oFlow, oAccess.sFunction, oAccess.sFirstArg, oAccess.aPath));
+            if (aProperties.length === 0) {
+                return [];
+            }
+
+            // Replace from the opening quote through any key and quote already after the cursor
+            const sTextAfter = sLineText.substring(oPosition.character);
+            const oRest = new RegExp("^[^'\"\\[\\]]*'?").exec(sTextAfter);
+            const iEndChar = oPosition.character + (oAccess.bInString ? oRest[0].length : 0);
+            const bHasClose = sLineText.charAt(iEndChar) === "]";
+            const oRange = new vscode.Range(
+                new vscode.Position(oPosition.line, oValueText.iOffset + oAccess.iPrefixStart),
+                new vscode.Position(oPosition.line, iEndChar)
+            );
+
+            const aItems = [];
+            for (let i = 0; i < aProperties.length; i++) {
+                aItems.push(buildPropertyCompletionItem(aProperties[i], oRange, bHasClose, i));
+            }
+            return aItems;
+        }
+    };
+}
+
+/**
+ * Build a CompletionItem for one schema property
+ * @param {Object} oProperty - from listSchemaProperties
+ * @param {vscode.Range} oRange - range to replace, starting at the opening quote
+ * @param {boolean} bHasClose - whether a "]" already follows the range
+ * @param {number} iIndex - position in the schema, used for sorting
+ * @returns {vscode.CompletionItem}
+ */
+function buildPropertyCompletionItem(oProperty, oRange, bHasClose, iIndex) {
+    const oSchema = oProperty.oSchema;
+    const sKey = oProperty.sName.replace(new RegExp("'", "g"), "''");
+    const oItem = new vscode.CompletionItem(oProperty.sName, vscode.CompletionItemKind.Property);
+
+    oItem.detail = (oSchema.title ? oSchema.title + " " : "") + "(" + formatSchemaType(oSchema) + ")";
+    oItem.insertText = "'" + sKey + "'" + (bHasClose ? "" : "]");
+    oItem.filterText = "'" + sKey + " " + (oSchema.title || "");
+    oItem.range = oRange;
+    oItem.sortText = ("0000" + iIndex).slice(-5);
+    oItem.documentation = buildSchemaMarkdown(oProperty.sName, oSchema, oProperty.bRequired);
+
+    return oItem;
+}
+
+/**
+ * Build the documentation shown for a schema property (completion and hover)
+ * @param {string} sName
+ * @param {Object} oSchema
+ * @param {boolean} bRequired
+ * @returns {vscode.MarkdownString}
+ */
+function buildSchemaMarkdown(sName, oSchema, bRequired) {
+    const oMd = new vscode.MarkdownString();
+    oMd.appendMarkdown("**" + (oSchema.title || sName) + "**");
+    if (oSchema.title && oSchema.title !== sName) {
+        oMd.appendMarkdown(" (`" + sName + "`)");
+    }
+    oMd.appendMarkdown("\n\nType: `" + formatSchemaType(oSchema) + "`" + (bRequired ? ", required" : "") + "\n\n");
+    if (oSchema.description) {
+        oMd.appendMarkdown(oSchema.description + "\n\n");
+    }
+    if (Array.isArray(oSchema.enum) && oSchema.enum.length > 0) {
+        oMd.appendMarkdown("Values: " + oSchema.enum.map(function (vValue) {
+            return "`" + JSON.stringify(vValue) + "`";
+        }).join(", ") + "\n");
+    }
+    return oMd;
+}
+
+module.exports = {
+    createSchemaCompletionProvider: createSchemaCompletionProvider,
+    buildSchemaMarkdown: buildSchemaMarkdown
+};
@@ -0,0 +1,37 @@
+const vscode = require("vscode");
+const { buildFunctionMap } = require("./expressionValidator");
+const { aTokenTypes, aTokenModifiers, collectHighlightTokens } = require("./expressionHighlighter");
+
+/**
+ * Legend shared by the provider and its registration
+ */
+const oSemanticTokensLegend = new vscode.SemanticTokensLegend(aTokenTypes, aTokenModifiers);
+
+/**
+ * Build a DocumentSemanticTokensProvider that colours expressions inside JSON string
+ * values and plaintext blocks, marking functions missing from the reference
+ * @param {Array<Object>} aFunctions - parsed function definitions
+ * @returns {vscode.DocumentSemanticTokensProvider}
+ */
+function createSemanticTokensProvider(aFunctions) {
+    const oFuncMap = buildFunctionMap(aFunctions);
+    return {
+        provideDocumentSemanticTokens: function (oDocument) {
+            const oBuilder = new vscode.SemanticTokensBuilder(oSemanticTokensLegend);
+            collectHighlightTokens(oDocument.getText(), oDocument.languageId, oFuncMap).forEach(function (oToken) {
+                const oStart = oDocument.positionAt(oToken.iStart);
+                const oEnd = oDocument.positionAt(oToken.iEnd);
+                // Semantic tokens cannot span lines (a literal in a formatted plaintext block can)
+                if (oStart.line === oEnd.line && oEnd.character > oStart.character) {
+                    oBuilder.push(new vscode.Range(oStart, oEnd), oToken.sType, oToken.aModifiers);
+                }
+            });
+            return oBuilder.build();
+        }
+    };
+}
+
+module.exports = {
+    oSemanticTokensLegend: oSemanticTokensLegend,
+    createSemanticTokensProvider: createSemanticTokensProvider
+};
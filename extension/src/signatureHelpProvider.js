@@ -1,4 +1,5 @@
 const vscode = require("vscode");
+const { getOpenContext, getCurrentValueText } = require("./expressionParser");
 
 /**
  * Build a SignatureHelpProvider for Logic App expression functions.
@@ -47,41 +48,24 @@ function createSignatureHelpProvider(aFunctions) {
  * @returns {{ sFuncName: string, iActiveParam: number }|null}
  */
 function findActiveFunctionCall(sTextBefore) {
-    // Walk backwards to find the opening paren, tracking nesting
-    let iParenDepth = 0;
-    let iCommaCount = 0;
-    let iOpenParenPos = -1;
-
-    for (let i = sTextBefore.length - 1; i >= 0; i--) {
-        const sChar = sTextBefore[i];
-        if (sChar === ")") {
-            iParenDepth++;
-        } else if (sChar === "(") {
-            if (iParenDepth === 0) {
-                iOpenParenPos = i;
-                break;
-            }
-            iParenDepth--;
-        } else if (sChar === "," && iParenDepth === 0) {
-            iCommaCount++;
+    const oValueText = getCurrentValueText(sTextBefore);
+    const aFrames = getOpenContext(oValueText.sText).aFrames;
+
+    // The innermost open parenthesis decides the call; brackets in between are skipped
+    for (let i = aFrames.length - 1; i >= 0; i--) {
+        const oFrame = aFrames[i];
+        if (oFrame.sKind === "call") {
+            return {
+                sFuncName: oFrame.sName,
+                iActiveParam: oFrame.iArgIndex
+            };
+        }
+        if (oFrame.sKind === "group" || oFrame.sKind === "interpolation") {
+            return null;
         }
     }
 
-    if (iOpenParenPos < 0) {
-        return null;
-    }
-
-    // Extract the function name before the (
-    const sBeforeParen = sTextBefore.substring(0, iOpenParenPos);
-    const oNameMatch = sBeforeParen.match(new RegExp("([a-zA-Z][a-zA-Z0-9]*)\\s*$", ""));
-    if (!oNameMatch) {
-        return null;
-    }
-
-    return {
-        sFuncName: oNameMatch[1],
-        iActiveParam: iCommaCount
-    };
+    return null;
 }
 
 /**
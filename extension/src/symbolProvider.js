@@ -0,0 +1,70 @@
+const vscode = require("vscode");
+const { parseFlowDefinition, buildFlowOutline } = require("./flowDefinition");
+
+/**
+ * Action types shown as containers in the outline
+ */
+const aContainerTypes = ["scope", "foreach", "until", "if", "switch"];
+
+/**
+ * Pick the symbol kind for an outline node
+ * @param {Object} oNode - from buildFlowOutline
+ * @returns {vscode.SymbolKind}
+ */
+function getSymbolKind(oNode) {
+    if (oNode.sKind === "trigger") {
+        return vscode.SymbolKind.Event;
+    }
+    if (oNode.sKind === "branch") {
+        return vscode.SymbolKind.Namespace;
+    }
+    const sType = oNode.sDetail.toLowerCase();
+    if (aContainerTypes.indexOf(sType) !== -1) {
+        return vscode.SymbolKind.Module;
+    }
+    return sType === "initializevariable" ? vscode.SymbolKind.Variable : vscode.SymbolKind.Function;
+}
+
+/**
+ * Convert an outline node (and its children) to a DocumentSymbol
+ * @param {vscode.TextDocument} oDocument
+ * @param {Object} oNode - from buildFlowOutline
+ * @returns {vscode.DocumentSymbol}
+ */
+function toDocumentSymbol(oDocument, oNode) {
+    const oSymbol = new vscode.DocumentSymbol(
+        oNode.sName,
+        oNode.sDetail,
+        getSymbolKind(oNode),
+        new vscode.Range(oDocument.positionAt(oNode.iStart), oDocument.positionAt(oNode.iEnd)),
+        new vscode.Range(oDocument.positionAt(oNode.iSelectionStart), oDocument.positionAt(oNode.iSelectionEnd))
+    );
+    oSymbol.children = oNode.aChildren.map(function (oChild) {
+        return toDocumentSymbol(oDocument, oChild);
+    });
+    return oSymbol;
+}
+
+/**
+ * Build a DocumentSymbolProvider that outlines a flow definition: triggers, then
+ * actions nested under their Scope, Foreach, Until, Condition and Switch branches,
+ * with the action type as detail. Feeds the Outline view, breadcrumbs and Go to Symbol.
+ * @returns {vscode.DocumentSymbolProvider}
+ */
+function createDocumentSymbolProvider() {
+    return {
+        provideDocumentSymbols: function (oDocument) {
+            const oFlow = parseFlowDefinition(oDocument.getText(), oDocument.languageId);
+            if (!oFlow) {
+                return [];
+            }
+            return buildFlowOutline(oFlow).map(function (oNode) {
+                return toDocumentSymbol(oDocument, oNode);
+            });
+        }
+    };
+}
+
+module.exports = {
+    createDocumentSymbolProvider: createDocumentSymbolProvider
+};
@@ -0,0 +1,74 @@
+/**
+ * Test script for which documents and blocks the diagnostics check.
+ * Run with: node test/diagnosticsProviderTest.js
+ */
+const path = require("path");
+const { parseFunctionReference } = require("../src/parser");
+const { buildFunctionMap } = require("../src/expressionValidator");
+const { analyzeDocument, collectSyntaxIssues, collectFunctionCallIssues } = require("../src/diagnosticsProvider");
+
+const sRefPath = path.join(__dirname, "..", "expression-functions-reference.md");
+const oFuncMap = buildFunctionMap(parseFunctionReference(sRefPath));
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Run the syntax and function call passes over a document and return the issue messages
+ * @param {string} sText
+ * @param {string} sLanguageId
+ * @param {string} sFileName
+ * @returns {Array<string>}
+ */
+function checkDocument(sText, sLanguageId, sFileName) {
+    const oAnalysis = analyzeDocument({
+        getText: function () {
+            return sText;
+        },
+        languageId: sLanguageId,
+        fileName: sFileName
+    });
+    return collectSyntaxIssues(oAnalysis).concat(collectFunctionCallIssues(oAnalysis, oFuncMap)).map(function (oIssue) {
+        return oIssue.sMessage;
+    });
+}
+
+console.log("\n--- JSON Document Tests ---");
+
+const sTsConfig = JSON.stringify({
+    "extends": "@tsconfig/node20/tsconfig.json",
+    compilerOptions: { paths: { "@app/*": ["src/*"] } }
+}, null, 4);
+assert(checkDocument(sTsConfig, "jsonc", "/work/tsconfig.json").length === 0, "tsconfig.json values starting with @ are not checked");
+const sPackage = JSON.stringify({ name: "@scope/tool", devDependencies: { "@babel/core": "^7.24.0" }, scripts: { lint: "eslint @(src|test)" } }, null, 4);
+assert(checkDocument(sPackage, "json", "/work/package.json").length === 0, "package.json values starting with @ are not checked");
+
+const sFlow = JSON.stringify({ definition: { triggers: {}, actions: { A: { type: "Compose", inputs: "@toLowerr('x')" } } } }, null, 4);
+assert(checkDocument(sFlow, "json", "/work/flow.json").length === 1, "Expressions in a flow definition are checked");
+assert(checkDocument("{ \"a\": \"@concat('x'\" ", "json", "/work/My flow.0a1b.clientdata.json").length > 0, "*.clientdata.json files are checked while they do not parse as a flow");
+
+console.log("\n--- Plain Text Tests ---");
+
+const sText = "@decorator\nclass Example {}\n\nMail me at name@example.com\n\n@concat('a'\n\nHello @{toLowerr('A')}";
+const aTextIssues = checkDocument(sText, "plaintext", "/work/notes.txt");
+assert(aTextIssues.length === 2, "Only blocks starting with @name( or holding @{ } are checked (got " + aTextIssues.length + ")");
+assert(checkDocument("@decorator", "paexpr", "/work/library.paexpr").length > 0, "Every block of a .paexpr file is checked");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
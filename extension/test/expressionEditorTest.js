@@ -0,0 +1,53 @@
+/**
+ * Test script for Edit Expression (finding the value, tracking its range, writing it back).
+ * Run with: node test/expressionEditorTest.js
+ */
+const { findEditableValue, shiftRange, toWriteBackValue } = require("../src/expressionEditor");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+console.log("\n--- Value Tests ---");
+
+const sJson = "{\n    \"inputs\": \"@concat('say \\\"hi\\\"',\\n variables('name'))\",\n    \"type\": \"Compose\"\n}";
+const oValue = findEditableValue(sJson, sJson.indexOf("variables"));
+assert(oValue && oValue.sValue === "@concat('say \"hi\"',\n variables('name'))", "The value at the cursor is unescaped");
+assert(oValue && sJson.substring(oValue.iStart, oValue.iEnd) === "\"@concat('say \\\"hi\\\"',\\n variables('name'))\"", "The range covers the JSON string with its quotes");
+assert(findEditableValue(sJson, sJson.indexOf("Compose")) === null && findEditableValue(sJson, sJson.indexOf("\"inputs\"") + 2) === null, "Plain strings and keys are not editable expressions");
+assert(JSON.parse(JSON.stringify(toWriteBackValue(oValue.sValue + "\n", oValue.sValue))) === oValue.sValue, "Writing the value back unchanged gives the same JSON string");
+
+console.log("\n--- Write Back Tests ---");
+
+assert(toWriteBackValue("@utcNow()\n", "@utcNow()") === "@utcNow()", "A final newline added by the editor is dropped");
+assert(toWriteBackValue("Line 1\nLine 2\n", "Line 1\n") === "Line 1\nLine 2\n", "A final newline the value had is kept");
+assert(toWriteBackValue("@concat(\r\n'a')\r\n", "@concat(\n'a')") === "@concat(\n'a')", "CRLF line endings from the editor become \\n");
+assert(toWriteBackValue("a\r\nb", "x\r\ny") === "a\r\nb", "CRLF is kept when the value used it");
+
+console.log("\n--- Range Tracking Tests ---");
+
+const oRange = { iStart: 20, iEnd: 40 };
+const oBefore = shiftRange(oRange, [{ iStart: 5, iEnd: 8, iLength: 10 }]);
+assert(oBefore && oBefore.iStart === 27 && oBefore.iEnd === 47, "Edits before the value move it");
+const oAfter = shiftRange(oRange, [{ iStart: 40, iEnd: 45, iLength: 0 }, { iStart: 0, iEnd: 2, iLength: 0 }]);
+assert(oAfter && oAfter.iStart === 18 && oAfter.iEnd === 38, "Edits after the value leave it, several changes are summed");
+assert(shiftRange(oRange, [{ iStart: 20, iEnd: 20, iLength: 3 }]).iStart === 23, "Typing right before the opening quote moves the value");
+assert(shiftRange(oRange, [{ iStart: 30, iEnd: 31, iLength: 1 }]) === null && shiftRange(oRange, [{ iStart: 10, iEnd: 25, iLength: 0 }]) === null, "Edits inside or across the value detach it");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,104 @@
+/**
+ * Test script for the offline expression evaluator.
+ * Run with: node test/expressionEvaluatorTest.js
+ */
+const { evaluateExpression, evaluateStringValue } = require("../src/expressionEvaluator");
+const { findEvaluationTarget } = require("../src/expressionCommands");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+const oContext = {
+    utcNow: "2018-03-01T00:00:00Z",
+    triggerBody: { Name: "Ann", items: [{ id: 1 }, { id: 2 }] },
+    outputs: { Get_item: { statusCode: 200, body: { value: [10, 20] } } },
+    variables: { count: 3 },
+    items: { Apply_to_each: { title: "First" } },
+    parameters: { "Site (site)": "https://contoso.sharepoint.com" }
+};
+
+function evaluate(sExpression) {
+    return evaluateExpression(sExpression, oContext).vValue;
+}
+
+function evaluationError(sExpression) {
+    try {
+        evaluateExpression(sExpression, oContext);
+    } catch (oError) {
+        return oError.message;
+    }
+    return "";
+}
+
+console.log("\n--- Function Tests ---");
+assert(evaluate("concat('it''s ', 1, true)") === "it's 1True", "concat converts numbers and booleans");
+assert(evaluate("div(7, 2)") === 3, "div of integers is integer division");
+assert(JSON.stringify(evaluate("split('a,b,c', ',')")) === "[\"a\",\"b\",\"c\"]", "split returns an array");
+assert(evaluate("startsWith('Hello', 'hE')") === true, "startsWith ignores case");
+assert(evaluate("slice('Hello World', 3, -1)") === "lo Worl", "slice supports negative end index");
+assert(evaluate("nthIndexOf('123456789123465789', '1', 2)") === 9, "nthIndexOf finds the second occurrence");
+assert(JSON.stringify(evaluate("union(createArray(1, 2), createArray(2, 3))")) === "[1,2,3]", "union removes duplicates");
+assert(evaluate("formatNumber(1234567890, '#,##0.00', 'is-IS')") === "1.234.567.890,00", "formatNumber uses the locale");
+assert(evaluate("float('10.000,333', 'de-DE')") === 10000.333, "float parses locale numbers");
+assert(evaluate("uriPathAndQuery('https://contoso.com/a/b?x=1')") === "/a/b?x=1", "uriPathAndQuery");
+assert(evaluate("if(equals(1, 1), 'yes', div(1, 0))") === "yes", "if only evaluates the branch it returns");
+assert(evaluate("div(7.0, 2)") === 3.5 && evaluate("div(float(7), 2)") === 3.5, "div with a Float argument keeps the fraction");
+assert(evaluateExpression("float(2)", oContext).sType === "Float" && evaluateExpression("2.0", oContext).sType === "Float", "Whole Floats keep the Float type");
+assert(evaluateExpression("add(1.5, 0.5)", oContext).sType === "Float" && evaluateExpression("add(1, 2)", oContext).sType === "Integer", "Arithmetic on Floats returns a Float");
+assert(evaluateStringValue("@if(true, float(1), 2)", oContext).sType === "Float", "if() returns the type of the branch it takes");
+assert(evaluationError("min()").indexOf("at least one number") !== -1 && evaluationError("max(createArray())").indexOf("at least one number") !== -1, "min and max without values are errors");
+assert(evaluationError("rand(1, 1)").indexOf("less than") !== -1, "rand needs the minimum below the maximum");
+
+console.log("\n--- Date Tests ---");
+assert(evaluate("addDays('2018-03-15T00:00:00Z', 10)") === "2018-03-25T00:00:00.0000000Z", "addDays keeps the UTC designator");
+assert(evaluate("formatDateTime('2018-03-15T13:27:36Z', 'dd/MM/yyyy hh:mm tt')") === "15/03/2018 01:27 PM", "formatDateTime custom format");
+assert(evaluate("formatDateTime('2018-03-15T13:27:36Z', 'D')") === "Thursday, March 15, 2018", "formatDateTime standard format");
+assert(evaluate("addToTime('2018-01-31T00:00:00Z', 1, 'Month')") === "2018-02-28T00:00:00.0000000Z", "Adding a month clamps to the end of the month");
+assert(evaluate("dateDifference('2015-02-08', '2018-07-30')") === "1268.00:00:00", "dateDifference returns a timespan");
+assert(evaluate("convertTimeZone('2018-01-01T08:00:00.0000000Z', 'UTC', 'Pacific Standard Time')") === "2018-01-01T00:00:00.0000000", "convertTimeZone uses Windows zone names");
+assert(evaluate("parseDateTime('15/03/2018 1:27 PM', 'en-GB', 'dd/MM/yyyy h:mm tt')") === "2018-03-15T13:27:00.0000000", "parseDateTime with a format");
+assert(evaluate("getFutureTime(5, 'Day')") === "2018-03-06T00:00:00.0000000Z", "utcNow can be fixed by the context");
+assert(evaluate("ticks('2018-01-01T00:00:00Z')") === 636503616000000000, "ticks counts from 0001-01-01");
+assert(evaluate("ticks('0001-01-01T00:00:00Z')") === 0, "Years before 100 are not read as 19xx");
+assert(evaluate("addDays('0050-06-01T00:00:00Z', 1)") === "0050-06-02T00:00:00.0000000Z" && evaluate("startOfMonth('0050-06-15T10:00:00Z')") === "0050-06-01T00:00:00.0000000Z", "Date math keeps years before 100");
+
+console.log("\n--- Context Tests ---");
+assert(evaluate("triggerBody()?['name']") === "Ann", "Property names match case-insensitively");
+assert(evaluate("body('Get item')?['value'][1]") === 20, "body() reads outputs().body and accepts spaces in names");
+assert(evaluate("items('Apply_to_each')?['title']") === "First", "items() reads the loop item");
+assert(evaluate("triggerBody()?['missing']?['x']") === null, "?[] returns null for missing properties");
+assert(evaluationError("triggerBody()['missing']").indexOf("doesn't exist") !== -1, "[] without ? fails for missing properties");
+assert(evaluationError("variables('unknown')").indexOf("variables('unknown')") !== -1, "Missing context values are reported");
+assert(evaluationError("xpath(xml('<a/>'), '/a')").indexOf("not supported") !== -1, "xpath is not supported offline");
+assert(evaluationError("toLower(1)").indexOf("expects parameter 1 to be a String") !== -1, "Wrong argument types are reported");
+
+console.log("\n--- String Value Tests ---");
+const oInterpolated = evaluateStringValue("@{triggerBody()?['Name']} has @{variables('count')} items", oContext);
+assert(oInterpolated.vValue === "Ann has 3 items" && oInterpolated.sType === "String", "Interpolations are joined into a string");
+assert(evaluateStringValue("@variables('count')", oContext).sType === "Integer", "A whole-value expression keeps its type");
+assert(evaluateStringValue("@@{literal}", oContext).vValue === "@{literal}", "@@ escapes a literal @");
+
+const sJson = "{ \"inputs\": \"@add(1, 2)\" }";
+const oTarget = findEvaluationTarget(sJson, "json", sJson.indexOf("add"), sJson.indexOf("add"));
+assert(oTarget !== null && oTarget.sSource === "@add(1, 2)" && oTarget.bStringValue, "Cursor inside a JSON value finds the expression");
+const oSelected = findEvaluationTarget(sJson, "json", sJson.indexOf("add"), sJson.indexOf(")") + 1);
+assert(oSelected.sSource === "add(1, 2)" && !oSelected.bStringValue, "A selection is evaluated as a bare expression");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,80 @@
+/**
+ * Test script for the expression formatter and minifier.
+ * Run with: node test/expressionFormatterTest.js
+ */
+const { prettyPrintValue, prettyPrintExpression, minifyValue, minifyExpression, formatPlainTextBlocks, concatToInterpolation, interpolationToConcat } = require("../src/expressionFormatter");
+const { findEvaluationTarget, minifyTarget } = require("../src/expressionCommands");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+function formatError(fnFormat, sText) {
+    try {
+        fnFormat(sText);
+    } catch (oError) {
+        return oError.message;
+    }
+    return "";
+}
+
+const sLong = "@{if(equals(triggerBody()?['Status'], 'Approved'), concat('It''s approved by ', triggerBody()?['Approver']?['DisplayName']), 'Rejected')} on @{utcNow()}";
+
+console.log("\n--- Pretty Print Tests ---");
+const sPretty = prettyPrintValue(sLong);
+const aLines = sPretty.split("\n");
+assert(aLines[0] === "@{if(" && aLines[1] === "    equals(triggerBody()?['Status'], 'Approved'),", "Long calls put each argument on its own indented line");
+assert(sPretty.indexOf("        'It''s approved by ',") !== -1, "Nested arguments are indented a further level and keep '' escapes");
+assert(aLines[aLines.length - 1] === ")} on @{utcNow()}", "Closing parenthesis and literal text follow the interpolation");
+assert(prettyPrintExpression("add( 1 ,2 )") === "add(1, 2)", "Short calls stay on one line");
+assert(prettyPrintValue("@@{literal}") === "@@{literal}", "@@ escaped values are left alone");
+assert(prettyPrintExpression("concat('a', variables('x'))", { iMaxWidth: 20, sIndent: "\t" }) === "concat(\n\t'a',\n\tvariables('x')\n)", "Indent and width options are honoured");
+
+console.log("\n--- Minify Tests ---");
+assert(minifyValue(sPretty) === sLong.split(", ").join(","), "Minifying a pretty-printed value restores a single line");
+assert(minifyValue("Hi  @{ toUpper( 'a b' ) } !") === "Hi  @{toUpper('a b')} !", "Literal text outside @{} keeps its spacing");
+assert(minifyExpression("body('Get item') ?['value']\n[0]") === "body('Get item')?['value'][0]", "Index access is collapsed");
+assert(formatError(minifyValue, "@concat('a'").indexOf("syntax errors") !== -1, "Syntax errors stop the minifier");
+
+console.log("\n--- Concat Conversion Tests ---");
+assert(concatToInterpolation("@concat('Hello ', triggerBody()?['name'], '!')") === "Hello @{triggerBody()?['name']}!", "concat() becomes literal text with @{...}");
+assert(interpolationToConcat("Hello @{triggerBody()?['name']}!") === "@concat('Hello ', triggerBody()?['name'], '!')", "Interpolation becomes concat() with quoted literals");
+assert(concatToInterpolation("@concat('It''s ', 1, concat(' x', 'y'))") === "It's @{1} xy", "'' escapes are decoded, non-string arguments interpolated and nested concat() flattened");
+assert(interpolationToConcat("It's @{ add(1,2) }") === "@concat('It''s ', add(1, 2))", "Single quotes in literal text are escaped");
+assert(concatToInterpolation("@concat('@home')") === "@@home" && concatToInterpolation("@concat('@', variables('a'))") === "@{'@'}@{variables('a')}", "A leading @ is escaped with @@, or kept in @{'...'} before an interpolation");
+assert(concatToInterpolation("@concat('x @{', 'y}')") === "@{'x @{y}'}" && concatToInterpolation("@concat('a@', variables('a'))") === "@{'a@'}@{variables('a')}", "Literal text that would read as @{ stays quoted");
+assert(concatToInterpolation("@toUpper(concat('a', 'b'))") === null && concatToInterpolation("@concat('a'") === null, "Only a whole, valid concat() value is converted");
+assert(interpolationToConcat("@@{literal}") === null && interpolationToConcat("@body('x')") === null && interpolationToConcat("plain") === null, "Escaped, whole-expression and plain values have nothing to convert");
+
+console.log("\n--- Target Tests ---");
+const sPlain = "@{concat(\n    'a',\n    'b'\n)}";
+const oBlock = findEvaluationTarget(sPlain, "plaintext", 3, 3);
+assert(minifyTarget(oBlock, false) === "\"@{concat('a','b')}\"", "A plaintext block minifies to a JSON string value");
+const sJson = "{ \"inputs\": \"@concat( 'a' ,\\n 'b')\" }";
+const oToken = findEvaluationTarget(sJson, "json", sJson.indexOf("concat"), sJson.indexOf("concat"));
+assert(sJson.substring(oToken.iStart, oToken.iEnd) === "\"@concat( 'a' ,\\n 'b')\"" && minifyTarget(oToken, true) === "\"@concat('a','b')\"", "The JSON string under the cursor is replaced with quotes");
+const oSelected = findEvaluationTarget(sJson, "json", sJson.indexOf("concat"), sJson.lastIndexOf(")") + 1);
+assert(minifyTarget(oSelected, true) === "concat('a','b')", "A selection inside a JSON string is replaced without quotes");
+const aEdits = formatPlainTextBlocks("note\n\n" + sLong + "\n\n@concat('a'", 0, 1000);
+assert(aEdits.length === 1 && aEdits[0].iStart === 6, "Range formatting rewrites valid blocks and skips broken ones");
+const sLibrary = "// Greeting\n" + sLong;
+const aLibraryEdits = formatPlainTextBlocks(sLibrary, 0, sLibrary.length, undefined, "paexpr");
+assert(aLibraryEdits.length === 1 && aLibraryEdits[0].iStart === 12 && aLibraryEdits[0].sNewText === sPretty, "paexpr comment lines are left out of the formatted block");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,130 @@
+/**
+ * Test script for expression highlighting (semantic tokens, the JSON injection grammar
+ * and the paexpr language).
+ * Run with: node test/expressionHighlighterTest.js
+ */
+const path = require("path");
+const fs = require("fs");
+const { parseFunctionReference } = require("../src/parser");
+const { buildFunctionMap } = require("../src/expressionValidator");
+const { collectHighlightTokens } = require("../src/expressionHighlighter");
+
+const sRefPath = path.join(__dirname, "..", "expression-functions-reference.md");
+const oFuncMap = buildFunctionMap(parseFunctionReference(sRefPath));
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Describe a document's highlight tokens as "text:type[.modifier...]"
+ * @param {string} sText
+ * @param {string} sLanguageId
+ * @returns {Array<string>}
+ */
+function describeTokens(sText, sLanguageId) {
+    return collectHighlightTokens(sText, sLanguageId, oFuncMap).map(function (oToken) {
+        return [sText.substring(oToken.iStart, oToken.iEnd) + ":" + oToken.sType].concat(oToken.aModifiers).join(".");
+    });
+}
+
+/**
+ * Collect the match / begin / end regexes of a TextMate grammar
+ * @param {Object} oGrammar
+ * @returns {Array<string>}
+ */
+function getGrammarPatterns(oGrammar) {
+    const aPatterns = [];
+    (function collect(oNode) {
+        Object.keys(oNode).forEach(function (sKey) {
+            if ((sKey === "match" || sKey === "begin" || sKey === "end") && typeof oNode[sKey] === "string") {
+                aPatterns.push(oNode[sKey]);
+            } else if (oNode[sKey] && typeof oNode[sKey] === "object") {
+                collect(oNode[sKey]);
+            }
+        });
+    })(oGrammar);
+    return aPatterns;
+}
+
+/**
+ * Find the patterns that do not compile
+ * @param {Array<string>} aPatterns
+ * @returns {Array<string>}
+ */
+function getBrokenPatterns(aPatterns) {
+    return aPatterns.filter(function (sPattern) {
+        try {
+            new RegExp(sPattern, "");
+            return false;
+        } catch (oError) {
+            return true;
+        }
+    });
+}
+
+console.log("\n--- Semantic Token Tests ---");
+
+const aWhole = describeTokens("{ \"inputs\": \"@formatDateTime(triggerBody()?['when'], 'yyyy')\" }", "json");
+assert(aWhole.join(" ") === "@:keyword formatDateTime:function.defaultLibrary triggerBody:function.defaultLibrary ?:operator 'when':property 'yyyy':string", "Functions, navigation, property keys and literals are classified");
+
+const aText = describeTokens("Hi @{toUpperr(body('Get').name)} x@{add(1, -2.5)}@{true}", "plaintext");
+assert(aText.indexOf("toUpperr:unknownFunction") !== -1 && aText.indexOf("body:function.defaultLibrary") !== -1, "Functions missing from the reference get their own type");
+assert(aText.indexOf(".:operator") !== -1 && aText.indexOf("name:property") !== -1, "Dot access marks the property name");
+assert(aText.indexOf("-2.5:number") !== -1 && aText.indexOf("true:keyword") !== -1, "Numbers and true / false / null are classified");
+assert(aText.filter(function (sToken) {
+    return sToken === "@{:keyword" || sToken === "}:keyword";
+}).length === 6, "@{ and } delimiters are marked in plaintext");
+
+assert(describeTokens("{ \"a\": \"@decodeBase64('x')\" }", "json").indexOf("decodeBase64:function.defaultLibrary.deprecated") !== -1, "Deprecated functions carry the deprecated modifier");
+
+const sEscaped = "{ \"a\": \"@concat('say \\\"hi\\\"', utcNow())\" }";
+assert(describeTokens(sEscaped, "json").join(" ") === "@:keyword concat:function.defaultLibrary 'say \\\"hi\\\"':string utcNow:function.defaultLibrary", "Token ranges follow JSON escapes");
+assert(describeTokens("{ \"@concat('a')\": \"plain\", \"b\": \"@@{x}\" }", "json").length === 0, "Keys, plain strings and @@ escaped values are not highlighted");
+
+console.log("\n--- Grammar Tests ---");
+
+const oGrammar = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "syntaxes", "expression-injection.tmLanguage.json"), "utf8"));
+const oPackage = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "package.json"), "utf8"));
+assert(oPackage.contributes.grammars[0].scopeName === oGrammar.scopeName, "package.json contributes the injection grammar");
+const aPatterns = getGrammarPatterns(oGrammar);
+assert(aPatterns.length > 10 && getBrokenPatterns(aPatterns).length === 0, "Every grammar pattern compiles");
+const oFunction = new RegExp(oGrammar.repository["function-call"].match, "");
+const oNavigation = new RegExp(oGrammar.repository.navigation.match, "g");
+assert(oFunction.exec("x, toLower (y)")[1] === "toLower" && "a?['b']?.c ? d".match(oNavigation).length === 2, "Function names and ?[ / ?. navigation are matched");
+const oEnd = new RegExp(oGrammar.repository["string-literal"].end, "y");
+const oEscape = new RegExp(oGrammar.repository["string-literal"].patterns[0].match, "y");
+oEnd.lastIndex = 2;
+oEscape.lastIndex = 2;
+assert(!oEnd.test("it''s'") && oEscape.test("it''s'"), "'' inside a literal is an escape, not the end");
+
+console.log("\n--- paexpr Language Tests ---");
+
+const oLanguage = oPackage.contributes.languages.filter(function (oItem) {
+    return oItem.id === "paexpr";
+})[0];
+const oPaexprGrammar = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "syntaxes", "paexpr.tmLanguage.json"), "utf8"));
+assert(oLanguage && oLanguage.extensions.indexOf(".paexpr") !== -1 && fs.existsSync(path.join(__dirname, "..", oLanguage.configuration)), ".paexpr files get a language id and configuration");
+assert(getBrokenPatterns(getGrammarPatterns(oPaexprGrammar)).length === 0, "Every paexpr grammar pattern compiles");
+const oComment = new RegExp(oPaexprGrammar.repository.comment.match, "m");
+const oLeading = new RegExp(oPaexprGrammar.repository["leading-expression"].begin, "m");
+assert(oComment.test("  // Requester name") && !oComment.test("@{x} https://example.com"), "Only whole lines starting with // are comments");
+assert(oLeading.test("@concat('a')") && !oLeading.test("@@literal") && !oLeading.test("@{utcNow()}"), "A leading @ starts an expression, @@ and @{ do not");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
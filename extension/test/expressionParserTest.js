@@ -0,0 +1,103 @@
+/**
+ * Test script for the expression parser module.
+ * Run with: node test/expressionParserTest.js
+ */
+const { parseExpression, parseStringValue, getOpenContext, findNestedAtSigns, collectDocumentExpressions, toDocumentOffset } = require("../src/expressionParser");
+const { parseJsonDocument, getPropertyValue, toValue } = require("../src/jsonDocument");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+function errorCodes(sValue) {
+    return parseStringValue(sValue).aErrors.map(function (o) { return o.sCode; });
+}
+
+console.log("\n--- AST Tests ---");
+let oParsed = parseExpression("concat('it''s', triggerBody()?['name'], 2)");
+assert(oParsed.aErrors.length === 0, "Valid call parses without errors");
+assert(oParsed.oAst.sKind === "call" && oParsed.oAst.sName === "concat", "Root node is the concat call");
+assert(oParsed.oAst.aArgs.length === 3, "concat has 3 arguments (got " + oParsed.oAst.aArgs.length + ")");
+assert(oParsed.oAst.aArgs[0].sValue === "it's", "'' escape is decoded");
+assert(oParsed.oAst.aArgs[1].sKind === "index" && oParsed.oAst.aArgs[1].bSafe === true, "?['name'] is a null-safe index");
+assert(oParsed.oAst.aArgs[2].sKind === "number" && oParsed.oAst.aArgs[2].nValue === 2, "Numeric argument parsed");
+assert(oParsed.oAst.iStart === 0 && oParsed.oAst.iEnd === 42, "Call range covers the whole text");
+
+oParsed = parseExpression("body('Get_item').value[0]");
+assert(oParsed.oAst.sKind === "index" && oParsed.oAst.oTarget.sKind === "member", ".prop access followed by [0]");
+assert(oParsed.oAst.oTarget.sName === "value", "Member name is value");
+
+console.log("\n--- Syntax Error Tests ---");
+assert(errorCodes("@concat('a', 'b')").length === 0, "Valid expression has no errors");
+assert(errorCodes("@concat('a'").indexOf("unbalancedParen") !== -1, "Missing ) is reported");
+assert(errorCodes("@add(1, 2))").indexOf("unbalancedParen") !== -1, "Extra ) is reported");
+assert(errorCodes("@concat('a").indexOf("unterminatedString") !== -1, "Unterminated string is reported");
+assert(errorCodes("@concat('a',)").indexOf("danglingComma") !== -1, "Dangling comma is reported");
+assert(errorCodes("@concat(@toLower('A'))").indexOf("strayAt") !== -1, "Nested @ is reported");
+assert(errorCodes("Hello @toLower('A')").indexOf("strayAt") !== -1, "@fn( in the middle of text is reported");
+assert(errorCodes("Hello @{toLower('A')").indexOf("unterminatedInterpolation") !== -1, "Unclosed @{ is reported");
+assert(errorCodes("@@concat(").length === 0, "@@ escapes a literal value");
+assert(errorCodes("someone@contoso.com").length === 0, "Email addresses are not flagged");
+
+console.log("\n--- Interpolation Tests ---");
+const oValue = parseStringValue("Hi @{triggerBody()?['name']}, today is @{utcNow()}");
+const aExpressions = oValue.aSegments.filter(function (o) { return o.sKind === "expression"; });
+assert(aExpressions.length === 2, "Two interpolations found (got " + aExpressions.length + ")");
+assert(aExpressions[0].bInterpolated === true && aExpressions[0].iExprStart === 5, "Interpolation range starts after @{");
+assert(oValue.aSegments[0].sKind === "literal" && oValue.aSegments[0].iEnd === 3, "Leading literal text segment");
+
+console.log("\n--- Open Context Tests ---");
+let oContext = getOpenContext("@{concat('a', toLower(");
+assert(oContext.aFrames.length === 3, "Interpolation and two calls are open");
+assert(oContext.aFrames[1].sName === "concat" && oContext.aFrames[1].iArgIndex === 1, "concat is on its second argument");
+oContext = getOpenContext("@concat('a, b', ");
+assert(oContext.aFrames[0].iArgIndex === 1, "Commas inside string literals are ignored");
+oContext = getOpenContext("@{concat('x')} and ");
+assert(oContext.aFrames.length === 0, "Closed interpolation leaves no frames");
+
+console.log("\n--- Nested @ Cleanup Tests ---");
+const aOffsets = findNestedAtSigns("\"a\": \"@concat(@toLower('@x'), 'b')\"");
+assert(aOffsets.length === 1 && aOffsets[0] === 14, "Only the nested @ outside the string literal is found");
+
+console.log("\n--- Document Tests ---");
+const sJson = "{\n  \"inputs\": \"@concat('\\\"x\\\"', 'a',)\",\n  \"@key\": \"plain\"\n}";
+const aEntries = collectDocumentExpressions(sJson, "json");
+assert(aEntries.length === 1, "Only expression string values are collected");
+const oError = aEntries[0].aErrors[0];
+assert(sJson.substr(toDocumentOffset(aEntries[0], oError.iStart), 1) === ",", "Error offsets map through JSON escapes");
+
+const aBlocks = collectDocumentExpressions("@concat(\n  'a'\n)\n\nplain text\n\n@utcNow()", "plaintext");
+assert(aBlocks.length === 2, "Plaintext blocks are split on blank lines (got " + aBlocks.length + ")");
+assert(aBlocks[0].aErrors.length === 0, "Multi-line block parses as one expression");
+const sLibrary = "// Requester's name\n@concat(triggerBody()?['first'], ' ', triggerBody()?['last'])\n  // Link, not a comment below\n@{utcNow()} https://example.com";
+const aLibrary = collectDocumentExpressions(sLibrary, "paexpr");
+assert(aLibrary.length === 2 && aLibrary[0].sValue.indexOf("@concat(") === 0 && aLibrary[0].aErrors.length === 0, "paexpr comment lines are skipped and separate expressions");
+assert(aLibrary[1].iStart === sLibrary.indexOf("@{utcNow()}") && aLibrary[1].sValue === "@{utcNow()} https://example.com", "Only whole-line comments count, so // inside text is kept");
+
+console.log("\n--- JSON Document Tests ---");
+const oDoc = parseJsonDocument("{ \"a\": { \"b\": [1, true, null] }, // comment\n \"c\": \"x\" }");
+assert(oDoc.oRoot !== null && oDoc.aErrors.length === 0, "JSONC with comments parses");
+assert(JSON.stringify(toValue(getPropertyValue(oDoc.oRoot, "a"))) === "{\"b\":[1,true,null]}", "toValue rebuilds the object");
+assert(parseJsonDocument("{ \"a\": }").oRoot === null, "Invalid JSON returns a null root");
+const sTrailing = "{ \"a\": [1, 2,], \"b\": { \"c\": true, }, }";
+const oTrailing = parseJsonDocument(sTrailing, "jsonc");
+assert(oTrailing.oRoot !== null && JSON.stringify(toValue(oTrailing.oRoot)) === "{\"a\":[1,2],\"b\":{\"c\":true}}", "Trailing commas are accepted in jsonc");
+assert(parseJsonDocument(sTrailing, "json").oRoot === null && parseJsonDocument("{ \"a\": [,] }", "jsonc").oRoot === null, "Trailing commas are still errors in json, and a lone comma is an error in jsonc");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
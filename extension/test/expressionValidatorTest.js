@@ -0,0 +1,97 @@
+/**
+ * Test script for expression validation against the function reference.
+ * Run with: node test/expressionValidatorTest.js
+ */
+const path = require("path");
+const { parseFunctionReference } = require("../src/parser");
+const { parseExpression } = require("../src/expressionParser");
+const { buildFunctionMap, getArity, findClosestNames, checkFunctionCalls } = require("../src/expressionValidator");
+const { inferTypes, formatType, parseTypeText } = require("../src/expressionTypes");
+
+const sRefPath = path.join(__dirname, "..", "expression-functions-reference.md");
+const aFunctions = parseFunctionReference(sRefPath);
+const oFuncMap = buildFunctionMap(aFunctions);
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+function issueCodes(sExpression) {
+    return checkFunctionCalls(parseExpression(sExpression).oAst, oFuncMap).map(function (o) { return o.sCode; });
+}
+
+console.log("\n--- Arity Tests ---");
+let oArity = getArity(oFuncMap["concat"]);
+assert(oArity.iMin === 1 && oArity.iMax === Infinity, "concat() is variadic with at least 1 argument");
+oArity = getArity(oFuncMap["formatdatetime"]);
+assert(oArity.iMin === 1 && oArity.iMax === 3, "formatDateTime() takes 1 to 3 arguments (got " + oArity.iMin + "-" + oArity.iMax + ")");
+oArity = getArity(oFuncMap["utcnow"]);
+assert(oArity.iMin === 0 && oArity.iMax === 1, "utcNow() takes 0 or 1 argument");
+oArity = getArity(oFuncMap["chunk"]);
+assert(oArity.iMin === 2 && oArity.iMax === 2, "chunk() takes 2 arguments, though its length row has no type cell");
+
+console.log("\n--- Call Check Tests ---");
+assert(issueCodes("concat('a', toLower(triggerBody()?['x']))").length === 0, "Valid nested calls have no issues");
+assert(issueCodes("concat()").indexOf("tooFewArguments") !== -1, "concat() is missing arguments");
+assert(issueCodes("addDays(utcNow())").indexOf("tooFewArguments") !== -1, "addDays() with one argument is missing arguments");
+assert(issueCodes("utcNow('o', 'x')").indexOf("tooManyArguments") !== -1, "utcNow() with two arguments has too many");
+assert(issueCodes("chunk('abc', 2)").length === 0, "chunk() with a length has no issues");
+assert(issueCodes("formatDatetime(utcNow(), 'yyyy')").indexOf("functionCase") !== -1, "formatDatetime casing is reported");
+assert(issueCodes("decodeBase64('eA==')").join() === "deprecatedFunction", "decodeBase64 is only reported as deprecated");
+
+const aUnknown = checkFunctionCalls(parseExpression("formatDataTime(utcNow(), 'd')").oAst, oFuncMap);
+assert(aUnknown.length === 1 && aUnknown[0].sCode === "unknownFunction", "formatDataTime is an unknown function");
+assert(aUnknown[0].sMessage.indexOf("'formatDateTime'") !== -1, "Unknown function suggests formatDateTime");
+assert(aUnknown[0].iStart === 0 && aUnknown[0].iEnd === 14, "Unknown function issue covers the name");
+
+console.log("\n--- Suggestion Tests ---");
+const aSuggestions = findClosestNames("toLowr", ["toLower", "toUpper", "concat"]);
+assert(aSuggestions[0] === "toLower", "toLowr suggests toLower first");
+assert(findClosestNames("zzzzzz", ["toLower", "concat"]).length === 0, "Unrelated names have no suggestions");
+
+console.log("\n--- Type Tests ---");
+function typeOf(sExpression) {
+    const oAst = parseExpression(sExpression).oAst;
+    return formatType(inferTypes(oAst, oFuncMap).oTypes.get(oAst));
+}
+function typeIssues(sExpression) {
+    return inferTypes(parseExpression(sExpression).oAst, oFuncMap).aIssues;
+}
+
+assert(parseTypeText("Integer, Float, or String").sort().join() === "Float,Integer,String", "Reference type text is split into type names");
+assert(typeOf("add(1, 2)") === "Integer", "add() of integers is an Integer (got " + typeOf("add(1, 2)") + ")");
+assert(typeOf("split('a,b', ',')") === "Array", "split() returns an Array");
+assert(typeOf("take('abc', 2)") === "String", "take() on a string returns a String");
+assert(typeOf("if(true, 1, 'a')") === "Integer or String", "if() returns either branch type");
+assert(typeOf("body('Get_item')") === "Any", "Workflow functions return Any");
+
+const aMismatch = typeIssues("toLower(length('abc'))");
+assert(aMismatch.length === 1 && aMismatch[0].sCode === "typeMismatch", "Passing an Integer to toLower() is reported");
+assert(aMismatch[0].iStart === 8 && aMismatch[0].iEnd === 21, "Type mismatch covers the argument");
+assert(typeIssues("length(equals(1, 1))").length === 1, "Passing a Boolean to length() is reported");
+assert(typeIssues("equals(1, 1)?['x']").length === 1, "Indexing into a Boolean is reported");
+assert(typeIssues("max(createArray(1, 2))").length === 0, "max() accepts its array form");
+assert(typeIssues("concat('Item ', 1)").length === 0, "concat() accepts numbers");
+assert(typeIssues("toLower(body('Get_item')?['name'])").length === 0, "Values of unknown type are not reported");
+assert(typeIssues("addDays(utcNow(), int('3'))").length === 0, "Correctly typed arguments are not reported");
+assert(typeIssues("int(3)").length === 0 && typeIssues("float(2)").length === 0 && typeIssues("int(true)").length === 1, "int() and float() accept numbers as well as strings");
+const oCountAst = parseExpression("toLower(variables('Count'))").oAst;
+assert(inferTypes(oCountAst, oFuncMap, { count: ["Integer"] }).aIssues.length === 1, "Declared variable types are used for variables()");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,241 @@
+/**
+ * Test script for the workflow definition model.
+ * Run with: node test/flowDefinitionTest.js
+ */
+const { parseFlowDefinition, findAction, getActionAtOffset, getEnclosingActions, getReferenceableActions, buildFlowOutline } = require("../src/flowDefinition");
+const { getStringArgumentContext, getIndexPathContext, resolveAccessPath, parseExpression } = require("../src/expressionParser");
+const { getTriggerSchema, listSchemaProperties, resolveAccessSchema, formatSchemaType } = require("../src/flowSchema");
+const { collectActionReferences, findActionAtOffset, getReferencesTo, validateActionName, buildRenameEdits } = require("../src/flowReferences");
+const { collectDocumentExpressions } = require("../src/expressionParser");
+const { buildNameInsertText } = require("../src/referenceCompletionProvider");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+function names(aActions) {
+    return aActions.map(function (oAction) {
+        return oAction.sName;
+    }).join(",");
+}
+
+const sFlow = JSON.stringify({
+    properties: {
+        connectionReferences: {},
+        definition: {
+            triggers: { manual: { type: "Request", kind: "Button" } },
+            actions: {
+                "Get items": { type: "OpenApiConnection", runAfter: {} },
+                Apply_to_each: {
+                    type: "Foreach",
+                    foreach: "@body('Get_items')?['value']",
+                    runAfter: { "Get items": ["Succeeded"] },
+                    actions: {
+                        Condition: {
+                            type: "If",
+                            expression: { equals: ["@items('Apply_to_each')?['Done']", true] },
+                            actions: { Update_item: { type: "OpenApiConnection", inputs: "@items('INSIDE_TRUE')" } },
+                            else: { actions: { Do_until: { type: "Until", actions: { Delay: { type: "Wait", inputs: "@iterationIndexes('INSIDE_UNTIL')" } } } } }
+                        }
+                    }
+                },
+                Switch: {
+                    type: "Switch",
+                    runAfter: { Apply_to_each: ["Succeeded"] },
+                    cases: { Case: { case: "a", actions: { Compose: { type: "Compose", inputs: "@body('INSIDE_CASE')" } } } },
+                    default: { actions: {} }
+                }
+            }
+        }
+    },
+    schemaVersion: "1.0.0.0"
+}, null, 4);
+
+console.log("\n--- Definition Tests ---");
+const oFlow = parseFlowDefinition(sFlow);
+assert(oFlow !== null && names(oFlow.aTriggers) === "manual", "Triggers are read from a clientdata wrapper");
+assert(names(oFlow.aActions) === "Get items,Apply_to_each,Condition,Update_item,Do_until,Delay,Switch,Compose", "Actions are listed in document order including nested scopes");
+assert(names(oFlow.aTopLevel) === "Get items,Apply_to_each,Switch", "Top-level actions are kept separately");
+const oDelay = findAction(oFlow, "delay");
+assert(oDelay.oParent.sName === "Do_until" && oDelay.oParent.sBranch === "else", "Parents and branches are recorded");
+assert(findAction(oFlow, "Compose").sBranch === "case:Case", "Switch cases are branches");
+assert(findAction(oFlow, "Get_items").sName === "Get items", "Underscore references find names with spaces");
+assert(parseFlowDefinition("{ \"a\": 1 }") === null && parseFlowDefinition("{ \"actions\": ") === null, "Non-flow and broken JSON return null");
+assert(parseFlowDefinition("{ \"definition\": { \"actions\": { \"A\": { \"type\": \"Compose\", }, }, }, }", "jsonc").aActions.length === 1, "jsonc flows may use trailing commas");
+assert(parseFlowDefinition("{ \"definition\": { \"actions\": {} } }").aActions.length === 0, "A { definition } wrapper is accepted");
+
+console.log("\n--- Scope Tests ---");
+const iInTrue = sFlow.indexOf("INSIDE_TRUE");
+const iInUntil = sFlow.indexOf("INSIDE_UNTIL");
+const iInCase = sFlow.indexOf("INSIDE_CASE");
+assert(getActionAtOffset(oFlow, iInTrue).sName === "Update_item", "The action under an offset is the innermost one");
+assert(names(getEnclosingActions(oFlow, iInUntil)) === "Do_until,Condition,Apply_to_each", "Enclosing actions are listed innermost first");
+assert(names(getReferenceableActions(oFlow, "items", iInTrue)) === "Apply_to_each", "items() offers the enclosing Foreach");
+assert(getReferenceableActions(oFlow, "items", iInCase).length === 0, "items() offers nothing outside a Foreach");
+assert(names(getReferenceableActions(oFlow, "iterationIndexes", iInUntil)) === "Do_until", "iterationIndexes() offers the enclosing Until");
+assert(names(getReferenceableActions(oFlow, "body", iInCase)) === "manual,Get items,Apply_to_each,Condition,Update_item,Do_until,Delay", "body() offers everything but the current action and its scopes");
+assert(names(getReferenceableActions(oFlow, "result", iInCase)) === "Apply_to_each,Do_until", "result() only offers scopes and loops");
+assert(getReferenceableActions(oFlow, "concat", iInCase).length === 0, "Other functions take no action names");
+assert(buildNameInsertText("O'Brien_list", false) === "'O''Brien_list')" && buildNameInsertText("it's", true) === "'it''s'", "Completed names double their apostrophes");
+
+console.log("\n--- Argument Context Tests ---");
+const oTyping = getStringArgumentContext("@{body('Get_it");
+assert(oTyping.sFunction === "body" && oTyping.bInString && oTyping.sPrefix === "Get_it" && oTyping.iPrefixStart === 7, "An open quoted argument is reported with its prefix");
+assert(getStringArgumentContext("@outputs(").bInString === false, "An argument with no quote yet is reported");
+assert(getStringArgumentContext("@body('a')?['b") === null, "Index strings are not call arguments");
+
+console.log("\n--- Trigger Schema Tests ---");
+const oButtonSchema = {
+    type: "object",
+    properties: {
+        text: { title: "Name", type: "string", "x-ms-dynamically-added": true },
+        file: { title: "File", type: "object", properties: { name: { type: "string" }, contentBytes: { type: "string", format: "byte" } } },
+        rows: { type: "array", items: { type: "object", properties: { id: { type: "integer" } } } }
+    },
+    required: ["text"]
+};
+const oButtonFlow = parseFlowDefinition(JSON.stringify({
+    definition: { triggers: { manual: { type: "Request", kind: "Button", inputs: { schema: oButtonSchema } } }, actions: {} }
+}));
+assert(getTriggerSchema(oButtonFlow).properties.text.title === "Name", "The trigger schema is read from inputs.schema");
+assert(names(listSchemaProperties(resolveAccessSchema(oButtonFlow, "triggerBody", "", []))) === "text,file,rows", "triggerBody() offers the top-level schema properties");
+assert(names(listSchemaProperties(resolveAccessSchema(oButtonFlow, "triggerBody", "", ["File"]))) === "name,contentBytes", "Nested objects resolve case-insensitively");
+assert(names(listSchemaProperties(resolveAccessSchema(oButtonFlow, "triggerOutputs", "", ["body", "rows", 0]))) === "id", "triggerOutputs()['body'] and array items resolve");
+assert(formatSchemaType(resolveAccessSchema(oButtonFlow, "triggerBody", "", ["rows"])) === "array of object", "Schema types are formatted for display");
+assert(resolveAccessSchema(oButtonFlow, "body", "manual", ["text"]) === null, "Other calls have no schema");
+
+const oParseFlow = parseFlowDefinition(JSON.stringify({
+    definition: {
+        actions: {
+            Parse_JSON: { type: "ParseJson", inputs: { schema: { type: "array", items: { type: "object", properties: { customer: { type: "object", properties: { name: {} } } } } } } },
+            Loop: { type: "Foreach", foreach: "@body('Parse_JSON')", actions: {} },
+            Inner: { type: "Foreach", foreach: "@items('Loop')?['customer']?['name']", actions: {} }
+        }
+    }
+}));
+assert(names(listSchemaProperties(resolveAccessSchema(oParseFlow, "body", "Parse_JSON", [0]))) === "customer", "body() of a Parse JSON action uses its schema");
+assert(names(listSchemaProperties(resolveAccessSchema(oParseFlow, "items", "Loop", ["customer"]))) === "name", "items() uses the item schema of the array the loop iterates");
+assert(resolveAccessSchema(oParseFlow, "items", "Inner", []) === null, "Loops over values that are not arrays have no item schema");
+
+const oTypedPath = getIndexPathContext("@{triggerBody()?['file']?['na");
+assert(oTypedPath.sFunction === "triggerBody" && oTypedPath.aPath.join("/") === "file" && oTypedPath.sPrefix === "na", "The access path being typed is resolved");
+assert(getIndexPathContext("@body('Parse')?['rows'][0].x[").aPath.join("/") === "rows/0/x" && getIndexPathContext("@body('Parse')[").sFirstArg === "Parse", "Index, member and call arguments are tracked");
+const oAccessPath = resolveAccessPath(parseExpression("triggerBody()?['file'].name").oAst);
+assert(oAccessPath.oCall.sName === "triggerBody" && oAccessPath.aPath.join("/") === "file/name", "AST access chains resolve to their call");
+
+console.log("\n--- Reference Tests ---");
+
+const sRefText = JSON.stringify({
+    definition: {
+        triggers: { manual: { type: "Request" } },
+        actions: {
+            "Get items": { type: "ApiConnection", runAfter: {} },
+            Scope: {
+                type: "Scope",
+                runAfter: { Get_items: ["Succeeded"] },
+                actions: { Compose: { type: "Compose", inputs: "@body('Get_items')?['value']" } }
+            },
+            Report: { type: "Compose", runAfter: { Scope: ["Failed"] }, inputs: "@{actions('get_items')} @{result('Scope')} @{outputs('Missing')}" }
+        }
+    }
+}, null, 2);
+const oRefFlow = parseFlowDefinition(sRefText);
+const aRefs = collectActionReferences(oRefFlow, collectDocumentExpressions(sRefText, "json"));
+const oGetItems = findAction(oRefFlow, "Get_items");
+const aGetItemsRefs = getReferencesTo(aRefs, oGetItems);
+assert(aGetItemsRefs.map(function (o) { return o.sKind; }).join(",") === "runAfter,expression,expression", "runAfter keys and expression arguments reference an action");
+assert(aGetItemsRefs.map(function (o) { return sRefText.substring(o.iStart, o.iEnd); }).join(",") === "Get_items,Get_items,get_items", "Reference ranges cover the name without quotes");
+assert(aGetItemsRefs[1].oOwner.sName === "Compose" && aGetItemsRefs[0].oOwner.sName === "Scope", "References know the action that contains them");
+assert(getReferencesTo(aRefs, findAction(oRefFlow, "Scope")).length === 2, "result() counts as a reference");
+assert(aRefs.filter(function (o) { return !o.oAction; })[0].sName === "Missing", "References to unknown actions are kept unresolved");
+
+const iBodyArg = sRefText.indexOf("body('Get_items')") + 7;
+assert(findActionAtOffset(oRefFlow, aRefs, iBodyArg).oAction === oGetItems, "The action under the cursor is found from a reference");
+const oAtKey = findActionAtOffset(oRefFlow, aRefs, sRefText.indexOf("\"Get items\"") + 2);
+assert(oAtKey.oAction === oGetItems && oAtKey.oReference === null, "The action under the cursor is found from its own key");
+assert(findActionAtOffset(oRefFlow, aRefs, sRefText.indexOf("outputs('Missing')") + 10) === null, "Unknown references have no target");
+
+console.log("\n--- Rename Tests ---");
+
+/**
+ * Apply offset edits to a text, last edit first
+ * @param {string} sText
+ * @param {Array<Object>} aEdits
+ * @returns {string}
+ */
+function applyEdits(sText, aEdits) {
+    const aSorted = aEdits.slice().sort(function (oLeft, oRight) {
+        return oRight.iStart - oLeft.iStart;
+    });
+    let sResult = sText;
+    for (let i = 0; i < aSorted.length; i++) {
+        sResult = sResult.substring(0, aSorted[i].iStart) + aSorted[i].sNewText + sResult.substring(aSorted[i].iEnd);
+    }
+    return sResult;
+}
+
+assert(validateActionName(oRefFlow, oGetItems, "List rows") === null, "Valid new names are accepted");
+assert(validateActionName(oRefFlow, oGetItems, "get items") === null, "An action can be renamed to a different casing of its own name");
+assert(validateActionName(oRefFlow, oGetItems, "report").indexOf("already exists") !== -1, "Names are unique regardless of case");
+assert(validateActionName(oRefFlow, oGetItems, "Scope") !== null && validateActionName(oRefFlow, oGetItems, "Compose") !== null, "Names are unique across nested scopes");
+assert(validateActionName(oRefFlow, oGetItems, "a/b") !== null && validateActionName(oRefFlow, oGetItems, "  ") !== null, "Invalid characters and empty names are rejected");
+assert(validateActionName(oRefFlow, oGetItems, "a\\b") !== null, "Backslashes are rejected");
+assert(validateActionName(oRefFlow, oGetItems, new Array(82).join("x")).indexOf("80") !== -1, "Names longer than 80 characters are rejected");
+
+const sRenamed = applyEdits(sRefText, buildRenameEdits(aRefs, oGetItems, "List rows"));
+const oRenamedFlow = parseFlowDefinition(sRenamed);
+assert(findAction(oRenamedFlow, "List_rows").sName === "List_rows" && !findAction(oRenamedFlow, "Get_items"), "The action key is renamed with underscores for spaces");
+assert(sRenamed.indexOf("\"List_rows\": [") !== -1 && sRenamed.indexOf("body('List_rows')") !== -1 && sRenamed.indexOf("@{actions('List_rows')}") !== -1, "runAfter keys and references in nested scopes and @{...} are rewritten");
+assert(sRenamed.indexOf("outputs('Missing')") !== -1 && sRenamed.indexOf("result('Scope')") !== -1, "Other references are left alone");
+assert(applyEdits(sRefText, buildRenameEdits(aRefs, oGetItems, "Bob's items")).indexOf("body('Bob''s_items')") !== -1, "Quotes are doubled inside expressions");
+
+console.log("\n--- Outline Tests ---");
+
+/**
+ * Describe an outline as "name[detail](children)" for comparisons
+ * @param {Array<Object>} aNodes
+ * @returns {string}
+ */
+function describeOutline(aNodes) {
+    return aNodes.map(function (oNode) {
+        return oNode.sName + "[" + oNode.sDetail + "]" + (oNode.aChildren.length > 0 ? "(" + describeOutline(oNode.aChildren) + ")" : "");
+    }).join(",");
+}
+
+const sOutlineText = JSON.stringify({
+    properties: {
+        definition: {
+            triggers: { manual: { type: "Request" } },
+            actions: {
+                Condition: { type: "If", expression: "@true", actions: { Yes: { type: "Compose" } }, else: { actions: { No: { type: "Compose" } } } },
+                Switch: { type: "Switch", expression: "@1", cases: { Case_one: { "case": 1, actions: { One: { type: "Compose" } } } }, "default": { actions: {} } },
+                Loop: { type: "Foreach", foreach: "@x", actions: { Scope: { type: "Scope", actions: { Call: { type: "Http" } } } } },
+                Until: { type: "Until", expression: "@true", actions: {} }
+            }
+        }
+    }
+}, null, 2);
+const aOutline = buildFlowOutline(parseFlowDefinition(sOutlineText));
+assert(describeOutline(aOutline) === "manual[Request],Condition[If](If yes[](Yes[Compose]),If no[](No[Compose])),Switch[Switch](Case Case_one[= 1](One[Compose]),Default[]),Loop[Foreach](Scope[Scope](Call[Http])),Until[Until]",
+    "Triggers come first and actions nest under scopes, loops and branches with their type as detail");
+assert(sOutlineText.substring(aOutline[2].iSelectionStart, aOutline[2].iSelectionEnd) === "\"Switch\"" && sOutlineText.substring(aOutline[2].iEnd - 1, aOutline[2].iEnd) === "}", "Action ranges cover the key and the whole value");
+const oElseBranch = aOutline[1].aChildren[1];
+assert(sOutlineText.substring(oElseBranch.iSelectionStart, oElseBranch.iSelectionEnd) === "\"else\"" && oElseBranch.iEnd <= aOutline[1].iEnd, "Branches select their key and stay inside their action");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,163 @@
+/**
+ * Test script for the generated flow documentation.
+ * Run with: node test/flowDocumentationTest.js
+ */
+const { parseFlowDefinition } = require("../src/flowDefinition");
+const { buildFlowDocumentation, describeSchedule } = require("../src/flowDocumentation");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Get the lines of a Markdown section, up to the next heading of the same level
+ * @param {string} sMarkdown
+ * @param {string} sHeading - e.g. "## Variables"
+ * @returns {string}
+ */
+function getSection(sMarkdown, sHeading) {
+    const iStart = sMarkdown.indexOf(sHeading + "\n");
+    if (iStart === -1) {
+        return "";
+    }
+    const sLevel = sHeading.split(" ")[0] + " ";
+    const iNext = sMarkdown.indexOf("\n" + sLevel, iStart + sHeading.length);
+    return sMarkdown.substring(iStart, iNext === -1 ? sMarkdown.length : iNext);
+}
+
+const sText = JSON.stringify({
+    properties: {
+        connectionReferences: {
+            shared_sharepointonline: {
+                runtimeSource: "embedded",
+                connection: { connectionReferenceLogicalName: "new_sharedsharepointonline_abc" },
+                api: { name: "shared_sharepointonline" }
+            }
+        },
+        definition: {
+            $schema: "https://schema.management.azure.com/providers/Microsoft.Logic/schemas/2016-06-01/workflowdefinition.json#",
+            contentVersion: "1.0.0.0",
+            parameters: {
+                $connections: { defaultValue: {}, type: "Object" },
+                "Site Url (new_SiteUrl)": { defaultValue: "https://contoso.sharepoint.com", type: "String", metadata: { schemaName: "new_SiteUrl" } }
+            },
+            triggers: {
+                Recurrence: { type: "Recurrence", recurrence: { frequency: "Week", interval: 1, timeZone: "GMT Standard Time", schedule: { weekDays: ["Monday"], hours: ["8"] } } }
+            },
+            actions: {
+                Init_count: { type: "InitializeVariable", runAfter: {}, inputs: { variables: [{ name: "count", type: "integer", value: 0 }] } },
+                Get_items: {
+                    type: "OpenApiConnection",
+                    runAfter: { Init_count: ["Succeeded"] },
+                    inputs: {
+                        host: { apiId: "/providers/Microsoft.PowerApps/apis/shared_sharepointonline", connectionName: "shared_sharepointonline", operationId: "GetItems" },
+                        parameters: { dataset: "@parameters('Site Url (new_SiteUrl)')", table: "Tasks", $filter: "Status eq 'a|b'" }
+                    }
+                },
+                Loop: {
+                    type: "Foreach",
+                    foreach: "@outputs('Get_items')?['body/value']",
+                    runAfter: { Get_items: ["Succeeded", "Failed"] },
+                    actions: {
+                        Increment: { type: "IncrementVariable", inputs: { name: "count", value: 1 } }
+                    }
+                }
+            }
+        }
+    },
+    schemaVersion: "1.0.0.0"
+}, null, 4);
+const sMarkdown = buildFlowDocumentation(sText, parseFlowDefinition(sText), "Weekly tasks");
+
+console.log("\n--- Summary Tests ---");
+
+assert(sMarkdown.indexOf("# Weekly tasks\n") === 0, "The document starts with the title");
+assert(sMarkdown.indexOf("- **Actions:** 4") !== -1 && sMarkdown.indexOf("- **Expressions:** 2") !== -1, "The summary counts actions and expressions");
+
+console.log("\n--- Trigger Tests ---");
+
+const sTrigger = getSection(sMarkdown, "## Trigger");
+assert(sTrigger.indexOf("- **Type:** Recurrence") !== -1, "The trigger type is listed");
+assert(sTrigger.indexOf("- **Schedule:** Every 1 Week, at hours 8, on Monday (GMT Standard Time)") !== -1, "Recurrence triggers describe their schedule");
+const sRequest = JSON.stringify({
+    definition: {
+        triggers: { manual: { type: "Request", kind: "Button", inputs: { schema: { type: "object", properties: { text: { title: "Email", type: "string" } }, required: ["text"] } } } },
+        actions: {}
+    }
+});
+const sRequestMarkdown = buildFlowDocumentation(sRequest, parseFlowDefinition(sRequest), "Manual");
+assert(sRequestMarkdown.indexOf("| `text` | string | Email | Yes |") !== -1, "Trigger schemas are listed as a table");
+assert(sRequestMarkdown.indexOf("_This flow has no actions._") !== -1, "Flows without actions say so");
+assert(describeSchedule(parseFlowDefinition(sRequest).aTriggers[0]) === "", "Triggers without a recurrence have no schedule");
+
+console.log("\n--- Action Tests ---");
+
+const sActions = getSection(sMarkdown, "## Actions");
+assert(sActions.indexOf("| Get_items | OpenApiConnection | sharepointonline | `GetItems` |  |") !== -1, "The action table lists type, connector and operationId");
+assert(sActions.indexOf("| Increment | IncrementVariable |  |  | Loop |") !== -1, "Nested actions show the container they sit in");
+assert(sActions.indexOf("| Init_count |") < sActions.indexOf("| Get_items |"), "Actions are listed in execution order");
+const sGetItems = getSection(sMarkdown, "### Get_items");
+assert(sGetItems.indexOf("- **Runs after:** Init_count (Succeeded)") !== -1, "Action details list what they run after");
+assert(sGetItems.indexOf("| table | `Tasks` |") !== -1 && sGetItems.indexOf("host") === -1, "Connector parameters are the key inputs, without connection details");
+assert(sGetItems.indexOf("`Status eq 'a\\|b'`") !== -1, "Pipes in values are escaped for tables");
+assert(getSection(sMarkdown, "### Loop").indexOf("| foreach | `@outputs('Get_items')?['body/value']` |") !== -1, "Loops show what they iterate over");
+
+console.log("\n--- Variable, Parameter and Connection Tests ---");
+
+assert(getSection(sMarkdown, "## Variables").indexOf("| count | integer | `0` | Init_count |") !== -1, "Variables list type, initial value and the action that declares them");
+const sParameters = getSection(sMarkdown, "## Environment Variables");
+assert(sParameters.indexOf("| Site Url (new_SiteUrl) | String | new_SiteUrl | `https://contoso.sharepoint.com` | Get_items |") !== -1, "Environment variables list schema name, default and the actions using them");
+assert(sParameters.indexOf("$connections") === -1, "Platform parameters are left out");
+assert(getSection(sMarkdown, "## Connection References").indexOf("| shared_sharepointonline | shared_sharepointonline | new_sharedsharepointonline_abc | Get_items |") !== -1, "Connection references list their API, logical name and users");
+
+console.log("\n--- Expression Tests ---");
+
+const sExpressions = getSection(sMarkdown, "## Expressions");
+assert(sExpressions.indexOf("| Get_items | inputs.parameters.dataset | `@parameters('Site Url (new_SiteUrl)')` |") !== -1, "Expressions list the action and property holding them");
+assert(sExpressions.indexOf("| Loop | foreach |") !== -1, "Container properties are included");
+
+console.log("\n--- Secret Tests ---");
+
+const sSecrets = JSON.stringify({
+    definition: {
+        triggers: { manual: { type: "Request", kind: "Http", inputs: {} } },
+        actions: {
+            Call_api: {
+                type: "Http",
+                runAfter: {},
+                inputs: { method: "GET", uri: "https://api.contoso.com/items", headers: { Authorization: "Bearer @{parameters('Token')}", "X-Api-Key": "k3y", Accept: "application/json" } }
+            },
+            Get_secret: {
+                type: "Http",
+                runAfter: { Call_api: ["Succeeded"] },
+                inputs: { method: "POST", uri: "https://login.contoso.com/token", body: "client_secret=@{parameters('Secret')}" },
+                runtimeConfiguration: { secureData: { properties: ["inputs"] } }
+            }
+        }
+    }
+});
+const sSecretMarkdown = buildFlowDocumentation(sSecrets, parseFlowDefinition(sSecrets), "Secrets");
+const sCallApi = getSection(sSecretMarkdown, "### Call_api");
+assert(sCallApi.indexOf("Bearer") === -1 && sCallApi.indexOf("k3y") === -1, "Authorization and API key headers are not shown");
+assert(sCallApi.indexOf("(redacted)") !== -1 && sCallApi.indexOf("application/json") !== -1, "Credential headers are redacted and the others kept");
+const sGetSecret = getSection(sSecretMarkdown, "### Get_secret");
+assert(sGetSecret.indexOf("client_secret") === -1 && sGetSecret.indexOf("| Input |") === -1, "Inputs hidden by secureData are left out");
+assert(getSection(sSecretMarkdown, "## Expressions") === "", "Expressions in secure inputs and credential headers are not listed");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,212 @@
+/**
+ * Test script for Extract to Compose Action (matching, placement and edits).
+ * Run with: node test/flowExtractTest.js
+ */
+const { parseExpression, collectDocumentExpressions } = require("../src/expressionParser");
+const { parseFlowDefinition } = require("../src/flowDefinition");
+const { checkRunAfter } = require("../src/flowValidator");
+const { getExpressionKey, findExtractTarget, findOccurrences, suggestComposeName, checkExtractPlacement, buildExtractEdits } = require("../src/flowExtract");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Build the key of an expression
+ * @param {string} sExpression
+ * @returns {string}
+ */
+function keyOf(sExpression) {
+    return getExpressionKey(parseExpression(sExpression).oAst);
+}
+
+/**
+ * Find the extract target at the first match of a marker text
+ * @param {Object} oActions - the definition's actions
+ * @param {string} sMarker - text inside the expression to extract
+ * @returns {{ oFlow: Object, aExpressions: Array<Object>, oTarget: Object }}
+ */
+function targetAt(oActions, sMarker) {
+    const sText = JSON.stringify({ definition: { triggers: {}, actions: oActions } }, null, 4);
+    const aExpressions = collectDocumentExpressions(sText, "json");
+    const iOffset = sText.indexOf(sMarker) + 1;
+    return { oFlow: parseFlowDefinition(sText), aExpressions: aExpressions, oTarget: findExtractTarget(aExpressions, iOffset, iOffset) };
+}
+
+/**
+ * Check whether the expression at a marker can be extracted
+ * @param {Object} oActions - the definition's actions
+ * @param {string} sMarker - text inside the expression to extract
+ * @returns {string|null} the reason it cannot
+ */
+function placementProblem(oActions, sMarker) {
+    const oFound = targetAt(oActions, sMarker);
+    return checkExtractPlacement(oFound.oFlow, oFound.aExpressions, oFound.oTarget);
+}
+
+/**
+ * Extract the expression at the first match of a marker text and apply the edits
+ * @param {Object} oActions - the definition's actions
+ * @param {string} sMarker - text inside the expression to extract
+ * @param {string} sName - Compose action name
+ * @returns {{ sText: string, oDefinition: Object, iOccurrences: number }|null}
+ */
+function extract(oActions, sMarker, sName) {
+    const sText = JSON.stringify({ definition: { triggers: {}, actions: oActions } }, null, 4);
+    const oFound = targetAt(oActions, sMarker);
+    const oResult = oFound.oTarget ? buildExtractEdits(sText, oFound.oFlow, oFound.aExpressions, oFound.oTarget, sName) : null;
+    if (!oResult) {
+        return null;
+    }
+    const sNewText = oResult.aEdits.slice().sort(function (oLeft, oRight) {
+        return oRight.iStart - oLeft.iStart;
+    }).reduce(function (sResult, oEdit) {
+        return sResult.substring(0, oEdit.iStart) + oEdit.sNewText + sResult.substring(oEdit.iEnd);
+    }, sText);
+    return { sText: sNewText, oDefinition: JSON.parse(sNewText).definition, iOccurrences: oResult.iOccurrences };
+}
+
+console.log("\n--- Matching Tests ---");
+
+assert(keyOf("formatDateTime(utcNow(), 'yyyy')") === keyOf("formatdatetime( utcNow() ,'yyyy' )"), "Spacing and function name casing do not matter");
+assert(keyOf("triggerBody()?['name']") === keyOf("triggerBody()?.name"), "['key'] and .key are the same access");
+assert(keyOf("triggerBody()?['name']") !== keyOf("triggerBody()['name']"), "Null-safe and plain access are different expressions");
+assert(keyOf("concat('a', 'b')") !== keyOf("concat('b', 'a')"), "Argument order matters");
+
+const sTargetText = JSON.stringify({ definition: { actions: { A: { type: "Compose", inputs: "@toUpper(trim(triggerBody()?['name']))" } } } }, null, 4);
+const aTargetExpressions = collectDocumentExpressions(sTargetText, "json");
+const iTrim = sTargetText.indexOf("trim(");
+const oCursorTarget = findExtractTarget(aTargetExpressions, iTrim + 1, iTrim + 1);
+assert(oCursorTarget && oCursorTarget.sExpression === "trim(triggerBody()?['name'])", "The cursor picks the innermost call around it");
+const oSelectionTarget = findExtractTarget(aTargetExpressions, sTargetText.indexOf("triggerBody"), sTargetText.indexOf("'])") + 2);
+assert(oSelectionTarget && oSelectionTarget.sExpression === "triggerBody()?['name']", "A selection picks the smallest expression covering it");
+assert(suggestComposeName(parseFlowDefinition(sTargetText), oSelectionTarget) === "Extracted_name", "The suggested name comes from the property read");
+assert(findExtractTarget(aTargetExpressions, sTargetText.indexOf("\"type\""), sTargetText.indexOf("\"type\"")) === null, "Nothing is extracted outside an expression");
+
+const sItemText = JSON.stringify({
+    definition: {
+        actions: {
+            Loop_a: { type: "Foreach", foreach: "@body('x')", actions: { Use_a: { type: "Compose", inputs: "@item()?['id']" } } },
+            Loop_b: { type: "Foreach", foreach: "@body('y')", actions: { Use_b: { type: "Compose", inputs: "@item()?['id']" } } }
+        }
+    }
+}, null, 4);
+const aItemExpressions = collectDocumentExpressions(sItemText, "json");
+const iItem = sItemText.indexOf("item()") + 1;
+assert(findOccurrences(parseFlowDefinition(sItemText), aItemExpressions, findExtractTarget(aItemExpressions, iItem, iItem)).length === 1, "item() only matches inside the same Foreach");
+
+console.log("\n--- Placement Tests ---");
+
+const oParallel = extract({
+    Get: { type: "Compose", inputs: 1 },
+    Left: { type: "Compose", runAfter: { Get: ["Succeeded"] }, inputs: "@formatDateTime(utcNow(), 'yyyy')" },
+    Right: { type: "Compose", runAfter: { Get: ["Succeeded"] }, inputs: "Year @{formatDatetime( utcNow() ,'yyyy')}" },
+    Later: { type: "Scope", runAfter: { Left: ["Succeeded"] }, actions: { Inner: { type: "Compose", inputs: "@toUpper(formatDateTime(utcNow(), 'yyyy'))" } } }
+}, "formatDateTime(utcNow()", "Year");
+const oYear = oParallel.oDefinition.actions.Year;
+assert(oParallel.iOccurrences === 3, "Every structurally identical occurrence is found, including nested actions");
+assert(oYear && oYear.type === "Compose" && oYear.inputs === "@formatDateTime(utcNow(), 'yyyy')" && Object.keys(oYear.runAfter).join(",") === "Get", "The Compose holds the expression and takes the first consumer's runAfter");
+assert(Object.keys(oParallel.oDefinition.actions.Left.runAfter).join(",") === "Year", "The first consumer runs after the Compose");
+assert(Object.keys(oParallel.oDefinition.actions.Right.runAfter).join(",") === "Get,Year", "Parallel consumers also wait for the Compose");
+assert(Object.keys(oParallel.oDefinition.actions.Later.runAfter).join(",") === "Left", "Consumers already after the first one are left alone");
+assert(oParallel.oDefinition.actions.Right.inputs === "Year @{outputs('Year')}" && oParallel.oDefinition.actions.Later.actions.Inner.inputs === "@toUpper(outputs('Year'))", "Occurrences are replaced with outputs('Year')");
+assert(checkRunAfter(parseFlowDefinition(oParallel.sText)).length === 0, "The runAfter graph stays valid");
+
+const oScoped = extract({
+    Outer: { type: "Compose", inputs: "@length(body('Get'))" },
+    Try: {
+        type: "Scope",
+        runAfter: { Outer: ["Succeeded"] },
+        actions: {
+            First: { type: "Compose", inputs: "@concat(variables('a'), '\"')" },
+            Second: { type: "Compose", runAfter: { First: ["Succeeded"] }, inputs: "@{concat(variables('a'),'\"')}" }
+        }
+    }
+}, "concat(", "Quoted");
+assert(oScoped.oDefinition.actions.Try.actions.Quoted && !oScoped.oDefinition.actions.Quoted, "The Compose goes in the innermost scope holding every consumer");
+assert(oScoped.oDefinition.actions.Try.actions.Quoted.inputs === "@concat(variables('a'), '\"')", "Escaped characters survive the move");
+assert(oScoped.sText.indexOf("\"Quoted\": {") < oScoped.sText.indexOf("\"First\": {"), "The Compose is written before the first consumer");
+assert(Object.keys(oScoped.oDefinition.actions.Try.actions.Second.runAfter).join(",") === "First", "Consumers running after the first one keep their runAfter");
+assert(checkRunAfter(parseFlowDefinition(oScoped.sText)).length === 0, "Scoped extraction keeps runAfter valid");
+
+console.log("\n--- Dependency Tests ---");
+
+const oReadInScope = {
+    Scope_main: {
+        type: "Scope",
+        actions: {
+            Get_item: { type: "OpenApiConnection", inputs: {} },
+            Use_one: { type: "Compose", runAfter: { Get_item: ["Succeeded"] }, inputs: "@body('Get_item')?['a']" }
+        }
+    },
+    Use_two: { type: "Compose", runAfter: { Scope_main: ["Succeeded"] }, inputs: "@body('Get_item')?['a']" }
+};
+const sProblem = placementProblem(oReadInScope, "body('Get_item')");
+assert(sProblem !== null && sProblem.indexOf("'Get_item'") !== -1, "An expression read inside a scope and after it is refused: nothing runs after Get_item and before both uses");
+assert(extract(oReadInScope, "body('Get_item')", "Extracted_a") === null, "No edits are built when extraction is refused");
+
+const oReadInSibling = extract({
+    Fetch: { type: "Scope", actions: { Get_item: { type: "OpenApiConnection", inputs: {} } } },
+    Start: { type: "Compose", inputs: 1 },
+    Use_one: { type: "Compose", runAfter: { Start: ["Succeeded"] }, inputs: "@body('Get_item')?['a']" },
+    Use_two: { type: "Compose", runAfter: { Use_one: ["Succeeded"], Fetch: ["Succeeded"] }, inputs: "@body('Get_item')?['a']" }
+}, "body('Get_item')", "Extracted_a");
+assert(oReadInSibling && Object.keys(oReadInSibling.oDefinition.actions.Extracted_a.runAfter).join(",") === "Start,Fetch", "The Compose also waits for the sibling holding the action it reads");
+assert(checkRunAfter(parseFlowDefinition(oReadInSibling.sText)).length === 0, "Waiting for the read action keeps runAfter valid");
+
+const oUpstreamRead = {
+    Get_item: { type: "OpenApiConnection", inputs: {} },
+    Try: {
+        type: "Scope",
+        runAfter: { Get_item: ["Succeeded"] },
+        actions: {
+            First: { type: "Compose", inputs: "@body('Get_item')?['a']" },
+            Second: { type: "Compose", runAfter: { First: ["Succeeded"] }, inputs: "@body('Get_item')?['a']" }
+        }
+    }
+};
+assert(placementProblem(oUpstreamRead, "body('Get_item')") === null, "Actions that ran before the enclosing scope can be read");
+oUpstreamRead.Try.runAfter = {};
+assert(placementProblem(oUpstreamRead, "body('Get_item')") !== null, "Actions running in parallel with the enclosing scope are refused");
+
+const oLoopRead = {
+    Loop: {
+        type: "Foreach",
+        foreach: "@body('x')",
+        actions: {
+            First: { type: "Compose", inputs: "@items('Loop')?['id']" },
+            Second: { type: "Compose", runAfter: { First: ["Succeeded"] }, inputs: "@items('Loop')?['id']" }
+        }
+    }
+};
+assert(placementProblem(oLoopRead, "items('Loop')") === null, "items() can be extracted inside its loop");
+
+const oCatchRead = {
+    Try: { type: "Scope", actions: {} },
+    Catch: { type: "Compose", runAfter: { Try: ["Failed", "TimedOut"] }, inputs: "@result('Try')" },
+    Report: { type: "Compose", runAfter: { Catch: ["Succeeded"] }, inputs: "@result('Try')" }
+};
+const sCatchProblem = placementProblem(oCatchRead, "result('Try')");
+assert(sCatchProblem !== null && sCatchProblem.indexOf("'Catch'") !== -1, "Extraction is refused when the first consumer runs on failure");
+assert(extract(oCatchRead, "result('Try')", "Extracted_result") === null, "No edits are built that would stop a Catch action from running");
+oCatchRead.Catch.runAfter = { Try: ["Succeeded"] };
+oCatchRead.Report.runAfter = { Try: ["Failed"] };
+assert(placementProblem(oCatchRead, "result('Try')") !== null, "Parallel consumers running on failure are refused too");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -0,0 +1,157 @@
+/**
+ * Test script for the flow graph (diagram model, layout, Mermaid and DOT export).
+ * Run with: node test/flowGraphTest.js
+ */
+const { parseFlowDefinition } = require("../src/flowDefinition");
+const { buildFlowGraph, getBlockRoots, layoutFlowGraph } = require("../src/flowGraph");
+const { toMermaid, toDot } = require("../src/flowExport");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Find a laid-out box by name
+ * @param {Object} oLayout
+ * @param {string} sName
+ * @returns {Object}
+ */
+function findBox(oLayout, sName) {
+    return oLayout.aBoxes.filter(function (oBox) {
+        return oBox.sName === sName;
+    })[0];
+}
+
+/**
+ * Check that one box lies inside another
+ * @param {Object} oInner
+ * @param {Object} oOuter
+ * @returns {boolean}
+ */
+function isInside(oInner, oOuter) {
+    return oInner.iX >= oOuter.iX && oInner.iY >= oOuter.iY
+        && oInner.iX + oInner.iWidth <= oOuter.iX + oOuter.iWidth
+        && oInner.iY + oInner.iHeight <= oOuter.iY + oOuter.iHeight;
+}
+
+const sText = JSON.stringify({
+    definition: {
+        triggers: { manual: { type: "Request" } },
+        actions: {
+            Init: { type: "InitializeVariable", runAfter: {} },
+            Left: { type: "Compose", runAfter: { Init: ["Succeeded"] } },
+            Right: { type: "Compose", runAfter: { Init: ["Succeeded"] } },
+            Check: {
+                type: "If",
+                expression: { equals: [1, 1] },
+                runAfter: { Left: ["Succeeded"], Right: ["Succeeded"] },
+                actions: { Yes: { type: "Compose" } }
+            },
+            Route: {
+                type: "Switch",
+                expression: "@outputs('Left')",
+                runAfter: { Check: ["Failed", "TimedOut"] },
+                cases: { Case_1: { "case": "a", actions: { One: { type: "Compose" } } } },
+                "default": { actions: {} }
+            },
+            Cleanup: { type: "Scope", runAfter: { Route: ["Skipped"] }, actions: { Tidy: { type: "Compose" } } }
+        }
+    }
+}, null, 4);
+const oFlow = parseFlowDefinition(sText);
+const oGraph = buildFlowGraph(oFlow);
+
+console.log("\n--- Graph Tests ---");
+
+assert(oGraph.aTriggers.length === 1 && oGraph.aTriggers[0].sKind === "trigger", "Triggers become trigger nodes");
+assert(oGraph.oBlock.aNodes.map(function (oNode) {
+    return oNode.sName;
+}).join(",") === "Init,Left,Right,Check,Route,Cleanup", "Top-level nodes are in execution order");
+assert(oGraph.oBlock.aEdges.length === 6, "runAfter entries become edges between siblings");
+assert(getBlockRoots(oGraph.oBlock).map(function (oNode) {
+    return oNode.sName;
+}).join(",") === "Init", "Roots are nodes with no runAfter inside their block");
+
+const oCheck = oGraph.oBlock.aNodes[3];
+assert(oCheck.sKind === "container" && oCheck.aBranches.map(function (oBranch) {
+    return oBranch.sLabel;
+}).join(",") === "If yes,If no", "Conditions always show both branches");
+const oRoute = oGraph.oBlock.aNodes[4];
+assert(oRoute.aBranches.map(function (oBranch) {
+    return oBranch.sLabel + ":" + oBranch.aNodes.length;
+}).join(",") === "Case Case_1:1,Default:0", "Switches have a branch per case plus the default");
+assert(oGraph.oBlock.aNodes[5].aBranches.length === 1 && oGraph.oBlock.aNodes[5].aBranches[0].sLabel === "", "Scopes have a single unlabelled block");
+
+console.log("\n--- Layout Tests ---");
+
+const oLayout = layoutFlowGraph(oGraph);
+const oLeft = findBox(oLayout, "Left");
+const oRight = findBox(oLayout, "Right");
+assert(oLeft.iY === oRight.iY && oLeft.iX < oRight.iX, "Parallel branches are laid out side by side");
+assert(findBox(oLayout, "Init").iY < oLeft.iY && oLeft.iY < findBox(oLayout, "Check").iY, "Actions sit below what they run after");
+assert(findBox(oLayout, "manual").iY < findBox(oLayout, "Init").iY, "The trigger sits on top");
+assert(isInside(findBox(oLayout, "Yes"), findBox(oLayout, "If yes")) && isInside(findBox(oLayout, "If yes"), findBox(oLayout, "Check")), "Container boxes enclose their branches and children");
+assert(findBox(oLayout, "If yes").iX + findBox(oLayout, "If yes").iWidth <= findBox(oLayout, "If no").iX, "Branches do not overlap");
+assert(oLayout.aBoxes.indexOf(findBox(oLayout, "Check")) < oLayout.aBoxes.indexOf(findBox(oLayout, "Yes")), "Containers are listed before their children so they are drawn behind them");
+assert(oLayout.aBoxes.every(function (oBox) {
+    return oBox.iX >= 0 && oBox.iY >= 0 && oBox.iX + oBox.iWidth <= oLayout.iWidth && oBox.iY + oBox.iHeight <= oLayout.iHeight;
+}), "The diagram size covers every box");
+
+const oInitBox = findBox(oLayout, "Init");
+assert(sText.substring(oInitBox.iSelectionStart, oInitBox.iSelectionEnd) === "\"Init\"", "Boxes carry the offsets of the action's key for reveal");
+
+const aLabels = oLayout.aEdges.map(function (oEdge) {
+    return oEdge.sLabel + "/" + oEdge.sStatus;
+}).filter(function (sLabel) {
+    return sLabel !== "/succeeded";
+});
+assert(aLabels.sort().join(";") === "Failed, TimedOut/mixed;Skipped/skipped", "Edges are labelled and styled with their non-success statuses");
+assert(oLayout.aEdges.length === 7, "The trigger gets an edge to each root");
+
+const oEmpty = layoutFlowGraph(buildFlowGraph(parseFlowDefinition(JSON.stringify({ definition: { triggers: {}, actions: {} } }))));
+assert(oEmpty.aBoxes.length === 0 && oEmpty.aEdges.length === 0, "An empty flow lays out without boxes");
+
+console.log("\n--- Mermaid Tests ---");
+
+const sMermaid = toMermaid(oGraph);
+const aMermaidLines = sMermaid.split("\n");
+assert(aMermaidLines[0] === "flowchart TD", "Mermaid output is a top-down flowchart");
+assert(aMermaidLines.indexOf("    t0([\"manual\"])") !== -1 && aMermaidLines.indexOf("    a0[\"Init\"]") !== -1, "Triggers and actions become nodes");
+assert(sMermaid.indexOf("    subgraph a3 [\"Check\"]\n        direction TB\n        subgraph b1 [\"If yes\"]\n            a4[\"Yes\"]\n        end\n    end") !== -1, "Conditions become subgraphs with a nested subgraph per non-empty branch");
+assert(sMermaid.indexOf("subgraph a7 [\"Cleanup\"]\n        direction TB\n        a8[\"Tidy\"]\n    end") !== -1, "Scopes become subgraphs holding their actions directly");
+assert(aMermaidLines.indexOf("    t0 --> a0") !== -1 && aMermaidLines.indexOf("    a0 --> a1") !== -1, "Succeeded runAfter entries become plain arrows");
+assert(aMermaidLines.indexOf("    a3 -.->|\"Failed, TimedOut\"| a5") !== -1 && aMermaidLines.indexOf("    a5 -.->|\"Skipped\"| a7") !== -1, "Failure and skip edges are dotted and labelled");
+assert(sMermaid.indexOf("linkStyle") !== -1, "Failure and skip edges are coloured");
+const oQuoted = buildFlowGraph(parseFlowDefinition(JSON.stringify({ definition: { actions: { "Say \"hi\"": { type: "Compose" } } } })));
+assert(toMermaid(oQuoted).indexOf("a0[\"Say #quot;hi#quot;\"]") !== -1, "Quotes in names are escaped");
+const oEntities = buildFlowGraph(parseFlowDefinition(JSON.stringify({ definition: { actions: { "A#1;x": { type: "Compose" }, "<item>": { type: "Compose", runAfter: { "A#1;x": ["Succeeded"] } } } } })));
+const sEntities = toMermaid(oEntities);
+assert(sEntities.indexOf("a0[\"A#35;1;x\"]") !== -1 && sEntities.indexOf("a1[\"#lt;item#gt;\"]") !== -1, "# < and > in names are written as Mermaid entity codes");
+
+console.log("\n--- DOT Tests ---");
+
+const sDot = toDot(oGraph);
+assert(sDot.indexOf("digraph flow {\n    compound=true;") === 0 && sDot.trim().slice(-1) === "}", "DOT output is a compound digraph");
+assert(sDot.indexOf("    subgraph cluster_a3 {\n        label=\"Check\";") !== -1 && sDot.indexOf("subgraph cluster_b1 {\n            label=\"If yes\";") !== -1, "Containers and branches become clusters");
+assert(sDot.indexOf("    a1 -> a3 [lhead=cluster_a3];") !== -1, "Edges into a container attach to its cluster");
+assert(sDot.indexOf("    a3 -> a5 [label=\"Failed, TimedOut\", style=dashed, color=\"#ca5010\", fontcolor=\"#ca5010\", ltail=cluster_a3, lhead=cluster_a5];") !== -1, "Failure edges are dashed, coloured and labelled");
+assert(sDot.indexOf("    a3 -> a4;") !== -1, "Container headers lead to the first actions of each branch");
+assert(toDot(oQuoted).indexOf("a0 [label=\"Say \\\"hi\\\"\"];") !== -1, "Quotes in names are escaped");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
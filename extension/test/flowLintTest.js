@@ -0,0 +1,129 @@
+/**
+ * Test script for the flow lint rules (rules, severities from settings, suppression).
+ * Run with: node test/flowLintTest.js
+ */
+const { parseFlowDefinition } = require("../src/flowDefinition");
+const { aLintRules, runLintRules } = require("../src/flowLint");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Lint a definition's actions and describe the issues as "code:text"
+ * @param {Object} oActions - the definition's actions
+ * @param {Object} [oOptions] - passed to runLintRules
+ * @param {Object} [oExtra] - extra definition properties
+ * @returns {Array<string>}
+ */
+function lintActions(oActions, oOptions, oExtra) {
+    const sText = JSON.stringify({ definition: Object.assign({ triggers: {}, actions: oActions }, oExtra || {}) }, null, 4);
+    return runLintRules(parseFlowDefinition(sText), sText, oOptions).map(function (oIssue) {
+        return oIssue.sCode + ":" + sText.substring(oIssue.iStart, oIssue.iEnd);
+    });
+}
+
+/**
+ * Lint and keep only the issues of one rule
+ * @param {string} sRuleId
+ * @param {Object} oActions
+ * @param {Object} [oOptions]
+ * @returns {Array<string>}
+ */
+function lintRule(sRuleId, oActions, oOptions) {
+    return lintActions(oActions, oOptions).filter(function (sIssue) {
+        return sIssue.indexOf(sRuleId + ":") === 0;
+    });
+}
+
+/**
+ * A Try scope with a Catch scope, so missingTryCatch stays quiet
+ * @param {Object} oTryActions
+ * @returns {Object}
+ */
+function withTryCatch(oTryActions) {
+    return {
+        Try: { type: "Scope", actions: oTryActions },
+        Catch: { type: "Scope", runAfter: { Try: ["Failed", "TimedOut"] }, actions: {} }
+    };
+}
+
+console.log("\n--- Rule Tests ---");
+
+assert(lintRule("defaultActionName", { Compose_3: { type: "Compose" }, Apply_to_each: { type: "Foreach" }, Get_manager: { type: "Compose" } }).join(";") === "defaultActionName:\"Compose_3\";defaultActionName:\"Apply_to_each\"", "Designer default names are flagged, with or without a number");
+assert(lintRule("foreachConcurrency", {
+    Loop_items: { type: "Foreach", foreach: "@body('x')", actions: {} },
+    Loop_fast: { type: "Foreach", foreach: "@body('x')", actions: {}, runtimeConfiguration: { concurrency: { repetitions: 10 } } }
+}).join(";") === "foreachConcurrency:\"Loop_items\"", "Loops without a concurrency setting are flagged");
+assert(lintRule("missingTryCatch", { Only: { type: "Compose" } }).join(";") === "missingTryCatch:\"actions\"", "Flows without a catch scope are flagged on the actions key");
+assert(lintRule("missingTryCatch", withTryCatch({ Only: { type: "Compose" } })).length === 0, "A Scope running after a failed Scope counts as Try/Catch");
+assert(lintRule("hardCodedEmail", { Notify: { type: "OpenApiConnection", inputs: { host: { connectionName: "x" }, parameters: { "emailMessage/To": "jane.doe@contoso.com;@{variables('cc')}" } } } }).join(";") === "hardCodedEmail:jane.doe@contoso.com", "Email addresses in inputs are flagged at the address itself");
+assert(lintRule("hardCodedUrl", {
+    Call: { type: "Http", inputs: { method: "GET", uri: "https://api.contoso.com/v1/items" } },
+    Parse: { type: "ParseJson", inputs: { content: "@body('Call')", schema: { $schema: "http://json-schema.org/draft-04/schema#" } } }
+}).join(";") === "hardCodedUrl:https://api.contoso.com/v1/items", "URLs in inputs are flagged, JSON schemas are not");
+assert(lintRule("variableInLoop", {
+    Init_total: { type: "InitializeVariable", inputs: { variables: [] } },
+    Loop: { type: "Until", expression: "@true", actions: { Scope_inner: { type: "Scope", actions: { Init_inner: { type: "InitializeVariable", inputs: { variables: [] } } } } } }
+}).join(";") === "variableInLoop:\"Init_inner\"", "Initialize Variable nested anywhere inside a loop is flagged");
+const oDelays = {
+    Wait_short: { type: "Wait", inputs: { interval: { count: 30, unit: "Minute" } } },
+    Wait_long: { type: "Wait", inputs: { interval: { count: 2, unit: "Day" } } }
+};
+assert(lintRule("longDelay", oDelays).join(";") === "longDelay:\"Wait_long\"", "Delays over the default 60 minute threshold are flagged");
+assert(lintRule("longDelay", oDelays, { iDelayThresholdMinutes: 10 }).length === 2, "The Delay threshold can be configured");
+assert(lintRule("insecureHttpAuth", {
+    Call_api: { type: "Http", inputs: { method: "GET", uri: "@parameters('url')", headers: { Authorization: "Bearer @{variables('token')}" } } },
+    Call_secure: {
+        type: "Http",
+        inputs: { method: "GET", uri: "@parameters('url')", headers: { authorization: "@variables('token')" } },
+        runtimeConfiguration: { secureData: { properties: ["inputs", "outputs"] } }
+    },
+    Call_anonymous: { type: "Http", inputs: { method: "GET", uri: "@parameters('url')" } }
+}).join(";") === "insecureHttpAuth:\"Call_api\"", "HTTP actions with an Authorization header need secure inputs and outputs");
+assert(lintRule("nullSafeAccess", {
+    Show: { type: "Compose", inputs: "@{triggerBody()['name']} @{triggerBody()?['title']} @{body('Get')?.value.length} @{json('{}')['a']}" }
+}).join(";") === "nullSafeAccess:['name'];nullSafeAccess:.length", "Property accesses on run data without '?' are flagged at the accessor");
+
+console.log("\n--- Settings Tests ---");
+
+const aSeverities = runLintRules(parseFlowDefinition(JSON.stringify({ definition: { actions: { Compose: { type: "Compose" } } } })), "", {}).map(function (oIssue) {
+    return oIssue.sCode + ":" + oIssue.sSeverity;
+});
+assert(aSeverities.join(";") === "defaultActionName:warning;missingTryCatch:information", "Rules use their default severity and the rule id as code");
+assert(lintActions({ Compose: { type: "Compose" } }, { oSeverities: { defaultActionName: "off", missingTryCatch: "off" } }).length === 0, "Rules can be turned off");
+const sErrorText = JSON.stringify({ definition: { actions: { Compose: { type: "Compose" } } } });
+assert(runLintRules(parseFlowDefinition(sErrorText), sErrorText, { oSeverities: { defaultActionName: "error", missingTryCatch: "bogus" } }).map(function (oIssue) {
+    return oIssue.sSeverity;
+}).join(",") === "error,information", "Severities come from settings; unknown values fall back to the default");
+assert(aLintRules.every(function (oRule) {
+    return oRule.sId && oRule.sDescription && oRule.sDefaultSeverity && typeof oRule.fnCheck === "function";
+}), "Every rule has an id, description, default severity and check");
+
+console.log("\n--- Suppression Tests ---");
+
+assert(lintRule("defaultActionName", { Compose_2: { type: "Compose", description: "Kept for the template. pa-lint-disable defaultActionName" } }).length === 0, "A rule named in an action's description is suppressed for that action");
+assert(lintRule("defaultActionName", { Compose_2: { type: "Compose", description: "pa-lint-disable hardCodedUrl" } }).length === 1, "Other rules are not suppressed");
+assert(lintRule("hardCodedEmail", withTryCatch({ Notify: { type: "Compose", inputs: "a@contoso.com" } })).length === 1
+    && lintActions(withTryCatch({ Notify: { type: "Compose", inputs: "a@contoso.com" } }), {}, { description: "pa-lint-disable" }).length === 0, "A bare directive in the definition description suppresses every rule");
+const oSuppressedScope = withTryCatch({ Compose_1: { type: "Compose" } });
+oSuppressedScope.Try.description = "pa-lint-disable defaultActionName";
+assert(lintRule("defaultActionName", oSuppressedScope).length === 0, "Suppressing on a scope covers the actions inside it");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
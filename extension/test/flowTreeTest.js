@@ -0,0 +1,130 @@
+/**
+ * Test script for the flow tree (execution order, connectors, drag-and-drop moves).
+ * Run with: node test/flowTreeTest.js
+ */
+const { parseFlowDefinition, findAction } = require("../src/flowDefinition");
+const { getExecutionOrder, getConnectorName, buildFlowTree, buildMoveEdits } = require("../src/flowTree");
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * List node names, with children in parentheses
+ * @param {Array<Object>} aNodes
+ * @returns {string}
+ */
+function describeTree(aNodes) {
+    return aNodes.map(function (oNode) {
+        return oNode.sName + (oNode.aChildren.length > 0 ? "(" + describeTree(oNode.aChildren) + ")" : "");
+    }).join(",");
+}
+
+/**
+ * Apply offset edits to a text, last edit first
+ * @param {string} sText
+ * @param {Array<Object>} aEdits
+ * @returns {string}
+ */
+function applyEdits(sText, aEdits) {
+    const aSorted = aEdits.slice().sort(function (oLeft, oRight) {
+        return oRight.iStart - oLeft.iStart;
+    });
+    let sResult = sText;
+    for (let i = 0; i < aSorted.length; i++) {
+        sResult = sResult.substring(0, aSorted[i].iStart) + aSorted[i].sNewText + sResult.substring(aSorted[i].iEnd);
+    }
+    return sResult;
+}
+
+const sText = JSON.stringify({
+    properties: {
+        connectionReferences: { shared_sharepointonline_1: { api: { name: "shared_sharepointonline" } } },
+        definition: {
+            triggers: { manual: { type: "Request" } },
+            actions: {
+                Notify: { type: "ApiConnection", runAfter: { Get_items: ["Succeeded", "Failed"] }, inputs: { host: { connection: { name: "@parameters('$connections')['shared_office365']['connectionId']" } } } },
+                Get_items: { type: "OpenApiConnection", runAfter: { Init: ["Succeeded"] }, inputs: { host: { connectionName: "shared_sharepointonline_1", operationId: "GetItems" } } },
+                Init: { type: "InitializeVariable", runAfter: {}, inputs: { variables: [] } },
+                Loop: {
+                    type: "Foreach",
+                    foreach: "@body('Get_items')",
+                    runAfter: { Notify: ["Succeeded"] },
+                    actions: { Second: { type: "Compose", runAfter: { First: ["Succeeded"] } }, First: { type: "Compose" } }
+                }
+            }
+        }
+    }
+}, null, 4);
+const oFlow = parseFlowDefinition(sText);
+
+console.log("\n--- Execution Order Tests ---");
+
+assert(getExecutionOrder(oFlow.aTopLevel).map(function (oAction) {
+    return oAction.sName;
+}).join(",") === "Init,Get_items,Notify,Loop", "Actions are ordered by runAfter rather than key order");
+assert(describeTree(buildFlowTree(oFlow)) === "manual,Init,Get_items,Notify,Loop(First,Second)", "The tree lists the trigger first and orders nested actions too");
+const oCycle = parseFlowDefinition(JSON.stringify({ definition: { actions: { A: { runAfter: { B: [] } }, B: { runAfter: { A: [] } }, C: {} } } }));
+assert(getExecutionOrder(oCycle.aTopLevel).map(function (oAction) {
+    return oAction.sName;
+}).join(",") === "C,A,B", "Actions in a cycle are listed last in document order");
+
+console.log("\n--- Connector Tests ---");
+
+assert(getConnectorName(oFlow, findAction(oFlow, "Get_items")) === "sharepointonline", "OpenApiConnection actions use the connection reference's API name");
+assert(getConnectorName(oFlow, findAction(oFlow, "Notify")) === "office365", "ApiConnection actions use the $connections key");
+assert(getConnectorName(oFlow, findAction(oFlow, "Init")) === "", "Built-in actions have no connector");
+assert(buildFlowTree(oFlow)[2].aRunAfter.join(",") === "Init", "Tree nodes list what they run after");
+
+console.log("\n--- Move Tests ---");
+
+const sMoved = applyEdits(sText, buildMoveEdits(sText, oFlow, findAction(oFlow, "Loop"), findAction(oFlow, "Init")));
+const oMoved = parseFlowDefinition(sMoved);
+assert(describeTree(buildFlowTree(oMoved)) === "manual,Init,Loop(First,Second),Get_items,Notify", "Dropping an action on a sibling makes it run right after it");
+assert(JSON.parse(sMoved).properties.definition.actions.Get_items.runAfter.Loop[0] === "Succeeded", "The target's dependants now run after the moved action");
+
+const sStatuses = applyEdits(sText, buildMoveEdits(sText, oFlow, findAction(oFlow, "Get_items"), findAction(oFlow, "Notify")));
+const oStatusActions = JSON.parse(sStatuses).properties.definition.actions;
+assert(JSON.stringify(oStatusActions.Notify.runAfter) === "{\"Init\":[\"Succeeded\",\"Failed\"]}" && JSON.stringify(oStatusActions.Loop.runAfter) === "{\"Get_items\":[\"Succeeded\"]}", "Dependants of the moved action inherit its runAfter entries with their own statuses");
+
+const sTryCatch = JSON.stringify({
+    definition: {
+        actions: {
+            Try: { type: "Scope", runAfter: {} },
+            Catch: { type: "Scope", runAfter: { Try: ["Failed", "TimedOut"] } },
+            Log: { type: "Compose", runAfter: { Catch: ["Succeeded"] } },
+            Audit: { type: "Compose", runAfter: { Log: ["Succeeded"] } }
+        }
+    }
+}, null, 4);
+const oTryCatch = parseFlowDefinition(sTryCatch);
+const oCatchMoved = JSON.parse(applyEdits(sTryCatch, buildMoveEdits(sTryCatch, oTryCatch, findAction(oTryCatch, "Catch"), findAction(oTryCatch, "Log")))).definition.actions;
+assert(JSON.stringify(oCatchMoved.Catch.runAfter) === "{\"Log\":[\"Failed\",\"TimedOut\"]}", "A moved Catch scope keeps the statuses it waited for");
+assert(JSON.stringify(oCatchMoved.Audit.runAfter) === "{\"Catch\":[\"Succeeded\"]}", "The target's dependants keep their statuses on the moved action");
+const oCatchTarget = JSON.parse(applyEdits(sTryCatch, buildMoveEdits(sTryCatch, oTryCatch, findAction(oTryCatch, "Log"), findAction(oTryCatch, "Try")))).definition.actions;
+assert(JSON.stringify(oCatchTarget.Catch.runAfter) === "{\"Log\":[\"Failed\",\"TimedOut\"]}", "A Catch scope that now follows the moved action still runs on failure");
+assert(JSON.stringify(oCatchTarget.Audit.runAfter) === "{\"Catch\":[\"Succeeded\"]}", "Dependants of the moved action keep their statuses on its old predecessor");
+
+const sFirst = applyEdits(sText, buildMoveEdits(sText, oFlow, findAction(oFlow, "Second"), null));
+assert(describeTree(buildFlowTree(parseFlowDefinition(sFirst))) === "manual,Init,Get_items,Notify,Loop(Second,First)", "Dropping on the container runs the action first, adding runAfter where it was missing");
+assert(sFirst.indexOf("\n" + "    ".repeat(7) + "\"runAfter\": {\n" + "    ".repeat(8) + "\"Second\": [") !== -1, "Inserted runAfter properties follow the document's indentation");
+
+assert(buildMoveEdits(sText, oFlow, findAction(oFlow, "First"), findAction(oFlow, "Init")) === null, "Actions cannot be moved into another block");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
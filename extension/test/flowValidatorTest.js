@@ -0,0 +1,264 @@
+/**
+ * Test script for workflow definition checks.
+ * Run with: node test/flowValidatorTest.js
+ */
+const path = require("path");
+const { parseFunctionReference } = require("../src/parser");
+const { buildFunctionMap } = require("../src/expressionValidator");
+const { collectDocumentExpressions } = require("../src/expressionParser");
+const { parseFlowDefinition, collectVariables } = require("../src/flowDefinition");
+const { checkVariables, checkPropertyAccess, checkActionReferences, checkRunAfter } = require("../src/flowValidator");
+const { checkFlowStructure, sWorkflowSchemaUrl } = require("../src/flowStructure");
+
+const sRefPath = path.join(__dirname, "..", "expression-functions-reference.md");
+const oFuncMap = buildFunctionMap(parseFunctionReference(sRefPath));
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Run checkVariables over a definition and return the issues with the text they cover
+ * @param {Object} oDefinition
+ * @returns {Array<Object>}
+ */
+function checkDefinition(oDefinition) {
+    const sText = JSON.stringify({ definition: oDefinition }, null, 4);
+    const aIssues = checkVariables(parseFlowDefinition(sText), collectDocumentExpressions(sText, "json"), oFuncMap);
+    return aIssues.map(function (oIssue) {
+        return { sCode: oIssue.sCode, sText: sText.substring(oIssue.iStart, oIssue.iEnd), sMessage: oIssue.sMessage };
+    });
+}
+
+function initialize(sName, sType, vValue) {
+    return { type: "InitializeVariable", inputs: { variables: [{ name: sName, type: sType, value: vValue }] } };
+}
+
+console.log("\n--- Variable Tests ---");
+const oDefinition = {
+    actions: {
+        Init_count: initialize("count", "integer", 0),
+        Init_name: initialize("Name", "string", "@{triggerBody()?['title']}"),
+        Init_list: initialize("list", "array", "@createArray(1)"),
+        Increment: { type: "IncrementVariable", inputs: { name: "count", value: 1 } },
+        Set_name: { type: "SetVariable", inputs: { name: "name", value: "@variables('count')" } }
+    }
+};
+const aVariables = collectVariables(parseFlowDefinition(JSON.stringify({ definition: oDefinition })));
+assert(aVariables.length === 3 && aVariables[0].sType === "integer" && aVariables[0].vValue === 0, "InitializeVariable declarations are collected");
+assert(aVariables[2].aTypes[0] === "Array", "Declared types map to expression types");
+
+let aIssues = checkDefinition(oDefinition);
+assert(aIssues.length === 1 && aIssues[0].sText === "\"@variables('count')\"" && aIssues[0].sCode === "variableTypeMismatch", "Setting a String variable to an Integer expression is flagged");
+
+aIssues = checkDefinition({
+    actions: {
+        Init: initialize("text", "string", 5),
+        Increment: { type: "IncrementVariable", inputs: { name: "text", value: 1 } },
+        Append: { type: "AppendToArrayVariable", inputs: { name: "missing", value: 1 } },
+        Compose: { type: "Compose", inputs: "@{variables('TEXT')} @{variables('other')}" }
+    }
+});
+const aTexts = aIssues.map(function (oIssue) {
+    return oIssue.sCode + ":" + oIssue.sText;
+});
+assert(aTexts.indexOf("variableTypeMismatch:5") !== -1, "An initial value of the wrong type is flagged");
+assert(aTexts.indexOf("variableTypeMismatch:\"text\"") !== -1, "IncrementVariable on a String variable is flagged");
+assert(aTexts.indexOf("unknownVariable:\"missing\"") !== -1, "Actions targeting unknown variables are flagged");
+assert(aTexts.indexOf("unknownVariable:'other'") !== -1 && aIssues.length === 4, "Unknown variables('...') references are flagged and names ignore case");
+
+console.log("\n--- Schema Property Tests ---");
+const oOrderSchema = {
+    type: "object",
+    properties: {
+        customer: { type: "object", properties: { name: { type: "string" } } },
+        lines: { type: "array", items: { type: "object", properties: { sku: { type: "string" } } } },
+        extra: { type: "object", additionalProperties: true, properties: { a: { type: "string" } } }
+    }
+};
+const sOrderFlow = JSON.stringify({
+    definition: {
+        actions: {
+            Parse_JSON: { type: "ParseJson", inputs: { content: "@triggerBody()", schema: oOrderSchema } },
+            Apply_to_each: {
+                type: "Foreach",
+                foreach: "@body('Parse_JSON')?['lines']",
+                actions: { Compose: { type: "Compose", inputs: "@{items('Apply_to_each')?['sku']} @{items('Apply_to_each')?['price']}" } }
+            },
+            Compose_2: { type: "Compose", inputs: "@{body('Parse_JSON')?['Customer'].name} @{body('Parse_JSON')?['customer']?['email']?['x']} @{outputs('Parse_JSON')?['body']?['extra']?['b']}" }
+        }
+    }
+}, null, 4);
+const aPropertyIssues = checkPropertyAccess(parseFlowDefinition(sOrderFlow), collectDocumentExpressions(sOrderFlow, "json")).map(function (oIssue) {
+    return sOrderFlow.substring(oIssue.iStart, oIssue.iEnd);
+});
+assert(aPropertyIssues.indexOf("'price'") !== -1, "Unknown properties of a Foreach item over a Parse JSON array are flagged");
+assert(aPropertyIssues.indexOf("'email'") !== -1, "Unknown nested Parse JSON properties are flagged");
+assert(aPropertyIssues.length === 2, "Known keys, keys below an unknown one and additionalProperties schemas are not flagged");
+
+console.log("\n--- Action Reference Tests ---");
+const sReferenceFlow = JSON.stringify({
+    definition: {
+        actions: {
+            "Get items": { type: "Compose" },
+            Show: { type: "Compose", inputs: "@{body('Get_itmes')} @{outputs('Get_items')} @{body('Nothing_like_it')}" }
+        }
+    }
+}, null, 4);
+const aReferenceIssues = checkActionReferences(parseFlowDefinition(sReferenceFlow), collectDocumentExpressions(sReferenceFlow, "json"));
+assert(aReferenceIssues.map(function (oIssue) {
+    return sReferenceFlow.substring(oIssue.iStart, oIssue.iEnd);
+}).join(",") === "Get_itmes,Nothing_like_it", "References to missing actions are flagged on the name, existing ones are not");
+assert(aReferenceIssues[0].sMessage.indexOf("Did you mean 'Get_items'?") !== -1 && aReferenceIssues[1].sMessage.indexOf("Did you mean") === -1, "The closest existing action is suggested when there is one");
+
+console.log("\n--- RunAfter Tests ---");
+
+/**
+ * Run checkRunAfter over a definition and return "code:text" strings for each issue
+ * @param {Object} oDefinition
+ * @returns {Array<string>}
+ */
+function checkRunAfterOf(oDefinition) {
+    const sText = JSON.stringify({ definition: oDefinition }, null, 4);
+    return checkRunAfter(parseFlowDefinition(sText)).map(function (oIssue) {
+        return oIssue.sCode + ":" + sText.substring(oIssue.iStart, oIssue.iEnd);
+    });
+}
+
+assert(checkRunAfterOf({
+    triggers: { manual: { type: "Request" } },
+    actions: {
+        A: { type: "Compose", runAfter: {} },
+        B: { type: "Compose", runAfter: { A: ["Succeeded", "Failed"] } },
+        Scope: { type: "Scope", runAfter: { B: ["skipped", "TimedOut"] }, actions: { C: { type: "Compose" }, D: { type: "Compose", runAfter: { C: ["Succeeded"] } } } }
+    }
+}).length === 0, "Valid runAfter chains, statuses and nested blocks have no issues");
+
+assert(checkRunAfterOf({
+    triggers: { manual: { type: "Request" } },
+    actions: {
+        A: { type: "Compose", runAfter: { manual: ["Succeeded"] } },
+        Scope: { type: "Scope", actions: { C: { type: "Compose", runAfter: { Missing: ["Succeeded"] } }, D: { type: "Compose", runAfter: { Scope: ["Succeeded"] } } } }
+    }
+}).join("|") === "runAfterScope:\"manual\"|runAfterMissing:\"Missing\"|runAfterScope:\"Scope\"", "Targets that are missing, triggers or in another block are errors");
+
+assert(checkRunAfterOf({
+    actions: { A: { type: "Compose" }, B: { type: "Compose", runAfter: { A: ["Succeded", 1] } }, C: { type: "Compose", runAfter: { A: "Succeeded" } } }
+}).join("|") === "runAfterStatus:\"Succeded\"|runAfterStatus:1|runAfterStatus:\"Succeeded\"", "Unknown statuses and non-array status lists are errors");
+
+const aCycleIssues = checkRunAfterOf({
+    actions: {
+        Start: { type: "Compose" },
+        A: { type: "Compose", runAfter: { C: ["Succeeded"] } },
+        B: { type: "Compose", runAfter: { A: ["Succeeded"] } },
+        C: { type: "Compose", runAfter: { B: ["Succeeded"], Start: ["Succeeded"] } },
+        After: { type: "Compose", runAfter: { B: ["Succeeded"] } }
+    }
+});
+assert(aCycleIssues.length === 2 && aCycleIssues[0] === "runAfterCycle:\"A\"", "runAfter cycles are reported once");
+assert(aCycleIssues[1] === "unreachableAction:\"After\"", "Actions waiting on a cycle can never run");
+
+assert(checkRunAfterOf({
+    actions: { A: { type: "Compose", runAfter: { B: ["Succeeded"] } }, B: { type: "Compose", runAfter: { A: ["Succeeded"] } } }
+}).join("|") === "runAfterCycle:\"A\"", "A block with no starting action reports its cycle");
+
+assert(checkRunAfterOf({
+    actions: { A: { type: "Compose", runAfter: { Gone: ["Succeeded"] } }, B: { type: "Compose", runAfter: { A: ["Succeeded"] } }, C: { type: "Compose" } }
+}).join("|") === "runAfterMissing:\"Gone\"|unreachableAction:\"B\"", "Actions after a broken runAfter are unreachable");
+
+console.log("\n--- Structure Tests ---");
+
+/**
+ * Run checkFlowStructure over a clientdata document and return "code:text" strings for each issue
+ * @param {Object} oClientData
+ * @returns {Array<string>}
+ */
+function checkStructureOf(oClientData) {
+    const sText = JSON.stringify(oClientData, null, 4);
+    return checkFlowStructure(parseFlowDefinition(sText)).map(function (oIssue) {
+        return oIssue.sCode + ":" + sText.substring(oIssue.iStart, oIssue.iEnd);
+    });
+}
+
+/**
+ * Wrap actions in a complete clientdata document
+ * @param {Object} oActions
+ * @returns {Object}
+ */
+function clientData(oActions) {
+    return {
+        properties: {
+            connectionReferences: { shared_sharepointonline: {} },
+            definition: {
+                "$schema": sWorkflowSchemaUrl,
+                contentVersion: "1.0.0.0",
+                triggers: { manual: { type: "Request", kind: "Button", inputs: { schema: {} } } },
+                actions: oActions
+            }
+        },
+        schemaVersion: "1.0.0.0"
+    };
+}
+
+const oActionSamples = require("../actions.json");
+const oSampleActions = {};
+Object.keys(oActionSamples).filter(function (sKey) {
+    return sKey !== "flow";
+}).forEach(function (sKey) {
+    oSampleActions[sKey] = oActionSamples[sKey];
+});
+assert(checkStructureOf(clientData(oSampleActions)).length === 0, "The action snippets in actions.json are structurally valid");
+assert(checkStructureOf(require("./sample-workflow.json")).length === 0, "sample-workflow.json, which has no contentVersion, is structurally valid");
+
+assert(checkStructureOf({ properties: { definition: { actions: {}, triggers: { a: { type: "Request" } } } } }).join("|") ===
+    "missingProperty:\"properties\"|missingProperty:\"definition\"", "A missing connectionReferences and $schema are reported, contentVersion is optional");
+
+const oWrongTypes = clientData({ A: { type: "Compose", inputs: 1, runAfter: [], foo: 1 } });
+oWrongTypes.properties.definition.$schema = "https://example.com/schema.json#";
+oWrongTypes.properties.definition.triggers.second = { type: "Recurrence", recurrence: { frequency: "Daily", interval: 1 } };
+assert(checkStructureOf(oWrongTypes).join("|") ===
+    "invalidValue:\"https://example.com/schema.json#\"|triggerCount:\"triggers\"|invalidValue:\"Daily\"|invalidPropertyType:[]|unexpectedProperty:\"foo\"",
+    "Wrong schema URLs, trigger counts, property types, enum values and unknown properties are reported");
+
+assert(checkStructureOf(clientData({
+    Loop: { type: "Foreach", actions: {} },
+    Cond: { type: "If", expression: "@true", actions: {}, else: {}, foreach: "@x" },
+    Pick: { type: "Switch", expression: "@1", cases: { One: { actions: {} } } },
+    Get: { type: "OpenApiConnection", inputs: { host: { connectionName: "shared_missing" } } },
+    Stop: { type: "Terminate", inputs: { runStatus: "Aborted" } },
+    Pause: { type: "Wait", inputs: {} }
+})).join("|") === [
+    "missingProperty:\"Loop\"",
+    "unexpectedProperty:\"foreach\"",
+    "missingProperty:\"else\"",
+    "missingProperty:\"One\"",
+    "missingProperty:\"Get\"",
+    "unknownConnection:\"shared_missing\"",
+    "invalidValue:\"Aborted\"",
+    "missingProperty:\"Pause\""
+].join("|"), "Per-type rules report missing foreach, else actions, case values, operationId, bad run statuses and wait inputs");
+
+const oApprovalHost = { connectionName: "shared_sharepointonline", operationId: "StartAndWaitForAnApproval" };
+assert(checkStructureOf(clientData({
+    Approve: { type: "OpenApiConnectionWebhook", inputs: { host: oApprovalHost }, limit: { timeout: "P7D" } },
+    Repeat: { type: "Until", expression: "@true", actions: {}, limit: { count: 60, timeout: "PT1H" } },
+    Note: { type: "Compose", inputs: "x", limit: { count: 5 } }
+})).join("|") === "unexpectedProperty:\"count\"", "limit.timeout is allowed on any action, limit.count only on Until");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}
@@ -66,6 +66,17 @@ assert(oGuidFunc.aParameters[0].bRequired === false, "guid() format param should
 const oAddDays = aFunctions.find(function (f) { return f.sName === "addDays"; });
 assert(oAddDays.aParameters.length === 3, "addDays() should have 3 params (got " + oAddDays.aParameters.length + ")");
 
+const oFormatDateTime = aFunctions.find(function (f) { return f.sName === "formatDateTime"; });
+assert(oFormatDateTime.aParameters.length === 3, "formatDateTime() should have 3 params (got " + oFormatDateTime.aParameters.length + ")");
+assert(oFormatDateTime.aParameters[0].sName === "timestamp", "formatDateTime() separator row should not be parsed as a param");
+assert(oFormatDateTime.sReturnType === "String", "formatDateTime() should return String (got " + oFormatDateTime.sReturnType + ")");
+
+console.log("\n--- Deprecation Tests ---");
+const oDecodeBase64 = aFunctions.find(function (f) { return f.sName === "decodeBase64"; });
+assert(oDecodeBase64.bDeprecated === true, "decodeBase64() should be deprecated");
+assert(oDecodeBase64.sReplacement === "base64ToString", "decodeBase64() should be replaced by base64ToString (got " + oDecodeBase64.sReplacement + ")");
+assert(oAddFunc.bDeprecated === false, "add() should not be deprecated");
+
 console.log("\n--- Syntax Tests ---");
 assert(oAddFunc.sSyntax.indexOf("add(") !== -1, "add() syntax should contain 'add('");
 assert(oGuidFunc.sSyntax.indexOf("guid()") !== -1, "guid() syntax should contain 'guid()'");
@@ -0,0 +1,160 @@
+/**
+ * Test script for the quick fixes offered on diagnostics.
+ * Run with: node test/quickFixesTest.js
+ */
+const path = require("path");
+const { parseFunctionReference } = require("../src/parser");
+const { buildFunctionMap, checkFunctionCalls } = require("../src/expressionValidator");
+const { collectDocumentExpressions, parseExpression } = require("../src/expressionParser");
+const { parseFlowDefinition, collectVariables } = require("../src/flowDefinition");
+const { checkVariables, checkActionReferences, checkRunAfter } = require("../src/flowValidator");
+const { runLintRules } = require("../src/flowLint");
+const { getQuickFixes, getActionFixes, getConversionFixes } = require("../src/quickFixes");
+
+const sRefPath = path.join(__dirname, "..", "expression-functions-reference.md");
+const oFuncMap = buildFunctionMap(parseFunctionReference(sRefPath));
+
+let iTotalTests = 0;
+let iPassedTests = 0;
+
+function assert(bCondition, sMessage) {
+    iTotalTests++;
+    if (bCondition) {
+        iPassedTests++;
+        console.log("  PASS: " + sMessage);
+    } else {
+        console.log("  FAIL: " + sMessage);
+    }
+}
+
+/**
+ * Apply a fix's edits to a text
+ * @param {string} sText
+ * @param {Object} oFix - from getQuickFixes
+ * @returns {string}
+ */
+function applyFix(sText, oFix) {
+    return oFix.aEdits.slice().sort(function (oLeft, oRight) {
+        return oRight.iStart - oLeft.iStart;
+    }).reduce(function (sResult, oEdit) {
+        return sResult.substring(0, oEdit.iStart) + oEdit.sNewText + sResult.substring(oEdit.iEnd);
+    }, sText);
+}
+
+/**
+ * Get the fixes for the first issue with a code
+ * @param {string} sText
+ * @param {Array<Object>} aIssues
+ * @param {string} sCode
+ * @returns {Array<Object>}
+ */
+function fixesFor(sText, aIssues, sCode) {
+    const oIssue = aIssues.filter(function (oItem) {
+        return oItem.sCode === sCode;
+    })[0];
+    return oIssue ? getQuickFixes(sText, parseFlowDefinition(sText), oIssue, oFuncMap) : [];
+}
+
+/**
+ * Check a flow's variables
+ * @param {string} sText
+ * @returns {Array<Object>}
+ */
+function variableIssues(sText) {
+    return checkVariables(parseFlowDefinition(sText), collectDocumentExpressions(sText, "json"), oFuncMap);
+}
+
+console.log("\n--- Expression Fix Tests ---");
+
+const sAccessFlow = JSON.stringify({ definition: { actions: { Show: { type: "Compose", inputs: "@triggerBody()['name']" } } } }, null, 4);
+const aAccessFixes = fixesFor(sAccessFlow, runLintRules(parseFlowDefinition(sAccessFlow), sAccessFlow), "nullSafeAccess");
+assert(aAccessFixes.length === 1 && applyFix(sAccessFlow, aAccessFixes[0]).indexOf("\"@triggerBody()?['name']\"") !== -1, "Missing '?' is inserted before the accessor");
+
+const sDeprecated = "@decodeBase64('aGk=')";
+const aDeprecatedIssues = checkFunctionCalls(parseExpression(sDeprecated).oAst, oFuncMap);
+const aDeprecatedFixes = getQuickFixes(sDeprecated, null, aDeprecatedIssues[0], oFuncMap);
+assert(aDeprecatedFixes.length === 1 && applyFix(sDeprecated, aDeprecatedFixes[0]) === "@base64ToString('aGk=')", "Deprecated functions are replaced with their successor, outside flows too");
+
+const sActionFlow = JSON.stringify({
+    definition: { actions: { "Get items": { type: "Compose" }, Show: { type: "Compose", runAfter: { "Get items": ["Succeeded"] }, inputs: "@body('Get_itmes')" } } }
+}, null, 4);
+const aActionFixes = fixesFor(sActionFlow, checkActionReferences(parseFlowDefinition(sActionFlow), collectDocumentExpressions(sActionFlow, "json")), "unknownAction");
+assert(aActionFixes.length === 1 && aActionFixes[0].bPreferred && aActionFixes[0].sTitle === "Change to 'Get_items'", "Misspelled action names offer the closest action");
+assert(applyFix(sActionFlow, aActionFixes[0]).indexOf("@body('Get_items')") !== -1, "The fix replaces only the name");
+
+console.log("\n--- Initialize Variable Tests ---");
+
+const sVariableFlow = JSON.stringify({
+    definition: {
+        actions: {
+            Init_name: { type: "InitializeVariable", inputs: { variables: [{ name: "name", type: "string" }] } },
+            Count_up: { type: "IncrementVariable", runAfter: { Init_name: ["Succeeded"] }, inputs: { name: "count", value: 1 } },
+            Show: { type: "Compose", runAfter: { Count_up: ["Succeeded"] }, inputs: "@variables('count')" }
+        }
+    }
+}, null, 4);
+const aVariableFixes = fixesFor(sVariableFlow, variableIssues(sVariableFlow), "unknownVariable");
+const sInitialized = applyFix(sVariableFlow, aVariableFixes[0]);
+const oInitialized = parseFlowDefinition(sInitialized);
+assert(aVariableFixes.length === 1 && aVariableFixes[0].sTitle === "Add Initialize Variable for 'count'", "Unknown variables offer an Initialize Variable action");
+assert(oInitialized && oInitialized.aTopLevel.map(function (oAction) {
+    return oAction.sName;
+}).join(",") === "Init_name,Initialize_count,Count_up,Show", "The new action is written after the last Initialize Variable");
+assert(collectVariables(oInitialized).filter(function (oVariable) {
+    return oVariable.sName === "count";
+})[0].sType === "integer", "The type is guessed from Increment Variable");
+assert(variableIssues(sInitialized).length === 0 && checkRunAfter(oInitialized).length === 0, "The variable is known afterwards and the runAfter chain stays valid");
+assert(sInitialized.indexOf("            \"Initialize_count\": {\n                \"type\": \"InitializeVariable\",") !== -1, "The new action follows the document's indentation");
+
+const sFirstFlow = JSON.stringify({ definition: { actions: { Show: { type: "Compose", inputs: "@variables('total')" } } } }, null, 4);
+const sFirstInitialized = applyFix(sFirstFlow, fixesFor(sFirstFlow, variableIssues(sFirstFlow), "unknownVariable")[0]);
+const oFirstInitialized = parseFlowDefinition(sFirstInitialized);
+assert(oFirstInitialized.aTopLevel[0].sName === "Initialize_total" && sFirstInitialized.indexOf("\"runAfter\": {\n                    \"Initialize_total\": [") !== -1, "Without an Initialize Variable the new action runs first");
+assert(variableIssues(sFirstInitialized).length === 0 && checkRunAfter(oFirstInitialized).length === 0, "The flow is valid after adding the first action");
+
+console.log("\n--- Secure Inputs and Outputs Tests ---");
+
+const sHttpFlow = JSON.stringify({
+    definition: {
+        actions: {
+            Call_api: { type: "Http", inputs: { method: "GET", uri: "@parameters('url')", headers: { Authorization: "@variables('token')" } } },
+            Call_partly: {
+                type: "Http",
+                inputs: { method: "GET", uri: "@parameters('url')", headers: { Authorization: "@variables('token')" } },
+                runtimeConfiguration: { secureData: { properties: ["outputs"] } }
+            }
+        }
+    }
+}, null, 4);
+const aHttpIssues = runLintRules(parseFlowDefinition(sHttpFlow), sHttpFlow);
+const aSecureFixes = fixesFor(sHttpFlow, aHttpIssues, "insecureHttpAuth");
+const sSecured = applyFix(sHttpFlow, aSecureFixes[0]);
+assert(aSecureFixes.length === 1 && aSecureFixes[0].sTitle === "Turn on Secure Inputs and Outputs for 'Call_api'", "Insecure HTTP actions offer secure inputs and outputs");
+assert(sSecured.indexOf("\"runtimeConfiguration\": {\n                    \"secureData\": {\n                        \"properties\": [\n                            \"inputs\",\n                            \"outputs\"\n                        ]") !== -1, "Missing runtimeConfiguration is added");
+const oPartlyIssue = aHttpIssues.filter(function (oIssue) {
+    return oIssue.sCode === "insecureHttpAuth" && sHttpFlow.substring(oIssue.iStart, oIssue.iEnd) === "\"Call_partly\"";
+})[0];
+const sPartlySecured = applyFix(sHttpFlow, getQuickFixes(sHttpFlow, parseFlowDefinition(sHttpFlow), oPartlyIssue, oFuncMap)[0]);
+assert(JSON.parse(sPartlySecured).definition.actions.Call_partly.runtimeConfiguration.secureData.properties.join(",") === "outputs,inputs", "Existing secured properties are kept");
+
+const oSecuredFlow = parseFlowDefinition(sSecured);
+assert(getActionFixes(sHttpFlow, parseFlowDefinition(sHttpFlow), sHttpFlow.indexOf("\"Call_api\"") + 2).length === 1, "Secure inputs and outputs are offered on an action's key");
+assert(getActionFixes(sSecured, oSecuredFlow, sSecured.indexOf("\"Call_api\"") + 2).length === 0, "Nothing is offered once both are on");
+
+console.log("\n--- Conversion Tests ---");
+
+const sGreeting = "{ \"inputs\": \"@concat('Say \\\"hi\\\" ', variables('name'))\" }";
+const aConcatFixes = getConversionFixes(collectDocumentExpressions(sGreeting, "json"), sGreeting.indexOf("concat"), true);
+assert(aConcatFixes.length === 1 && JSON.parse(applyFix(sGreeting, aConcatFixes[0])).inputs === "Say \"hi\" @{variables('name')}", "concat() in JSON converts to interpolation, re-escaped");
+const sPlainGreeting = "Say @{variables('name')}";
+const aInterpolationFixes = getConversionFixes(collectDocumentExpressions(sPlainGreeting, "plaintext"), 1, false);
+assert(aInterpolationFixes.length === 1 && applyFix(sPlainGreeting, aInterpolationFixes[0]) === "@concat('Say ', variables('name'))", "Plaintext interpolation converts to concat() without quotes");
+
+console.log("\n=======================================");
+console.log("Results: " + iPassedTests + "/" + iTotalTests + " tests passed");
+if (iPassedTests === iTotalTests) {
+    console.log("All tests passed!");
+} else {
+    console.log((iTotalTests - iPassedTests) + " test(s) FAILED");
+    process.exit(1);
+}